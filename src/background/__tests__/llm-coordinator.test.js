@@ -0,0 +1,514 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { LLMCoordinator } from '../llm-coordinator.js';
+import { getCachedResponseFromDB, saveCachedResponseToDB } from '../response-cache.js';
+import {
+    deleteJournalEntryFromDB,
+    getAllJournalEntriesFromDB,
+    saveJournalEntryToDB,
+} from '../request-journal.js';
+
+vi.mock('../response-cache.js', () => ({
+    getCachedResponseFromDB: vi.fn(),
+    saveCachedResponseToDB: vi.fn(),
+}));
+
+vi.mock('../request-journal.js', () => ({
+    deleteClientJournalEntriesFromDB: vi.fn(async () => {}),
+    deleteJournalEntryFromDB: vi.fn(async () => {}),
+    getAllJournalEntriesFromDB: vi.fn(async () => []),
+    saveJournalEntryToDB: vi.fn(async () => {}),
+}));
+
+function providerError(status) {
+    const original = new Error(`${status} error`);
+    original.status = status;
+
+    const normalized = new Error('normalized');
+    normalized.originalError = original;
+    return normalized;
+}
+
+describe('LLMCoordinator', () => {
+    describe('_executeWithFallback', () => {
+        let coordinator;
+        const signal = new AbortController().signal;
+
+        beforeEach(() => {
+            coordinator = new LLMCoordinator();
+            coordinator._prepareRequest = vi.fn(async (payload) => ({ llmId: payload.llmId }));
+        });
+
+        it('should move down the chain and report the model that answered', async () => {
+            const run = vi.fn(async ({ llmId }) => {
+                if (llmId === '1-1') throw providerError(503);
+                return { assistant: 'Hello', reasoning: null };
+            });
+            const onRetry = vi.fn();
+
+            const result = await coordinator._executeWithFallback(
+                { llmId: '1-1', fallbackLlmIds: ['2-3', '7-3'] },
+                run,
+                { requestId: 1, signal, onRetry },
+            );
+
+            expect(result).toEqual({ assistant: 'Hello', reasoning: null, llmId: '2-3' });
+            expect(run).toHaveBeenCalledTimes(2);
+            expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, delayMs: 0 }));
+        });
+
+        it('should skip models that cannot be set up', async () => {
+            coordinator._prepareRequest.mockImplementation(async (payload) => {
+                if (payload.llmId === '7-3') throw new Error('API key not found for provider: anthropic');
+                return { llmId: payload.llmId };
+            });
+
+            const result = await coordinator._executeWithFallback(
+                { llmId: '7-3', fallbackLlmIds: ['1-1'] },
+                async () => ({ assistant: 'Hello', reasoning: null }),
+                { requestId: 1, signal },
+            );
+
+            expect(result.llmId).toBe('1-1');
+        });
+
+        it('should not fall back on errors another model would not fix', async () => {
+            const run = vi.fn(async () => {
+                throw providerError(400);
+            });
+
+            await expect(coordinator._executeWithFallback(
+                { llmId: '1-1', fallbackLlmIds: ['2-3'] },
+                run,
+                { requestId: 1, signal },
+            )).rejects.toThrow('normalized');
+
+            expect(run).toHaveBeenCalledTimes(1);
+        });
+
+        it('should throw the last error once the chain is exhausted', async () => {
+            const run = vi.fn(async ({ llmId }) => {
+                const error = providerError(503);
+                error.message = `${llmId} failed`;
+                throw error;
+            });
+
+            await expect(coordinator._executeWithFallback(
+                { llmId: '1-1', fallbackLlmIds: ['2-3'] },
+                run,
+                { requestId: 1, signal },
+            )).rejects.toThrow('2-3 failed');
+        });
+
+        it('should tag the last error with the model it failed on', async () => {
+            coordinator._prepareRequest.mockImplementation(async (payload) => ({
+                llmId: payload.llmId,
+                config: { params: { model: `model-${payload.llmId}` } },
+            }));
+
+            await expect(coordinator._executeWithFallback(
+                { llmId: '1-1', fallbackLlmIds: ['2-3'] },
+                async () => {
+                    throw providerError(503);
+                },
+                { requestId: 1, signal },
+            )).rejects.toMatchObject({ llmId: '2-3', model: 'model-2-3' });
+        });
+    });
+
+    describe('response cache', () => {
+        let coordinator;
+        const signal = new AbortController().signal;
+
+        beforeEach(() => {
+            vi.clearAllMocks();
+            saveCachedResponseToDB.mockResolvedValue();
+
+            coordinator = new LLMCoordinator();
+            coordinator.responseCacheSettings = { enabled: true, maxBytes: 1024 };
+            coordinator._prepareRequest = vi.fn(async (payload) => ({
+                config: { providerType: 'deepseek', params: { model: `model-${payload.llmId}` } },
+                messages: [{ role: 'user', content: 'Hello' }],
+            }));
+        });
+
+        it('should answer cache hits without calling the provider', async () => {
+            getCachedResponseFromDB.mockResolvedValue({ assistant: 'Cached', reasoning: null });
+            const run = vi.fn();
+
+            const result = await coordinator._executeWithFallback({ llmId: '3-1' }, run, { requestId: 1, signal });
+
+            expect(result).toEqual({ assistant: 'Cached', reasoning: null, llmId: '3-1', cached: true });
+            expect(run).not.toHaveBeenCalled();
+        });
+
+        it('should cache new answers', async () => {
+            getCachedResponseFromDB.mockResolvedValue(null);
+
+            await coordinator._executeWithFallback(
+                { llmId: '3-1' },
+                async () => ({ assistant: 'Fresh', reasoning: null, usage: null }),
+                { requestId: 1, signal },
+            );
+
+            expect(saveCachedResponseToDB).toHaveBeenCalledWith(
+                expect.stringMatching(/^[0-9a-f]{64}$/),
+                { assistant: 'Fresh', reasoning: null },
+                1024,
+            );
+        });
+
+        it('should skip the lookup but refresh the entry when bypassed', async () => {
+            const run = vi.fn(async () => ({ assistant: 'Fresh', reasoning: null }));
+
+            const result = await coordinator._executeWithFallback(
+                { llmId: '3-1', bypassCache: true },
+                run,
+                { requestId: 1, signal },
+            );
+
+            expect(result.assistant).toBe('Fresh');
+            expect(getCachedResponseFromDB).not.toHaveBeenCalled();
+            expect(saveCachedResponseToDB).toHaveBeenCalled();
+        });
+
+        it('should not use the cache when disabled', async () => {
+            coordinator.responseCacheSettings = { enabled: false, maxBytes: 1024 };
+
+            await coordinator._executeWithFallback(
+                { llmId: '3-1' },
+                async () => ({ assistant: 'Fresh', reasoning: null }),
+                { requestId: 1, signal },
+            );
+
+            expect(getCachedResponseFromDB).not.toHaveBeenCalled();
+            expect(saveCachedResponseToDB).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('structured outputs', () => {
+        let coordinator;
+        const responseSchema = { name: 'glossary', schema: { type: 'object' } };
+
+        function withSupportedParameters(supportedParameters) {
+            coordinator.configManager.resolveConfig = vi.fn(async () => ({
+                providerType: 'openrouter',
+                endpoint: 'https://openrouter.ai/api/v1',
+                params: { model: 'vendor/model' },
+                metadata: { supportedParameters },
+            }));
+        }
+
+        beforeEach(() => {
+            coordinator = new LLMCoordinator();
+            coordinator._getProvider = vi.fn(async () => ({}));
+            coordinator._getLimiter = vi.fn(async () => ({}));
+        });
+
+        it('should request the schema from models supporting a JSON output mode', async () => {
+            withSupportedParameters(['temperature', 'structured_outputs']);
+
+            const { config } = await coordinator._prepareRequest({ llmId: '3-1', userMessage: 'Hi', responseSchema });
+
+            expect(config.params.response_schema).toBe(responseSchema);
+            expect(config.params.structuredOutput).toBeUndefined();
+        });
+
+        it('should let models without a JSON output mode answer free-form', async () => {
+            withSupportedParameters(['temperature', 'reasoning']);
+
+            const { config } = await coordinator._prepareRequest({ llmId: '3-1', userMessage: 'Hi', responseSchema });
+
+            expect(config.params.structuredOutput).toBe(false);
+        });
+
+        it('should keep the schema when the supported parameters are unknown', async () => {
+            withSupportedParameters(null);
+
+            const { config } = await coordinator._prepareRequest({ llmId: '3-1', userMessage: 'Hi', responseSchema });
+
+            expect(config.params.structuredOutput).toBeUndefined();
+        });
+    });
+
+    describe('API key rotation', () => {
+        let coordinator;
+        const config = { providerType: 'openai', endpoint: 'https://api.openai.com/v1', params: { model: 'gpt-4.1' } };
+
+        beforeEach(() => {
+            coordinator = new LLMCoordinator();
+            coordinator.apiKeyEntries.set('openai', [
+                { id: 'a', label: 'First', key: 'sk-a' },
+                { id: 'b', label: 'Second', key: 'sk-b' },
+            ]);
+            coordinator.apiKeyPool.setHealth({});
+        });
+
+        it('should spread requests across keys', async () => {
+            const send = vi.fn(async provider => provider.apiKey);
+
+            const used = [];
+            for (let i = 0; i < 3; i++) {
+                used.push(await coordinator._sendWithApiKey(config, send));
+            }
+
+            expect(used).toEqual(['sk-a', 'sk-b', 'sk-a']);
+        });
+
+        it('should drop a rejected key and resend with the next one', async () => {
+            const send = vi.fn(async (provider) => {
+                if (provider.apiKey === 'sk-a') throw providerError(401);
+                return provider.apiKey;
+            });
+
+            expect(await coordinator._sendWithApiKey(config, send)).toBe('sk-b');
+            expect(await coordinator._sendWithApiKey(config, send)).toBe('sk-b');
+            expect(send).toHaveBeenCalledTimes(3);
+
+            const status = await coordinator.apiKeyPool.getStatus({ openai: coordinator.apiKeyEntries.get('openai') });
+            expect(status.openai.a.state).toBe('rejected');
+        });
+
+        it('should report the rejection once no key is left', async () => {
+            const send = vi.fn(async () => {
+                throw providerError(401);
+            });
+
+            await expect(coordinator._sendWithApiKey(config, send)).rejects.toThrow('normalized');
+            expect(send).toHaveBeenCalledTimes(2);
+        });
+
+        it('should not rotate on other errors', async () => {
+            const send = vi.fn(async () => {
+                throw providerError(429);
+            });
+
+            await expect(coordinator._sendWithApiKey(config, send)).rejects.toThrow('normalized');
+            expect(send).toHaveBeenCalledTimes(1);
+
+            // The next attempt goes to the other key
+            send.mockImplementation(async provider => provider.apiKey);
+            expect(await coordinator._sendWithApiKey(config, send)).toBe('sk-b');
+        });
+    });
+
+    describe('testConnection', () => {
+        let coordinator;
+        let completion;
+
+        beforeEach(() => {
+            coordinator = new LLMCoordinator();
+            completion = vi.fn(async () => ({ assistant: 'OK', reasoning: null, usage: null }));
+            coordinator.configManager.resolveConfig = vi.fn(async llmId => ({
+                providerType: 'deepseek',
+                endpoint: 'https://api.deepseek.com/v1',
+                params: { model: `model-${llmId}` },
+            }));
+            coordinator._getProvider = vi.fn(async () => ({ provider: { completion }, keyId: null }));
+        });
+
+        it('should check each selected model once', async () => {
+            const { models } = await coordinator.testConnection({
+                stages: { glossaryGenerate: '3-1', glossaryUpdate: '3-1', translation: '3-2' },
+            });
+
+            expect(completion).toHaveBeenCalledTimes(2);
+            expect(models.glossaryUpdate).toMatchObject({ llmId: '3-1', status: 'ok' });
+            expect(models.translation).toMatchObject({ llmId: '3-2', status: 'ok' });
+        });
+
+        it('should reuse passed checks only when asked to', async () => {
+            await coordinator.testConnection({ stages: { translation: '3-1' } });
+            await coordinator.testConnection({ stages: { translation: '3-1' }, useCached: true });
+            expect(completion).toHaveBeenCalledTimes(1);
+
+            await coordinator.testConnection({ stages: { translation: '3-1' } });
+            expect(completion).toHaveBeenCalledTimes(2);
+        });
+
+        it('should report failed models without caching them', async () => {
+            completion.mockRejectedValueOnce(providerError(404));
+
+            const first = await coordinator.testConnection({ stages: { translation: '3-1' }, useCached: true });
+            const second = await coordinator.testConnection({ stages: { translation: '3-1' }, useCached: true });
+
+            expect(first.models.translation.status).toBe('error');
+            expect(second.models.translation.status).toBe('ok');
+        });
+    });
+
+    describe('request journal', () => {
+        let coordinator;
+        const payload = { clientId: 'client_1', requestId: 7, llmId: '1-1' };
+        const response = { ok: true, data: { assistant: 'done' } };
+
+        beforeEach(() => {
+            vi.clearAllMocks();
+            coordinator = new LLMCoordinator();
+            coordinator._executeRequest = vi.fn(async () => ({ response, cancelled: false }));
+        });
+
+        it('should journal a request until it is answered', async () => {
+            const sendResponse = vi.fn();
+
+            await coordinator.handleRequest(payload, sendResponse, { tabId: 3 });
+
+            expect(sendResponse).toHaveBeenCalledWith(response);
+            expect(saveJournalEntryToDB).toHaveBeenCalledWith(expect.objectContaining({
+                key: 'client_1:7',
+                status: 'pending',
+                tabId: 3,
+                payload,
+            }));
+            expect(deleteJournalEntryFromDB).toHaveBeenCalledWith('client_1:7');
+            expect(coordinator.keepAlive.holders).toBe(0);
+        });
+
+        it('should answer a resend of a running request from the same run', async () => {
+            let finish;
+            coordinator._executeRequest.mockImplementation(() => new Promise((resolve) => {
+                finish = () => resolve({ response, cancelled: false });
+            }));
+            const first = vi.fn();
+            const second = vi.fn();
+
+            const firstDone = coordinator.handleRequest(payload, first);
+            await vi.waitFor(() => expect(finish).toBeDefined());
+            const secondDone = coordinator.handleRequest(payload, second);
+            finish();
+            await Promise.all([firstDone, secondDone]);
+
+            expect(coordinator._executeRequest).toHaveBeenCalledTimes(1);
+            expect(second).toHaveBeenCalledWith(response);
+        });
+
+        it('should send pending requests of a previous worker again and keep the answer for the resend', async () => {
+            getAllJournalEntriesFromDB.mockResolvedValueOnce([
+                { key: 'client_1:7', clientId: 'client_1', payload, status: 'pending', createdAt: Date.now() },
+                { key: 'client_1:8', clientId: 'client_1', payload, status: 'pending', createdAt: Date.now() - 60 * 60_000 },
+            ]);
+
+            await coordinator.restoreJournal();
+            await vi.waitFor(() => expect(coordinator.journalResults.has('client_1:7')).toBe(true));
+
+            expect(coordinator._executeRequest).toHaveBeenCalledTimes(1);
+            expect(deleteJournalEntryFromDB).toHaveBeenCalledWith('client_1:8');
+            expect(saveJournalEntryToDB).toHaveBeenLastCalledWith(expect.objectContaining({ status: 'done', response }));
+
+            const sendResponse = vi.fn();
+            await coordinator.handleRequest(payload, sendResponse);
+
+            expect(sendResponse).toHaveBeenCalledWith(response);
+            expect(coordinator._executeRequest).toHaveBeenCalledTimes(1);
+            expect(coordinator.journalResults.size).toBe(0);
+        });
+
+        it('should drop kept answers when the client is cancelled', async () => {
+            coordinator.journalResults.set('client_1:7', response);
+            coordinator.journalResults.set('client_2:1', response);
+
+            coordinator.handleCancel({ clientId: 'client_1', pendingCount: 0 });
+
+            expect([...coordinator.journalResults.keys()]).toEqual(['client_2:1']);
+        });
+    });
+
+    describe('request scheduling', () => {
+        let coordinator;
+        let limiter;
+
+        beforeEach(() => {
+            coordinator = new LLMCoordinator();
+            const limits = { queueKey: 'openai', concurrency: 1, intervalCap: 10, interval: 1000 };
+            limiter = { queue: coordinator._getQueue(limits), budget: null, tokens: 0 };
+        });
+
+        it('should run the requests of the foreground tab first', async () => {
+            const foregroundTabs = new Set([1]);
+            coordinator._isForegroundTab = vi.fn(async tabId => foregroundTabs.has(tabId));
+            const signal = new AbortController().signal;
+            const order = [];
+
+            // Holds the only slot until the others are queued
+            let release;
+            const blocker = coordinator._addToQueue(limiter, () => new Promise((resolve) => {
+                release = resolve;
+            }), { signal, schedule: {} });
+
+            const requests = [];
+            for (const [tabId, stageKey] of [[2, 'translation'], [1, 'glossaryUpdate'], [1, 'translation']]) {
+                const schedule = await coordinator._getSchedule({ clientId: `tab_${tabId}`, stageKey, stage: stageKey }, tabId);
+                requests.push(coordinator._addToQueue(limiter, async () => {
+                    order.push(`${tabId}:${stageKey}`);
+                }, { signal, schedule }));
+            }
+
+            expect(coordinator.getQueueStatus()).toEqual([expect.objectContaining({
+                queueKey: 'openai',
+                running: 1,
+                waiting: [
+                    expect.objectContaining({ tabId: 1, stage: 'translation' }),
+                    expect.objectContaining({ tabId: 1, stage: 'glossaryUpdate' }),
+                    expect.objectContaining({ tabId: 2, stage: 'translation' }),
+                ],
+            })]);
+
+            release();
+            await Promise.all([blocker, ...requests]);
+
+            expect(order).toEqual(['1:translation', '1:glossaryUpdate', '2:translation']);
+            expect(coordinator.waitingTasks.size).toBe(0);
+            expect(coordinator.getQueueStatus()).toEqual([]);
+        });
+
+        it('should move the requests of a tab forward when the user switches to it', async () => {
+            const foregroundTabs = new Set([1]);
+            coordinator._isForegroundTab = vi.fn(async tabId => foregroundTabs.has(tabId));
+            const signal = new AbortController().signal;
+            const order = [];
+
+            let release;
+            const blocker = coordinator._addToQueue(limiter, () => new Promise((resolve) => {
+                release = resolve;
+            }), { signal, schedule: {} });
+
+            const requests = [];
+            for (const tabId of [1, 2]) {
+                const schedule = await coordinator._getSchedule({ clientId: `tab_${tabId}`, stageKey: 'translation' }, tabId);
+                requests.push(coordinator._addToQueue(limiter, async () => {
+                    order.push(tabId);
+                }, { signal, schedule }));
+            }
+
+            foregroundTabs.clear();
+            foregroundTabs.add(2);
+            await coordinator.reprioritizeWaitingTasks();
+
+            release();
+            await Promise.all([blocker, ...requests]);
+
+            expect(order).toEqual([2, 1]);
+        });
+
+        it('should not run a stream whose port closed while it was being scheduled', async () => {
+            const disconnectListeners = [];
+            const port = {
+                sender: { tab: { id: 1 } },
+                onDisconnect: { addListener: listener => disconnectListeners.push(listener) },
+                postMessage: vi.fn(),
+            };
+
+            // The content script goes away while the tab is looked up
+            coordinator._isForegroundTab = vi.fn(async () => {
+                disconnectListeners.forEach(listener => listener());
+                return true;
+            });
+            coordinator._executeWithFallback = vi.fn();
+
+            await coordinator.handleStreamRequest({ clientId: 'tab_1', llmId: 'openai-gpt', stageKey: 'translation' }, port);
+
+            expect(coordinator._executeWithFallback).not.toHaveBeenCalled();
+            expect(port.postMessage).not.toHaveBeenCalled();
+            expect(coordinator.activeRequests.get('tab_1')?.size ?? 0).toBe(0);
+        });
+    });
+});
@@ -4,6 +4,7 @@ import { getAllApiKeys } from "../../utils/api-key-manager.js";
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { ConfigManager } from '../config-manager.js';
 import { PROVIDER_CONFIGS } from '../defaults.js';
+import { normalizeProviderOverrides } from '../../utils/provider-overrides.js';
 
 // Mock ApiKeyManager
 vi.mock('../../utils/api-key-manager.js', () => ({
@@ -52,6 +53,90 @@ describe('ConfigManager', () => {
             expect(config.params.max_tokens).toBe(100); // From user
             expect(config.params.model).toBe('deepseek-chat'); // From model config
         });
+
+        it('should apply the stage profile over the model profile', async () => {
+            chrome.storage.local.get.mockResolvedValue({
+                param_profiles: {
+                    defaults: { max_tokens: 2048 },
+                    models: { '3-1': { temperature: 0.3, top_p: 0.9 } },
+                    stages: { translation: { temperature: 1.1 } },
+                },
+            });
+
+            const translation = await manager.resolveConfig('3-1', {}, { stageKey: 'translation' });
+            const glossary = await manager.resolveConfig('3-1', {}, { stageKey: 'glossaryGenerate' });
+
+            expect(translation.params).toMatchObject({ temperature: 1.1, top_p: 0.9, max_tokens: 2048 });
+            expect(glossary.params).toMatchObject({ temperature: 0.3, top_p: 0.9, max_tokens: 2048 });
+        });
+
+        it('should let the parameter profiles override the default params', async () => {
+            chrome.storage.local.get.mockResolvedValue({
+                param_profiles: { stages: { translation: { max_tokens: 3000 } } },
+            });
+
+            const translation = await manager.resolveConfig('3-1', {}, {
+                stageKey: 'translation',
+                defaultParams: { max_tokens: 8192, temperature: 0.5 },
+            });
+
+            expect(translation.params).toMatchObject({ max_tokens: 3000, temperature: 0.5 });
+        });
+
+        it('should resolve pricing from the hardcoded table', async () => {
+            chrome.storage.local.get.mockResolvedValue({ userParams: {} });
+
+            const config = await manager.resolveConfig('3-1');
+
+            expect(config.pricing).toEqual({ input: 0.28, output: 0.42, cachedInput: 0.028 });
+        });
+
+        it('should prefer fetched model pricing and keep it out of params', async () => {
+            getAllApiKeys.mockResolvedValue({ openrouter: 'key' });
+            chrome.storage.local.get.mockImplementation((key) => {
+                if (key === 'model_cache_openrouter') {
+                    return Promise.resolve({
+                        model_cache_openrouter: [{
+                            provider: 'openrouter',
+                            id: 'openrouter-qwen/qwen3-max',
+                            model: 'qwen/qwen3-max',
+                            pricing: { input: 1.2, output: 6 },
+                        }],
+                    });
+                }
+                return Promise.resolve({});
+            });
+
+            const config = await manager.resolveConfig('openrouter-qwen/qwen3-max');
+
+            expect(config.pricing).toEqual({ input: 1.2, output: 6 });
+            expect(config.params.pricing).toBeUndefined();
+        });
+
+        it('should apply fetched metadata to recommended models and cap max_tokens', async () => {
+            getAllApiKeys.mockResolvedValue({ openrouter: 'key' });
+            chrome.storage.local.get.mockImplementation((key) => {
+                if (key === 'model_cache_openrouter') {
+                    return Promise.resolve({
+                        model_cache_openrouter: [{
+                            provider: 'openrouter',
+                            id: 'openrouter-deepseek/deepseek-v3.2',
+                            model: 'deepseek/deepseek-v3.2',
+                            contextLength: 163840,
+                            maxOutputTokens: 2048,
+                            supportedParameters: ['temperature', 'response_format'],
+                        }],
+                    });
+                }
+                return Promise.resolve({});
+            });
+
+            const config = await manager.resolveConfig('1-1');
+
+            expect(config.metadata).toMatchObject({ contextLength: 163840, maxOutputTokens: 2048 });
+            expect(config.params.max_tokens).toBe(2048);
+            expect(config.params.contextLength).toBeUndefined();
+        });
     });
 
     describe('getModelList', () => {
@@ -82,6 +167,102 @@ describe('ConfigManager', () => {
             expect(cached).toBeDefined();
             expect(cached.source).toBe('provider');
         });
+
+        it('should include cached custom server models without an API key', async () => {
+            getAllApiKeys.mockResolvedValue({});
+
+            const cachedModels = [{ provider: 'custom', id: 'custom-qwen2.5:14b', model: 'qwen2.5:14b', label: 'qwen2.5:14b' }];
+            chrome.storage.local.get.mockImplementation((key) => {
+                if (key === 'custom_provider') return Promise.resolve({ custom_provider: { baseUrl: 'http://localhost:11434' } });
+                if (key === 'model_cache_custom') return Promise.resolve({ model_cache_custom: cachedModels });
+                return Promise.resolve({});
+            });
+
+            const models = await manager.getModelList({ showAll: true });
+
+            expect(models.find(m => m.id === 'custom-qwen2.5:14b')?.source).toBe('provider');
+        });
+
+        it('should list the mock model only when enabled', async () => {
+            chrome.storage.local.get.mockResolvedValue({});
+            expect((await manager.getModelList({ showAll: false })).find(m => m.id === 'mock-1')).toBeUndefined();
+
+            chrome.storage.local.get.mockResolvedValue({ mock_provider: { enabled: true } });
+            const models = await manager.getModelList({ showAll: false });
+
+            expect(models.find(m => m.id === 'mock-1')).toMatchObject({ provider: 'mock', source: 'recommended' });
+        });
+    });
+
+    describe('provider overrides', () => {
+        it('should resolve Azure deployments to the resource URL', async () => {
+            getAllApiKeys.mockResolvedValue({ azure: 'azure-key' });
+
+            chrome.storage.local.get.mockImplementation((key) => {
+                if (key === 'provider_overrides') {
+                    return Promise.resolve({ provider_overrides: { azure: { baseUrl: 'https://my-resource.openai.azure.com/' } } });
+                }
+                if (key === 'model_cache_azure') {
+                    return Promise.resolve({ model_cache_azure: [{ provider: 'azure', id: 'azure-gpt-4o-prod', model: 'gpt-4o-prod' }] });
+                }
+                return Promise.resolve({});
+            });
+
+            const config = await manager.resolveConfig('azure-gpt-4o-prod');
+
+            expect(config.providerType).toBe('azure');
+            expect(config.endpoint).toBe('https://my-resource.openai.azure.com');
+            expect(config.params.model).toBe('gpt-4o-prod');
+        });
+    });
+
+    describe('custom provider', () => {
+        it('should resolve custom models to the configured base URL', async () => {
+            getAllApiKeys.mockResolvedValue({});
+
+            chrome.storage.local.get.mockImplementation((key) => {
+                if (key === 'custom_provider') return Promise.resolve({ custom_provider: { baseUrl: 'http://localhost:11434/' } });
+                if (key === 'model_cache_custom') {
+                    return Promise.resolve({ model_cache_custom: [{ provider: 'custom', id: 'custom-llama3.1:8b', model: 'llama3.1:8b' }] });
+                }
+                return Promise.resolve({});
+            });
+
+            const config = await manager.resolveConfig('custom-llama3.1:8b');
+
+            expect(config.providerType).toBe('custom');
+            expect(config.endpoint).toBe('http://localhost:11434/v1');
+            expect(config.params.model).toBe('llama3.1:8b');
+        });
+
+        it('should refresh the custom model list using the base URL and optional key', async () => {
+            getAllApiKeys.mockResolvedValue({});
+            chrome.storage.local.get.mockImplementation((key) => {
+                if (key === 'custom_provider') return Promise.resolve({ custom_provider: { baseUrl: 'http://localhost:1234/v1' } });
+                return Promise.resolve({});
+            });
+
+            const getAvailableModels = vi.fn().mockResolvedValue([{ id: 'custom-a', model: 'a' }]);
+            const mockProviderClass = vi.fn(function () {
+                this.getAvailableModels = getAvailableModels;
+            });
+
+            const results = await manager.refreshModelList({ custom: mockProviderClass });
+
+            expect(mockProviderClass).toHaveBeenCalledWith({
+                endpoint: 'http://localhost:1234/v1',
+                apiKey: '',
+                overrides: normalizeProviderOverrides(undefined),
+            });
+            expect(results.success).toEqual([{ provider: 'custom', count: 1 }]);
+        });
+
+        it('should not list the custom provider without a base URL', async () => {
+            getAllApiKeys.mockResolvedValue({ custom: 'secret' });
+            chrome.storage.local.get.mockResolvedValue({});
+
+            expect(await manager.getAvailableProviders()).toEqual([]);
+        });
     });
 
     describe('refreshModelList', () => {
@@ -1,27 +1,37 @@
-import { PROVIDER_CONFIGS, DEFAULT_PARAMS } from './defaults.js';
+import { PROVIDER_CONFIGS, DEFAULT_PARAMS, MODEL_PRICING } from './defaults.js';
 import { getAllApiKeys } from '../utils/api-key-manager.js';
+import { getCustomProviderSettings } from '../utils/custom-provider-settings.js';
+import { getMockProviderSettings } from '../utils/mock-provider-settings.js';
+import { getParamProfiles, resolveProfileParams } from '../utils/param-profiles.js';
+import { getProviderClientOptions, getProviderOverrides } from '../utils/provider-overrides.js';
 import { log } from "../../common/logger.js";
 
+// Fields of fetched model lists that describe the model rather than request parameters
+const METADATA_KEYS = ['contextLength', 'maxOutputTokens', 'supportedParameters'];
+
 /**
  * Manages configuration from multiple sources and model list caching.
  *
  * Config resolution precedence:
  * 1. customParams (from content script per-request)
- * 2. userParams (from options page, stored in chrome.storage)
- * 3. hardcoded defaults (from PROVIDER_CONFIGS), if exist for selected model
- * 4. provider defaults (fallback)
+ * 2. parameter profiles (from options page, stored in chrome.storage): stage > model > defaults
+ * 3. defaultParams (from content script per-request, what the stage needs unless the user says otherwise)
+ * 4. hardcoded defaults (from PROVIDER_CONFIGS), if exist for selected model
+ * 5. provider defaults (fallback)
  *
  * Model list management:
  * - Hardcoded recommended models (always available)
  * - Cached models from provider APIs (when showAll is enabled)
  * - Simple cache: exists or doesn't
+ * - Model metadata (context length, max output, supported parameters, pricing) from the cached
+ *   lists, also applied to recommended models of the same name
  */
 export class ConfigManager {
   constructor() {
     this.hardcodedConfigs = PROVIDER_CONFIGS;
 
-    // In-memory cache for user parameters
-    this.userParams = null;
+    // In-memory cache for parameter profiles, cleared when they change in storage
+    this.paramProfiles = null;
 
     // In-memory cache for model lists: Map<provider, models[]>
     this.modelCache = new Map();
@@ -32,9 +42,12 @@ export class ConfigManager {
    *
    * @param {string} llmId - Model identifier (e.g., '1-1', 'custom-gpt-4')
    * @param {Object} customParams - Custom parameters from content script
-   * @returns {Promise<Object>} Resolved config: { providerType, endpoint, params }
+   * @param {Object} [options]
+   * @param {string} [options.stageKey] - Pipeline stage sending the request, selects its parameter profile
+   * @param {Object} [options.defaultParams] - Parameters from content script that the profiles override
+   * @returns {Promise<Object>} Resolved config: { providerType, endpoint, params, pricing, metadata }
    */
-  async resolveConfig(llmId, customParams = {}) {
+  async resolveConfig(llmId, customParams = {}, { stageKey, defaultParams = {} } = {}) {
     // Step 1: Find the model config (search all sources)
     const modelConfig = await this._findModelConfig(llmId);
 
@@ -42,9 +55,9 @@ export class ConfigManager {
       throw new Error(`Model not found: ${llmId}`);
     }
 
-    // Step 2: Load user parameters if not already loaded
-    if (this.userParams === null) {
-      await this._loadUserParams();
+    // Step 2: Load parameter profiles if not already loaded
+    if (this.paramProfiles === null) {
+      this.paramProfiles = await getParamProfiles();
     }
 
     // Step 3: Get provider config for endpoint
@@ -53,16 +66,78 @@ export class ConfigManager {
       throw new Error(`Provider config not found: ${modelConfig.provider}`);
     }
 
+    const endpoint = modelConfig.endpoint || await this._getEndpoint(modelConfig.provider);
+    if (!endpoint) {
+      throw new Error(`No endpoint configured for provider: ${modelConfig.provider}`);
+    }
+
     // Step 4: Merge parameters with precedence
-    const params = this._mergeParams(modelConfig, customParams);
+    const profileParams = resolveProfileParams(this.paramProfiles, { llmId, stageKey });
+    const params = this._mergeParams(modelConfig, profileParams, customParams, defaultParams);
+
+    // Never ask for more output than the model can produce; providers reject such requests
+    const metadata = await this._getModelMetadata(modelConfig);
+    if (metadata.maxOutputTokens && params.max_tokens > metadata.maxOutputTokens) {
+      params.max_tokens = metadata.maxOutputTokens;
+    }
 
     return {
       providerType: modelConfig.provider,
-      endpoint: modelConfig.endpoint || providerConfig.endpoint,
+      endpoint,
       params,
+      pricing: metadata.pricing,
+      metadata,
     };
   }
 
+  /**
+   * Gets what is known about a model's limits, capabilities and pricing.
+   *
+   * @param {string} llmId - Model identifier
+   * @returns {Promise<Object|null>} Metadata: { contextLength, maxOutputTokens, supportedParameters, pricing },
+   *          fields null when unknown; null if the model is not found
+   */
+  async getModelMetadata(llmId) {
+    const modelConfig = await this._findModelConfig(llmId);
+    return modelConfig ? await this._getModelMetadata(modelConfig) : null;
+  }
+
+  /**
+   * Collects the metadata of a model config. Recommended models have none of their own,
+   * so the cached model list of their provider is searched for the same model name.
+   *
+   * @param {Object} modelConfig - Model configuration
+   * @returns {Promise<Object>} Metadata: { contextLength, maxOutputTokens, supportedParameters, pricing }
+   * @private
+   */
+  async _getModelMetadata(modelConfig) {
+    let source = modelConfig;
+
+    if (modelConfig.contextLength === undefined) {
+      const cached = await this._loadModelCache(modelConfig.provider);
+      source = cached?.find(m => m.model === modelConfig.model) ?? modelConfig;
+    }
+
+    return {
+      contextLength: source.contextLength ?? null,
+      maxOutputTokens: source.maxOutputTokens ?? null,
+      supportedParameters: source.supportedParameters ?? null,
+      pricing: this._getPricing(modelConfig) ?? source.pricing ?? null,
+    };
+  }
+
+  /**
+   * Gets the price per 1M tokens for a model, used for cost accounting.
+   * Pricing fetched with the model list takes precedence over the hardcoded table.
+   *
+   * @param {Object} modelConfig - Model configuration
+   * @returns {Object|null} Pricing: { input, output, cachedInput? }, or null if unknown
+   * @private
+   */
+  _getPricing(modelConfig) {
+    return modelConfig.pricing ?? MODEL_PRICING[modelConfig.provider]?.[modelConfig.model] ?? null;
+  }
+
   /**
    * Gets model list based on mode.
    *
@@ -72,10 +147,15 @@ export class ConfigManager {
    */
   async getModelList({ showAll = false }) {
     const models = [];
+    const { enabled: mockEnabled } = await getMockProviderSettings();
 
-    // Always include hardcoded recommended models
+    // Always include hardcoded recommended models (the mock model only when enabled)
     for (const [provider, config] of Object.entries(this.hardcodedConfigs)) {
-      config.models.forEach(model => {
+      if (provider === 'mock' && !mockEnabled) {
+        continue;
+      }
+
+      for (const model of config.models) {
         models.push({
           provider,
           id: model.id,
@@ -83,15 +163,16 @@ export class ConfigManager {
           label: model.label,
           source: 'recommended',
           stages: this._getModelStages(model.id, config.limits), // Add stages info
+          ...await this._getModelMetadata({ ...model, provider }),
         });
-      });
+      }
     }
 
     // If showAll is enabled, add cached models from providers
     if (showAll) {
-      const apiKeys = await getAllApiKeys();
+      const configured = await this._getConfiguredProviders();
 
-      for (const provider of Object.keys(apiKeys)) {
+      for (const provider of Object.keys(configured)) {
         // Load cached models for this provider
         const cached = await this._loadModelCache(provider);
 
@@ -154,21 +235,22 @@ export class ConfigManager {
   }
 
   /**
-   * Refreshes model lists from all providers with API keys.
+   * Refreshes model lists from all configured providers
+   * (those with API keys, plus the custom provider once it has a base URL).
    * Fetches from provider APIs and caches results.
    *
    * @param {Object} providerRegistry - Map of provider classes for calling getAvailableModels()
    * @returns {Promise<Object>} Summary of refresh results
    */
   async refreshModelList(providerRegistry) {
-    const apiKeys = await getAllApiKeys();
+    const configured = await this._getConfiguredProviders();
     const results = {
       success: [],
       failed: [],
       skipped: [],
     };
 
-    for (const [provider, apiKey] of Object.entries(apiKeys)) {
+    for (const [provider, apiKey] of Object.entries(configured)) {
       try {
         const ProviderClass = providerRegistry[provider];
 
@@ -178,9 +260,7 @@ export class ConfigManager {
           continue;
         }
 
-        // Get endpoint from config
-        const providerConfig = this.hardcodedConfigs[provider];
-        const endpoint = providerConfig?.endpoint;
+        const endpoint = await this._getEndpoint(provider);
 
         if (!endpoint) {
           console.warn(`[ConfigManager] No endpoint configured for: ${provider}`);
@@ -189,7 +269,7 @@ export class ConfigManager {
         }
 
         // Create temporary provider instance to fetch models
-        const providerInstance = new ProviderClass({ endpoint, apiKey });
+        const providerInstance = new ProviderClass(await getProviderClientOptions(provider, { endpoint, apiKey }));
 
         // Check if provider implements getAvailableModels
         if (typeof providerInstance.getAvailableModels !== 'function') {
@@ -237,13 +317,55 @@ export class ConfigManager {
   }
 
   /**
-   * Gets available providers (those with API keys configured).
+   * Gets available providers (those with API keys configured,
+   * plus the custom provider once it has a base URL).
    *
    * @returns {Promise<Array<string>>} Array of provider names
    */
   async getAvailableProviders() {
-    const apiKeys = await getAllApiKeys();
-    return Object.keys(apiKeys);
+    const configured = await this._getConfiguredProviders();
+    return Object.keys(configured);
+  }
+
+  /**
+   * Gets the providers that can be used, mapped to their API keys.
+   * The custom provider needs a base URL but no key, as local servers usually have none.
+   *
+   * @returns {Promise<Object>} Object mapping provider names to API keys (empty string if none)
+   * @private
+   */
+  async _getConfiguredProviders() {
+    const { custom: customKey, ...apiKeys } = await getAllApiKeys();
+    const { baseUrl } = await getCustomProviderSettings();
+
+    if (baseUrl) {
+      apiKeys.custom = customKey || '';
+    }
+
+    return apiKeys;
+  }
+
+  /**
+   * Gets the API endpoint for a provider.
+   * A base URL set in the provider's overrides comes first (for Azure, it is the resource URL);
+   * the custom provider's endpoint is the user-supplied base URL.
+   *
+   * @param {string} provider - Provider name
+   * @returns {Promise<string|null>} Endpoint, or null if none is configured
+   * @private
+   */
+  async _getEndpoint(provider) {
+    const overrides = await getProviderOverrides(provider);
+    if (overrides.baseUrl) {
+      return overrides.baseUrl;
+    }
+
+    if (provider === 'custom') {
+      const { baseUrl } = await getCustomProviderSettings();
+      return baseUrl || null;
+    }
+
+    return this.hardcodedConfigs[provider]?.endpoint ?? null;
   }
 
   /**
@@ -267,20 +389,18 @@ export class ConfigManager {
     }
 
     // Search cached models from providers
-    const apiKeys = await getAllApiKeys();
+    const configured = await this._getConfiguredProviders();
 
-    for (const provider of Object.keys(apiKeys)) {
+    for (const provider of Object.keys(configured)) {
       const cached = await this._loadModelCache(provider);
 
       if (cached) {
         const model = cached.find(m => m.id === llmId);
         if (model) {
-          // Get endpoint from provider config
-          const providerConfig = this.hardcodedConfigs[provider];
           return {
             ...model,
             provider,
-            endpoint: model.endpoint || providerConfig?.endpoint,
+            endpoint: model.endpoint || await this._getEndpoint(provider),
           };
         }
       }
@@ -291,9 +411,9 @@ export class ConfigManager {
 
   /**
    * Merges parameters from all sources with correct precedence.
-   * Includes all keys from each source except metadata keys {id, model, label}.
+   * Includes all keys from each source except metadata keys {id, model, label, pricing, ...}.
    *
-   * Precedence: customParams > userParams > modelConfig > defaults
+   * Precedence: customParams > profileParams > defaultParams > modelConfig > defaults
    *
    * The provider's completion() method is responsible for:
    * - Using supported parameters
@@ -301,18 +421,20 @@ export class ConfigManager {
    * - Transforming parameters to provider-specific format
    *
    * @param {Object} modelConfig - Base model configuration
+   * @param {Object} profileParams - Parameters from the stage, model and default profiles
    * @param {Object} customParams - Custom parameters from content script
+   * @param {Object} [defaultParams] - Default parameters from content script
    * @returns {Object} Merged parameters
    * @private
    */
-  _mergeParams(modelConfig, customParams) {
+  _mergeParams(modelConfig, profileParams, customParams, defaultParams = {}) {
     // Start with base defaults
     const params = {
       model: modelConfig.model,
       max_tokens: DEFAULT_PARAMS.max_tokens,
     };
 
-    const excludedKeys = new Set(['id', 'label', 'provider', 'endpoint', 'model', 'source']);
+    const excludedKeys = new Set(['id', 'label', 'provider', 'endpoint', 'model', 'source', 'pricing', ...METADATA_KEYS]);
 
     // Apply ALL keys from model config (except metadata)
     for (const [key, value] of Object.entries(modelConfig)) {
@@ -321,11 +443,14 @@ export class ConfigManager {
       }
     }
 
-    // Apply ALL keys from user parameters (override model config)
-    if (this.userParams) {
-      for (const [key, value] of Object.entries(this.userParams)) {
-        params[key] = value;
-      }
+    // Apply the content script's defaults (override model config)
+    for (const [key, value] of Object.entries(defaultParams)) {
+      params[key] = value;
+    }
+
+    // Apply parameter profiles (override model config and the content script's defaults)
+    for (const [key, value] of Object.entries(profileParams)) {
+      params[key] = value;
     }
 
     // Apply ALL keys from custom parameters (highest priority)
@@ -337,14 +462,10 @@ export class ConfigManager {
   }
 
   /**
-   * Loads user parameters from chrome.storage.
-   *
-   * @returns {Promise<void>}
-   * @private
+   * Drops the cached parameter profiles, so the next request reads them from storage.
    */
-  async _loadUserParams() {
-    const result = await chrome.storage.local.get('userParams');
-    this.userParams = result.userParams || {};
+  clearParamProfiles() {
+    this.paramProfiles = null;
   }
 
   /**
@@ -185,6 +185,118 @@ export const PROVIDER_CONFIGS = {
     },
   },
 
+  anthropic: {
+    endpoint: 'https://api.anthropic.com/v1',
+    models: [
+      {
+        id: '7-1',
+        model: 'claude-sonnet-4-5',
+        label: 'Claude Sonnet 4.5',
+      },
+      {
+        id: '7-2',
+        model: 'claude-sonnet-4-5',
+        label: 'Claude Sonnet 4.5 (Thinking)',
+        reasoning: 'medium',
+        tokens: 8192,
+      },
+      {
+        id: '7-3',
+        model: 'claude-haiku-4-5',
+        label: 'Claude Haiku 4.5',
+      },
+      {
+        id: '7-4',
+        model: 'claude-opus-4-5',
+        label: 'Claude Opus 4.5',
+        tokens: 8192,
+      },
+    ],
+    limits: {
+      stage1: 'all',
+      stage2: ['7-3'],
+      stage3: ['7-3'],
+      stage4: 'all',
+      stage5: 'all',
+    },
+  },
+
+  // OpenAI-compatible server (Ollama, llama.cpp, LM Studio, vLLM, ...).
+  // The endpoint is the user-supplied base URL, resolved by ConfigManager;
+  // models come from the server's /models list.
+  custom: {
+    endpoint: null,
+    models: [],
+    limits: {},
+  },
+
+  // Azure OpenAI. The endpoint is the resource URL set in the provider's overrides,
+  // resolved by ConfigManager; models are the deployment names entered there.
+  azure: {
+    endpoint: null,
+    models: [],
+    limits: {},
+  },
+
+  // Offline mock provider for development and tests; no requests leave the browser.
+  // Listed only when enabled under Misc Settings > Developer.
+  mock: {
+    endpoint: 'mock://local',
+    models: [
+      { id: 'mock-1', model: 'mock', label: 'Mock (offline)' },
+    ],
+    limits: {
+      stage1: 'all',
+      stage2: 'all',
+      stage3: 'all',
+      stage4: 'all',
+      stage5: 'all',
+    },
+  },
+
+};
+
+/**
+ * Approximate list prices in USD per 1M tokens, used to estimate spending.
+ * Keyed by provider, then by model name (as sent to the API).
+ * cachedInput is the price of prompt cache hits; if omitted, cached input is billed as input.
+ * Models fetched from a provider may carry their own `pricing` (OpenRouter does), which takes precedence.
+ */
+export const MODEL_PRICING = {
+  openrouter: {
+    'deepseek/deepseek-v3.2': { input: 0.28, output: 0.42 },
+    'moonshotai/kimi-k2-0905': { input: 0.60, output: 2.50 },
+    'google/gemini-3-pro-preview': { input: 2.00, output: 12.00 },
+    'google/gemini-3-flash-preview': { input: 0.50, output: 3.00 },
+    'google/gemini-2.5-flash-lite-preview-09-2025': { input: 0.10, output: 0.40 },
+    'x-ai/grok-4.1-fast': { input: 0.20, output: 0.50 },
+    'z-ai/glm-4.7': { input: 0.60, output: 2.20 },
+    'anthropic/claude-sonnet-4.5': { input: 3.00, output: 15.00 },
+  },
+  openai: {
+    'gpt-5.2': { input: 1.75, output: 14.00, cachedInput: 0.175 },
+    'gpt-5-mini': { input: 0.25, output: 2.00, cachedInput: 0.025 },
+    'gpt-5-nano': { input: 0.05, output: 0.40, cachedInput: 0.005 },
+  },
+  deepseek: {
+    'deepseek-chat': { input: 0.28, output: 0.42, cachedInput: 0.028 },
+    'deepseek-reasoner': { input: 0.28, output: 0.42, cachedInput: 0.028 },
+  },
+  xai: {
+    'grok-4-1-fast-reasoning': { input: 0.20, output: 0.50, cachedInput: 0.05 },
+    'grok-4-1-fast-non-reasoning': { input: 0.20, output: 0.50, cachedInput: 0.05 },
+    'grok-4-0709': { input: 3.00, output: 15.00, cachedInput: 0.75 },
+  },
+  google: {
+    'gemini-3-pro': { input: 2.00, output: 12.00, cachedInput: 0.20 },
+    'gemini-2.5-flash-lite-preview-09-2025': { input: 0.10, output: 0.40, cachedInput: 0.01 },
+    'gemini-3-flash-preview': { input: 0.50, output: 3.00, cachedInput: 0.05 },
+  },
+  anthropic: {
+    'claude-sonnet-4-5': { input: 3.00, output: 15.00, cachedInput: 0.30 },
+    'claude-haiku-4-5': { input: 1.00, output: 5.00, cachedInput: 0.10 },
+    'claude-opus-4-5': { input: 5.00, output: 25.00, cachedInput: 0.50 },
+  },
 };
 
 /**
@@ -196,11 +308,52 @@ export const DEFAULT_PARAMS = {
 };
 
 /**
- * Rate limiting configuration.
- * Applied uniformly to all provider queues.
+ * Default rate limiting configuration.
+ * Applied to every provider queue unless overridden per provider or per model
+ * in the options page (stored under `rate_limits`, see utils/rate-limit-settings.js).
  */
 export const RATE_LIMIT_CONFIG = {
   concurrency: 5,        // Max 5 concurrent requests per provider
   intervalCap: 10,       // Max 10 requests per interval
   interval: 1000,        // Interval in milliseconds (1 second)
+  tokensPerMinute: null, // Estimated tokens per minute, null for no limit
+};
+
+/**
+ * Response cache defaults. The cache itself is opt-in (options page, stored under `response_cache`,
+ * see utils/response-cache-settings.js); least recently used responses are evicted above the size cap.
+ */
+export const RESPONSE_CACHE_CONFIG = {
+  maxSizeMB: 50,         // Approximate size cap for all cached responses
+};
+
+/**
+ * Interaction log defaults. Recording is opt-in (options page, stored under `interaction_log`,
+ * see utils/interaction-log-settings.js); the oldest entries are dropped above the entry cap.
+ */
+export const INTERACTION_LOG_CONFIG = {
+  maxEntries: 500,       // Requests kept in the log
+};
+
+/**
+ * Pipeline checkpoints: the output of each finished stage of a run, kept so an interrupted
+ * run can be resumed (see pipeline-checkpoints.js). They are deleted when the run completes.
+ */
+export const CHECKPOINT_CONFIG = {
+  maxAgeDays: 7,         // Checkpoints of runs not resumed within this time are dropped
+};
+
+/**
+ * Retry policy for failed provider requests.
+ * Delays grow exponentially with jitter; a Retry-After header from the provider takes precedence.
+ * maxAttempts counts the first attempt, per error class.
+ */
+export const RETRY_CONFIG = {
+  baseDelayMs: 1000,     // Delay before the first retry (before jitter)
+  maxDelayMs: 60000,     // Upper bound for any single delay
+  maxAttempts: {
+    rate_limit: 5,       // 429
+    server: 3,           // 408, 5xx
+    network: 3,          // Connection refused, reset, timed out
+  },
 };
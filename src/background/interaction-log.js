@@ -0,0 +1,125 @@
+import { matchesInteractionFilter } from './utils/interaction-log-settings.js';
+
+const DB_NAME = 'TranslatorInteractionLogDB';
+const DB_VERSION = 1;
+const STORE_NAME = 'interactions';
+
+let dbPromise = null;
+
+/**
+ * Opens (or reuses) the IndexedDB connection.
+ * Creates the object store on first run.
+ */
+function openDatabase() {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        // Auto-incremented ids keep entries in the order they were logged, oldest first
+        db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      }
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Adds an entry to the log, then drops the oldest entries until at most maxEntries are left.
+ */
+export async function saveInteractionToDB(entry, maxEntries) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+
+    store.add(entry);
+
+    const countRequest = store.count();
+    countRequest.onsuccess = () => {
+      let excess = countRequest.result - maxEntries;
+      if (excess <= 0) return;
+
+      const cursorRequest = store.openCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor || excess <= 0) return;
+
+        cursor.delete();
+        excess--;
+        cursor.continue();
+      };
+    };
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Retrieves the log entries matching a filter, newest first.
+ * See matchesInteractionFilter() for the filter fields.
+ */
+export async function getInteractionsFromDB(filter = {}) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readonly');
+    const cursorRequest = transaction.objectStore(STORE_NAME).openCursor(null, 'prev');
+    const entries = [];
+
+    cursorRequest.onerror = () => reject(cursorRequest.error);
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) {
+        resolve(entries);
+        return;
+      }
+
+      if (matchesInteractionFilter(cursor.value, filter)) {
+        entries.push(cursor.value);
+      }
+      cursor.continue();
+    };
+  });
+}
+
+/**
+ * Retrieves a single log entry, or null if it was dropped from the log.
+ */
+export async function getInteractionFromDB(id) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readonly');
+    const request = transaction.objectStore(STORE_NAME).get(id);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result ?? null);
+  });
+}
+
+/**
+ * Deletes all log entries.
+ */
+export async function clearInteractionsFromDB() {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const request = transaction.objectStore(STORE_NAME).clear();
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve();
+  });
+}
@@ -1,13 +1,79 @@
 import PQueue from 'p-queue';
-import { PROVIDER_CONFIGS, RATE_LIMIT_CONFIG } from './config/defaults.js';
-import { getApiKey } from './utils/api-key-manager.js';
+import { PROVIDER_CONFIGS } from './config/defaults.js';
+import {
+  API_KEY_HEALTH_STORAGE_KEY,
+  getAllApiKeyEntries,
+  getApiKeyEntries,
+  getApiKeyHealth,
+  saveApiKeyHealth,
+} from './utils/api-key-manager.js';
+import { ApiKeyPool } from './utils/api-key-pool.js';
+import { CUSTOM_PROVIDER_STORAGE_KEY, getCustomProviderSettings } from './utils/custom-provider-settings.js';
+import { getMockProviderSettings, MOCK_PROVIDER_STORAGE_KEY } from './utils/mock-provider-settings.js';
+import {
+  getErrorCode,
+  getRetryClass,
+  getRetryDelay,
+  isAuthError,
+  shouldFallback,
+  shouldRetry,
+  waitForRetry,
+} from './utils/retry-policy.js';
+import {
+  getRateLimitSettings,
+  normalizeRateLimitSettings,
+  RATE_LIMITS_STORAGE_KEY,
+  resolveRateLimit,
+} from './utils/rate-limit-settings.js';
+import { estimateTokens, TokenBudget } from './utils/token-budget.js';
+import { FairQueue, getRequestPriority } from './utils/fair-queue.js';
+import { computeCost, toDateKey } from './utils/usage-cost.js';
+import {
+  buildResponseCacheKey,
+  getResponseCacheSettings,
+  normalizeResponseCacheSettings,
+  RESPONSE_CACHE_STORAGE_KEY,
+} from './utils/response-cache-settings.js';
+import {
+  CONNECTION_TEST_MESSAGES,
+  CONNECTION_TEST_TIMEOUT_MS,
+  CONNECTION_TEST_TTL_MS,
+  describeConnectionError,
+  getActiveStageModels,
+} from './utils/connection-test.js';
+import { getSpendingCaps, SPENDING_CAPS_STORAGE_KEY } from './utils/spending-caps.js';
+import {
+  getInteractionLogSettings,
+  INTERACTION_LOG_STORAGE_KEY,
+  normalizeInteractionLogSettings,
+} from './utils/interaction-log-settings.js';
+import { PARAM_PROFILES_STORAGE_KEY } from './utils/param-profiles.js';
+import { getProviderClientOptions, PROVIDER_OVERRIDES_STORAGE_KEY } from './utils/provider-overrides.js';
+import { SpendingGuard } from './utils/spending-guard.js';
+import { getUsageFromDB, recordUsageInDB } from './usage-storage.js';
+import { getCachedResponseFromDB, saveCachedResponseToDB } from './response-cache.js';
+import { saveInteractionToDB } from './interaction-log.js';
+import { indexedDBFixtureStore } from './mock-fixtures.js';
+import {
+  deleteClientJournalEntriesFromDB,
+  deleteJournalEntryFromDB,
+  getAllJournalEntriesFromDB,
+  saveJournalEntryToDB,
+} from './request-journal.js';
+import { KeepAlive } from './utils/keep-alive.js';
 import { OpenRouterProvider } from './providers/openrouter-provider.js';
 import { OpenAIProvider } from './providers/openai-provider.js';
 import { DeepSeekProvider } from './providers/deepseek-provider.js';
 import { GoogleProvider } from './providers/google-provider.js';
 import { ConfigManager } from "./config/config-manager.js";
 import { XaiProvider } from "./providers/xai-provider.js";
+import { AnthropicProvider } from "./providers/anthropic-provider.js";
+import { CustomProvider } from "./providers/custom-provider.js";
+import { AzureOpenAIProvider } from "./providers/azure-openai-provider.js";
+import { MockProvider } from "./providers/mock-provider.js";
 import { log } from "../common/logger.js";
+import { LLM_STREAM_EVENT } from "../common/messaging.js";
+import { isIncompleteFinish } from "../common/llm-errors.js";
 
 /**
  * Registry mapping provider types to their implementation classes.
@@ -19,30 +85,142 @@ const PROVIDER_REGISTRY = {
   deepseek: DeepSeekProvider,
   google: GoogleProvider,
   xai: XaiProvider,
+  anthropic: AnthropicProvider,
+  custom: CustomProvider,
+  azure: AzureOpenAIProvider,
+  mock: MockProvider,
 };
 
+// Journaled requests older than this are not picked up again after a worker restart
+const JOURNAL_MAX_AGE_MS = 15 * 60_000;
+
 /**
  * Coordinates LLM requests across multiple providers.
  *
  * Responsibilities:
  * - Lazy provider instantiation and lifecycle management
- * - Per-provider rate limiting via p-queue
+ * - Rotating requests across a provider's API keys, dropping keys the provider rejects
+ * - Per-provider (or per-model) rate limiting via p-queue and token budgets
+ * - Ordering queued requests by priority (foreground tab, stage), taking turns between clients
+ * - Retrying rate-limit, server and network errors with backoff
+ * - Falling back to the next model of a request's fallback chain
+ * - Answering repeated prompts from the (opt-in) response cache
+ * - Pausing requests at the user's spending caps until the user decides how to go on
  * - Request tracking for cancellation
+ * - Journaling requests, so those of a stopped worker are sent again when it restarts
  */
 export class LLMCoordinator {
   constructor() {
-    // Provider instances: Map<providerType, ProviderInstance>
+    // Provider instances: Map<providerKey, ProviderInstance>
+    // providerKey is `${providerType}:${keyId}`, or the provider type for providers used without a key
     this.providers = new Map();
 
-    // Per-provider queues: Map<providerType, PQueue>
+    // Stored API keys: Map<providerType, Array<{ id, label, key }>>, loaded on first use
+    this.apiKeyEntries = new Map();
+
+    // Key rotation and health
+    this.apiKeyPool = new ApiKeyPool({
+      loadHealth: getApiKeyHealth,
+      saveHealth: saveApiKeyHealth,
+    });
+
+    // Passed model checks: Map<llmId, result>, reused for CONNECTION_TEST_TTL_MS
+    this.modelCheckResults = new Map();
+
+    // Rate limit queues: Map<queueKey, { queue: PQueue, limits: Object }>
+    // queueKey is the provider type, or `${providerType}:${model}` for models with their own limits
     this.queues = new Map();
 
-    // Active requests for cancellation: Map<clientId, Set<requestId>>
+    // Requests waiting in a rate limit queue: Map<taskId, { id, queue, clientId, tabId, stageKey, stage, series, priority, enqueuedAt }>
+    // Kept for the popup's queue view and to re-rank requests when the user switches tabs
+    this.waitingTasks = new Map();
+    this.nextTaskId = 1;
+
+    // Tokens-per-minute budgets: Map<queueKey, TokenBudget>
+    this.tokenBudgets = new Map();
+
+    // User rate limit overrides, loaded on first request and kept in sync with storage
+    this.rateLimitSettings = null;
+
+    // Response cache settings, loaded on first request and kept in sync with storage
+    this.responseCacheSettings = null;
+
+    // Interaction log settings, loaded on first request and kept in sync with storage
+    this.interactionLogSettings = null;
+
+    // Spending caps, checked before each request is sent
+    this.spendingGuard = new SpendingGuard({
+      loadCaps: getSpendingCaps,
+      loadUsage: getUsageFromDB,
+      onPauseChange: status => this._showSpendingPause(status),
+    });
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[RATE_LIMITS_STORAGE_KEY]) {
+        this.rateLimitSettings = normalizeRateLimitSettings(changes[RATE_LIMITS_STORAGE_KEY].newValue);
+        log('[LLMCoordinator] Rate limit settings updated');
+      }
+
+      if (areaName === 'local' && changes[RESPONSE_CACHE_STORAGE_KEY]) {
+        this.responseCacheSettings = normalizeResponseCacheSettings(changes[RESPONSE_CACHE_STORAGE_KEY].newValue);
+        log('[LLMCoordinator] Response cache settings updated');
+      }
+
+      if (areaName === 'local' && changes[INTERACTION_LOG_STORAGE_KEY]) {
+        this.interactionLogSettings = normalizeInteractionLogSettings(changes[INTERACTION_LOG_STORAGE_KEY].newValue);
+        log('[LLMCoordinator] Interaction log settings updated');
+      }
+
+      if (areaName === 'local' && changes[SPENDING_CAPS_STORAGE_KEY]) {
+        this.spendingGuard.setCaps(changes[SPENDING_CAPS_STORAGE_KEY].newValue);
+        log('[LLMCoordinator] Spending caps updated');
+      }
+
+      if (areaName === 'local' && changes[PARAM_PROFILES_STORAGE_KEY]) {
+        this.configManager.clearParamProfiles();
+        log('[LLMCoordinator] Parameter profiles updated');
+      }
+
+      if (areaName === 'local' && changes[API_KEY_HEALTH_STORAGE_KEY]) {
+        this.apiKeyPool.setHealth(changes[API_KEY_HEALTH_STORAGE_KEY].newValue);
+      }
+
+      // Provider instances hold their key, endpoint and overrides; recreate them on next use.
+      // Recording wraps every real provider, so toggling it recreates them all.
+      // Keys protected by a passphrase live in session storage while unlocked.
+      if ((areaName === 'local' && (changes.api_keys || changes[MOCK_PROVIDER_STORAGE_KEY] ||
+          changes[PROVIDER_OVERRIDES_STORAGE_KEY])) ||
+        (areaName === 'session' && changes.api_keys)) {
+        this.providers.clear();
+        this.apiKeyEntries.clear();
+        this.modelCheckResults.clear();
+      } else if (areaName === 'local' && changes[CUSTOM_PROVIDER_STORAGE_KEY]) {
+        for (const key of this.providers.keys()) {
+          if (key === 'custom' || key.startsWith('custom:')) {
+            this.providers.delete(key);
+          }
+        }
+      }
+    });
+
+    // Active requests for cancellation: Map<clientId, Map<requestId, AbortController>>
     this.activeRequests = new Map();
 
     // Request ID counter
     this.nextRequestId = 1;
 
+    // Journaled requests being answered: Map<journalKey, { promise, waiting, onRetry }>
+    this.journalRuns = new Map();
+
+    // Answers to journaled requests nobody waited for: Map<journalKey, response>
+    this.journalResults = new Map();
+
+    // Settles once the journal of a previous worker has been picked up; see restoreJournal()
+    this.journalRestored = Promise.resolve();
+
+    // Keeps the worker running while requests are pending
+    this.keepAlive = new KeepAlive();
+
     // Config manager for multi-source resolution
     this.configManager = new ConfigManager();
   }
@@ -53,69 +231,343 @@ export class LLMCoordinator {
    * @param {Object} payload - Request payload from content script
    * @param {string} payload.clientId - Unique client identifier
    * @param {string} payload.llmId - Model identifier (e.g., '1-1', '3-4')
+   * @param {Array<string>} [payload.fallbackLlmIds] - Models to try in order if llmId fails
    * @param {string} payload.systemPrompt - System instruction
    * @param {string} payload.userMessage - User message
+   * @param {Object} [payload.responseSchema] - JSON schema the output should follow: { name, schema }
    * @param {Object} [payload.customParams] - Custom parameters to override defaults
+   * @param {Object} [payload.defaultParams] - Parameters used unless the parameter profiles set their own
+   * @param {string} [payload.stageKey] - Pipeline stage key, selects the stage's parameter profile
+   * @param {string} [payload.stage] - Pipeline stage label, for usage accounting
+   * @param {string} [payload.series] - Series key, for usage accounting
+   * @param {string} [payload.runId] - Pipeline run, for the interaction log
+   * @param {string} [payload.page] - URL of the translated page, for the interaction log
+   * @param {boolean} [payload.bypassCache] - Skip the response cache lookup (the answer is still cached)
+   * @param {number} [payload.requestId] - Client-side request id; with clientId, identifies a resent request
    * @param {Function} sendResponse - Chrome message response callback
+   * @param {Object} [options]
+   * @param {Function} [options.onRetry] - Called with { attempt, delayMs, reason } before each retry or fallback
+   * @param {number} [options.tabId] - Tab the request came from; requests of closed tabs are not sent again
+   */
+  async handleRequest(payload, sendResponse, { onRetry, tabId } = {}) {
+    const journalKey = payload.requestId !== undefined ? `${payload.clientId}:${payload.requestId}` : null;
+
+    // Requests of a previous worker are picked up first, so a resend finds them
+    await this.journalRestored;
+
+    // Answered by this worker after the one the client sent it to was stopped
+    if (journalKey && this.journalResults.has(journalKey)) {
+      const response = this.journalResults.get(journalKey);
+      this.journalResults.delete(journalKey);
+      void this._deleteJournalEntry(journalKey);
+
+      log(`[LLMCoordinator] Delivering journaled answer to ${journalKey}`);
+      sendResponse(response);
+      return;
+    }
+
+    let run = journalKey ? this.journalRuns.get(journalKey) : null;
+    if (run) {
+      log(`[LLMCoordinator] Request ${journalKey} resent, waiting for the journaled request`);
+    } else {
+      run = this._startRequest(payload, { journalKey, tabId });
+    }
+
+    run.onRetry = onRetry;
+    run.waiting++;
+
+    sendResponse(await run.promise);
+  }
+
+  /**
+   * Picks up the journal of a previous worker: requests that were queued or in flight
+   * are sent again, answers nobody collected are kept until their client resends.
+   * Entries that are too old, or whose tab was closed, are dropped.
+   *
+   * @returns {Promise<void>}
+   */
+  restoreJournal() {
+    this.journalRestored = this._restoreJournal().catch((error) => {
+      console.warn('[LLMCoordinator] Failed to restore the request journal:', error);
+    });
+    return this.journalRestored;
+  }
+
+  /**
+   * @private
+   */
+  async _restoreJournal() {
+    const entries = await getAllJournalEntriesFromDB();
+    const now = Date.now();
+
+    for (const entry of entries) {
+      const stale = now - entry.createdAt > JOURNAL_MAX_AGE_MS;
+      if (stale || (entry.tabId !== undefined && !(await this._tabExists(entry.tabId)))) {
+        void this._deleteJournalEntry(entry.key);
+        continue;
+      }
+
+      if (entry.status === 'done') {
+        this.journalResults.set(entry.key, entry.response);
+        continue;
+      }
+
+      log(`[LLMCoordinator] Sending journaled request ${entry.key} again`);
+      this._startRequest(entry.payload, { journalKey: entry.key, tabId: entry.tabId, createdAt: entry.createdAt });
+    }
+  }
+
+  /**
+   * Starts answering a request, journaling it until the answer is delivered.
+   *
+   * @param {Object} payload - Request payload, as for handleRequest()
+   * @param {Object} options
+   * @param {string|null} options.journalKey - `${clientId}:${requestId}`, or null to skip the journal
+   * @param {number} [options.tabId] - Tab the request came from
+   * @param {number} [options.createdAt] - When the request was first received
+   * @returns {Object} Run: { promise, waiting, onRetry }; promise resolves with the response message
+   * @private
    */
-  async handleRequest(payload, sendResponse) {
-    const { clientId, llmId, systemPrompt, userMessage, customParams = {} } = payload;
+  _startRequest(payload, { journalKey, tabId, createdAt = Date.now() }) {
+    const run = { promise: null, waiting: 0, onRetry: null };
+    const entry = { key: journalKey, clientId: payload.clientId, tabId, payload, createdAt };
+
+    this.keepAlive.acquire();
+
+    if (journalKey) {
+      this.journalRuns.set(journalKey, run);
+      void this._saveJournalEntry({ ...entry, status: 'pending' });
+    }
+
+    run.promise = (async () => {
+      try {
+        const { response, cancelled } = await this._executeRequest(payload, {
+          tabId,
+          onRetry: retry => run.onRetry?.(retry),
+        });
+
+        if (journalKey) {
+          this.journalRuns.delete(journalKey);
+
+          if (run.waiting > 0 || cancelled) {
+            void this._deleteJournalEntry(journalKey);
+          } else {
+            // Sent to a previous worker; kept until the client resends it
+            this.journalResults.set(journalKey, response);
+            void this._saveJournalEntry({ ...entry, status: 'done', response });
+          }
+        }
+
+        return response;
+      } finally {
+        this.keepAlive.release();
+      }
+    })();
+
+    return run;
+  }
+
+  /**
+   * Sends a request down its fallback chain.
+   *
+   * @param {Object} payload - Request payload, as for handleRequest()
+   * @param {Object} options
+   * @param {number} [options.tabId] - Tab the request came from, for its queue priority
+   * @param {Function} [options.onRetry] - Called before each retry or fallback
+   * @returns {Promise<{response: Object, cancelled: boolean}>} Response message: { ok, data } or
+   *   { ok: false, error, code, llmId, model }, see _describeFailure()
+   * @private
+   */
+  async _executeRequest(payload, { tabId, onRetry }) {
+    const { clientId, llmId, fallbackLlmIds = [], customParams = {} } = payload;
     const requestId = this.nextRequestId++;
 
     log(`[LLMCoordinator] Request ${requestId} from client ${clientId}:`, {
       llmId,
+      fallbackLlmIds,
       customParams,
     });
 
     // Track this request for potential cancellation
-    this._trackRequest(clientId, requestId);
+    const { signal } = this._trackRequest(clientId, requestId);
+
+    const schedule = await this._getSchedule(payload, tabId);
 
     try {
-      // Step 1: Resolve configuration via ConfigManager
-      const config = await this.configManager.resolveConfig(llmId, customParams);
+      // Steps 1-5 run for each model of the fallback chain until one answers
+      const result = await this._executeWithFallback(payload, async ({ config, limiter, messages }) => {
+        // Queue the request; aborting the signal drops it from the queue or cancels the HTTP call
+        return await this._executeWithRetry(limiter, async () => {
+          // Check if request was cancelled while in queue
+          if (!this._isRequestActive(clientId, requestId)) {
+            throw new Error('Request cancelled while in queue');
+          }
 
-      // Step 2: Get or create provider instance
-      const provider = await this._getProvider(config.providerType, config.endpoint);
+          // Hold the request while a spending cap is reached
+          await this.spendingGuard.waitForBudget(config.providerType, signal);
 
-      // Step 3: Get queue for this provider type
-      const queue = this._getQueue(config.providerType);
+          // Execute provider completion with the next API key in rotation
+          return await this._sendWithApiKey(config, provider => provider.completion(messages, config.params, { signal }));
+        }, { requestId, signal, onRetry, schedule });
+      }, { requestId, signal, onRetry });
 
-      // Step 4: Build messages
-      const messages = this._buildMessages(systemPrompt, userMessage);
+      // Step 6: Return success response
+      this._untrackRequest(clientId, requestId);
 
-      // Step 5: Queue the request
-      const result = await queue.add(async () => {
-        // Check if request was cancelled while in queue
-        if (!this._isRequestActive(clientId, requestId)) {
-          throw new Error('Request cancelled while in queue');
-        }
+      return { response: { ok: true, data: result }, cancelled: false };
 
-        // Execute provider completion
-        return await provider.completion(messages, config.params);
-      });
+    } catch (error) {
+      this._untrackRequest(clientId, requestId);
 
-      // Step 6: Return success response
+      if (signal.aborted) {
+        log(`[LLMCoordinator] Request ${requestId} cancelled`);
+      } else {
+        console.error(`[LLMCoordinator] Request ${requestId} failed:`, error.message);
+      }
+
+      return {
+        response: { ok: false, ...this._describeFailure(error) },
+        cancelled: signal.aborted,
+      };
+    }
+  }
+
+  /**
+   * Handles a streaming LLM request received over a long-lived port.
+   *
+   * Posts { type: 'delta', data } for each chunk as it arrives, then a single
+   * { type: 'done', data } with the full response, or { type: 'error', error, code, llmId, model }.
+   * { type: 'retry', data } is posted before each retry or fallback; only requests
+   * that have not streamed any output yet are retried or sent to a fallback model.
+   * If the content script disconnects the port, the provider request is aborted.
+   *
+   * @param {Object} payload - Request payload, same shape as for handleRequest()
+   * @param {chrome.runtime.Port} port - Port opened by the content script
+   */
+  async handleStreamRequest(payload, port) {
+    const { clientId, llmId, fallbackLlmIds = [], customParams = {} } = payload;
+    const requestId = this.nextRequestId++;
+
+    log(`[LLMCoordinator] Stream request ${requestId} from client ${clientId}:`, {
+      llmId,
+      fallbackLlmIds,
+      customParams,
+    });
+
+    const controller = this._trackRequest(clientId, requestId);
+
+    // Closing the port cancels the request; listen before awaiting anything so it is not missed
+    let disconnected = false;
+    port.onDisconnect.addListener(() => {
+      disconnected = true;
+      controller.abort();
+    });
+
+    const schedule = await this._getSchedule(payload, port.sender?.tab?.id);
+
+    if (disconnected) {
       this._untrackRequest(clientId, requestId);
+      log(`[LLMCoordinator] Stream request ${requestId} cancelled before it was queued`);
+      return;
+    }
 
-      sendResponse({
-        ok: true,
-        data: result,
-      });
+    // Streams are not journaled, as output already shown can't be resumed; keep the worker up instead
+    this.keepAlive.acquire();
+
+    const onRetry = (retry) => port.postMessage({ type: LLM_STREAM_EVENT.retry, data: retry });
+
+    try {
+      const result = await this._executeWithFallback(payload, async ({ config, limiter, messages }) => {
+        return await this._executeWithRetry(limiter, async () => {
+          if (!this._isRequestActive(clientId, requestId)) {
+            throw new Error('Request cancelled while in queue');
+          }
+
+          await this.spendingGuard.waitForBudget(config.providerType, controller.signal);
+
+          return await this._sendWithApiKey(config, async (provider) => {
+            let assistant = '';
+            let reasoning = '';
+            let usage = null;
+            let finishReason = null;
+
+            try {
+              const stream = provider.completionStream(messages, config.params, { signal: controller.signal });
+
+              for await (const delta of stream) {
+                // Stop pulling from the provider once nobody is listening
+                if (disconnected || !this._isRequestActive(clientId, requestId)) {
+                  break;
+                }
+
+                // Usage and the finish reason arrive as a final delta without text;
+                // they are sent with the done event instead
+                if (delta.usage || delta.finishReason) {
+                  usage = delta.usage ?? usage;
+                  finishReason = delta.finishReason ?? finishReason;
+                  continue;
+                }
+
+                assistant += delta.assistant || '';
+                reasoning += delta.reasoning || '';
+                port.postMessage({ type: LLM_STREAM_EVENT.delta, data: delta });
+              }
+            } catch (error) {
+              // Output already shown to the user can't be taken back, so don't start over
+              if (assistant || reasoning) {
+                error.retryable = false;
+              }
+              throw error;
+            }
+
+            return { assistant, reasoning: reasoning || null, usage, finishReason };
+          });
+        }, { requestId, signal: controller.signal, onRetry, schedule });
+      }, { requestId, signal: controller.signal, onRetry });
+
+      this._untrackRequest(clientId, requestId);
+
+      if (!disconnected) {
+        port.postMessage({ type: LLM_STREAM_EVENT.done, data: result });
+      }
 
     } catch (error) {
       this._untrackRequest(clientId, requestId);
 
-      console.error(`[LLMCoordinator] Request ${requestId} failed:`, error.message);
+      if (controller.signal.aborted) {
+        log(`[LLMCoordinator] Stream request ${requestId} cancelled`);
+      } else {
+        console.error(`[LLMCoordinator] Stream request ${requestId} failed:`, error.message);
+      }
 
-      sendResponse({
-        ok: false,
-        error: error.message || 'Unknown error occurred',
-      });
+      if (!disconnected) {
+        port.postMessage({ type: LLM_STREAM_EVENT.error, ...this._describeFailure(error) });
+      }
+    } finally {
+      this.keepAlive.release();
     }
   }
 
+  /**
+   * Describes a failed request for the content script.
+   *
+   * @param {Error} error - Error the request failed with
+   * @returns {Object} Failure: { error, code, llmId, model }; code is one of LLM_ERROR_CODE,
+   *   llmId and model are those of the last model tried (null if unknown)
+   * @private
+   */
+  _describeFailure(error) {
+    return {
+      error: error.message || 'Unknown error occurred',
+      code: getErrorCode(error),
+      llmId: error.llmId ?? null,
+      model: error.model ?? null,
+    };
+  }
+
   /**
    * Handles cancellation request from content script.
+   * Aborts the client's requests: queued ones are dropped and in-flight HTTP calls are cancelled.
    *
    * @param {Object} payload - Cancellation payload
    * @param {string} payload.clientId - Client to cancel requests for
@@ -124,9 +576,109 @@ export class LLMCoordinator {
   handleCancel(payload) {
     const { clientId, pendingCount } = payload;
 
-    // Simple cancellation: remove from tracking
-    // In-flight requests will complete but content script will discard responses
-    const cancelled = this.activeRequests.delete(clientId);
+    // Answers kept for the client won't be collected
+    for (const key of this.journalResults.keys()) {
+      if (key.startsWith(`${clientId}:`)) {
+        this.journalResults.delete(key);
+      }
+    }
+    deleteClientJournalEntriesFromDB(clientId).catch((error) => {
+      console.warn('[LLMCoordinator] Failed to clear journaled requests:', error);
+    });
+
+    const requests = this.activeRequests.get(clientId);
+    if (!requests) {
+      return;
+    }
+
+    this.activeRequests.delete(clientId);
+
+    for (const controller of requests.values()) {
+      controller.abort();
+    }
+
+    log(`[LLMCoordinator] Cancelled ${requests.size} request(s) for client ${clientId} (${pendingCount} pending in client)`);
+  }
+
+  /**
+   * Reports whether requests are paused at a spending cap.
+   *
+   * @returns {Object} Status: { paused, exceeded: { provider, period, cap, spent } | null, waiting }
+   */
+  getSpendingStatus() {
+    return this.spendingGuard.getStatus();
+  }
+
+  /**
+   * Answers a spending cap pause. To raise the cap instead, the popup saves new caps,
+   * which releases the pause through the storage listener.
+   *
+   * @param {string} action - 'continue' to go past the cap for its day or month, 'stop' to fail the paused requests
+   * @returns {boolean} False if nothing was paused
+   */
+  resolveSpendingPause(action) {
+    return this.spendingGuard.resolve(action);
+  }
+
+  /**
+   * Lists the rate limit queues with requests running or waiting, for the popup.
+   * Waiting requests are listed in priority order, then oldest first.
+   *
+   * @returns {Array<Object>} Queues: { queueKey, concurrency, running,
+   *   waiting: Array<{ clientId, tabId, stage, series, priority, waitingMs }> }
+   */
+  getQueueStatus() {
+    const now = Date.now();
+    const waiting = [...this.waitingTasks.values()]
+      .sort((a, b) => b.priority - a.priority || a.enqueuedAt - b.enqueuedAt);
+
+    return [...this.queues.entries()]
+      .map(([queueKey, { queue, limits }]) => ({
+        queueKey,
+        concurrency: limits.concurrency,
+        running: queue.pending,
+        waiting: waiting
+          .filter(task => task.queue === queue)
+          .map(({ clientId, tabId, stage, series, priority, enqueuedAt }) => ({
+            clientId,
+            tabId,
+            stage,
+            series,
+            priority,
+            waitingMs: now - enqueuedAt,
+          })),
+      }))
+      .filter(status => status.running > 0 || status.waiting.length > 0);
+  }
+
+  /**
+   * Re-ranks the waiting requests after the user switched tabs, so the requests
+   * of the tab now in front go first.
+   *
+   * @returns {Promise<void>}
+   */
+  async reprioritizeWaitingTasks() {
+    const foregroundTabs = new Map();
+
+    for (const task of [...this.waitingTasks.values()]) {
+      if (task.tabId === undefined) continue;
+
+      if (!foregroundTabs.has(task.tabId)) {
+        foregroundTabs.set(task.tabId, await this._isForegroundTab(task.tabId));
+      }
+
+      const priority = getRequestPriority({ stageKey: task.stageKey, foreground: foregroundTabs.get(task.tabId) });
+
+      // The task may have started while the tabs were looked up
+      if (priority === task.priority || !this.waitingTasks.has(task.id)) continue;
+
+      task.priority = priority;
+      try {
+        task.queue.setPriority(task.id, priority);
+      } catch {
+        // Dropped from the queue by a cancel that hasn't settled yet
+      }
+    }
   }
 
   /**
@@ -140,6 +692,19 @@ export class LLMCoordinator {
     return await this.configManager.getModelList(options);
   }
 
+  /**
+   * Gets the known limits, capabilities and pricing of models.
+   *
+   * @param {Array<string>} llmIds - Model identifiers
+   * @returns {Promise<Object>} Map of llmId to metadata (see ConfigManager.getModelMetadata), null for unknown models
+   */
+  async getModelMetadata(llmIds) {
+    const entries = await Promise.all(
+      llmIds.map(async llmId => [llmId, await this.configManager.getModelMetadata(llmId)])
+    );
+    return Object.fromEntries(entries);
+  }
+
   /**
    * Refreshes model lists from all providers.
    *
@@ -210,63 +775,675 @@ export class LLMCoordinator {
   }
 
   /**
-   * Gets or creates a provider instance.
-   * Providers are created lazily on first request and kept alive.
+   * Runs a task through the rate limiter, retrying failures allowed by the retry policy.
+   * The wait between attempts happens outside the queue so it doesn't hold a concurrency slot.
    *
-   * @param {string} providerType - Provider type (e.g., 'openrouter', 'openai')
-   * @param {string} endpoint - API endpoint URL
-   * @returns {Promise<BaseProvider>} Provider instance
+   * @param {Object} limiter - From _getLimiter(): { queue, budget, tokens }
+   * @param {Function} task - Async function performing one attempt
+   * @param {Object} options
+   * @param {number} options.requestId - Request identifier, for logging
+   * @param {AbortSignal} options.signal - Cancels the queued task, the request and any pending wait
+   * @param {Function} [options.onRetry] - Called with { attempt, delayMs, reason } before each retry
+   * @param {Object} [options.schedule] - From _getSchedule(): where the request ranks in the queue
+   * @returns {Promise<*>} Result of the first successful attempt
    * @private
    */
-  async _getProvider(providerType, endpoint) {
-    const key = providerType;
+  async _executeWithRetry(limiter, task, { requestId, signal, onRetry, schedule = {} }) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await limiter.budget?.acquire(limiter.tokens, signal);
+        return await this._addToQueue(limiter, task, { signal, schedule });
+      } catch (error) {
+        if (signal.aborted || !shouldRetry(error, attempt)) {
+          throw error;
+        }
 
-    if (this.providers.has(key)) {
-      return this.providers.get(key);
+        const delayMs = getRetryDelay(error, attempt);
+        log(`[LLMCoordinator] Request ${requestId} attempt ${attempt} failed, retrying in ${delayMs}ms:`, error.message);
+
+        onRetry?.({ attempt, delayMs, reason: error.message });
+        await waitForRetry(delayMs, signal);
+      }
+    }
+  }
+
+  /**
+   * Adds one attempt of a request to its rate limit queue, tracked in waitingTasks until it starts.
+   *
+   * @param {Object} limiter - From _getLimiter()
+   * @param {Function} task - Async function performing the attempt
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Drops the task from the queue
+   * @param {Object} options.schedule - From _getSchedule()
+   * @returns {Promise<*>} Result of the task
+   * @private
+   */
+  async _addToQueue(limiter, task, { signal, schedule }) {
+    const id = String(this.nextTaskId++);
+    const { priority = 0, clientId } = schedule;
+
+    this.waitingTasks.set(id, { ...schedule, id, priority, queue: limiter.queue, enqueuedAt: Date.now() });
+
+    try {
+      return await limiter.queue.add(() => {
+        this.waitingTasks.delete(id);
+        return task();
+      }, { signal, id, priority, clientId });
+    } finally {
+      this.waitingTasks.delete(id);
+    }
+  }
+
+  /**
+   * Works out where a request ranks in its queue: requests of the tab the user is looking at
+   * go first, and within a tab those of the stages the reader waits on.
+   *
+   * @param {Object} payload - Request payload, as for handleRequest()
+   * @param {number} [tabId] - Tab the request came from
+   * @returns {Promise<Object>} Schedule: { clientId, tabId, stageKey, stage, series, priority }
+   * @private
+   */
+  async _getSchedule(payload, tabId) {
+    const foreground = tabId !== undefined && await this._isForegroundTab(tabId);
+
+    return {
+      clientId: payload.clientId,
+      tabId,
+      stageKey: payload.stageKey,
+      stage: payload.stage,
+      series: payload.series,
+      priority: getRequestPriority({ stageKey: payload.stageKey, foreground }),
+    };
+  }
+
+  /**
+   * Runs a request against each model of its fallback chain ([llmId, ...fallbackLlmIds])
+   * until one answers. The next model is only tried if the current one could not be set up
+   * (e.g. missing API key) or failed with an error allowed by shouldFallback().
+   * Token usage of the answer is recorded for cost accounting.
+   *
+   * With the response cache enabled, each model is first looked up in the cache and a hit is
+   * returned without calling the provider (with `cached: true`); new answers are added to the cache.
+   *
+   * @param {Object} payload - Request payload from content script
+   * @param {Function} run - Async function sending the request with the output of _prepareRequest()
+   * @param {Object} options
+   * @param {number} options.requestId - Request identifier, for logging
+   * @param {AbortSignal} options.signal - Stops the chain when the request is cancelled
+   * @param {Function} [options.onRetry] - Called with { attempt, delayMs, reason } before moving to the next model
+   * @returns {Promise<Object>} Result of run(), with `llmId` set to the model that answered
+   * @private
+   */
+  async _executeWithFallback(payload, run, { requestId, signal, onRetry }) {
+    const cacheSettings = await this._getResponseCacheSettings();
+
+    const chain = [...new Set([payload.llmId, ...(payload.fallbackLlmIds || [])])];
+
+    for (let i = 0; ; i++) {
+      const llmId = chain[i];
+      const nextLlmId = chain[i + 1];
+
+      let prepared;
+      try {
+        prepared = await this._prepareRequest({ ...payload, llmId });
+      } catch (error) {
+        if (!nextLlmId || signal.aborted) {
+          error.llmId ??= llmId;
+          throw error;
+        }
+        console.warn(`[LLMCoordinator] Request ${requestId} cannot use ${llmId}, falling back to ${nextLlmId}:`, error.message);
+        continue;
+      }
+
+      const cacheKey = cacheSettings.enabled
+                       ? await buildResponseCacheKey(prepared.config.providerType, prepared.config.params, prepared.messages)
+                       : null;
+
+      if (cacheKey && !payload.bypassCache) {
+        const cached = await getCachedResponseFromDB(cacheKey).catch((error) => {
+          console.error('[LLMCoordinator] Response cache lookup failed:', error);
+          return null;
+        });
+
+        if (cached) {
+          log(`[LLMCoordinator] Request ${requestId} answered from cache (${llmId})`);
+          this._logInteraction(payload, prepared.config, { llmId, startedAt: Date.now(), result: cached, cached: true });
+          return { ...cached, llmId, cached: true };
+        }
+      }
+
+      const startedAt = Date.now();
+
+      try {
+        const result = await run(prepared);
+        this._recordUsage(payload, prepared.config, result.usage);
+        this._logInteraction(payload, prepared.config, { llmId, startedAt, result });
+
+        // Cut off or refused answers are retried by the pipeline, so they are not cached
+        if (cacheKey && result.assistant && !isIncompleteFinish(result.finishReason)) {
+          saveCachedResponseToDB(cacheKey, { assistant: result.assistant, reasoning: result.reasoning }, cacheSettings.maxBytes)
+            .catch((error) => {
+              console.error('[LLMCoordinator] Failed to cache response:', error);
+            });
+        }
+
+        return { ...result, llmId };
+      } catch (error) {
+        if (!signal.aborted) {
+          this._logInteraction(payload, prepared.config, { llmId, startedAt, error });
+        }
+
+        if (!nextLlmId || signal.aborted || !shouldFallback(error)) {
+          // The last model tried, so failures can be reported per model
+          error.llmId ??= llmId;
+          error.model ??= prepared.config?.params?.model ?? null;
+          throw error;
+        }
+
+        console.warn(`[LLMCoordinator] Request ${requestId} failed on ${llmId}, falling back to ${nextLlmId}:`, error.message);
+        onRetry?.({ attempt: i + 1, delayMs: 0, reason: `Falling back to ${nextLlmId}: ${error.message}` });
+      }
+    }
+  }
+
+  /**
+   * Gets the response cache settings, loading them from storage on first use.
+   *
+   * @returns {Promise<Object>} Settings: { enabled, maxBytes }
+   * @private
+   */
+  async _getResponseCacheSettings() {
+    if (!this.responseCacheSettings) {
+      this.responseCacheSettings = await getResponseCacheSettings();
+    }
+    return this.responseCacheSettings;
+  }
+
+  /**
+   * Gets the interaction log settings, loading them from storage on first use.
+   *
+   * @returns {Promise<Object>} Settings: { enabled, maxEntries }
+   * @private
+   */
+  async _getInteractionLogSettings() {
+    if (!this.interactionLogSettings) {
+      this.interactionLogSettings = await getInteractionLogSettings();
+    }
+    return this.interactionLogSettings;
+  }
+
+  /**
+   * Adds a request sent to one model to the interaction log, if the log is enabled.
+   * Runs in the background; a storage failure never fails the request.
+   *
+   * @param {Object} payload - Request payload
+   * @param {Object} config - Resolved config of the model
+   * @param {Object} outcome
+   * @param {string} outcome.llmId - Model the request was sent to
+   * @param {number} outcome.startedAt - When the request was sent (ms), retries included
+   * @param {Object} [outcome.result] - Normalized response
+   * @param {Error} [outcome.error] - Error the request failed with
+   * @param {boolean} [outcome.cached] - The response came from the response cache
+   * @private
+   */
+  _logInteraction(payload, config, { llmId, startedAt, result = null, error = null, cached = false }) {
+    const entry = {
+      timestamp: Date.now(),
+      latencyMs: Date.now() - startedAt,
+      runId: payload.runId || '',
+      series: payload.series || '',
+      page: payload.page || '',
+      stage: payload.stage || '',
+      llmId,
+      provider: config?.providerType ?? null,
+      model: config?.params?.model ?? null,
+      systemPrompt: payload.systemPrompt || '',
+      userMessage: payload.userMessage || '',
+      response: result?.assistant ?? null,
+      reasoning: result?.reasoning ?? null,
+      finishReason: result?.finishReason ?? null,
+      usage: result?.usage ?? null,
+      cached,
+      error: error?.message ?? null,
+      code: error ? getErrorCode(error) : null,
+    };
+
+    this._getInteractionLogSettings()
+      .then(settings => settings.enabled && saveInteractionToDB(entry, settings.maxEntries))
+      .catch((logError) => {
+        console.error('[LLMCoordinator] Failed to log interaction:', logError);
+      });
+  }
+
+  /**
+   * Records token usage and estimated cost, aggregated by day, provider, model, stage and series.
+   * Runs in the background; a storage failure never fails the request.
+   *
+   * @param {Object} payload - Request payload from content script (for stage and series)
+   * @param {Object} config - Resolved config of the model that answered
+   * @param {Object|null|undefined} usage - Normalized token usage reported by the provider
+   * @private
+   */
+  _recordUsage(payload, config, usage) {
+    if (!usage) {
+      return;
+    }
+
+    const cost = computeCost(usage, config.pricing);
+    this.spendingGuard.recordCost(config.providerType, cost);
+
+    recordUsageInDB({
+      date: toDateKey(),
+      provider: config.providerType,
+      model: config.params.model,
+      stage: payload.stage || '',
+      series: payload.series || '',
+      usage,
+      cost,
+    }).catch((error) => {
+      console.error('[LLMCoordinator] Failed to record usage:', error);
+    });
+  }
+
+  /**
+   * Badges the toolbar icon while requests are paused at a spending cap,
+   * so the user knows to open the popup.
+   *
+   * @param {Object} status - Status from SpendingGuard.getStatus()
+   * @private
+   */
+  _showSpendingPause(status) {
+    chrome.action?.setBadgeText({ text: status.paused ? '$' : '' })
+      .catch((error) => {
+        console.error('[LLMCoordinator] Failed to set badge:', error);
+      });
+  }
+
+
+  /**
+   * Resolves everything needed to dispatch a request: config, provider, rate limiter and messages.
+   *
+   * @param {Object} payload - Request payload from content script
+   * @returns {Promise<{config: Object, limiter: Object, messages: Array<Object>}>}
+   * @private
+   */
+  async _prepareRequest(payload) {
+    const { llmId, systemPrompt, userMessage, responseSchema, customParams = {}, defaultParams = {}, stageKey } = payload;
+
+    // Step 1: Resolve configuration via ConfigManager
+    const config = await this.configManager.resolveConfig(llmId, customParams, { stageKey, defaultParams });
+
+    // JSON schema of the stage's output; providers without structured outputs ignore it
+    if (responseSchema) {
+      config.params.response_schema = responseSchema;
+
+      // Models whose metadata lists no JSON output mode would reject the schema, so they answer free-form
+      const supported = config.metadata?.supportedParameters;
+      if (Array.isArray(supported) && !supported.includes('structured_outputs') && !supported.includes('response_format')) {
+        config.params.structuredOutput = false;
+      }
+    }
+
+    // Step 2: Check the provider can be set up (e.g. it has a usable API key);
+    // the key itself is picked when the request is sent
+    await this._getProvider(config.providerType, config.endpoint);
+
+    // Step 3: Build messages
+    const messages = this._buildMessages(systemPrompt, userMessage);
+
+    // Step 4: Get rate limiter for this provider / model
+    const limiter = await this._getLimiter(config.providerType, config.params.model, messages);
+
+    return { config, limiter, messages };
+  }
+
+  /**
+   * Sends a request with the next API key in rotation.
+   * A key the provider rejects is taken out of rotation and the request is re-sent
+   * with the next key right away; a rate-limited key is passed over by later attempts.
+   *
+   * @param {Object} config - Resolved config
+   * @param {Function} send - Async function sending the request with a provider instance
+   * @returns {Promise<*>} Result of send()
+   * @private
+   */
+  async _sendWithApiKey(config, send) {
+    const { providerType, endpoint } = config;
+    let rejectedError = null;
+
+    while (true) {
+      let picked;
+      try {
+        picked = await this._getProvider(providerType, endpoint);
+      } catch (error) {
+        // No keys left; report the provider's rejection rather than the empty pool
+        throw rejectedError ?? error;
+      }
+
+      const { provider, keyId } = picked;
+      if (!keyId) {
+        return await send(provider);
+      }
+
+      this.apiKeyPool.markUsed(providerType, keyId);
+
+      try {
+        return await send(provider);
+      } catch (error) {
+        if (error.cancelled || error.retryable === false) {
+          throw error;
+        }
+
+        if (isAuthError(error)) {
+          await this.apiKeyPool.markRejected(providerType, keyId, error.message);
+          rejectedError = error;
+          continue;
+        }
+
+        if (getRetryClass(error) === 'rate_limit') {
+          this.apiKeyPool.markRateLimited(providerType, keyId);
+        }
+
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Reports the state of every stored API key, for the options page.
+   *
+   * @returns {Promise<Object>} Status by provider and key id, from ApiKeyPool.getStatus()
+   */
+  async getApiKeyStatus() {
+    return await this.apiKeyPool.getStatus(await getAllApiKeyEntries());
+  }
+
+  /**
+   * Checks API keys and models before they are used in a run.
+   *
+   * Each key of the given providers is tested on its own: with a tiny completion on the
+   * provider's first recommended model, or by listing the models of the custom server.
+   * Each model is tested with a tiny completion through the normal key rotation.
+   * A key that passes goes back into rotation; a rejected one is taken out.
+   *
+   * @param {Object} [options]
+   * @param {Array<string>} [options.providers] - Providers whose keys to test
+   * @param {Object} [options.stages] - Map of stage key to llmId to test; defaults to the
+   *   stages the stored translation config uses
+   * @param {boolean} [options.useCached] - Reuse model checks passed in the last few minutes
+   * @returns {Promise<Object>} { keys: { [provider]: { [keyId]: result } }, models: { [stage]: { llmId, ...result } } }
+   *   where result is { status: 'ok'|'warning'|'error', message }
+   */
+  async testConnection({ providers = [], stages, useCached = false } = {}) {
+    if (!stages) {
+      const { translation_config } = await chrome.storage.local.get('translation_config');
+      stages = getActiveStageModels(translation_config);
+    }
+
+    const keys = {};
+    for (const providerType of providers) {
+      keys[providerType] = {};
+      for (const entry of await getApiKeyEntries(providerType)) {
+        keys[providerType][entry.id] = await this._testApiKey(providerType, entry);
+      }
+    }
+
+    // Stages sharing a model share one check
+    const checks = new Map();
+    const models = {};
+    for (const [stage, llmId] of Object.entries(stages)) {
+      if (!checks.has(llmId)) {
+        checks.set(llmId, this._testModel(llmId, useCached));
+      }
+      models[stage] = { llmId, ...await checks.get(llmId) };
+    }
+
+    return { keys, models };
+  }
+
+  /**
+   * Tests one API key, updating its place in the rotation.
+   *
+   * @param {string} providerType - Provider type
+   * @param {Object} entry - Key entry: { id, label, key }
+   * @returns {Promise<Object>} Result: { status, message }
+   * @private
+   */
+  async _testApiKey(providerType, entry) {
+    const ProviderClass = PROVIDER_REGISTRY[providerType];
+
+    try {
+      if (providerType === 'custom') {
+        const { baseUrl } = await getCustomProviderSettings();
+        if (!baseUrl) {
+          return { status: 'error', message: 'No server base URL set' };
+        }
+
+        const options = await getProviderClientOptions(providerType, { endpoint: baseUrl, apiKey: entry.key });
+        const models = await new ProviderClass(options).getAvailableModels();
+        await this.apiKeyPool.markAccepted(providerType, entry.id);
+        return { status: 'ok', message: `Server reachable, ${models.length} models` };
+      }
+
+      // Azure models are the user's deployments; the first one answers the test
+      if (providerType === 'azure') {
+        const options = await getProviderClientOptions(providerType, { endpoint: null, apiKey: entry.key });
+        const [deployment] = options.overrides.deployments;
+        if (!options.endpoint || !deployment) {
+          return { status: 'error', message: 'No resource URL or deployment set' };
+        }
+
+        const config = { providerType, params: { model: deployment }, pricing: null };
+        const response = await new ProviderClass(options).completion(CONNECTION_TEST_MESSAGES, config.params, {
+          signal: AbortSignal.timeout(CONNECTION_TEST_TIMEOUT_MS),
+        });
+
+        this._recordUsage({ stage: 'connection-test' }, config, response.usage);
+        await this.apiKeyPool.markAccepted(providerType, entry.id);
+        return { status: 'ok', message: `Key works (tested with ${deployment})` };
+      }
+
+      const [model] = PROVIDER_CONFIGS[providerType]?.models ?? [];
+      if (!ProviderClass || !model) {
+        return { status: 'error', message: `Cannot test keys for ${providerType}` };
+      }
+
+      const config = await this.configManager.resolveConfig(model.id);
+      const provider = new ProviderClass(
+        await getProviderClientOptions(providerType, { endpoint: config.endpoint, apiKey: entry.key })
+      );
+      const response = await provider.completion(CONNECTION_TEST_MESSAGES, config.params, {
+        signal: AbortSignal.timeout(CONNECTION_TEST_TIMEOUT_MS),
+      });
+
+      this._recordUsage({ stage: 'connection-test' }, config, response.usage);
+      await this.apiKeyPool.markAccepted(providerType, entry.id);
+      return { status: 'ok', message: `Key works (tested with ${model.label})` };
+    } catch (error) {
+      if (isAuthError(error)) {
+        await this.apiKeyPool.markRejected(providerType, entry.id, error.message);
+      }
+      return describeConnectionError(error);
+    }
+  }
+
+  /**
+   * Tests that a model answers, with the next API key in rotation.
+   *
+   * @param {string} llmId - Model identifier
+   * @param {boolean} useCached - Reuse a recent passed check
+   * @returns {Promise<Object>} Result: { status, message }
+   * @private
+   */
+  async _testModel(llmId, useCached) {
+    const previous = this.modelCheckResults.get(llmId);
+    if (useCached && previous && Date.now() - previous.testedAt < CONNECTION_TEST_TTL_MS) {
+      return previous.result;
     }
 
-    // Create new provider instance
+    const startedAt = Date.now();
+
+    try {
+      const config = await this.configManager.resolveConfig(llmId);
+      const response = await this._sendWithApiKey(config, provider => provider.completion(
+        CONNECTION_TEST_MESSAGES,
+        config.params,
+        { signal: AbortSignal.timeout(CONNECTION_TEST_TIMEOUT_MS) },
+      ));
+
+      this._recordUsage({ stage: 'connection-test' }, config, response.usage);
+
+      const result = { status: 'ok', message: `Answered in ${Date.now() - startedAt} ms` };
+      this.modelCheckResults.set(llmId, { result, testedAt: Date.now() });
+      return result;
+    } catch (error) {
+      this.modelCheckResults.delete(llmId);
+      return describeConnectionError(error);
+    }
+  }
+
+  /**
+   * Gets the provider instance for the next API key in rotation, creating it on first use.
+   * Instances are kept alive per key.
+   *
+   * @param {string} providerType - Provider type (e.g., 'openrouter', 'openai')
+   * @param {string} endpoint - API endpoint URL
+   * @returns {Promise<{provider: BaseProvider, keyId: string|null}>} Provider instance and the id of its
+   *   key (null for providers used without a key)
+   * @throws {Error} If the provider has no usable API key
+   * @private
+   */
+  async _getProvider(providerType, endpoint) {
     const ProviderClass = PROVIDER_REGISTRY[providerType];
     if (!ProviderClass) {
       throw new Error(`No provider implementation found for: ${providerType}`);
     }
 
-    // Fetch API key
-    const apiKey = await getApiKey(providerType);
+    if (providerType === 'mock') {
+      if (!this.providers.has(providerType)) {
+        this.providers.set(providerType, new MockProvider({ endpoint, fixtureStore: indexedDBFixtureStore }));
+      }
+      return { provider: this.providers.get(providerType), keyId: null };
+    }
+
+    if (!this.apiKeyEntries.has(providerType)) {
+      this.apiKeyEntries.set(providerType, await getApiKeyEntries(providerType));
+    }
+    const entries = this.apiKeyEntries.get(providerType);
+
+    // The key is optional for the custom provider, e.g. a local server
+    const entry = providerType === 'custom' && entries.length === 0
+                  ? null
+                  : await this.apiKeyPool.pick(providerType, entries);
+
+    const key = entry ? `${providerType}:${entry.id}` : providerType;
+    const keyId = entry?.id ?? null;
+
+    if (this.providers.has(key)) {
+      return { provider: this.providers.get(key), keyId };
+    }
+
+    // Instantiate provider with the user's overrides (base URL, headers, query params),
+    // wrapped to save replay fixtures while recording
+    let provider = new ProviderClass(await getProviderClientOptions(providerType, { endpoint, apiKey: entry?.key }));
+
+    const { record } = await getMockProviderSettings();
+    if (record) {
+      provider = new MockProvider({ mode: 'record', delegate: provider, fixtureStore: indexedDBFixtureStore });
+    }
 
-    // Instantiate provider
-    const provider = new ProviderClass({ endpoint, apiKey });
     this.providers.set(key, provider);
 
-    log(`[LLMCoordinator] Provider ${providerType} initialized`);
+    log(`[LLMCoordinator] Provider ${key} initialized`);
 
-    return provider;
+    return { provider, keyId };
   }
 
   /**
-   * Gets or creates a queue for a provider type.
-   * All providers use the same rate limit configuration.
+   * Gets the queue and token budget that apply to a request.
+   * Limits are re-resolved on every request, so changes in the options page
+   * take effect without reloading the extension.
    *
    * @param {string} providerType - Provider type
+   * @param {string} model - Model name sent to the API
+   * @param {Array<Object>} messages - Request messages, for the token estimate
+   * @returns {Promise<{queue: PQueue, budget: TokenBudget|null, tokens: number}>}
+   * @private
+   */
+  async _getLimiter(providerType, model, messages) {
+    if (!this.rateLimitSettings) {
+      this.rateLimitSettings = await getRateLimitSettings();
+    }
+
+    const limits = resolveRateLimit(this.rateLimitSettings, providerType, model);
+
+    return {
+      queue: this._getQueue(limits),
+      budget: this._getTokenBudget(limits),
+      tokens: estimateTokens(messages),
+    };
+  }
+
+  /**
+   * Gets or creates the queue for resolved limits.
+   *
+   * p-queue only allows changing concurrency on a live queue. When the interval
+   * settings change, a new queue takes over and the old one drains on its own.
+   *
+   * @param {Object} limits - From resolveRateLimit()
    * @returns {PQueue} Queue instance
    * @private
    */
-  _getQueue(providerType) {
-    if (this.queues.has(providerType)) {
-      return this.queues.get(providerType);
+  _getQueue(limits) {
+    const existing = this.queues.get(limits.queueKey);
+
+    if (existing &&
+      existing.limits.intervalCap === limits.intervalCap &&
+      existing.limits.interval === limits.interval) {
+      if (existing.limits.concurrency !== limits.concurrency) {
+        existing.queue.concurrency = limits.concurrency;
+        existing.limits = limits;
+      }
+      return existing.queue;
     }
 
     const queue = new PQueue({
-      concurrency: RATE_LIMIT_CONFIG.concurrency,
-      intervalCap: RATE_LIMIT_CONFIG.intervalCap,
-      interval: RATE_LIMIT_CONFIG.interval,
+      concurrency: limits.concurrency,
+      intervalCap: limits.intervalCap,
+      interval: limits.interval,
+      queueClass: FairQueue,
     });
 
-    this.queues.set(providerType, queue);
+    this.queues.set(limits.queueKey, { queue, limits });
+
+    log(`[LLMCoordinator] Queue ${limits.queueKey} created:`, limits);
 
     return queue;
   }
 
+  /**
+   * Gets the token budget for resolved limits, or null when there is no TPM limit.
+   *
+   * @param {Object} limits - From resolveRateLimit()
+   * @returns {TokenBudget|null} Budget instance
+   * @private
+   */
+  _getTokenBudget(limits) {
+    if (!limits.tokensPerMinute) {
+      this.tokenBudgets.delete(limits.queueKey);
+      return null;
+    }
+
+    let budget = this.tokenBudgets.get(limits.queueKey);
+    if (!budget) {
+      budget = new TokenBudget(limits.tokensPerMinute);
+      this.tokenBudgets.set(limits.queueKey, budget);
+    }
+
+    budget.tokensPerMinute = limits.tokensPerMinute;
+    return budget;
+  }
+
   /**
    * Builds messages array from system prompt and user message.
    *
@@ -298,13 +1475,78 @@ export class LLMCoordinator {
    *
    * @param {string} clientId - Client identifier
    * @param {number} requestId - Request identifier
+   * @returns {AbortController} Controller aborted when the request is cancelled
    * @private
    */
   _trackRequest(clientId, requestId) {
     if (!this.activeRequests.has(clientId)) {
-      this.activeRequests.set(clientId, new Set());
+      this.activeRequests.set(clientId, new Map());
+    }
+
+    const controller = new AbortController();
+    this.activeRequests.get(clientId).set(requestId, controller);
+    return controller;
+  }
+
+  /**
+   * Saves a request's journal entry. The journal only helps after a worker restart,
+   * so failing to write it doesn't fail the request.
+   *
+   * @param {Object} entry - Journal entry
+   * @private
+   */
+  async _saveJournalEntry(entry) {
+    try {
+      await saveJournalEntryToDB(entry);
+    } catch (error) {
+      console.warn('[LLMCoordinator] Failed to journal request:', error);
+    }
+  }
+
+  /**
+   * Deletes a request's journal entry.
+   *
+   * @param {string} key - Journal key
+   * @private
+   */
+  async _deleteJournalEntry(key) {
+    try {
+      await deleteJournalEntryFromDB(key);
+    } catch (error) {
+      console.warn('[LLMCoordinator] Failed to delete journaled request:', error);
+    }
+  }
+
+  /**
+   * Checks whether a tab is still open.
+   *
+   * @param {number} tabId - Tab id
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _tabExists(tabId) {
+    try {
+      await chrome.tabs.get(tabId);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Checks whether a tab is the active tab of its window.
+   *
+   * @param {number} tabId - Tab id
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _isForegroundTab(tabId) {
+    try {
+      const tab = await chrome.tabs.get(tabId);
+      return tab.active === true;
+    } catch {
+      return false;
     }
-    this.activeRequests.get(clientId).add(requestId);
   }
 
   /**
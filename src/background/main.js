@@ -9,30 +9,79 @@ import {
   deleteGlossaryFromDB,
   scanAllKeysFromDB,
 } from './indexeddb-storage.js';
+import { getUsageFromDB, clearUsageFromDB } from './usage-storage.js';
+import { getResponseCacheStatsFromDB, clearResponseCacheFromDB } from './response-cache.js';
+import { getAllFixturesFromDB, clearFixturesFromDB } from './mock-fixtures.js';
+import { getInteractionsFromDB, getInteractionFromDB, clearInteractionsFromDB } from './interaction-log.js';
+import { summarizeInteraction } from './utils/interaction-log-settings.js';
+import { getCheckpointFromDB, saveCheckpointToDB, deleteCheckpointFromDB } from './pipeline-checkpoints.js';
 import { log } from "../common/logger.js";
 
 const BG_MSG_TYPES = {
   llm_request: 'llm_request',
   llm_cancel: 'llm_cancel',
+  llm_stream: 'llm_stream',
+  llm_retry: 'llm_retry',
   get_models: 'get_models',
   refresh_models: 'refresh_models',
   clear_model_cache: 'clear_model_cache',
+  get_model_metadata: 'models.get_metadata',
   get_glossary: 'idb.get_glossary',
   save_glossary: 'idb.save_glossary',
   delete_glossary: 'idb.delete_glossary',
   scan_glossary_keys: 'idb.scan_glossary_keys',
+  get_checkpoint: 'checkpoint.get',
+  save_checkpoint: 'checkpoint.save',
+  delete_checkpoint: 'checkpoint.delete',
+  get_usage: 'usage.get',
+  clear_usage: 'usage.clear',
+  get_cache_stats: 'cache.get_stats',
+  clear_cache: 'cache.clear',
+  export_mock_fixtures: 'mock.export_fixtures',
+  clear_mock_fixtures: 'mock.clear_fixtures',
+  list_interactions: 'interaction_log.list',
+  get_interactions: 'interaction_log.get',
+  clear_interactions: 'interaction_log.clear',
+  get_spending_status: 'spending.get_status',
+  resolve_spending_pause: 'spending.resolve',
+  get_queue_status: 'queue.get_status',
+  get_api_key_status: 'api_keys.get_status',
+  test_connection: 'connection.test',
 };
 
 // Initialize coordinator for LLM external calls
 const coordinator = new LLMCoordinator();
 
+// Send again the requests a previous worker was stopped in the middle of
+void coordinator.restoreJournal();
+
+// Requests of the tab the user switches to go before those of background tabs
+chrome.tabs.onActivated.addListener(() => {
+  void coordinator.reprioritizeWaitingTasks();
+});
+
 /**
  * Message handler for chrome.runtime.sendMessage from content scripts.
  */
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // LLM completion request
   if (message.type === BG_MSG_TYPES.llm_request) {
-    void coordinator.handleRequest(message.payload, sendResponse);
+    const { clientId, requestId } = message.payload;
+
+    // Let the requesting frame show the request as retrying rather than failed
+    const onRetry = (retry) => {
+      if (sender.tab?.id === undefined) return;
+
+      chrome.tabs.sendMessage(
+        sender.tab.id,
+        { type: BG_MSG_TYPES.llm_retry, payload: { clientId, requestId, ...retry } },
+        { frameId: sender.frameId },
+      ).catch(() => {
+        // Tab may have navigated away; the request will still complete or fail normally
+      });
+    };
+
+    void coordinator.handleRequest(message.payload, sendResponse, { onRetry, tabId: sender.tab?.id });
     return true; // Keep channel open for async response
   }
 
@@ -78,6 +127,14 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Keep channel open for async response
   }
 
+  // Get context length, max output, supported parameters and pricing of models
+  if (message.type === BG_MSG_TYPES.get_model_metadata) {
+    coordinator.getModelMetadata(message.payload?.llmIds ?? [])
+      .then(metadata => sendResponse({ ok: true, data: metadata }))
+      .catch(error => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+
   // --- Glossary / IndexedDB Handlers ---
   // Load
   if (message.type === BG_MSG_TYPES.get_glossary) {
@@ -111,9 +168,165 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  // --- Pipeline checkpoints ---
+  // Checkpoint of a run, or null, to resume it
+  if (message.type === BG_MSG_TYPES.get_checkpoint) {
+    getCheckpointFromDB(message.payload.runId)
+      .then(checkpoint => sendResponse({ ok: true, data: checkpoint }))
+      .catch(error => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+
+  // Output of a finished stage, or of one entry of a stage
+  if (message.type === BG_MSG_TYPES.save_checkpoint) {
+    saveCheckpointToDB(message.payload)
+      .then(() => sendResponse({ ok: true }))
+      .catch(error => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+
+  // Completed or started over
+  if (message.type === BG_MSG_TYPES.delete_checkpoint) {
+    deleteCheckpointFromDB(message.payload.runId)
+      .then(() => sendResponse({ ok: true }))
+      .catch(error => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+
+  // --- Usage / cost accounting ---
+  // Get aggregated usage rows, optionally for a date range
+  if (message.type === BG_MSG_TYPES.get_usage) {
+    getUsageFromDB(message.payload)
+      .then(rows => sendResponse({ ok: true, data: rows }))
+      .catch(error => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+
+  // Clear all recorded usage
+  if (message.type === BG_MSG_TYPES.clear_usage) {
+    clearUsageFromDB()
+      .then(() => sendResponse({ ok: true }))
+      .catch(error => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+
+  // --- Response cache ---
+  // Get entry count and approximate size
+  if (message.type === BG_MSG_TYPES.get_cache_stats) {
+    getResponseCacheStatsFromDB()
+      .then(stats => sendResponse({ ok: true, data: stats }))
+      .catch(error => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+
+  // Delete all cached responses
+  if (message.type === BG_MSG_TYPES.clear_cache) {
+    clearResponseCacheFromDB()
+      .then(() => sendResponse({ ok: true }))
+      .catch(error => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+
+  // Whether requests are paused at a spending cap
+  if (message.type === BG_MSG_TYPES.get_spending_status) {
+    sendResponse({ ok: true, data: coordinator.getSpendingStatus() });
+    return false;
+  }
+
+  // Continue past or stop at the spending cap that paused requests
+  if (message.type === BG_MSG_TYPES.resolve_spending_pause) {
+    const resolved = coordinator.resolveSpendingPause(message.payload?.action);
+    sendResponse({ ok: true, data: { resolved } });
+    return false;
+  }
+
+  // Requests running and waiting in each rate limit queue
+  if (message.type === BG_MSG_TYPES.get_queue_status) {
+    sendResponse({ ok: true, data: coordinator.getQueueStatus() });
+    return false;
+  }
+
+  // Rotation state and health of each stored API key
+  if (message.type === BG_MSG_TYPES.get_api_key_status) {
+    coordinator.getApiKeyStatus()
+      .then(status => sendResponse({ ok: true, data: status }))
+      .catch(error => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+
+  // Check API keys and the selected models before a run
+  if (message.type === BG_MSG_TYPES.test_connection) {
+    coordinator.testConnection(message.payload)
+      .then(results => sendResponse({ ok: true, data: results }))
+      .catch(error => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+
+  // All recorded mock provider fixtures, for export as JSON
+  if (message.type === BG_MSG_TYPES.export_mock_fixtures) {
+    getAllFixturesFromDB()
+      .then(fixtures => sendResponse({ ok: true, data: fixtures }))
+      .catch(error => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+
+  // Delete all recorded mock provider fixtures
+  if (message.type === BG_MSG_TYPES.clear_mock_fixtures) {
+    clearFixturesFromDB()
+      .then(() => sendResponse({ ok: true }))
+      .catch(error => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+
+  // --- Interaction log ---
+  // Summaries of the logged requests matching a filter, newest first
+  if (message.type === BG_MSG_TYPES.list_interactions) {
+    getInteractionsFromDB(message.payload)
+      .then(entries => sendResponse({ ok: true, data: entries.map(summarizeInteraction) }))
+      .catch(error => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+
+  // Full logged requests: one by id, or all of a run, for viewing and export
+  if (message.type === BG_MSG_TYPES.get_interactions) {
+    const { id, runId } = message.payload ?? {};
+    const entries = id !== undefined
+                    ? getInteractionFromDB(id).then(entry => (entry ? [entry] : []))
+                    : getInteractionsFromDB({ runId });
+
+    entries
+      .then(data => sendResponse({ ok: true, data }))
+      .catch(error => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+
+  // Delete all logged requests
+  if (message.type === BG_MSG_TYPES.clear_interactions) {
+    clearInteractionsFromDB()
+      .then(() => sendResponse({ ok: true }))
+      .catch(error => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+
   // Unknown message type
   console.warn('[Background] Unknown message type:', message.type);
   return false;
 });
 
+/**
+ * Port handler for streaming LLM requests from content scripts.
+ * Each port carries exactly one request; the content script disconnects it to cancel.
+ */
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== BG_MSG_TYPES.llm_stream) {
+    return;
+  }
+
+  port.onMessage.addListener((message) => {
+    if (message.type === BG_MSG_TYPES.llm_request) {
+      void coordinator.handleStreamRequest(message.payload, port);
+    }
+  });
+});
+
 log('[Background] Service worker started');
@@ -0,0 +1,101 @@
+const DB_NAME = 'TranslatorMockFixturesDB';
+const DB_VERSION = 1;
+const STORE_NAME = 'fixtures';
+
+let dbPromise = null;
+
+/**
+ * Opens (or reuses) the IndexedDB connection.
+ * Creates the object store on first run.
+ */
+function openDatabase() {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        // hash is the prompt hash computed by the mock provider
+        db.createObjectStore(STORE_NAME, { keyPath: 'hash' });
+      }
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Retrieves the fixture recorded for a prompt hash.
+ * Resolves null if none was recorded.
+ */
+export async function getFixtureFromDB(hash) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readonly');
+    const request = transaction.objectStore(STORE_NAME).get(hash);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result ?? null);
+  });
+}
+
+/**
+ * Saves a recorded fixture, replacing any earlier recording of the same prompt.
+ */
+export async function saveFixtureToDB(fixture) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const request = transaction.objectStore(STORE_NAME).put(fixture);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve();
+  });
+}
+
+/**
+ * Retrieves all recorded fixtures, for export.
+ */
+export async function getAllFixturesFromDB() {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readonly');
+    const request = transaction.objectStore(STORE_NAME).getAll();
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+  });
+}
+
+/**
+ * Deletes all recorded fixtures.
+ */
+export async function clearFixturesFromDB() {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const request = transaction.objectStore(STORE_NAME).clear();
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve();
+  });
+}
+
+/**
+ * Fixture store backed by IndexedDB, in the shape the mock provider expects.
+ */
+export const indexedDBFixtureStore = {
+  get: getFixtureFromDB,
+  set: saveFixtureToDB,
+};
@@ -0,0 +1,124 @@
+import { CHECKPOINT_CONFIG } from './config/defaults.js';
+
+const DB_NAME = 'TranslatorCheckpointDB';
+const DB_VERSION = 1;
+const STORE_NAME = 'checkpoints';
+
+const MAX_AGE_MS = CHECKPOINT_CONFIG.maxAgeDays * 24 * 60 * 60 * 1000;
+
+let dbPromise = null;
+
+/**
+ * Opens (or reuses) the IndexedDB connection.
+ * Creates the object store on first run.
+ */
+function openDatabase() {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        // updatedAt finds the checkpoints of runs that were never resumed
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'runId' });
+        store.createIndex('updatedAt', 'updatedAt');
+      }
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Saves the output of a pipeline stage in the checkpoint of a run, creating the checkpoint
+ * on the first save. With a key, the output is one entry of the stage (e.g. one translated interval).
+ *
+ * Record format:
+ * { runId, page, series, updatedAt, stages: { glossaryGenerate, glossaryUpdate, segmentation, translation: { [key]: result }, postEdit } }
+ */
+export async function saveCheckpointToDB({ runId, page, series, stage, key, data }) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    const getRequest = store.get(runId);
+
+    getRequest.onsuccess = () => {
+      const record = getRequest.result ?? { runId, page, series, stages: {} };
+
+      if (key === undefined) {
+        record.stages[stage] = data;
+      } else {
+        record.stages[stage] = { ...record.stages[stage], [key]: data };
+      }
+      record.updatedAt = Date.now();
+
+      store.put(record);
+
+      // Starting a new checkpoint drops those of runs nobody came back to
+      if (!getRequest.result) {
+        deleteOlderThan(store, record.updatedAt - MAX_AGE_MS);
+      }
+    };
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Retrieves the checkpoint of a run, or null if there is none or it is too old to resume.
+ */
+export async function getCheckpointFromDB(runId) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readonly');
+    const request = transaction.objectStore(STORE_NAME).get(runId);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const record = request.result;
+      resolve(record && Date.now() - record.updatedAt <= MAX_AGE_MS ? record : null);
+    };
+  });
+}
+
+/**
+ * Deletes the checkpoint of a run, once it completed or is started over.
+ */
+export async function deleteCheckpointFromDB(runId) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const request = transaction.objectStore(STORE_NAME).delete(runId);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve();
+  });
+}
+
+/**
+ * Deletes the checkpoints last updated before a time, within the caller's transaction.
+ * @private
+ */
+function deleteOlderThan(store, time) {
+  const cursorRequest = store.index('updatedAt').openCursor(IDBKeyRange.upperBound(time, true));
+
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result;
+    if (!cursor) return;
+
+    cursor.delete();
+    cursor.continue();
+  };
+}
@@ -0,0 +1,124 @@
+import { describe, it, expect } from 'vitest';
+import { AnthropicProvider } from '../anthropic-provider.js';
+
+describe('AnthropicProvider', () => {
+    const provider = new AnthropicProvider({
+        endpoint: 'https://api.anthropic.com/v1',
+        apiKey: 'test-key',
+    });
+
+    const messages = [
+        { role: 'system', content: 'System prompt' },
+        { role: 'user', content: 'User message' },
+    ];
+
+    describe('_buildRequestPayload', () => {
+        it('should move the system prompt to the system field', () => {
+            const payload = provider._buildRequestPayload(messages, { model: 'claude-haiku-4-5', max_tokens: 2048 });
+
+            expect(payload.system).toBe('System prompt');
+            expect(payload.messages).toEqual([{ role: 'user', content: 'User message' }]);
+            expect(payload.max_tokens).toBe(2048);
+            expect(payload.thinking).toBeUndefined();
+        });
+
+        it('should map reasoning to a thinking budget on top of max_tokens', () => {
+            const payload = provider._buildRequestPayload(messages, {
+                model: 'claude-sonnet-4-5',
+                max_tokens: 4096,
+                reasoning: 'medium',
+                temperature: 0.8,
+                top_p: 0.9,
+            });
+
+            expect(payload.thinking).toEqual({ type: 'enabled', budget_tokens: 4096 });
+            expect(payload.max_tokens).toBe(8192);
+            expect(payload.temperature).toBeUndefined();
+            expect(payload.top_p).toBeUndefined();
+        });
+
+        it('should keep sampling parameters when thinking is disabled', () => {
+            const payload = provider._buildRequestPayload(messages, {
+                model: 'claude-sonnet-4-5',
+                reasoning: 'minimal',
+                temperature: 0.8,
+                top_p: 0.9,
+            });
+
+            expect(payload.thinking).toBeUndefined();
+            expect(payload.temperature).toBe(0.8);
+            expect(payload.top_p).toBe(0.9);
+        });
+
+        it('should mark a long system prompt for prompt caching', () => {
+            const system = 'word '.repeat(1000);
+            const payload = provider._buildRequestPayload(
+                [{ role: 'system', content: system }, { role: 'user', content: 'User message' }],
+                { model: 'claude-sonnet-4-5' },
+            );
+
+            expect(payload.system).toEqual([{ type: 'text', text: system, cache_control: { type: 'ephemeral' } }]);
+        });
+    });
+
+    describe('normalizeResponse', () => {
+        it('should split thinking and text blocks', () => {
+            const result = provider.normalizeResponse({
+                content: [
+                    { type: 'thinking', thinking: 'Considering...', signature: 'sig' },
+                    { type: 'text', text: 'Hello' },
+                ],
+                stop_reason: 'end_turn',
+            });
+
+            expect(result).toEqual({ assistant: 'Hello', reasoning: 'Considering...', usage: null, finishReason: 'stop' });
+        });
+
+        it('should count cache reads and writes as input', () => {
+            const result = provider.normalizeResponse({
+                content: [{ type: 'text', text: 'Hello' }],
+                usage: {
+                    input_tokens: 50,
+                    cache_read_input_tokens: 2000,
+                    cache_creation_input_tokens: 100,
+                    output_tokens: 80,
+                },
+            });
+
+            expect(result.usage).toEqual({
+                inputTokens: 2150,
+                outputTokens: 80,
+                reasoningTokens: 0,
+                cachedTokens: 2000,
+            });
+        });
+
+        it('should report refusals as content filter errors', () => {
+            expect(() => provider.normalizeResponse({ content: [], stop_reason: 'refusal' })).toThrow(
+                expect.objectContaining({ contentFiltered: true }),
+            );
+        });
+
+        it('should throw error for invalid response', () => {
+            expect(() => provider.normalizeResponse({})).toThrow('Invalid response');
+        });
+    });
+
+    describe('normalizeStreamChunk', () => {
+        it('should extract text and thinking deltas', () => {
+            expect(provider.normalizeStreamChunk({
+                type: 'content_block_delta',
+                delta: { type: 'text_delta', text: 'Hel' },
+            })).toEqual({ assistant: 'Hel', reasoning: null });
+
+            expect(provider.normalizeStreamChunk({
+                type: 'content_block_delta',
+                delta: { type: 'thinking_delta', thinking: 'Hmm' },
+            })).toEqual({ assistant: '', reasoning: 'Hmm' });
+        });
+
+        it('should skip other events', () => {
+            expect(provider.normalizeStreamChunk({ type: 'message_start' })).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,105 @@
+import { createServer } from 'node:http';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { AzureOpenAIProvider } from '../azure-openai-provider.js';
+import { normalizeProviderOverrides } from '../../utils/provider-overrides.js';
+
+/**
+ * Minimal stand-in for an Azure OpenAI resource.
+ * Records the last request so tests can inspect its URL, headers and body.
+ */
+function startStandInServer() {
+    const state = { lastUrl: null, lastHeaders: null, lastRequest: null };
+
+    const server = createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            state.lastUrl = new URL(req.url, 'http://localhost');
+            state.lastHeaders = req.headers;
+            state.lastRequest = body ? JSON.parse(body) : null;
+
+            res.writeHead(200, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({
+                choices: [{
+                    index: 0,
+                    message: { role: 'assistant', content: 'Hello' },
+                    finish_reason: 'stop',
+                }],
+                usage: { prompt_tokens: 12, completion_tokens: 5 },
+            }));
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, state }));
+    });
+}
+
+describe('AzureOpenAIProvider', () => {
+    let server;
+    let state;
+    let endpoint;
+
+    const messages = [
+        { role: 'system', content: 'System prompt' },
+        { role: 'user', content: 'User message' },
+    ];
+
+    beforeAll(async () => {
+        ({ server, state } = await startStandInServer());
+        endpoint = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    it('should send the request to the deployment with the API version and key', async () => {
+        const provider = new AzureOpenAIProvider({
+            endpoint,
+            apiKey: 'azure-key',
+            overrides: normalizeProviderOverrides({ apiVersion: '2025-01-01-preview' }),
+        });
+
+        const result = await provider.completion(messages, { model: 'gpt-4o-prod', max_tokens: 1000, reasoning: 'low' });
+
+        expect(result.assistant).toBe('Hello');
+        expect(state.lastUrl.pathname).toBe('/openai/deployments/gpt-4o-prod/chat/completions');
+        expect(state.lastUrl.searchParams.get('api-version')).toBe('2025-01-01-preview');
+        expect(state.lastHeaders['api-key']).toBe('azure-key');
+        expect(state.lastRequest).toEqual({
+            model: 'gpt-4o-prod',
+            messages,
+            max_completion_tokens: 1000,
+            reasoning_effort: 'low',
+        });
+    });
+
+    it('should add the extra headers and query params', async () => {
+        const provider = new AzureOpenAIProvider({
+            endpoint,
+            apiKey: 'azure-key',
+            overrides: normalizeProviderOverrides({
+                headers: { 'X-Team': 'books' },
+                query: { tenant: 'novels' },
+            }),
+        });
+
+        await provider.completion(messages, { model: 'gpt-4o-prod' });
+
+        expect(state.lastHeaders['x-team']).toBe('books');
+        expect(state.lastUrl.searchParams.get('tenant')).toBe('novels');
+        expect(state.lastUrl.searchParams.get('api-version')).toBe('2024-10-21');
+    });
+
+    it('should list the configured deployments as models', async () => {
+        const provider = new AzureOpenAIProvider({
+            endpoint,
+            apiKey: 'azure-key',
+            overrides: normalizeProviderOverrides({ deployments: ['gpt-4o-prod', 'gpt-4o-mini'] }),
+        });
+
+        expect(await provider.getAvailableModels()).toEqual([
+            { provider: 'azure', id: 'azure-gpt-4o-prod', model: 'gpt-4o-prod', label: 'gpt-4o-prod' },
+            { provider: 'azure', id: 'azure-gpt-4o-mini', model: 'gpt-4o-mini', label: 'gpt-4o-mini' },
+        ]);
+    });
+});
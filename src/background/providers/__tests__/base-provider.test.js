@@ -1,4 +1,5 @@
 import { describe, it, expect, vi } from 'vitest';
+import { APIUserAbortError } from 'openai';
 import { BaseProvider } from '../base-provider.js';
 
 // Concrete implementation for testing abstract class
@@ -49,6 +50,45 @@ describe('BaseProvider', () => {
         });
     });
 
+    describe('buildResponseFormat', () => {
+        const responseSchema = { name: 'glossary', schema: { type: 'object' } };
+
+        it('should build a strict json_schema response format', () => {
+            const provider = new TestProvider(config);
+
+            expect(provider.buildResponseFormat({ model: 'm', response_schema: responseSchema })).toEqual({
+                type: 'json_schema',
+                json_schema: { name: 'glossary', schema: { type: 'object' }, strict: true },
+            });
+        });
+
+        it('should return null without a schema or for models without structured outputs', () => {
+            const provider = new TestProvider(config);
+
+            expect(provider.buildResponseFormat({ model: 'm' })).toBeNull();
+            expect(provider.buildResponseFormat({ model: 'm', response_schema: responseSchema, structuredOutput: false })).toBeNull();
+        });
+    });
+
+    describe('isCacheablePrompt', () => {
+        const longPrompt = 'word '.repeat(1000);
+
+        it('should only mark prompts long enough to be cached', () => {
+            const provider = new TestProvider(config);
+
+            expect(provider.isCacheablePrompt(longPrompt, { model: 'm' })).toBe(true);
+            expect(provider.isCacheablePrompt('Short prompt', { model: 'm' })).toBe(false);
+            expect(provider.isCacheablePrompt(undefined, { model: 'm' })).toBe(false);
+        });
+
+        it('should respect a per-model opt-out and minimum', () => {
+            const provider = new TestProvider(config);
+
+            expect(provider.isCacheablePrompt(longPrompt, { model: 'm', promptCache: false })).toBe(false);
+            expect(provider.isCacheablePrompt(longPrompt, { model: 'm' }, 4096)).toBe(false);
+        });
+    });
+
     describe('normalizeResponse', () => {
         it('should normalize standard OpenAI-like response', () => {
             const provider = new TestProvider(config);
@@ -65,13 +105,114 @@ describe('BaseProvider', () => {
             expect(result).toEqual({
                 assistant: 'Hello',
                 reasoning: 'Thinking...',
+                usage: null,
+                finishReason: null,
+            });
+        });
+
+        it('should normalize reported usage', () => {
+            const provider = new TestProvider(config);
+            const rawResponse = {
+                choices: [{ message: { content: 'Hello' } }],
+                usage: {
+                    prompt_tokens: 1200,
+                    completion_tokens: 300,
+                    completion_tokens_details: { reasoning_tokens: 100 },
+                    prompt_tokens_details: { cached_tokens: 1000 },
+                },
+            };
+
+            expect(provider.normalizeResponse(rawResponse).usage).toEqual({
+                inputTokens: 1200,
+                outputTokens: 300,
+                reasoningTokens: 100,
+                cachedTokens: 1000,
             });
         });
 
+        it('should read DeepSeek cache hits', () => {
+            const provider = new TestProvider(config);
+
+            expect(provider.normalizeUsage({
+                prompt_tokens: 500,
+                completion_tokens: 50,
+                prompt_cache_hit_tokens: 400,
+            })).toEqual({
+                inputTokens: 500,
+                outputTokens: 50,
+                reasoningTokens: 0,
+                cachedTokens: 400,
+            });
+        });
+
+        it('should report the finish reason, and refusals as such', () => {
+            const provider = new TestProvider(config);
+
+            const cutOff = provider.normalizeResponse({ choices: [{ message: { content: 'Hel' }, finish_reason: 'length' }] });
+            const refused = provider.normalizeResponse({
+                choices: [{ message: { content: null, refusal: 'I can\'t help with that.' }, finish_reason: 'stop' }],
+            });
+
+            expect(cutOff.finishReason).toBe('length');
+            expect(refused.finishReason).toBe('refusal');
+        });
+
         it('should throw error for invalid response', () => {
             const provider = new TestProvider(config);
             expect(() => provider.normalizeResponse({})).toThrow('Invalid response');
         });
+
+        it('should throw a content filter error for filtered empty responses', () => {
+            const provider = new TestProvider(config);
+            const rawResponse = {
+                choices: [{ message: { content: null }, finish_reason: 'content_filter' }],
+            };
+
+            expect(() => provider.normalizeResponse(rawResponse)).toThrow(
+                expect.objectContaining({ contentFiltered: true }),
+            );
+        });
+
+        it('should throw a truncated error for empty responses cut off at the token limit', () => {
+            const provider = new TestProvider(config);
+            const rawResponse = {
+                choices: [{ message: { content: '' }, finish_reason: 'length' }],
+            };
+
+            expect(() => provider.normalizeResponse(rawResponse)).toThrow(
+                expect.objectContaining({ truncated: true }),
+            );
+        });
+    });
+
+    describe('normalizeStreamChunk', () => {
+        it('should extract OpenAI-like deltas', () => {
+            const provider = new TestProvider(config);
+            const chunk = { choices: [{ delta: { content: 'Hel', reasoning: null } }] };
+
+            expect(provider.normalizeStreamChunk(chunk)).toEqual({
+                assistant: 'Hel',
+                reasoning: null,
+            });
+        });
+
+        it('should return null for chunks without a delta', () => {
+            const provider = new TestProvider(config);
+            expect(provider.normalizeStreamChunk({ choices: [] })).toBeNull();
+        });
+    });
+
+    describe('completionStream', () => {
+        it('should fall back to a single chunk from completion()', async () => {
+            const provider = new TestProvider(config);
+            const chunks = [];
+
+            for await (const chunk of provider.completionStream([], {})) {
+                chunks.push(chunk);
+            }
+
+            expect(chunks).toEqual([{ assistant: 'test response', reasoning: null }]);
+        });
     });
 
     describe('handleError', () => {
@@ -83,6 +224,7 @@ describe('BaseProvider', () => {
             const result = provider.handleError(error);
             expect(result.message).toContain('Authentication failed');
             expect(result.provider).toBe(config.providerType);
+            expect(result.code).toBe('auth');
         });
 
         it('should normalize 429 error', () => {
@@ -92,6 +234,16 @@ describe('BaseProvider', () => {
 
             const result = provider.handleError(error);
             expect(result.message).toContain('Rate limit exceeded');
+            expect(result.code).toBe('rate_limit');
+        });
+
+        it('should mark aborted requests as cancelled', () => {
+            const provider = new TestProvider(config);
+            const error = new APIUserAbortError();
+
+            const result = provider.handleError(error);
+            expect(result.message).toBe('Request cancelled');
+            expect(result.cancelled).toBe(true);
         });
 
         it('should normalize network error', () => {
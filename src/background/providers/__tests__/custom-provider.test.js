@@ -0,0 +1,158 @@
+import { createServer } from 'node:http';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { CustomProvider } from '../custom-provider.js';
+
+/**
+ * Minimal stand-in for a local OpenAI-compatible server (Ollama, llama.cpp, ...).
+ * Records the last chat completion request so tests can inspect it.
+ */
+function startStandInServer() {
+    const state = { lastRequest: null, lastAuthorization: null };
+
+    const server = createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            state.lastAuthorization = req.headers.authorization;
+
+            if (req.method === 'GET' && req.url === '/v1/models') {
+                res.writeHead(200, { 'content-type': 'application/json' });
+                res.end(JSON.stringify({
+                    object: 'list',
+                    data: [
+                        { id: 'qwen2.5:14b', object: 'model' },
+                        { id: 'llama3.1:8b', object: 'model' },
+                    ],
+                }));
+                return;
+            }
+
+            if (req.method === 'POST' && req.url === '/v1/chat/completions') {
+                state.lastRequest = JSON.parse(body);
+
+                if (state.lastRequest.stream) {
+                    res.writeHead(200, { 'content-type': 'text/event-stream' });
+                    for (const content of ['Hel', 'lo']) {
+                        res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta: { content } }] })}\n\n`);
+                    }
+                    res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta: {}, finish_reason: 'length' }] })}\n\n`);
+                    if (state.lastRequest.stream_options?.include_usage) {
+                        res.write(`data: ${JSON.stringify({ choices: [], usage: { prompt_tokens: 12, completion_tokens: 2 } })}\n\n`);
+                    }
+                    res.end('data: [DONE]\n\n');
+                    return;
+                }
+
+                res.writeHead(200, { 'content-type': 'application/json' });
+                res.end(JSON.stringify({
+                    choices: [{
+                        index: 0,
+                        message: { role: 'assistant', content: 'Hello', reasoning_content: 'Thinking...' },
+                        finish_reason: 'stop',
+                    }],
+                    usage: { prompt_tokens: 12, completion_tokens: 5 },
+                }));
+                return;
+            }
+
+            res.writeHead(404);
+            res.end();
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, state }));
+    });
+}
+
+describe('CustomProvider', () => {
+    let server;
+    let state;
+    let endpoint;
+
+    const messages = [
+        { role: 'system', content: 'System prompt' },
+        { role: 'user', content: 'User message' },
+    ];
+
+    beforeAll(async () => {
+        ({ server, state } = await startStandInServer());
+        endpoint = `http://127.0.0.1:${server.address().port}/v1`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    it('should list the server models with prefixed ids', async () => {
+        const provider = new CustomProvider({ endpoint });
+
+        const models = await provider.getAvailableModels();
+
+        expect(models).toEqual([
+            { provider: 'custom', id: 'custom-qwen2.5:14b', model: 'qwen2.5:14b', label: 'qwen2.5:14b' },
+            { provider: 'custom', id: 'custom-llama3.1:8b', model: 'llama3.1:8b', label: 'llama3.1:8b' },
+        ]);
+    });
+
+    it('should send a completion without an API key', async () => {
+        const provider = new CustomProvider({ endpoint });
+
+        const result = await provider.completion(messages, { model: 'qwen2.5:14b', temperature: 0.7 });
+
+        expect(result).toEqual({
+            assistant: 'Hello',
+            reasoning: 'Thinking...',
+            usage: { inputTokens: 12, outputTokens: 5, reasoningTokens: 0, cachedTokens: 0 },
+            finishReason: 'stop',
+        });
+        expect(state.lastRequest).toEqual({
+            model: 'qwen2.5:14b',
+            messages,
+            max_tokens: 4096,
+            temperature: 0.7,
+        });
+    });
+
+    it('should send the API key when one is configured', async () => {
+        const provider = new CustomProvider({ endpoint, apiKey: 'local-secret' });
+
+        await provider.getAvailableModels();
+
+        expect(state.lastAuthorization).toBe('Bearer local-secret');
+    });
+
+    it('should stream deltas', async () => {
+        const provider = new CustomProvider({ endpoint });
+
+        const deltas = [];
+        for await (const delta of provider.completionStream(messages, { model: 'llama3.1:8b' })) {
+            deltas.push(delta.assistant);
+        }
+
+        expect(deltas).toEqual(['Hel', 'lo', '']);
+        expect(state.lastRequest.stream).toBe(true);
+    });
+
+    it('should yield stream usage and the finish reason as a final delta', async () => {
+        const provider = new CustomProvider({ endpoint });
+
+        const deltas = [];
+        for await (const delta of provider.completionStream(messages, { model: 'llama3.1:8b' })) {
+            deltas.push(delta);
+        }
+
+        expect(deltas.at(-1)).toEqual({
+            assistant: '',
+            reasoning: null,
+            usage: { inputTokens: 12, outputTokens: 2, reasoningTokens: 0, cachedTokens: 0 },
+            finishReason: 'length',
+        });
+    });
+
+    it('should report an unreachable server as a provider error', async () => {
+        const provider = new CustomProvider({ endpoint: 'http://127.0.0.1:1/v1' });
+
+        await expect(provider.completion(messages, { model: 'qwen2.5:14b' })).rejects.toMatchObject({
+            provider: 'custom',
+        });
+    });
+});
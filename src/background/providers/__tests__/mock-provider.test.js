@@ -0,0 +1,144 @@
+import { describe, it, expect, vi } from 'vitest';
+import { hashPrompt, MemoryFixtureStore, MockProvider } from '../mock-provider.js';
+
+describe('MockProvider', () => {
+    const messages = [
+        { role: 'system', content: 'System prompt' },
+        { role: 'user', content: 'Translate the following Japanese text into English:\n<raw-text>\n一行目\n二行目\n</raw-text>' },
+    ];
+
+    describe('replay', () => {
+        it('should answer from a recorded fixture', async () => {
+            const fixtureStore = new MemoryFixtureStore([{
+                hash: await hashPrompt(messages),
+                messages,
+                response: { assistant: '<translation>\nLine one\nLine two\n</translation>', reasoning: 'Thinking...' },
+            }]);
+            const provider = new MockProvider({ fixtureStore });
+
+            const result = await provider.completion(messages, { model: 'mock' });
+
+            expect(result).toEqual({
+                assistant: '<translation>\nLine one\nLine two\n</translation>',
+                reasoning: 'Thinking...',
+                usage: null,
+            });
+        });
+
+        it('should fall back to the scripted translation responder', async () => {
+            const provider = new MockProvider();
+
+            const result = await provider.completion(messages, { model: 'mock' });
+
+            expect(result.assistant).toBe('<translation>\n[MOCK] 一行目\n[MOCK] 二行目\n</translation>');
+        });
+
+        it('should answer segmentation prompts with one interval over the window', async () => {
+            const provider = new MockProvider();
+            const user = '<text>\n[3] a\n[4] b\n</text>\n<metadata>\nStart: 3\nEnd: 4\n</metadata>';
+
+            const result = await provider.completion([{ role: 'user', content: user }], { model: 'mock' });
+
+            expect(JSON.parse(result.assistant)).toEqual([[3, 4]]);
+        });
+
+        it('should answer glossary prompts with a valid entry from the text', async () => {
+            const provider = new MockProvider();
+
+            const result = await provider.completion([{ role: 'user', content: '<text>\n勇者アレンは剣を抜いた。\n</text>' }], { model: 'mock' });
+
+            expect(JSON.parse(result.assistant)).toEqual({
+                entries: [{ keys: ['勇者アレ'], value: '[term] Name: Mock (勇者アレ)' }],
+            });
+        });
+
+        it('should use custom responders in order', async () => {
+            const provider = new MockProvider({
+                responders: [
+                    { match: ({ params }) => params.model === 'other', respond: () => 'first' },
+                    { match: ({ user }) => user.includes('raw-text'), respond: () => 'second' },
+                ],
+            });
+
+            expect((await provider.completion(messages, { model: 'mock' })).assistant).toBe('second');
+        });
+
+        it('should fail for prompts without a fixture or responder', async () => {
+            const provider = new MockProvider({ responders: [] });
+
+            await expect(provider.completion(messages, { model: 'mock' })).rejects.toThrow(/no fixture or responder/);
+        });
+
+        it('should stream a replay as a single delta', async () => {
+            const provider = new MockProvider();
+
+            const deltas = [];
+            for await (const delta of provider.completionStream(messages, { model: 'mock' })) {
+                deltas.push(delta.assistant);
+            }
+
+            expect(deltas).toEqual(['<translation>\n[MOCK] 一行目\n[MOCK] 二行目\n</translation>']);
+        });
+    });
+
+    describe('record', () => {
+        it('should require a delegate', () => {
+            expect(() => new MockProvider({ mode: 'record' })).toThrow(/delegate/);
+        });
+
+        it('should forward requests and save them as fixtures for replay', async () => {
+            const delegate = {
+                providerType: 'openai',
+                completion: vi.fn().mockResolvedValue({ assistant: 'Real answer', reasoning: null, usage: { inputTokens: 5 } }),
+            };
+            const fixtureStore = new MemoryFixtureStore();
+            const recorder = new MockProvider({ mode: 'record', delegate, fixtureStore });
+
+            const recorded = await recorder.completion(messages, { model: 'gpt-5-mini' });
+
+            expect(recorded.usage).toEqual({ inputTokens: 5 });
+            expect(fixtureStore.toJSON()).toEqual([
+                expect.objectContaining({
+                    hash: await hashPrompt(messages),
+                    provider: 'openai',
+                    model: 'gpt-5-mini',
+                    response: { assistant: 'Real answer', reasoning: null },
+                }),
+            ]);
+
+            // Exported fixtures replay under the mock model
+            const replayer = new MockProvider({ fixtureStore: new MemoryFixtureStore(fixtureStore.toJSON()) });
+            expect((await replayer.completion(messages, { model: 'mock' })).assistant).toBe('Real answer');
+        });
+
+        it('should record the assembled response of a stream', async () => {
+            const delegate = {
+                providerType: 'openai',
+                async *completionStream() {
+                    yield { assistant: 'Hel', reasoning: null };
+                    yield { assistant: 'lo', reasoning: null };
+                },
+            };
+            const fixtureStore = new MemoryFixtureStore();
+            const recorder = new MockProvider({ mode: 'record', delegate, fixtureStore });
+
+            const deltas = [];
+            for await (const delta of recorder.completionStream(messages, { model: 'gpt-5-mini' })) {
+                deltas.push(delta.assistant);
+            }
+
+            expect(deltas).toEqual(['Hel', 'lo']);
+            expect((await fixtureStore.get(await hashPrompt(messages))).response.assistant).toBe('Hello');
+        });
+
+        it('should pass delegate errors through without saving', async () => {
+            const error = Object.assign(new Error('Rate limited'), { status: 429 });
+            const delegate = { providerType: 'openai', completion: vi.fn().mockRejectedValue(error) };
+            const fixtureStore = new MemoryFixtureStore();
+            const recorder = new MockProvider({ mode: 'record', delegate, fixtureStore });
+
+            await expect(recorder.completion(messages, { model: 'gpt-5-mini' })).rejects.toBe(error);
+            expect(fixtureStore.toJSON()).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { OpenAIProvider } from '../openai-provider.js';
+import { OpenRouterProvider } from '../openrouter-provider.js';
+import { DeepSeekProvider } from '../deepseek-provider.js';
+import { XaiProvider } from '../xai-provider.js';
+
+describe.each([
+    ['OpenAIProvider', OpenAIProvider],
+    ['OpenRouterProvider', OpenRouterProvider],
+    ['DeepSeekProvider', DeepSeekProvider],
+    ['XaiProvider', XaiProvider],
+])('%s normalizeResponse', (name, Provider) => {
+    const provider = new Provider({ endpoint: 'https://api.example.com/v1', apiKey: 'test-key' });
+
+    it('should throw a content filter error for filtered empty responses', () => {
+        const rawResponse = {
+            choices: [{ message: { content: null }, finish_reason: 'content_filter' }],
+        };
+
+        expect(() => provider.normalizeResponse(rawResponse)).toThrow(
+            expect.objectContaining({ contentFiltered: true }),
+        );
+    });
+
+    it('should keep the content of a partly filtered response', () => {
+        const rawResponse = {
+            choices: [{ message: { content: 'Hello' }, finish_reason: 'content_filter' }],
+        };
+
+        expect(provider.normalizeResponse(rawResponse)).toMatchObject({ assistant: 'Hello' });
+    });
+});
+
+describe.each([
+    ['OpenAIProvider', OpenAIProvider],
+    ['OpenRouterProvider', OpenRouterProvider],
+    ['DeepSeekProvider', DeepSeekProvider],
+    ['XaiProvider', XaiProvider],
+])('%s _buildRequestPayload', (name, Provider) => {
+    const provider = new Provider({ endpoint: 'https://api.example.com/v1', apiKey: 'test-key' });
+    const messages = [{ role: 'user', content: 'User message' }];
+
+    it('should send the sampling parameters from the profile', () => {
+        const payload = provider._buildRequestPayload(messages, { model: 'test-model', temperature: 0.3, top_p: 0.8 });
+
+        expect(payload.temperature).toBe(0.3);
+        expect(payload.top_p).toBe(0.8);
+    });
+
+    it('should leave top_p to the provider when unset', () => {
+        const payload = provider._buildRequestPayload(messages, { model: 'test-model' });
+
+        expect(payload).not.toHaveProperty('top_p');
+    });
+});
@@ -0,0 +1,421 @@
+import { BaseProvider } from './base-provider.js';
+import { FINISH_REASON } from '../../common/llm-errors.js';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Normalized stop reasons; others (e.g. tool_use, pause_turn) are reported as null
+const ANTHROPIC_FINISH_REASONS = {
+  end_turn: FINISH_REASON.stop,
+  stop_sequence: FINISH_REASON.stop,
+  max_tokens: FINISH_REASON.length,
+  refusal: FINISH_REASON.refusal,
+};
+
+// HTTP status equivalents for errors reported inside a stream, so they are retried like HTTP errors
+const STREAM_ERROR_STATUS = {
+  rate_limit_error: 429,
+  api_error: 500,
+  overloaded_error: 529,
+};
+
+/**
+ * Anthropic Messages API provider implementation.
+ * Talks to the REST API directly with fetch; the system prompt goes in the
+ * top-level `system` field and extended thinking is mapped from `reasoning`.
+ */
+export class AnthropicProvider extends BaseProvider {
+  constructor({ endpoint, apiKey, overrides }) {
+    super({
+      endpoint,
+      apiKey,
+      overrides,
+      providerType: 'anthropic',
+    });
+  }
+
+  /**
+   * Sends completion request to Anthropic.
+   *
+   * @param {Array<Object>} messages - Messages array with role and content
+   * @param {Object} params - Request parameters
+   * @param {string} params.model - Model identifier (e.g., 'claude-sonnet-4-5')
+   * @param {number} [params.temperature] - Sampling temperature (ignored when thinking is enabled)
+   * @param {number} [params.top_p] - Nucleus sampling parameter (ignored when thinking is enabled)
+   * @param {number} [params.max_tokens] - Maximum tokens to generate
+   * @param {string} [params.reasoning] - Reasoning mode ('minimal', 'low', 'medium', 'high')
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the HTTP request when cancelled
+   * @returns {Promise<Object>} Normalized response
+   */
+  async completion(messages, params, { signal } = {}) {
+    try {
+      const response = await this._post('/messages', this._buildRequestPayload(messages, params), signal);
+      const data = await response.json();
+
+      const normalized = this.normalizeResponse(data);
+      this.logInteraction(messages, normalized.assistant, normalized.reasoning);
+
+      return normalized;
+
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Streams a completion from Anthropic.
+   *
+   * @param {Array<Object>} messages - Messages array with role and content
+   * @param {Object} params - Request parameters, as for completion()
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the HTTP request when cancelled
+   * @returns {AsyncGenerator<Object>} Normalized deltas
+   */
+  async *completionStream(messages, params, { signal } = {}) {
+    let assistant = '';
+    let reasoning = '';
+    let rawUsage = null;
+    let stopReason = null;
+
+    try {
+      const payload = { ...this._buildRequestPayload(messages, params), stream: true };
+      const response = await this._post('/messages', payload, signal);
+
+      for await (const event of this._readServerSentEvents(response)) {
+        // Input usage comes with message_start, the final output count with message_delta
+        if (event.type === 'message_start' && event.message?.usage) {
+          rawUsage = { ...event.message.usage };
+        } else if (event.type === 'message_delta' && event.usage) {
+          rawUsage = { ...rawUsage, ...event.usage };
+        }
+
+        if (event.type === 'message_delta' && event.delta?.stop_reason) {
+          stopReason = event.delta.stop_reason;
+        }
+
+        if (event.type === 'error') {
+          throw this._createApiError(
+            event.error?.message || 'Stream error',
+            STREAM_ERROR_STATUS[event.error?.type],
+            null,
+          );
+        }
+
+        const delta = this.normalizeStreamChunk(event);
+        if (!delta) {
+          continue;
+        }
+
+        assistant += delta.assistant;
+        reasoning += delta.reasoning || '';
+        yield delta;
+      }
+    } catch (error) {
+      throw this.handleError(error);
+    }
+
+    if (rawUsage || stopReason) {
+      yield {
+        assistant: '',
+        reasoning: null,
+        usage: this.normalizeUsage(rawUsage),
+        finishReason: ANTHROPIC_FINISH_REASONS[stopReason] ?? null,
+      };
+    }
+
+    this.logInteraction(messages, assistant, reasoning || null);
+  }
+
+  /**
+   * Fetches available models from Anthropic API.
+   *
+   * @returns {Promise<Array<Object>>} Array of model configs
+   */
+  async getAvailableModels() {
+    try {
+      const response = await this._request('GET', '/models?limit=1000');
+      const data = await response.json();
+
+      return (data.data || []).map(model => ({
+        provider: 'anthropic',
+        id: `anthropic-${model.id}`,  // Prefix to ensure uniqueness
+        model: model.id,
+        label: model.display_name || model.id,
+      }));
+
+    } catch (error) {
+      console.error('[Anthropic] Failed to fetch models:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Builds the Messages API payload shared by completion() and completionStream().
+   *
+   * @param {Array<Object>} messages - Messages array with role and content
+   * @param {Object} params - Request parameters
+   * @returns {Object} Request payload
+   * @private
+   */
+  _buildRequestPayload(messages, params) {
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+
+    const requestPayload = {
+      model: params.model,
+      messages: messages.filter(m => m.role !== 'system'),
+      max_tokens: params.max_tokens ?? 4096,
+    };
+
+    // The system prompt is the stable prefix of a run; mark it so later requests read it from the cache
+    if (this.isCacheablePrompt(system, params)) {
+      requestPayload.system = [{ type: 'text', text: system, cache_control: { type: 'ephemeral' } }];
+    } else if (system) {
+      requestPayload.system = system;
+    }
+
+    const thinkingBudget = this._mapReasoningToThinkingBudget(params.reasoning);
+
+    if (thinkingBudget !== null) {
+      requestPayload.thinking = {
+        type: 'enabled',
+        budget_tokens: thinkingBudget,
+      };
+
+      // Thinking counts towards max_tokens; keep the requested room for the answer itself
+      requestPayload.max_tokens += thinkingBudget;
+    } else {
+      // Sampling parameters are only allowed without extended thinking
+      if (params.temperature !== undefined) {
+        requestPayload.temperature = params.temperature;
+      }
+
+      if (params.top_p !== undefined) {
+        requestPayload.top_p = params.top_p;
+      }
+    }
+
+    return requestPayload;
+  }
+
+  /**
+   * Maps reasoning mode to Anthropic's extended thinking budget (token count).
+   *
+   * Budget allocation:
+   * - minimal: thinking disabled
+   * - low: 1024 (API minimum)
+   * - medium: 4096
+   * - high: 16384
+   *
+   * @param {string|undefined} reasoning - Reasoning config
+   * @returns {number|null} Thinking budget in tokens, or null if thinking is disabled
+   * @private
+   */
+  _mapReasoningToThinkingBudget(reasoning) {
+    if (reasoning === undefined || reasoning === 'minimal') {
+      return null;
+    }
+
+    const budgetMap = {
+      low: 1024,
+      medium: 4096,
+      high: 16384,
+    };
+
+    const budget = budgetMap[reasoning];
+
+    if (budget === undefined) {
+      console.warn(`[Anthropic] Unknown reasoning mode: ${reasoning}, thinking disabled`);
+      return null;
+    }
+
+    return budget;
+  }
+
+  /**
+   * Sends a JSON POST request to the API.
+   * @private
+   */
+  _post(path, body, signal) {
+    return this._request('POST', path, body, signal);
+  }
+
+  /**
+   * Sends a request to the API and throws an error carrying status and headers on failure.
+   *
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the endpoint, e.g. '/messages'
+   * @param {Object} [body] - JSON body
+   * @param {AbortSignal} [signal] - Aborts the request
+   * @returns {Promise<Response>} Successful response
+   * @private
+   */
+  async _request(method, path, body, signal) {
+    const url = new URL(`${this.endpoint}${path}`);
+    for (const [name, value] of Object.entries(this.query)) {
+      url.searchParams.set(name, value);
+    }
+
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'content-type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+        // Required for requests that carry an Origin header, as extension requests do
+        'anthropic-dangerous-direct-browser-access': 'true',
+        ...this.headers,
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal,
+    });
+
+    if (!response.ok) {
+      let message = `${response.status} ${response.statusText}`;
+      try {
+        const data = await response.json();
+        message = data.error?.message || message;
+      } catch {
+        // Non-JSON error body; keep the status text
+      }
+      throw this._createApiError(message, response.status, response.headers);
+    }
+
+    return response;
+  }
+
+  /**
+   * Creates an error shaped like the SDK errors handled by handleError() and the retry policy.
+   * @private
+   */
+  _createApiError(message, status, headers) {
+    const error = new Error(message);
+    error.status = status;
+    error.headers = headers;
+    return error;
+  }
+
+  /**
+   * Parses a server-sent events response body into JSON event objects.
+   *
+   * @param {Response} response - Streaming fetch response
+   * @returns {AsyncGenerator<Object>} Parsed `data:` payloads
+   * @private
+   */
+  async *_readServerSentEvents(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+          const rawEvent = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary + 2);
+
+          const data = rawEvent
+            .split('\n')
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trimStart())
+            .join('\n');
+
+          if (data) {
+            yield JSON.parse(data);
+          }
+        }
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+
+  /**
+   * Normalizes Anthropic response to standard format.
+   * Text blocks form the answer; thinking blocks are joined into reasoning.
+   *
+   * @param {Object} rawResponse - Raw Messages API response
+   * @returns {Object} Normalized response: { assistant, reasoning, usage, finishReason }
+   */
+  normalizeResponse(rawResponse) {
+    const content = rawResponse.content;
+
+    if (!Array.isArray(content)) {
+      throw new Error('Invalid response: no content returned from Anthropic');
+    }
+
+    const assistant = content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    if (rawResponse.stop_reason === 'refusal' && !assistant) {
+      throw this.createContentFilterError('refusal');
+    }
+
+    if (rawResponse.stop_reason === 'max_tokens' && !assistant) {
+      throw this.createTruncatedError('max_tokens');
+    }
+
+    const thinkingBlocks = content.filter(block => block.type === 'thinking');
+    const reasoning = thinkingBlocks.length > 0
+                      ? thinkingBlocks.map(block => block.thinking).join('\n')
+                      : null;
+
+    return {
+      assistant,
+      reasoning,
+      usage: this.normalizeUsage(rawResponse.usage),
+      finishReason: ANTHROPIC_FINISH_REASONS[rawResponse.stop_reason] ?? null,
+    };
+  }
+
+  /**
+   * Normalizes Anthropic usage. `input_tokens` excludes prompt cache reads and writes,
+   * so they are added back to get the full input count.
+   *
+   * @param {Object|undefined} usage - Raw usage object
+   * @returns {Object|null} Usage: { inputTokens, outputTokens, reasoningTokens, cachedTokens }, or null if not reported
+   */
+  normalizeUsage(usage) {
+    if (!usage) {
+      return null;
+    }
+
+    const cachedTokens = usage.cache_read_input_tokens ?? 0;
+
+    return {
+      inputTokens: (usage.input_tokens ?? 0) + cachedTokens + (usage.cache_creation_input_tokens ?? 0),
+      outputTokens: usage.output_tokens ?? 0,
+      reasoningTokens: 0,  // Thinking tokens are billed as output and not reported separately
+      cachedTokens,
+    };
+  }
+
+  /**
+   * Normalizes one streaming event to a delta.
+   * Only content_block_delta events carry text or thinking.
+   *
+   * @param {Object} event - Parsed stream event
+   * @returns {Object|null} Delta: { assistant: string, reasoning: string | null }, or null if empty
+   */
+  normalizeStreamChunk(event) {
+    if (event.type !== 'content_block_delta') {
+      return null;
+    }
+
+    if (event.delta?.type === 'text_delta') {
+      return { assistant: event.delta.text || '', reasoning: null };
+    }
+
+    if (event.delta?.type === 'thinking_delta') {
+      return { assistant: '', reasoning: event.delta.thinking || null };
+    }
+
+    return null;
+  }
+}
@@ -0,0 +1,127 @@
+import { AzureOpenAI } from 'openai';
+import { BaseProvider } from './base-provider.js';
+import { AZURE_DEFAULT_API_VERSION } from '../utils/provider-overrides.js';
+
+/**
+ * Azure OpenAI provider.
+ *
+ * The endpoint is the user's resource URL (e.g. https://my-resource.openai.azure.com) and
+ * models are addressed by deployment name: the SDK sends `params.model` as the deployment
+ * in the request path. Azure has no API listing deployments with an API key, so the
+ * model list is the deployment names entered in the provider's overrides.
+ */
+export class AzureOpenAIProvider extends BaseProvider {
+  constructor({ endpoint, apiKey, overrides }) {
+    super({
+      endpoint,
+      apiKey,
+      overrides,
+      providerType: 'azure',
+    });
+
+    this.deployments = overrides?.deployments ?? [];
+
+    this.client = new AzureOpenAI({
+      apiKey: this.apiKey,
+      endpoint: this.endpoint,
+      apiVersion: overrides?.apiVersion || AZURE_DEFAULT_API_VERSION,
+      maxRetries: 0, // Retries are handled by the coordinator's retry policy
+      defaultHeaders: this.headers,
+      defaultQuery: this.query,
+    });
+  }
+
+  /**
+   * Sends completion request to an Azure OpenAI deployment.
+   *
+   * @param {Array<Object>} messages - Messages array with role and content
+   * @param {Object} params - Request parameters
+   * @param {string} params.model - Deployment name
+   * @param {number} [params.temperature] - Sampling temperature
+   * @param {number} [params.top_p] - Nucleus sampling parameter
+   * @param {number} [params.max_tokens] - Maximum tokens to generate
+   * @param {string} [params.reasoning] - Reasoning effort level, for reasoning model deployments
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the HTTP request when cancelled
+   * @returns {Promise<Object>} Normalized response
+   */
+  async completion(messages, params, { signal } = {}) {
+    try {
+      const requestPayload = this._buildRequestPayload(messages, params);
+
+      const response = await this.client.chat.completions.create(requestPayload, { signal });
+
+      const normalized = this.normalizeResponse(response);
+      this.logInteraction(messages, normalized.assistant, normalized.reasoning);
+
+      return normalized;
+
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Streams a completion from an Azure OpenAI deployment.
+   *
+   * @param {Array<Object>} messages - Messages array with role and content
+   * @param {Object} params - Request parameters, as for completion()
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the HTTP request when cancelled
+   * @returns {AsyncGenerator<Object>} Normalized deltas
+   */
+  completionStream(messages, params, { signal } = {}) {
+    return this.streamChatCompletion(this._buildRequestPayload(messages, params), messages, signal);
+  }
+
+  /**
+   * Builds the chat completion payload shared by completion() and completionStream().
+   *
+   * @param {Array<Object>} messages - Messages array with role and content
+   * @param {Object} params - Request parameters
+   * @returns {Object} Request payload
+   * @private
+   */
+  _buildRequestPayload(messages, params) {
+    const requestPayload = {
+      model: params.model,
+      messages: messages,
+      // Reasoning model deployments reject max_tokens
+      max_completion_tokens: params.max_tokens ?? 4096,
+    };
+
+    if (params.temperature !== undefined) {
+      requestPayload.temperature = params.temperature;
+    }
+
+    if (params.top_p !== undefined) {
+      requestPayload.top_p = params.top_p;
+    }
+
+    if (params.reasoning && params.reasoning !== 'minimal') {
+      requestPayload.reasoning_effort = params.reasoning;
+    }
+
+    // Constrain the output to the stage's JSON schema
+    const responseFormat = this.buildResponseFormat(params);
+    if (responseFormat) {
+      requestPayload.response_format = responseFormat;
+    }
+
+    return requestPayload;
+  }
+
+  /**
+   * Lists the configured deployments as models.
+   *
+   * @returns {Promise<Array<Object>>} Array of model configs
+   */
+  async getAvailableModels() {
+    return this.deployments.map(deployment => ({
+      provider: 'azure',
+      id: `azure-${deployment}`,
+      model: deployment,
+      label: deployment,
+    }));
+  }
+}
@@ -1,4 +1,18 @@
+import { APIUserAbortError } from 'openai';
 import { log } from "../../common/logger.js";
+import { estimateTokens } from '../utils/token-budget.js';
+import { getErrorCode } from '../utils/retry-policy.js';
+import { FINISH_REASON } from '../../common/llm-errors.js';
+
+// Providers only cache prompt prefixes of at least this many tokens
+export const PROMPT_CACHE_MIN_TOKENS = 1024;
+
+// OpenAI-compatible finish reasons; others (e.g. tool_calls) are reported as null
+const OPENAI_FINISH_REASONS = {
+  stop: FINISH_REASON.stop,
+  length: FINISH_REASON.length,
+  content_filter: FINISH_REASON.content_filter,
+};
 
 /**
  * Abstract base class for all LLM providers.
@@ -15,8 +29,10 @@ export class BaseProvider {
    * @param {string} config.endpoint - API endpoint URL
    * @param {string} config.apiKey - API key for authentication
    * @param {string} config.providerType - Provider type identifier
+   * @param {Object} [config.overrides] - User overrides from getProviderOverrides(): extra headers
+   *   and query params are sent with every request
    */
-  constructor({ endpoint, apiKey, providerType }) {
+  constructor({ endpoint, apiKey, providerType, overrides }) {
     if (new.target === BaseProvider) {
       throw new Error('BaseProvider is abstract and cannot be instantiated directly');
     }
@@ -24,6 +40,8 @@ export class BaseProvider {
     this.endpoint = endpoint;
     this.apiKey = apiKey;
     this.providerType = providerType;
+    this.headers = overrides?.headers ?? {};
+    this.query = overrides?.query ?? {};
 
     // Subclasses should initialize their SDK client here
     // Example: this.client = new OpenAI({ apiKey, baseURL: endpoint });
@@ -35,13 +53,30 @@ export class BaseProvider {
    *
    * @param {Array<Object>} messages - Array of message objects with role and content
    * @param {Object} params - Request parameters (model, temperature, max_tokens, etc.)
-   * @returns {Promise<Object>} Normalized response: { assistant: string, reasoning: string | null }
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the HTTP request when cancelled
+   * @returns {Promise<Object>} Normalized response: { assistant: string, reasoning: string | null, usage: Object | null }
    * @throws {Error} If not implemented or if request fails
    */
-  async completion(messages, params) {
+  async completion(messages, params, options = {}) {
     throw new Error('completion() must be implemented by subclass');
   }
 
+  /**
+   * Streams a completion from the LLM as a sequence of deltas.
+   * The default implementation waits for completion() and yields the whole
+   * result once, so providers without streaming support still work.
+   *
+   * @param {Array<Object>} messages - Array of message objects with role and content
+   * @param {Object} params - Request parameters (model, temperature, max_tokens, etc.)
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the HTTP request when cancelled
+   * @returns {AsyncGenerator<Object>} Deltas: { assistant: string, reasoning: string | null }
+   */
+  async *completionStream(messages, params, options = {}) {
+    yield await this.completion(messages, params, options);
+  }
+
   /**
    * Fetches available models from provider API.
    * Optional method - providers without /models endpoint can skip implementation.
@@ -61,7 +96,8 @@ export class BaseProvider {
    * Can be overridden by subclasses for provider-specific extraction logic.
    *
    * @param {Object} rawResponse - The raw response from the provider's SDK
-   * @returns {Object} Normalized response: { assistant: string, reasoning: string | null }
+   * @returns {Object} Normalized response:
+   *   { assistant: string, reasoning: string | null, usage: Object | null, finishReason: string | null }
    * @protected
    */
   normalizeResponse(rawResponse) {
@@ -71,12 +107,199 @@ export class BaseProvider {
       throw new Error('Invalid response: no choices returned');
     }
 
+    if (choice.finish_reason === 'content_filter' && !choice.message?.content) {
+      throw this.createContentFilterError('content_filter');
+    }
+
+    if (choice.finish_reason === 'length' && !choice.message?.content) {
+      throw this.createTruncatedError('length');
+    }
+
     return {
       assistant: choice.message?.content || '',
       reasoning: choice.message?.reasoning || null,
+      usage: this.normalizeUsage(rawResponse.usage),
+      finishReason: this.getFinishReason(choice),
+    };
+  }
+
+  /**
+   * Gets the normalized finish reason of an OpenAI-compatible choice.
+   * A refusal is reported in `message.refusal` (or `delta.refusal` when streaming) with finish reason `stop`.
+   *
+   * @param {Object} choice - Choice of a response, or of a stream chunk
+   * @returns {string|null} One of FINISH_REASON, or null if not reported
+   * @protected
+   */
+  getFinishReason(choice) {
+    if (choice?.message?.refusal || choice?.delta?.refusal) {
+      return FINISH_REASON.refusal;
+    }
+    return OPENAI_FINISH_REASONS[choice?.finish_reason] ?? null;
+  }
+
+  /**
+   * Normalizes reported token usage to the standard format.
+   * Default implementation for OpenAI-compatible `usage` objects.
+   * Input tokens include cached tokens; output tokens include reasoning tokens.
+   *
+   * @param {Object|undefined} usage - Raw usage object from the provider
+   * @returns {Object|null} Usage: { inputTokens, outputTokens, reasoningTokens, cachedTokens }, or null if not reported
+   * @protected
+   */
+  normalizeUsage(usage) {
+    if (!usage) {
+      return null;
+    }
+
+    return {
+      inputTokens: usage.prompt_tokens ?? 0,
+      outputTokens: usage.completion_tokens ?? 0,
+      reasoningTokens: usage.completion_tokens_details?.reasoning_tokens ?? 0,
+      // DeepSeek reports cache hits as prompt_cache_hit_tokens
+      cachedTokens: usage.prompt_tokens_details?.cached_tokens ?? usage.prompt_cache_hit_tokens ?? 0,
+    };
+  }
+
+  /**
+   * Normalizes one chunk of a streamed response to a delta.
+   * Can be overridden by subclasses whose reasoning field differs.
+   *
+   * @param {Object} chunk - A chunk from an OpenAI-compatible stream
+   * @returns {Object|null} Delta: { assistant: string, reasoning: string | null }, or null if empty
+   * @protected
+   */
+  normalizeStreamChunk(chunk) {
+    // Default implementation for OpenAI-compatible streams
+    const delta = chunk.choices?.[0]?.delta;
+    if (!delta) {
+      return null;
+    }
+
+    return {
+      assistant: delta.content || '',
+      reasoning: delta.reasoning || null,
+    };
+  }
+
+  /**
+   * Streams an OpenAI-compatible chat completion and yields normalized deltas.
+   * Helper for subclasses that hold an OpenAI SDK client in this.client.
+   * Logs the full interaction once the stream ends. Token usage is requested from the provider
+   * and yielded last, with the finish reason, as a delta without text:
+   * { assistant: '', reasoning: null, usage, finishReason }.
+   *
+   * @param {Object} requestPayload - Chat completion payload (without the stream flag)
+   * @param {Array<Object>} messages - The messages sent, for logging
+   * @param {AbortSignal} [signal] - Aborts the HTTP request when cancelled
+   * @returns {AsyncGenerator<Object>} Deltas: { assistant: string, reasoning: string | null }
+   * @protected
+   */
+  async *streamChatCompletion(requestPayload, messages, signal) {
+    let assistant = '';
+    let reasoning = '';
+    let usage = null;
+    let finishReason = null;
+
+    try {
+      const stream = await this.client.chat.completions.create({
+        ...requestPayload,
+        stream: true,
+        stream_options: { include_usage: true },
+      }, { signal });
+
+      for await (const chunk of stream) {
+        // Usage arrives on the final chunk, which has no choices
+        if (chunk.usage) {
+          usage = this.normalizeUsage(chunk.usage);
+        }
+
+        // A refusal streams as text in delta.refusal, and the stream still ends with `stop`
+        const choice = chunk.choices?.[0];
+        if (finishReason !== FINISH_REASON.refusal && (choice?.finish_reason || choice?.delta?.refusal)) {
+          finishReason = this.getFinishReason(choice);
+        }
+
+        const delta = this.normalizeStreamChunk(chunk);
+        if (!delta || (!delta.assistant && !delta.reasoning)) {
+          continue;
+        }
+
+        assistant += delta.assistant;
+        reasoning += delta.reasoning || '';
+        yield delta;
+      }
+    } catch (error) {
+      throw this.handleError(error);
+    }
+
+    if (usage || finishReason) {
+      yield { assistant: '', reasoning: null, usage, finishReason };
+    }
+
+    this.logInteraction(messages, assistant, reasoning || null);
+  }
+
+  /**
+   * Gets the JSON schema the response should follow, if the request declares one.
+   * Requests flagged with `structuredOutput: false` (models whose metadata lists no
+   * JSON output mode) answer free-form instead, and the caller parses the JSON out of the text.
+   *
+   * @param {Object} params - Request parameters
+   * @returns {Object|null} Schema: { name, schema }, or null for free-form output
+   * @protected
+   */
+  getResponseSchema(params) {
+    if (!params.response_schema || params.structuredOutput === false) {
+      return null;
+    }
+    return params.response_schema;
+  }
+
+  /**
+   * Builds the OpenAI-compatible `response_format` for structured outputs.
+   * Helper for subclasses whose API supports JSON schemas.
+   *
+   * @param {Object} params - Request parameters
+   * @returns {Object|null} response_format payload, or null for free-form output
+   * @protected
+   */
+  buildResponseFormat(params) {
+    const responseSchema = this.getResponseSchema(params);
+    if (!responseSchema) {
+      return null;
+    }
+
+    return {
+      type: 'json_schema',
+      json_schema: {
+        name: responseSchema.name,
+        schema: responseSchema.schema,
+        strict: true,
+      },
     };
   }
 
+  /**
+   * Checks whether a prompt prefix is worth marking for caching.
+   * Shorter prefixes are not cached by the providers, and models configured
+   * with `promptCache: false` are never marked.
+   *
+   * @param {string} text - Prompt text, usually the system prompt
+   * @param {Object} params - Request parameters
+   * @param {number} [minTokens] - Smallest prefix the provider caches
+   * @returns {boolean} True if the prompt should carry a cache marker
+   * @protected
+   */
+  isCacheablePrompt(text, params, minTokens = PROMPT_CACHE_MIN_TOKENS) {
+    if (!text || params.promptCache === false) {
+      return false;
+    }
+
+    // estimateTokens() also counts an equally long completion
+    return estimateTokens([{ content: text }]) / 2 >= minTokens;
+  }
+
   /**
    * Builds the messages array in the standard format.
    * Helper method for subclasses.
@@ -150,12 +373,25 @@ export class BaseProvider {
 
   /**
    * Handles errors from provider SDKs and normalizes them.
+   * The normalized error carries its `code` (see LLM_ERROR_CODE), which is sent to the content script.
    *
    * @param {Error} error - The error from the SDK
    * @returns {Error} A normalized error with consistent message format
    * @protected
    */
   handleError(error) {
+    // Cancellation is expected, not a failure
+    if (this.isAbortError(error)) {
+      log(`[${this.providerType}] Request aborted`);
+
+      const cancelledError = new Error('Request cancelled');
+      cancelledError.originalError = error;
+      cancelledError.provider = this.providerType;
+      cancelledError.cancelled = true;
+
+      return cancelledError;
+    }
+
     console.error(`[${this.providerType}] Request failed:`, error);
 
     // Extract meaningful error message
@@ -172,11 +408,63 @@ export class BaseProvider {
       errorMessage = `Network error: Cannot reach ${this.providerType} endpoint`;
     }
 
-    // Create new error with normalized message
-    const normalizedError = new Error(errorMessage);
+    return this.createNormalizedError(errorMessage, error);
+  }
+
+  /**
+   * Wraps an SDK error in an error with a readable message and its error code.
+   *
+   * @param {string} message - Message shown to the user
+   * @param {Error} error - The error from the SDK
+   * @returns {Error} Error with `code`, `originalError` and `provider` set
+   * @protected
+   */
+  createNormalizedError(message, error) {
+    const normalizedError = new Error(message);
     normalizedError.originalError = error;
     normalizedError.provider = this.providerType;
+    normalizedError.code = getErrorCode(error);
 
     return normalizedError;
   }
+
+  /**
+   * Creates the error thrown when a provider blocks a response, so it can be told apart
+   * from other failures (e.g. to try a fallback model).
+   *
+   * @param {string} reason - Provider's block / finish reason
+   * @returns {Error} Error with `contentFiltered` set
+   * @protected
+   */
+  createContentFilterError(reason) {
+    const error = new Error(`Response blocked by ${this.providerType} content filter (${reason})`);
+    error.contentFiltered = true;
+    return error;
+  }
+
+  /**
+   * Creates the error thrown when a response has no answer because the output token limit
+   * was reached first, e.g. by a reasoning model spending it all on thinking.
+   *
+   * @param {string} reason - Provider's finish reason
+   * @returns {Error} Error with `truncated` set
+   * @protected
+   */
+  createTruncatedError(reason) {
+    const error = new Error(`Response from ${this.providerType} cut off at the output token limit before any answer (${reason})`);
+    error.truncated = true;
+    return error;
+  }
+
+  /**
+   * Checks whether an error was caused by aborting the request's signal.
+   * The OpenAI SDK throws APIUserAbortError, fetch-based SDKs throw a DOMException named AbortError.
+   *
+   * @param {Error} error - The error from the SDK
+   * @returns {boolean} True if the request was aborted
+   * @protected
+   */
+  isAbortError(error) {
+    return error instanceof APIUserAbortError || error?.name === 'AbortError';
+  }
 }
@@ -0,0 +1,158 @@
+import OpenAI from 'openai';
+import { BaseProvider } from './base-provider.js';
+
+/**
+ * Custom provider for any OpenAI-compatible server, such as a local
+ * Ollama, llama.cpp, LM Studio or vLLM instance.
+ * The base URL is user-supplied and the API key is optional.
+ */
+export class CustomProvider extends BaseProvider {
+  constructor({ endpoint, apiKey, overrides }) {
+    super({
+      endpoint,
+      apiKey,
+      overrides,
+      providerType: 'custom',
+    });
+
+    this.client = new OpenAI({
+      // The SDK requires a key; local servers ignore the Authorization header
+      apiKey: this.apiKey || 'not-needed',
+      baseURL: this.endpoint,
+      maxRetries: 0, // Retries are handled by the coordinator's retry policy
+      defaultHeaders: this.headers,
+      defaultQuery: this.query,
+    });
+  }
+
+  /**
+   * Sends completion request to the custom server.
+   *
+   * @param {Array<Object>} messages - Messages array with role and content
+   * @param {Object} params - Request parameters
+   * @param {string} params.model - Model identifier, as listed by the server
+   * @param {number} [params.temperature] - Sampling temperature
+   * @param {number} [params.top_p] - Nucleus sampling parameter
+   * @param {number} [params.max_tokens] - Maximum tokens to generate
+   * @param {string} [params.reasoning] - Reasoning effort level, for servers that support it
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the HTTP request when cancelled
+   * @returns {Promise<Object>} Normalized response
+   */
+  async completion(messages, params, { signal } = {}) {
+    try {
+      const requestPayload = this._buildRequestPayload(messages, params);
+
+      const response = await this.client.chat.completions.create(requestPayload, { signal });
+
+      const normalized = this.normalizeResponse(response);
+      this.logInteraction(messages, normalized.assistant, normalized.reasoning);
+
+      return normalized;
+
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Streams a completion from the custom server.
+   *
+   * @param {Array<Object>} messages - Messages array with role and content
+   * @param {Object} params - Request parameters, as for completion()
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the HTTP request when cancelled
+   * @returns {AsyncGenerator<Object>} Normalized deltas
+   */
+  completionStream(messages, params, { signal } = {}) {
+    return this.streamChatCompletion(this._buildRequestPayload(messages, params), messages, signal);
+  }
+
+  /**
+   * Builds the chat completion payload shared by completion() and completionStream().
+   * Only widely supported fields are sent, since servers differ in what they accept.
+   *
+   * @param {Array<Object>} messages - Messages array with role and content
+   * @param {Object} params - Request parameters
+   * @returns {Object} Request payload
+   * @private
+   */
+  _buildRequestPayload(messages, params) {
+    const requestPayload = {
+      model: params.model,
+      messages: messages,
+      max_tokens: params.max_tokens ?? 4096,
+    };
+
+    if (params.temperature !== undefined) {
+      requestPayload.temperature = params.temperature;
+    }
+
+    if (params.top_p !== undefined) {
+      requestPayload.top_p = params.top_p;
+    }
+
+    if (params.reasoning && params.reasoning !== 'minimal') {
+      requestPayload.reasoning_effort = params.reasoning;
+    }
+
+    return requestPayload;
+  }
+
+  /**
+   * Fetches the models served by the custom server from /models.
+   *
+   * @returns {Promise<Array<Object>>} Array of model configs
+   */
+  async getAvailableModels() {
+    try {
+      const response = await this.client.models.list();
+
+      return response.data.map(model => ({
+        provider: 'custom',
+        id: `custom-${model.id}`,  // Prefix to ensure uniqueness
+        model: model.id,
+        label: model.id,
+      }));
+
+    } catch (error) {
+      console.error('[Custom] Failed to fetch models:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Normalizes a custom server response.
+   * vLLM and llama.cpp return reasoning as `reasoning_content`, Ollama as `reasoning`.
+   *
+   * @param {Object} rawResponse - Raw chat completion response
+   * @returns {Object} Normalized response: { assistant, reasoning, usage, finishReason }
+   */
+  normalizeResponse(rawResponse) {
+    const normalized = super.normalizeResponse(rawResponse);
+    const message = rawResponse.choices[0].message;
+
+    return {
+      ...normalized,
+      reasoning: normalized.reasoning || message?.reasoning_content || null,
+    };
+  }
+
+  /**
+   * Normalizes one streaming chunk, accepting either reasoning field.
+   *
+   * @param {Object} chunk - A chunk from an OpenAI-compatible stream
+   * @returns {Object|null} Delta: { assistant: string, reasoning: string | null }, or null if empty
+   */
+  normalizeStreamChunk(chunk) {
+    const delta = super.normalizeStreamChunk(chunk);
+    if (!delta) {
+      return null;
+    }
+
+    return {
+      assistant: delta.assistant,
+      reasoning: delta.reasoning || chunk.choices[0].delta.reasoning_content || null,
+    };
+  }
+}
@@ -5,16 +5,20 @@ import { BaseProvider } from './base-provider.js';
  * DeepSeek provider implementation.
  */
 export class DeepSeekProvider extends BaseProvider {
-  constructor({ endpoint, apiKey }) {
+  constructor({ endpoint, apiKey, overrides }) {
     super({
       endpoint,
       apiKey,
+      overrides,
       providerType: 'deepseek',
     });
 
     this.client = new OpenAI({
       apiKey: this.apiKey,
       baseURL: this.endpoint,
+      maxRetries: 0, // Retries are handled by the coordinator's retry policy
+      defaultHeaders: this.headers,
+      defaultQuery: this.query,
     });
   }
 
@@ -28,18 +32,15 @@ export class DeepSeekProvider extends BaseProvider {
    * @param {number} [params.top_p] - Nucleus sampling parameter
    * @param {number} [params.max_tokens] - Maximum tokens to generate
    * @param {boolean|number} [params.reasoning] - Reasoning configuration
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the HTTP request when cancelled
    * @returns {Promise<Object>} Normalized response
    */
-  async completion(messages, params) {
+  async completion(messages, params, { signal } = {}) {
     try {
-      const requestPayload = {
-        model: params.model,
-        messages: messages,
-        temperature: params.temperature ?? 1.0,
-        max_tokens: params.max_tokens ?? 4096,
-      };
+      const requestPayload = this._buildRequestPayload(messages, params);
 
-      const response = await this.client.chat.completions.create(requestPayload);
+      const response = await this.client.chat.completions.create(requestPayload, { signal });
 
       const normalized = this.normalizeResponse(response);
       this.logInteraction(messages, normalized.assistant, normalized.reasoning);
@@ -51,12 +52,48 @@ export class DeepSeekProvider extends BaseProvider {
     }
   }
 
+  /**
+   * Streams a completion from DeepSeek.
+   *
+   * @param {Array<Object>} messages - Messages array with role and content
+   * @param {Object} params - Request parameters, as for completion()
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the HTTP request when cancelled
+   * @returns {AsyncGenerator<Object>} Normalized deltas
+   */
+  completionStream(messages, params, { signal } = {}) {
+    return this.streamChatCompletion(this._buildRequestPayload(messages, params), messages, signal);
+  }
+
+  /**
+   * Builds the chat completion payload shared by completion() and completionStream().
+   *
+   * @param {Array<Object>} messages - Messages array with role and content
+   * @param {Object} params - Request parameters
+   * @returns {Object} Request payload
+   * @private
+   */
+  _buildRequestPayload(messages, params) {
+    const requestPayload = {
+      model: params.model,
+      messages: messages,
+      temperature: params.temperature ?? 1.0,
+      max_tokens: params.max_tokens ?? 4096,
+    };
+
+    if (params.top_p !== undefined) {
+      requestPayload.top_p = params.top_p;
+    }
+
+    return requestPayload;
+  }
+
   /**
    * Normalizes DeepSeek response.
    * DeepSeek returns reasoning in reasoning_content field.
    *
    * @param {Object} rawResponse - Raw response from DeepSeek
-   * @returns {Object} Normalized response: { assistant: string, reasoning: string | null }
+   * @returns {Object} Normalized response: { assistant, reasoning, usage, finishReason }
    */
   normalizeResponse(rawResponse) {
     if (!rawResponse.choices || rawResponse.choices.length === 0) {
@@ -70,9 +107,38 @@ export class DeepSeekProvider extends BaseProvider {
       throw new Error('Invalid response: no message in choice');
     }
 
+    if (choice.finish_reason === 'content_filter' && !message.content) {
+      throw this.createContentFilterError('content_filter');
+    }
+
+    if (choice.finish_reason === 'length' && !message.content) {
+      throw this.createTruncatedError('length');
+    }
+
     return {
       assistant: message.content || '',
       reasoning: message.reasoning_content || null,
+      usage: this.normalizeUsage(rawResponse.usage),
+      finishReason: this.getFinishReason(choice),
+    };
+  }
+
+  /**
+   * Normalizes one chunk of a DeepSeek stream.
+   * Reasoning arrives in the reasoning_content field, as in full responses.
+   *
+   * @param {Object} chunk - Stream chunk from DeepSeek
+   * @returns {Object|null} Delta: { assistant: string, reasoning: string | null }
+   */
+  normalizeStreamChunk(chunk) {
+    const delta = chunk.choices?.[0]?.delta;
+    if (!delta) {
+      return null;
+    }
+
+    return {
+      assistant: delta.content || '',
+      reasoning: delta.reasoning_content || null,
     };
   }
 }
@@ -1,19 +1,40 @@
 import { GoogleGenAI } from '@google/genai';
 import { BaseProvider } from './base-provider.js';
+import { FINISH_REASON, LLM_ERROR_CODE } from '../../common/llm-errors.js';
+
+// Finish reasons for candidates withheld by Gemini's safety and policy filters
+const BLOCKED_FINISH_REASONS = ['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'IMAGE_SAFETY'];
+
+// Smallest system prompt put in cached content; the larger Gemini models cache nothing shorter
+const CACHED_CONTENT_MIN_TOKENS = 4096;
+
+// Lifetime of cached content; long enough for the next chunks of a run to reuse it
+const CACHED_CONTENT_TTL_SECONDS = 300;
 
 /**
  * Google Gemini provider implementation.
  *
  */
 export class GoogleProvider extends BaseProvider {
-  constructor({ endpoint, apiKey }) {
+  constructor({ endpoint, apiKey, overrides }) {
     super({
       endpoint,
       apiKey,
+      overrides,
       providerType: 'google',
     });
 
-    this.ai = new GoogleGenAI({ apiKey: this.apiKey });
+    // The SDK takes no default query params, so only a base URL and headers can be overridden
+    this.ai = new GoogleGenAI({
+      apiKey: this.apiKey,
+      httpOptions: {
+        baseUrl: overrides?.baseUrl || undefined,
+        headers: this.headers,
+      },
+    });
+
+    // `${model}\n${systemInstruction}` -> { name: Promise<string|null>, expiresAt }
+    this.cachedContents = new Map();
   }
 
   /**
@@ -26,44 +47,170 @@ export class GoogleProvider extends BaseProvider {
    * @param {number} [params.top_p] - Nucleus sampling parameter
    * @param {number} [params.max_tokens] - Maximum tokens to generate
    * @param {string} [params.reasoning] - Reasoning mode ('minimal', 'low', 'medium', 'high')
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the HTTP request when cancelled
    * @returns {Promise<Object>} Normalized response
    */
-  async completion(messages, params) {
+  async completion(messages, params, { signal } = {}) {
     try {
-      const systemInstruction = messages.find(m => m.role === 'system')?.content;
-      const userMessages = messages.filter(m => m.role !== 'system');
+      const response = await this.ai.models.generateContent(await this._buildRequest(messages, params, signal));
 
-      const contents = this._convertMessagesToGoogleFormat(userMessages);
+      const normalized = this.normalizeResponse(response);
+      this.logInteraction(messages, normalized.assistant, normalized.reasoning);
 
-      const config = {
-        maxOutputTokens: params.max_tokens ?? 4096,
-      };
+      return normalized;
 
-        if (systemInstruction) {
-        config.systemInstruction = systemInstruction;
-      }
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
 
-      const thinkingBudget = this._mapReasoningToThinkingBudget(params.reasoning);
-      if (thinkingBudget !== null) {
-        config.thinkingConfig = {
-          thinkingBudget: thinkingBudget,
-        };
-      }
+  /**
+   * Streams a completion from Google Gemini.
+   *
+   * @param {Array<Object>} messages - Messages array with role and content
+   * @param {Object} params - Request parameters, as for completion()
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the HTTP request when cancelled
+   * @returns {AsyncGenerator<Object>} Normalized deltas
+   */
+  async *completionStream(messages, params, { signal } = {}) {
+    let assistant = '';
+    let reasoning = '';
+    let usage = null;
+    let finishReason = null;
 
-      const response = await this.ai.models.generateContent({
-        model: params.model,
-        contents: contents,
-        config: config,
-      });
+    try {
+      const stream = await this.ai.models.generateContentStream(await this._buildRequest(messages, params, signal));
 
-      const normalized = this.normalizeResponse(response);
-      this.logInteraction(messages, normalized.assistant, normalized.reasoning);
+      for await (const chunk of stream) {
+        // Each chunk carries the usage so far; the last one is the total
+        if (chunk.usageMetadata) {
+          usage = this.normalizeUsage(chunk.usageMetadata);
+        }
 
-      return normalized;
+        if (chunk.candidates?.[0]?.finishReason) {
+          finishReason = this.getFinishReason(chunk.candidates[0]);
+        }
 
+        const delta = this.normalizeStreamChunk(chunk);
+        if (!delta) {
+          continue;
+        }
+
+        assistant += delta.assistant;
+        reasoning += delta.reasoning || '';
+        yield delta;
+      }
     } catch (error) {
       throw this.handleError(error);
     }
+
+    if (usage || finishReason) {
+      yield { assistant: '', reasoning: null, usage, finishReason };
+    }
+
+    this.logInteraction(messages, assistant, reasoning || null);
+  }
+
+  /**
+   * Builds the generateContent request shared by completion() and completionStream().
+   *
+   * @param {Array<Object>} messages - Messages array with role and content
+   * @param {Object} params - Request parameters
+   * @param {AbortSignal} [signal] - Aborts the HTTP request when cancelled
+   * @returns {Promise<Object>} Request: { model, contents, config }
+   * @private
+   */
+  async _buildRequest(messages, params, signal) {
+    const systemInstruction = messages.find(m => m.role === 'system')?.content;
+    const userMessages = messages.filter(m => m.role !== 'system');
+
+    const contents = this._convertMessagesToGoogleFormat(userMessages);
+
+    const config = {
+      maxOutputTokens: params.max_tokens ?? 4096,
+    };
+
+    if (params.temperature !== undefined) {
+      config.temperature = params.temperature;
+    }
+
+    if (params.top_p !== undefined) {
+      config.topP = params.top_p;
+    }
+
+    // A long system prompt is sent once as cached content and referenced by the following requests
+    const cachedContent = await this._getCachedContent(params.model, systemInstruction, params);
+    if (cachedContent) {
+      config.cachedContent = cachedContent;
+    } else if (systemInstruction) {
+      config.systemInstruction = systemInstruction;
+    }
+
+    if (signal) {
+      config.abortSignal = signal;
+    }
+
+    // Constrain the output to the stage's JSON schema
+    const responseSchema = this.getResponseSchema(params);
+    if (responseSchema) {
+      config.responseMimeType = 'application/json';
+      config.responseJsonSchema = responseSchema.schema;
+    }
+
+    const thinkingBudget = this._mapReasoningToThinkingBudget(params.reasoning);
+    if (thinkingBudget !== null) {
+      config.thinkingConfig = {
+        thinkingBudget: thinkingBudget,
+      };
+    }
+
+    return {
+      model: params.model,
+      contents: contents,
+      config: config,
+    };
+  }
+
+  /**
+   * Gets the cached content holding a system prompt, creating it on first use.
+   * Creation is shared by concurrent requests; if it fails (e.g. the model doesn't
+   * support caching) the prompt is sent inline until the entry expires.
+   *
+   * @param {string} model - Model identifier
+   * @param {string|undefined} systemInstruction - System prompt
+   * @param {Object} params - Request parameters
+   * @returns {Promise<string|null>} Cached content name, or null to send the prompt inline
+   * @private
+   */
+  async _getCachedContent(model, systemInstruction, params) {
+    if (!this.isCacheablePrompt(systemInstruction, params, CACHED_CONTENT_MIN_TOKENS)) {
+      return null;
+    }
+
+    const now = Date.now();
+    for (const [key, entry] of this.cachedContents) {
+      if (entry.expiresAt <= now) {
+        this.cachedContents.delete(key);
+      }
+    }
+
+    const key = `${model}\n${systemInstruction}`;
+    if (!this.cachedContents.has(key)) {
+      const name = this.ai.caches.create({
+        model,
+        config: { systemInstruction, ttl: `${CACHED_CONTENT_TTL_SECONDS}s` },
+      }).then(cache => cache.name ?? null, (error) => {
+        console.warn(`[Google] Could not create cached content, sending the prompt inline:`, error.message);
+        return null;
+      });
+
+      // Stop using it a minute early so no request names content that just expired
+      this.cachedContents.set(key, { name, expiresAt: now + (CACHED_CONTENT_TTL_SECONDS - 60) * 1000 });
+    }
+
+    return this.cachedContents.get(key).name;
   }
 
   /**
@@ -121,17 +268,27 @@ export class GoogleProvider extends BaseProvider {
    * Extracts both main content and thinking/reasoning parts.
    *
    * @param {Object} rawResponse - Raw response from @google/genai
-   * @returns {Object} Normalized response: { assistant: string, reasoning: string | null }
+   * @returns {Object} Normalized response: { assistant, reasoning, usage, finishReason }
    */
   normalizeResponse(rawResponse) {
     const candidate = rawResponse.candidates?.[0];
+    const blockReason = rawResponse.promptFeedback?.blockReason;
 
     if (!candidate) {
+      if (blockReason) {
+        throw this.createContentFilterError(blockReason);
+      }
       throw new Error('Invalid response: no candidates returned from Google');
     }
 
     const content = candidate.content;
     if (!content || !content.parts || content.parts.length === 0) {
+      if (BLOCKED_FINISH_REASONS.includes(candidate.finishReason)) {
+        throw this.createContentFilterError(candidate.finishReason);
+      }
+      if (candidate.finishReason === 'MAX_TOKENS') {
+        throw this.createTruncatedError(candidate.finishReason);
+      }
       throw new Error('Invalid response: no content parts returned');
     }
 
@@ -152,9 +309,77 @@ export class GoogleProvider extends BaseProvider {
     return {
       assistant: assistant || '',
       reasoning,
+      usage: this.normalizeUsage(rawResponse.usageMetadata),
+      finishReason: this.getFinishReason(candidate),
+    };
+  }
+
+  /**
+   * Gets the normalized finish reason of a Gemini candidate.
+   *
+   * @param {Object} candidate - Candidate of a response or stream chunk
+   * @returns {string|null} One of FINISH_REASON, or null if not reported
+   */
+  getFinishReason(candidate) {
+    const reason = candidate?.finishReason;
+
+    if (BLOCKED_FINISH_REASONS.includes(reason)) {
+      return FINISH_REASON.content_filter;
+    }
+    if (reason === 'MAX_TOKENS') {
+      return FINISH_REASON.length;
+    }
+    return reason === 'STOP' ? FINISH_REASON.stop : null;
+  }
+
+  /**
+   * Normalizes Gemini usageMetadata. Thinking tokens are reported separately
+   * from candidate tokens, so both count as output.
+   *
+   * @param {Object|undefined} usageMetadata - Raw usage metadata
+   * @returns {Object|null} Usage: { inputTokens, outputTokens, reasoningTokens, cachedTokens }, or null if not reported
+   */
+  normalizeUsage(usageMetadata) {
+    if (!usageMetadata) {
+      return null;
+    }
+
+    const reasoningTokens = usageMetadata.thoughtsTokenCount ?? 0;
+
+    return {
+      inputTokens: usageMetadata.promptTokenCount ?? 0,
+      outputTokens: (usageMetadata.candidatesTokenCount ?? 0) + reasoningTokens,
+      reasoningTokens,
+      cachedTokens: usageMetadata.cachedContentTokenCount ?? 0,
     };
   }
 
+  /**
+   * Normalizes one chunk of a Gemini stream.
+   * Unlike normalizeResponse(), chunks without text are skipped rather than rejected.
+   *
+   * @param {Object} chunk - Partial GenerateContentResponse
+   * @returns {Object|null} Delta: { assistant: string, reasoning: string | null }, or null if empty
+   */
+  normalizeStreamChunk(chunk) {
+    const parts = chunk.candidates?.[0]?.content?.parts;
+    if (!parts || parts.length === 0) {
+      return null;
+    }
+
+    const assistant = parts.filter(part => part.text).map(part => part.text).join('');
+    const thinkingParts = parts.filter(part => part.thought);
+    const reasoning = thinkingParts.length > 0
+                      ? thinkingParts.map(part => part.thought).join('\n')
+                      : null;
+
+    if (!assistant && !reasoning) {
+      return null;
+    }
+
+    return { assistant, reasoning };
+  }
+
   /**
    * Enhanced error handling for Google-specific errors.
    *
@@ -162,6 +387,10 @@ export class GoogleProvider extends BaseProvider {
    * @returns {Error} Normalized error
    */
   handleError(error) {
+    if (this.isAbortError(error)) {
+      return super.handleError(error);
+    }
+
     console.error(`[Google] Request failed:`, error);
 
     // Google SDK returns ApiError with status and message
@@ -170,9 +399,8 @@ export class GoogleProvider extends BaseProvider {
     if (error.message?.includes('API_KEY_INVALID') ||
       error.message?.includes('invalid API key') ||
       error.status === 403) {
-      const enhancedError = new Error('Authentication failed: Invalid API key for Google');
-      enhancedError.originalError = error;
-      enhancedError.provider = 'google';
+      const enhancedError = this.createNormalizedError('Authentication failed: Invalid API key for Google', error);
+      enhancedError.code = LLM_ERROR_CODE.auth;
       return enhancedError;
     }
 
@@ -180,9 +408,8 @@ export class GoogleProvider extends BaseProvider {
     if (error.message?.includes('RATE_LIMIT_EXCEEDED') ||
       error.message?.includes('rate limit') ||
       error.status === 429) {
-      const enhancedError = new Error('Rate limit exceeded for Google');
-      enhancedError.originalError = error;
-      enhancedError.provider = 'google';
+      const enhancedError = this.createNormalizedError('Rate limit exceeded for Google', error);
+      enhancedError.code = LLM_ERROR_CODE.rate_limit;
       return enhancedError;
     }
 
@@ -190,22 +417,15 @@ export class GoogleProvider extends BaseProvider {
     if (error.status === 400 &&
       (error.message?.includes('thinking') ||
         error.message?.includes('thinkingBudget'))) {
-      const enhancedError = new Error(
-        'Invalid thinking configuration for Google model (check thinking budget limits)'
+      return this.createNormalizedError(
+        'Invalid thinking configuration for Google model (check thinking budget limits)',
+        error
       );
-      enhancedError.originalError = error;
-      enhancedError.provider = 'google';
-      return enhancedError;
     }
 
     // Invalid model errors
     if (error.status === 404 || error.message?.includes('not found')) {
-      const enhancedError = new Error(
-        `Google model not found or not available: ${error.message}`
-      );
-      enhancedError.originalError = error;
-      enhancedError.provider = 'google';
-      return enhancedError;
+      return this.createNormalizedError(`Google model not found or not available: ${error.message}`, error);
     }
 
     // Use base error handling for other cases
@@ -0,0 +1,189 @@
+import { BaseProvider } from './base-provider.js';
+import { DEFAULT_MOCK_RESPONDERS } from './mock-responders.js';
+
+/**
+ * In-memory fixture store, used by tests and as the default store.
+ * The extension passes an IndexedDB-backed store with the same interface.
+ */
+export class MemoryFixtureStore {
+  /**
+   * @param {Array<Object>} [fixtures] - Fixtures to preload, e.g. from an exported JSON file
+   */
+  constructor(fixtures = []) {
+    this.fixtures = new Map(fixtures.map(fixture => [fixture.hash, fixture]));
+  }
+
+  async get(hash) {
+    return this.fixtures.get(hash) ?? null;
+  }
+
+  async set(fixture) {
+    this.fixtures.set(fixture.hash, fixture);
+  }
+
+  toJSON() {
+    return [...this.fixtures.values()];
+  }
+}
+
+/**
+ * Hashes a prompt for fixture lookup: SHA-256 of the messages only, so a
+ * fixture recorded with any real model replays under the mock model.
+ *
+ * @param {Array<Object>} messages - Messages array with role and content
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashPrompt(messages) {
+  const input = JSON.stringify(messages.map(({ role, content }) => [role, content]));
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(input));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Mock provider for offline runs and deterministic tests.
+ *
+ * Modes:
+ * - replay: answers from recorded fixtures by prompt hash; prompts without a
+ *   fixture go to scripted responders (see mock-responders.js)
+ * - record: forwards requests to a real provider and saves each
+ *   request/response pair as a fixture
+ */
+export class MockProvider extends BaseProvider {
+  /**
+   * @param {Object} config
+   * @param {string} [config.endpoint] - Unused; kept for the common constructor shape
+   * @param {string} [config.mode='replay'] - 'replay' or 'record'
+   * @param {BaseProvider} [config.delegate] - Real provider to record from (record mode)
+   * @param {Object} [config.fixtureStore] - Store with async get(hash) and set(fixture)
+   * @param {Array<Object>} [config.responders] - Scripted responders, tried in order
+   */
+  constructor({
+    endpoint,
+    mode = 'replay',
+    delegate = null,
+    fixtureStore = new MemoryFixtureStore(),
+    responders = DEFAULT_MOCK_RESPONDERS,
+  } = {}) {
+    super({
+      endpoint,
+      apiKey: null,
+      providerType: 'mock',
+    });
+
+    if (mode === 'record' && !delegate) {
+      throw new Error('MockProvider: record mode needs a delegate provider');
+    }
+
+    this.mode = mode;
+    this.delegate = delegate;
+    this.fixtureStore = fixtureStore;
+    this.responders = responders;
+  }
+
+  /**
+   * Answers a completion request from a fixture or responder, or records a real one.
+   *
+   * @param {Array<Object>} messages - Messages array with role and content
+   * @param {Object} params - Request parameters
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Forwarded to the delegate in record mode
+   * @returns {Promise<Object>} Normalized response
+   */
+  async completion(messages, params, options = {}) {
+    if (this.mode === 'record') {
+      const response = await this.delegate.completion(messages, params, options);
+      await this._saveFixture(messages, params, response);
+      return response;
+    }
+
+    return this._replay(messages, params);
+  }
+
+  /**
+   * Streams a completion. Replays arrive as a single delta; recordings pass the
+   * delegate's deltas through and save the assembled response at the end.
+   *
+   * @param {Array<Object>} messages - Messages array with role and content
+   * @param {Object} params - Request parameters
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Forwarded to the delegate in record mode
+   * @returns {AsyncGenerator<Object>} Normalized deltas
+   */
+  async *completionStream(messages, params, options = {}) {
+    if (this.mode !== 'record') {
+      yield await this._replay(messages, params);
+      return;
+    }
+
+    let assistant = '';
+    let reasoning = '';
+
+    for await (const delta of this.delegate.completionStream(messages, params, options)) {
+      assistant += delta.assistant;
+      reasoning += delta.reasoning || '';
+      yield delta;
+    }
+
+    await this._saveFixture(messages, params, { assistant, reasoning: reasoning || null });
+  }
+
+  async getAvailableModels() {
+    return [{ provider: 'mock', id: 'mock-1', model: 'mock', label: 'Mock (offline)' }];
+  }
+
+  /**
+   * Looks up a fixture for the prompt, then falls back to the scripted responders.
+   *
+   * @returns {Promise<Object>} Normalized response
+   * @throws {Error} If neither a fixture nor a responder matches
+   * @private
+   */
+  async _replay(messages, params) {
+    const hash = await hashPrompt(messages);
+    const fixture = await this.fixtureStore.get(hash);
+
+    let assistant;
+    let reasoning = null;
+
+    if (fixture) {
+      ({ assistant, reasoning } = fixture.response);
+    } else {
+      const prompt = {
+        system: messages.find(m => m.role === 'system')?.content || '',
+        user: messages.find(m => m.role === 'user')?.content || '',
+        params,
+      };
+
+      const responder = this.responders.find(r => r.match(prompt));
+      if (!responder) {
+        throw new Error(`MockProvider: no fixture or responder for prompt ${hash.slice(0, 12)}`);
+      }
+
+      assistant = responder.respond(prompt);
+    }
+
+    this.logInteraction(messages, assistant, reasoning);
+
+    return { assistant, reasoning: reasoning ?? null, usage: null };
+  }
+
+  /**
+   * Saves a recorded request/response pair.
+   * A failed save is logged and does not fail the request.
+   * @private
+   */
+  async _saveFixture(messages, params, response) {
+    try {
+      await this.fixtureStore.set({
+        hash: await hashPrompt(messages),
+        provider: this.delegate.providerType,
+        model: params.model,
+        messages,
+        response: { assistant: response.assistant, reasoning: response.reasoning ?? null },
+        recordedAt: Date.now(),
+      });
+    } catch (error) {
+      console.warn('[Mock] Failed to save fixture:', error);
+    }
+  }
+}
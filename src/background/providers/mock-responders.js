@@ -0,0 +1,58 @@
+/**
+ * Scripted responders for the mock provider.
+ *
+ * Each responder recognizes the prompt of one pipeline stage by the tags its
+ * prompt builders put in the user message, and answers in the format that stage
+ * parses. Answers are derived from the prompt only, so runs are deterministic.
+ *
+ * Responder shape: { stage, match(prompt), respond(prompt) }
+ * where prompt is { system, user, params } and respond() returns the assistant text.
+ */
+
+// Prefix added to every translated line, so mock output is easy to recognize
+export const MOCK_TRANSLATION_PREFIX = '[MOCK] ';
+
+const RAW_TEXT_PATTERN = /<raw-text>\n([\s\S]*?)\n<\/raw-text>/;
+const SEGMENTATION_PATTERN = /<metadata>\s*Start: (\d+)\s*End: (\d+)/;
+const GLOSSARY_TEXT_PATTERN = /<text>\n([\s\S]*?)\n<\/text>/;
+
+export const DEFAULT_MOCK_RESPONDERS = [
+  {
+    stage: 'post-edit',
+    match: ({ user }) => user.startsWith('# Post-Editing Task'),
+    respond: () => '<operations>\n{"action": "none"}\n</operations>',
+  },
+  {
+    stage: 'translation',
+    match: ({ user }) => user.includes('Translate the following') && RAW_TEXT_PATTERN.test(user),
+    respond: ({ user }) => {
+      const lines = user.match(RAW_TEXT_PATTERN)[1].split('\n');
+      return `<translation>\n${lines.map(line => MOCK_TRANSLATION_PREFIX + line).join('\n')}\n</translation>`;
+    },
+  },
+  {
+    stage: 'glossary-update',
+    match: ({ user }) => user.includes('<existing_dictionary>'),
+    respond: () => '[{ "action": "none" }]',
+  },
+  {
+    stage: 'text-segmentation',
+    match: ({ user }) => SEGMENTATION_PATTERN.test(user),
+    respond: ({ user }) => {
+      const [, start, end] = user.match(SEGMENTATION_PATTERN);
+      return JSON.stringify([[Number(start), Number(end)]]);
+    },
+  },
+  {
+    stage: 'glossary-generate',
+    match: ({ user }) => GLOSSARY_TEXT_PATTERN.test(user),
+    respond: ({ user }) => {
+      // One entry keyed on the start of the first line, which is sure to occur in the text
+      const firstLine = user.match(GLOSSARY_TEXT_PATTERN)[1].split('\n').map(line => line.trim()).find(Boolean);
+      const term = firstLine ? firstLine.slice(0, 4) : '';
+
+      const entries = term ? [{ keys: [term], value: `[term] Name: Mock (${term})` }] : [];
+      return JSON.stringify({ entries });
+    },
+  },
+];
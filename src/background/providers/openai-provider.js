@@ -5,16 +5,20 @@ import { BaseProvider } from './base-provider.js';
  * OpenAI provider implementation.
  */
 export class OpenAIProvider extends BaseProvider {
-  constructor({ endpoint, apiKey }) {
+  constructor({ endpoint, apiKey, overrides }) {
     super({
       endpoint,
       apiKey,
+      overrides,
       providerType: 'openai',
     });
 
     this.client = new OpenAI({
       apiKey: this.apiKey,
       baseURL: this.endpoint,
+      maxRetries: 0, // Retries are handled by the coordinator's retry policy
+      defaultHeaders: this.headers,
+      defaultQuery: this.query,
     });
   }
 
@@ -28,23 +32,15 @@ export class OpenAIProvider extends BaseProvider {
    * @param {number} [params.top_p] - Nucleus sampling parameter
    * @param {number} [params.max_tokens] - Maximum tokens to generate
    * @param {string} [params.reasoning] - Reasoning effort level
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the HTTP request when cancelled
    * @returns {Promise<Object>} Normalized response
    */
-  async completion(messages, params) {
+  async completion(messages, params, { signal } = {}) {
     try {
-      // Build request payload
-      const requestPayload = {
-        model: params.model,
-        messages: messages,
-        max_tokens: params.max_tokens ?? 4096,
-      };
-
-      // Add reasoning effort if specified
-      if (params.reasoning && params.reasoning !== 'minimal') {
-        requestPayload.reasoning_effort = params.reasoning;
-      }
+      const requestPayload = this._buildRequestPayload(messages, params);
 
-      const response = await this.client.chat.completions.create(requestPayload);
+      const response = await this.client.chat.completions.create(requestPayload, { signal });
 
       const normalized = this.normalizeResponse(response);
       this.logInteraction(messages, normalized.assistant, normalized.reasoning);
@@ -56,6 +52,56 @@ export class OpenAIProvider extends BaseProvider {
     }
   }
 
+  /**
+   * Streams a completion from OpenAI.
+   *
+   * @param {Array<Object>} messages - Messages array with role and content
+   * @param {Object} params - Request parameters, as for completion()
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the HTTP request when cancelled
+   * @returns {AsyncGenerator<Object>} Normalized deltas
+   */
+  completionStream(messages, params, { signal } = {}) {
+    return this.streamChatCompletion(this._buildRequestPayload(messages, params), messages, signal);
+  }
+
+  /**
+   * Builds the chat completion payload shared by completion() and completionStream().
+   *
+   * @param {Array<Object>} messages - Messages array with role and content
+   * @param {Object} params - Request parameters
+   * @returns {Object} Request payload
+   * @private
+   */
+  _buildRequestPayload(messages, params) {
+    const requestPayload = {
+      model: params.model,
+      messages: messages,
+      max_tokens: params.max_tokens ?? 4096,
+    };
+
+    if (params.temperature !== undefined) {
+      requestPayload.temperature = params.temperature;
+    }
+
+    if (params.top_p !== undefined) {
+      requestPayload.top_p = params.top_p;
+    }
+
+    // Add reasoning effort if specified
+    if (params.reasoning && params.reasoning !== 'minimal') {
+      requestPayload.reasoning_effort = params.reasoning;
+    }
+
+    // Constrain the output to the stage's JSON schema
+    const responseFormat = this.buildResponseFormat(params);
+    if (responseFormat) {
+      requestPayload.response_format = responseFormat;
+    }
+
+    return requestPayload;
+  }
+
   /**
    * Fetches available models from OpenAI API.
    *
@@ -106,7 +152,7 @@ export class OpenAIProvider extends BaseProvider {
    * Uses base class implementation as OpenAI format is the standard.
    *
    * @param {Object} rawResponse - Raw response from OpenAI
-   * @returns {Object} Normalized response: { assistant: string, reasoning: string | null }
+   * @returns {Object} Normalized response: { assistant, reasoning, usage, finishReason }
    */
   normalizeResponse(rawResponse) {
     if (!rawResponse.choices || rawResponse.choices.length === 0) {
@@ -120,9 +166,19 @@ export class OpenAIProvider extends BaseProvider {
       throw new Error('Invalid response: no message in choice');
     }
 
+    if (choice.finish_reason === 'content_filter' && !message.content) {
+      throw this.createContentFilterError('content_filter');
+    }
+
+    if (choice.finish_reason === 'length' && !message.content) {
+      throw this.createTruncatedError('length');
+    }
+
     return {
       assistant: message.content || '',
       reasoning: message.reasoning || null,
+      usage: this.normalizeUsage(rawResponse.usage),
+      finishReason: this.getFinishReason(choice),
     };
   }
 }
@@ -1,6 +1,9 @@
 import OpenAI from 'openai';
 import { BaseProvider } from './base-provider.js';
 
+// Models whose providers only cache prompts marked with cache_control
+const CACHE_MARKER_MODEL_PREFIXES = ['anthropic/', 'google/'];
+
 /**
  * OpenRouter provider implementation.
  *
@@ -11,20 +14,24 @@ import { BaseProvider } from './base-provider.js';
  * - false/undefined: reasoning disabled
  */
 export class OpenRouterProvider extends BaseProvider {
-  constructor({ endpoint, apiKey }) {
+  constructor({ endpoint, apiKey, overrides }) {
     super({
       endpoint,
       apiKey,
+      overrides,
       providerType: 'openrouter'
     });
 
     this.client = new OpenAI({
       apiKey: this.apiKey,
       baseURL: this.endpoint,
+      maxRetries: 0, // Retries are handled by the coordinator's retry policy
       defaultHeaders: {
         'HTTP-Referer': 'https://github.com/qw02/llm-novel-translator',
         'X-Title': 'LLM Novel Translator',
+        ...this.headers,
       },
+      defaultQuery: this.query,
     });
   }
 
@@ -39,33 +46,16 @@ export class OpenRouterProvider extends BaseProvider {
    * @param {number} [params.max_tokens] - Maximum tokens to generate
    * @param {Array<string>} [params.providers] - Preferred provider routing order
    * @param {boolean|string|number} [params.reasoning] - Reasoning configuration
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the HTTP request when cancelled
    * @returns {Promise<Object>} Normalized response
    */
-  async completion(messages, params) {
+  async completion(messages, params, { signal } = {}) {
     try {
-      const requestPayload = {
-        model: params.model,
-        messages: messages,
-        temperature: params.temperature ?? 0.6,
-        max_tokens: params.max_tokens ?? 4096,
-      };
-
-      // Add provider routing preference if specified
-      if (params.providers && Array.isArray(params.providers)) {
-        requestPayload.provider = {
-          order: params.providers,
-          allow_fallbacks: false,
-        };
-      }
-
-      // Handle reasoning configuration
-      const reasoningConfig = this._buildReasoningConfig(params.reasoning);
-      if (reasoningConfig) {
-        requestPayload.reasoning = reasoningConfig;
-      }
+      const requestPayload = this._buildRequestPayload(messages, params);
 
       // Make API call
-      const response = await this.client.chat.completions.create(requestPayload);
+      const response = await this.client.chat.completions.create(requestPayload, { signal });
 
       // Normalize and log response
       const normalized = this.normalizeResponse(response);
@@ -78,6 +68,19 @@ export class OpenRouterProvider extends BaseProvider {
     }
   }
 
+  /**
+   * Streams a completion from OpenRouter.
+   *
+   * @param {Array<Object>} messages - Messages array with role and content
+   * @param {Object} params - Request parameters, as for completion()
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the HTTP request when cancelled
+   * @returns {AsyncGenerator<Object>} Normalized deltas
+   */
+  completionStream(messages, params, { signal } = {}) {
+    return this.streamChatCompletion(this._buildRequestPayload(messages, params), messages, signal);
+  }
+
   async getAvailableModels() {
     try {
       const response = await this.client.models.list();
@@ -92,6 +95,11 @@ export class OpenRouterProvider extends BaseProvider {
             id: `openrouter-${model.id}`, // id needs to be unique
             model: model.id,
             label: model.name,
+            pricing: this._normalizePricing(model.pricing),
+            // Limits and capabilities, used to size requests and warn about unsupported settings
+            contextLength: model.context_length ?? null,
+            maxOutputTokens: model.top_provider?.max_completion_tokens ?? null,
+            supportedParameters: model.supported_parameters ?? null,
           })
         }
       }
@@ -104,6 +112,101 @@ export class OpenRouterProvider extends BaseProvider {
     }
   }
 
+  /**
+   * Converts OpenRouter model pricing (USD per token, as strings) to USD per 1M tokens.
+   *
+   * @param {Object|undefined} pricing - Pricing from the models list
+   * @returns {Object|null} Pricing: { input, output, cachedInput? }, or null if not listed
+   * @private
+   */
+  _normalizePricing(pricing) {
+    const input = Number(pricing?.prompt);
+    const output = Number(pricing?.completion);
+
+    if (!Number.isFinite(input) || !Number.isFinite(output) || input < 0 || output < 0) {
+      return null;  // Missing, or -1 for router models with variable pricing
+    }
+
+    const normalized = { input: input * 1e6, output: output * 1e6 };
+
+    const cachedInput = Number(pricing.input_cache_read);
+    if (pricing.input_cache_read !== undefined && Number.isFinite(cachedInput) && cachedInput >= 0) {
+      normalized.cachedInput = cachedInput * 1e6;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Builds the chat completion payload shared by completion() and completionStream().
+   *
+   * @param {Array<Object>} messages - Messages array with role and content
+   * @param {Object} params - Request parameters
+   * @returns {Object} Request payload
+   * @private
+   */
+  _buildRequestPayload(messages, params) {
+    const requestPayload = {
+      model: params.model,
+      messages: this._addCacheMarkers(messages, params),
+      temperature: params.temperature ?? 0.6,
+      max_tokens: params.max_tokens ?? 4096,
+    };
+
+    if (params.top_p !== undefined) {
+      requestPayload.top_p = params.top_p;
+    }
+
+    // Add provider routing preference if specified
+    if (params.providers && Array.isArray(params.providers)) {
+      requestPayload.provider = {
+        order: params.providers,
+        allow_fallbacks: false,
+      };
+    }
+
+    // Constrain the output to the stage's JSON schema
+    const responseFormat = this.buildResponseFormat(params);
+    if (responseFormat) {
+      requestPayload.response_format = responseFormat;
+    }
+
+    // Handle reasoning configuration
+    const reasoningConfig = this._buildReasoningConfig(params.reasoning);
+    if (reasoningConfig) {
+      requestPayload.reasoning = reasoningConfig;
+    }
+
+    return requestPayload;
+  }
+
+  /**
+   * Marks a long system prompt for prompt caching on models that need explicit markers.
+   * OpenRouter passes `cache_control` on to Anthropic and Gemini models; other
+   * providers cache prefixes automatically and get the messages unchanged.
+   *
+   * @param {Array<Object>} messages - Messages array with role and content
+   * @param {Object} params - Request parameters
+   * @returns {Array<Object>} Messages to send
+   * @private
+   */
+  _addCacheMarkers(messages, params) {
+    if (!CACHE_MARKER_MODEL_PREFIXES.some(prefix => params.model?.startsWith(prefix))) {
+      return messages;
+    }
+
+    return messages.map((message) => {
+      if (message.role !== 'system' || !this.isCacheablePrompt(message.content, params)) {
+        return message;
+      }
+
+      return {
+        role: 'system',
+        content: [{ type: 'text', text: message.content, cache_control: { type: 'ephemeral' } }],
+      };
+    });
+  }
+
   /**
    * Builds reasoning configuration for OpenRouter.
    *
@@ -141,7 +244,7 @@ export class OpenRouterProvider extends BaseProvider {
    * OpenRouter returns OpenAI-compatible format.
    *
    * @param {Object} rawResponse - Raw response from OpenRouter
-   * @returns {Object} Normalized response: { assistant: string, reasoning: string | null }
+   * @returns {Object} Normalized response: { assistant, reasoning, usage, finishReason }
    */
   normalizeResponse(rawResponse) {
     if (!rawResponse.choices || rawResponse.choices.length === 0) {
@@ -155,9 +258,19 @@ export class OpenRouterProvider extends BaseProvider {
       throw new Error('Invalid response: no message in choice');
     }
 
+    if (choice.finish_reason === 'content_filter' && !message.content) {
+      throw this.createContentFilterError('content_filter');
+    }
+
+    if (choice.finish_reason === 'length' && !message.content) {
+      throw this.createTruncatedError('length');
+    }
+
     return {
       assistant: message.content || '',
       reasoning: message.reasoning || null,
+      usage: this.normalizeUsage(rawResponse.usage),
+      finishReason: this.getFinishReason(choice),
     };
   }
 }
@@ -5,16 +5,20 @@ import { BaseProvider } from './base-provider.js';
  * xAI provider implementation.
  */
 export class XaiProvider extends BaseProvider {
-  constructor({ endpoint, apiKey }) {
+  constructor({ endpoint, apiKey, overrides }) {
     super({
       endpoint,
       apiKey,
+      overrides,
       providerType: 'xai',
     });
 
     this.client = new OpenAI({
       apiKey: this.apiKey,
       baseURL: this.endpoint,
+      maxRetries: 0, // Retries are handled by the coordinator's retry policy
+      defaultHeaders: this.headers,
+      defaultQuery: this.query,
     });
   }
 
@@ -24,18 +28,18 @@ export class XaiProvider extends BaseProvider {
    * @param {Array<Object>} messages - Messages array with role and content
    * @param {Object} params - Request parameters
    * @param {string} params.model - Model identifier
+   * @param {number} [params.temperature] - Sampling temperature
+   * @param {number} [params.top_p] - Nucleus sampling parameter
    * @param {number} [params.max_tokens] - Maximum tokens to generate
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the HTTP request when cancelled
    * @returns {Promise<Object>} Normalized response
    */
-  async completion(messages, params) {
+  async completion(messages, params, { signal } = {}) {
     try {
-      const requestPayload = {
-        model: params.model,
-        messages: messages,
-        max_completion_tokens: params.max_tokens ?? 4096,
-      };
+      const requestPayload = this._buildRequestPayload(messages, params);
 
-      const response = await this.client.chat.completions.create(requestPayload);
+      const response = await this.client.chat.completions.create(requestPayload, { signal });
 
       const normalized = this.normalizeResponse(response);
       this.logInteraction(messages, normalized.assistant, normalized.reasoning);
@@ -47,11 +51,56 @@ export class XaiProvider extends BaseProvider {
     }
   }
 
+  /**
+   * Streams a completion from xAI.
+   *
+   * @param {Array<Object>} messages - Messages array with role and content
+   * @param {Object} params - Request parameters, as for completion()
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the HTTP request when cancelled
+   * @returns {AsyncGenerator<Object>} Normalized deltas
+   */
+  completionStream(messages, params, { signal } = {}) {
+    return this.streamChatCompletion(this._buildRequestPayload(messages, params), messages, signal);
+  }
+
+  /**
+   * Builds the chat completion payload shared by completion() and completionStream().
+   *
+   * @param {Array<Object>} messages - Messages array with role and content
+   * @param {Object} params - Request parameters
+   * @returns {Object} Request payload
+   * @private
+   */
+  _buildRequestPayload(messages, params) {
+    const requestPayload = {
+      model: params.model,
+      messages: messages,
+      max_completion_tokens: params.max_tokens ?? 4096,
+    };
+
+    if (params.temperature !== undefined) {
+      requestPayload.temperature = params.temperature;
+    }
+
+    if (params.top_p !== undefined) {
+      requestPayload.top_p = params.top_p;
+    }
+
+    // Constrain the output to the stage's JSON schema
+    const responseFormat = this.buildResponseFormat(params);
+    if (responseFormat) {
+      requestPayload.response_format = responseFormat;
+    }
+
+    return requestPayload;
+  }
+
   /**
    * Normalizes xAI response.
    *
    * @param {Object} rawResponse - Raw response from xAI
-   * @returns {Object} Normalized response: { assistant: string, reasoning: string | null }
+   * @returns {Object} Normalized response: { assistant, reasoning, usage, finishReason }
    */
   normalizeResponse(rawResponse) {
     if (!rawResponse.choices || rawResponse.choices.length === 0) {
@@ -65,6 +114,14 @@ export class XaiProvider extends BaseProvider {
       throw new Error('Invalid response: no message in choice');
     }
 
+    if (choice.finish_reason === 'content_filter' && !message.content) {
+      throw this.createContentFilterError('content_filter');
+    }
+
+    if (choice.finish_reason === 'length' && !message.content) {
+      throw this.createTruncatedError('length');
+    }
+
     if (message.refusal) {
       console.warn(`[xAI] Received response refusal: ${message.refusal}`);
     }
@@ -72,6 +129,26 @@ export class XaiProvider extends BaseProvider {
     return {
       assistant: message.content || '',
       reasoning: message.reasoning_content || null,
+      usage: this.normalizeUsage(rawResponse.usage),
+      finishReason: this.getFinishReason(choice),
+    };
+  }
+
+  /**
+   * Normalizes one chunk of an xAI stream.
+   *
+   * @param {Object} chunk - Stream chunk from xAI
+   * @returns {Object|null} Delta: { assistant: string, reasoning: string | null }
+   */
+  normalizeStreamChunk(chunk) {
+    const delta = chunk.choices?.[0]?.delta;
+    if (!delta) {
+      return null;
+    }
+
+    return {
+      assistant: delta.content || '',
+      reasoning: delta.reasoning_content || null,
     };
   }
 }
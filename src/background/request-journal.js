@@ -0,0 +1,102 @@
+const DB_NAME = 'TranslatorRequestJournalDB';
+const DB_VERSION = 1;
+const STORE_NAME = 'requests';
+
+let dbPromise = null;
+
+/**
+ * Opens (or reuses) the IndexedDB connection.
+ * Creates the object store on first run.
+ */
+function openDatabase() {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        // key is `${clientId}:${requestId}`; clientId finds a client's requests on cancel
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        store.createIndex('clientId', 'clientId');
+      }
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Saves a journal entry. Uses put() so a request's entry is replaced
+ * as it moves from pending to done.
+ */
+export async function saveJournalEntryToDB(entry) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const request = transaction.objectStore(STORE_NAME).put(entry);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve();
+  });
+}
+
+/**
+ * Deletes the journal entry of a request.
+ */
+export async function deleteJournalEntryFromDB(key) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const request = transaction.objectStore(STORE_NAME).delete(key);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve();
+  });
+}
+
+/**
+ * Deletes the journal entries of all requests of a client.
+ */
+export async function deleteClientJournalEntriesFromDB(clientId) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const cursorRequest = transaction.objectStore(STORE_NAME).index('clientId').openCursor(IDBKeyRange.only(clientId));
+
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) return;
+
+      cursor.delete();
+      cursor.continue();
+    };
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Retrieves every journal entry, to pick up the requests of a previous worker.
+ */
+export async function getAllJournalEntriesFromDB() {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readonly');
+    const request = transaction.objectStore(STORE_NAME).getAll();
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result || []);
+  });
+}
@@ -0,0 +1,136 @@
+const DB_NAME = 'TranslatorResponseCacheDB';
+const DB_VERSION = 1;
+const STORE_NAME = 'responses';
+
+let dbPromise = null;
+
+/**
+ * Opens (or reuses) the IndexedDB connection.
+ * Creates the object store on first run.
+ */
+function openDatabase() {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        // key is the request hash; lastAccessed orders entries for LRU eviction
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        store.createIndex('lastAccessed', 'lastAccessed');
+      }
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Retrieves a cached response and marks it as recently used.
+ * Resolves null if the key is not cached.
+ */
+export async function getCachedResponseFromDB(key) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    const request = store.get(key);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const entry = request.result;
+      if (!entry) {
+        resolve(null);
+        return;
+      }
+
+      store.put({ ...entry, lastAccessed: Date.now() });
+      resolve(entry.response);
+    };
+  });
+}
+
+/**
+ * Caches a response, then evicts the least recently used entries
+ * until the cache fits in maxBytes. Sizes are approximate (UTF-8 length of the JSON).
+ */
+export async function saveCachedResponseToDB(key, response, maxBytes) {
+  const db = await openDatabase();
+  const now = Date.now();
+  const size = new TextEncoder().encode(JSON.stringify(response)).length;
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+
+    store.put({ key, response, size, createdAt: now, lastAccessed: now });
+
+    // Walk from most to least recently used; everything past the cap is evicted
+    let totalBytes = 0;
+    const cursorRequest = store.index('lastAccessed').openCursor(null, 'prev');
+
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) return;
+
+      totalBytes += cursor.value.size ?? 0;
+      if (totalBytes > maxBytes) {
+        cursor.delete();
+      }
+      cursor.continue();
+    };
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Counts cached responses and their approximate total size.
+ * Resolves { count, bytes }.
+ */
+export async function getResponseCacheStatsFromDB() {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readonly');
+    const cursorRequest = transaction.objectStore(STORE_NAME).openCursor();
+    const stats = { count: 0, bytes: 0 };
+
+    cursorRequest.onerror = () => reject(cursorRequest.error);
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) {
+        resolve(stats);
+        return;
+      }
+
+      stats.count++;
+      stats.bytes += cursor.value.size ?? 0;
+      cursor.continue();
+    };
+  });
+}
+
+/**
+ * Deletes all cached responses.
+ */
+export async function clearResponseCacheFromDB() {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const request = transaction.objectStore(STORE_NAME).clear();
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve();
+  });
+}
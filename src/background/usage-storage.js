@@ -0,0 +1,112 @@
+import { addUsage } from './utils/usage-cost.js';
+
+const DB_NAME = 'TranslatorUsageDB';
+const DB_VERSION = 1;
+const STORE_NAME = 'usage';
+
+let dbPromise = null;
+
+/**
+ * Opens (or reuses) the IndexedDB connection.
+ * Creates the object store on first run.
+ */
+function openDatabase() {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        // One aggregated row per day, provider, model, stage and series
+        const store = db.createObjectStore(STORE_NAME, {
+          keyPath: ['date', 'provider', 'model', 'stage', 'series'],
+        });
+        store.createIndex('date', 'date');
+      }
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Adds one request's usage to its aggregated row.
+ * Reads and writes in a single transaction, so concurrent requests don't lose counts.
+ *
+ * @param {Object} entry
+ * @param {string} entry.date - Local date key, e.g. '2025-01-31'
+ * @param {string} entry.provider - Provider type
+ * @param {string} entry.model - Model name sent to the API
+ * @param {string} entry.stage - Pipeline stage label ('' if unknown)
+ * @param {string} entry.series - Series key, e.g. 'syosetu/n1234ab' ('' if unknown)
+ * @param {Object} entry.usage - Normalized token usage
+ * @param {number|null} entry.cost - Cost in USD, or null if the model has no pricing
+ */
+export async function recordUsageInDB({ date, provider, model, stage, series, usage, cost }) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    const request = store.get([date, provider, model, stage, series]);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      store.put({ date, provider, model, stage, series, ...addUsage(request.result, usage, cost) });
+    };
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Retrieves aggregated usage rows, optionally limited to a date range (inclusive).
+ *
+ * @param {Object} [range]
+ * @param {string} [range.from] - First date key
+ * @param {string} [range.to] - Last date key
+ * @returns {Promise<Array<Object>>} Usage rows
+ */
+export async function getUsageFromDB({ from, to } = {}) {
+  const db = await openDatabase();
+
+  let keyRange = null;
+  if (from && to) {
+    keyRange = IDBKeyRange.bound(from, to);
+  } else if (from) {
+    keyRange = IDBKeyRange.lowerBound(from);
+  } else if (to) {
+    keyRange = IDBKeyRange.upperBound(to);
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readonly');
+    const request = transaction.objectStore(STORE_NAME).index('date').getAll(keyRange);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result || []);
+  });
+}
+
+/**
+ * Deletes all recorded usage.
+ */
+export async function clearUsageFromDB() {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const request = transaction.objectStore(STORE_NAME).clear();
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve();
+  });
+}
@@ -1,5 +1,12 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { getApiKey, saveApiKeys, getAllApiKeys } from '../api-key-manager.js';
+import {
+    getAllApiKeyEntries,
+    getAllApiKeys,
+    getApiKey,
+    getApiKeyEntries,
+    normalizeApiKeyEntries,
+    saveApiKeys,
+} from '../api-key-manager.js';
 
 describe('api-key-manager', () => {
     beforeEach(() => {
@@ -16,6 +23,14 @@ describe('api-key-manager', () => {
             expect(chrome.storage.local.get).toHaveBeenCalledWith('api_keys');
         });
 
+        it('should return the first of several keys', async () => {
+            chrome.storage.local.get.mockResolvedValue({
+                api_keys: { openai: [{ id: 'a', label: 'Work', key: 'sk-work' }, { id: 'b', label: '', key: 'sk-home' }] },
+            });
+
+            expect(await getApiKey('openai')).toBe('sk-work');
+        });
+
         it('should throw an error if the api key does not exist', async () => {
             chrome.storage.local.get.mockResolvedValue({ api_keys: {} });
 
@@ -53,5 +68,45 @@ describe('api-key-manager', () => {
             const keys = await getAllApiKeys();
             expect(keys).toEqual({});
         });
+
+        it('should return the first key of providers with several', async () => {
+            chrome.storage.local.get.mockResolvedValue({
+                api_keys: { openai: [{ id: 'a', key: 'sk-1' }, { id: 'b', key: 'sk-2' }], google: [] },
+            });
+
+            expect(await getAllApiKeys()).toEqual({ openai: 'sk-1' });
+        });
+    });
+
+    describe('normalizeApiKeyEntries', () => {
+        it('should turn a single stored key into one entry', () => {
+            expect(normalizeApiKeyEntries('sk-old')).toEqual([{ id: 'default', label: '', key: 'sk-old' }]);
+            expect(normalizeApiKeyEntries('')).toEqual([]);
+            expect(normalizeApiKeyEntries(undefined)).toEqual([]);
+        });
+
+        it('should drop entries without a key and fill in missing ids and labels', () => {
+            expect(normalizeApiKeyEntries([
+                { id: 'a', label: 'Work', key: 'sk-1' },
+                { id: 'b', label: 'Empty', key: '' },
+                { key: 'sk-3' },
+                null,
+            ])).toEqual([
+                { id: 'a', label: 'Work', key: 'sk-1' },
+                { id: 'key-2', label: '', key: 'sk-3' },
+            ]);
+        });
+    });
+
+    describe('getApiKeyEntries', () => {
+        it('should return the keys of one provider', async () => {
+            chrome.storage.local.get.mockResolvedValue({ api_keys: { openai: 'sk-old', deepseek: [{ id: 'x', key: 'sk-d' }] } });
+
+            expect(await getApiKeyEntries('deepseek')).toEqual([{ id: 'x', label: '', key: 'sk-d' }]);
+            expect(await getAllApiKeyEntries()).toEqual({
+                openai: [{ id: 'default', label: '', key: 'sk-old' }],
+                deepseek: [{ id: 'x', label: '', key: 'sk-d' }],
+            });
+        });
     });
 });
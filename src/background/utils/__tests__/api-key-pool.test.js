@@ -0,0 +1,100 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { ApiKeyPool, RATE_LIMIT_COOLDOWN_MS } from '../api-key-pool.js';
+
+const KEYS = [
+    { id: 'a', label: 'First', key: 'sk-a' },
+    { id: 'b', label: 'Second', key: 'sk-b' },
+    { id: 'c', label: 'Third', key: 'sk-c' },
+];
+
+describe('ApiKeyPool', () => {
+    let now;
+    let saveHealth;
+    let pool;
+
+    beforeEach(() => {
+        now = 1_000_000;
+        saveHealth = vi.fn(async () => {});
+        pool = new ApiKeyPool({ loadHealth: async () => ({}), saveHealth, now: () => now });
+    });
+
+    async function send(provider = 'openai') {
+        const entry = await pool.pick(provider, KEYS);
+        pool.markUsed(provider, entry.id);
+        now += 1;
+        return entry.id;
+    }
+
+    it('should rotate round-robin across keys', async () => {
+        const used = [];
+        for (let i = 0; i < 5; i++) {
+            used.push(await send());
+        }
+
+        expect(used).toEqual(['a', 'b', 'c', 'a', 'b']);
+    });
+
+    it('should pass over rate-limited keys while others are available', async () => {
+        await send();
+        pool.markRateLimited('openai', 'a');
+
+        expect([await send(), await send(), await send()]).toEqual(['b', 'c', 'b']);
+
+        now += RATE_LIMIT_COOLDOWN_MS;
+        expect(await send()).toBe('a');
+    });
+
+    it('should pick the least recently rate-limited key if all are', async () => {
+        pool.markRateLimited('openai', 'b');
+        now += 10;
+        pool.markRateLimited('openai', 'a');
+        now += 10;
+        pool.markRateLimited('openai', 'c');
+
+        expect((await pool.pick('openai', KEYS)).id).toBe('b');
+    });
+
+    it('should take rejected keys out of rotation and persist the rejection', async () => {
+        await pool.markRejected('openai', 'b', 'Authentication failed');
+
+        expect(saveHealth).toHaveBeenCalledWith({
+            openai: { b: { reason: 'Authentication failed', at: now } },
+        });
+        expect([await send(), await send(), await send()]).toEqual(['a', 'c', 'a']);
+    });
+
+    it('should throw once every key was rejected', async () => {
+        pool.setHealth({ openai: { a: {}, b: {}, c: {} } });
+
+        await expect(pool.pick('openai', KEYS)).rejects.toThrow('All API keys for openai were rejected');
+        await expect(pool.pick('google', [])).rejects.toThrow('API key not found for provider: google');
+    });
+
+    it('should load persisted rejections and let re-enabled keys back in', async () => {
+        pool = new ApiKeyPool({
+            loadHealth: async () => ({ openai: { a: { reason: 'Invalid', at: 1 } } }),
+            saveHealth,
+            now: () => now,
+        });
+
+        expect(await send()).toBe('b');
+
+        pool.setHealth({ openai: {} });
+        expect(await send()).toBe('a');
+    });
+
+    it('should report the state of each key', async () => {
+        await send();
+        pool.markRateLimited('openai', 'a');
+        await pool.markRejected('openai', 'b', 'Invalid API key');
+
+        const status = await pool.getStatus({ openai: KEYS });
+
+        expect(status.openai.a).toMatchObject({ state: 'rate_limited', requests: 1, failures: 1 });
+        expect(status.openai.b).toMatchObject({ state: 'rejected', reason: 'Invalid API key' });
+        expect(status.openai.c).toMatchObject({ state: 'unused', requests: 0 });
+
+        now += RATE_LIMIT_COOLDOWN_MS;
+        expect((await pool.getStatus({ openai: KEYS })).openai.a.state).toBe('active');
+    });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { describeConnectionError, getActiveStageModels } from '../connection-test.js';
+
+function providerError(status, message = `${status} error`) {
+    const original = new Error(message);
+    original.status = status;
+
+    const normalized = new Error(message);
+    normalized.originalError = original;
+    return normalized;
+}
+
+describe('connection-test', () => {
+    describe('getActiveStageModels', () => {
+        it('should list the models of the stages in use', () => {
+            const stages = getActiveStageModels({
+                llm: { glossaryGenerate: '1-1', glossaryUpdate: '1-5', textChunking: '3-1', translation: '1-3', postEdit: '7-3' },
+                updateGlossary: true,
+                textSegmentation: { method: 'chunk' },
+                postEdit: false,
+            });
+
+            expect(stages).toEqual({ glossaryGenerate: '1-1', glossaryUpdate: '1-5', textChunking: '3-1', translation: '1-3' });
+        });
+
+        it('should leave out switched-off stages and unselected models', () => {
+            const stages = getActiveStageModels({
+                llm: { glossaryGenerate: '1-1', textChunking: '3-1', translation: null, postEdit: '7-3' },
+                updateGlossary: false,
+                textSegmentation: { method: 'single' },
+                postEdit: true,
+            });
+
+            expect(stages).toEqual({ postEdit: '7-3' });
+            expect(getActiveStageModels(undefined)).toEqual({});
+        });
+    });
+
+    describe('describeConnectionError', () => {
+        it('should report rejected keys and missing models as errors', () => {
+            expect(describeConnectionError(providerError(401))).toEqual({
+                status: 'error',
+                message: 'API key rejected by the provider',
+            });
+            expect(describeConnectionError(providerError(404, 'model gpt-9 does not exist'))).toMatchObject({ status: 'error' });
+            expect(describeConnectionError(new Error('API key not found for provider: openai'))).toEqual({
+                status: 'error',
+                message: 'No API key saved for this provider',
+            });
+        });
+
+        it('should report transient failures as warnings', () => {
+            expect(describeConnectionError(providerError(429))).toMatchObject({ status: 'warning' });
+            expect(describeConnectionError(providerError(503))).toMatchObject({ status: 'warning' });
+            expect(describeConnectionError(Object.assign(new Error('Request cancelled'), { cancelled: true })))
+                .toMatchObject({ status: 'warning', message: 'No answer within 30 seconds' });
+        });
+    });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { getCustomProviderSettings, normalizeBaseUrl } from '../custom-provider-settings.js';
+
+describe('custom-provider-settings', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    describe('normalizeBaseUrl', () => {
+        it('should add /v1 to a bare host', () => {
+            expect(normalizeBaseUrl('http://localhost:11434')).toBe('http://localhost:11434/v1');
+            expect(normalizeBaseUrl('http://localhost:11434/')).toBe('http://localhost:11434/v1');
+        });
+
+        it('should keep an explicit API path', () => {
+            expect(normalizeBaseUrl('http://192.168.1.20:8000/v1/')).toBe('http://192.168.1.20:8000/v1');
+            expect(normalizeBaseUrl('https://llm.example.com/api/v1')).toBe('https://llm.example.com/api/v1');
+        });
+
+        it('should strip pasted endpoint paths', () => {
+            expect(normalizeBaseUrl('http://127.0.0.1:8080/v1/chat/completions')).toBe('http://127.0.0.1:8080/v1');
+            expect(normalizeBaseUrl('http://127.0.0.1:1234/v1/models')).toBe('http://127.0.0.1:1234/v1');
+        });
+
+        it('should reject missing and invalid URLs', () => {
+            expect(normalizeBaseUrl(undefined)).toBe('');
+            expect(normalizeBaseUrl('  ')).toBe('');
+            expect(normalizeBaseUrl('localhost:11434')).toBe('');
+            expect(normalizeBaseUrl('ftp://example.com')).toBe('');
+        });
+    });
+
+    describe('getCustomProviderSettings', () => {
+        it('should return the normalized stored base URL', async () => {
+            chrome.storage.local.get.mockResolvedValue({
+                custom_provider: { baseUrl: 'http://localhost:11434' },
+            });
+
+            const settings = await getCustomProviderSettings();
+
+            expect(settings).toEqual({ baseUrl: 'http://localhost:11434/v1' });
+            expect(chrome.storage.local.get).toHaveBeenCalledWith('custom_provider');
+        });
+
+        it('should return an empty base URL when not configured', async () => {
+            chrome.storage.local.get.mockResolvedValue({});
+
+            expect(await getCustomProviderSettings()).toEqual({ baseUrl: '' });
+        });
+    });
+});
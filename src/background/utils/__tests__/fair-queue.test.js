@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import PQueue from 'p-queue';
+import { FairQueue, getRequestPriority } from '../fair-queue.js';
+
+describe('getRequestPriority', () => {
+    it('should rank the foreground tab above any stage of a background tab', () => {
+        const foregroundGlossary = getRequestPriority({ stageKey: 'glossaryUpdate', foreground: true });
+        const backgroundTranslation = getRequestPriority({ stageKey: 'translation', foreground: false });
+
+        expect(foregroundGlossary).toBeGreaterThan(backgroundTranslation);
+    });
+
+    it('should rank translation above glossary upkeep', () => {
+        expect(getRequestPriority({ stageKey: 'translation' }))
+            .toBeGreaterThan(getRequestPriority({ stageKey: 'glossaryUpdate' }));
+        expect(getRequestPriority({ stageKey: 'unknown' })).toBe(0);
+    });
+});
+
+describe('FairQueue', () => {
+    // Runs tasks one at a time and records their labels in the order they ran
+    async function runInOrder(tasks) {
+        const queue = new PQueue({ concurrency: 1, autoStart: false, queueClass: FairQueue });
+        const order = [];
+
+        const done = tasks.map(({ label, ...options }) => queue.add(async () => {
+            order.push(label);
+        }, options));
+
+        queue.start();
+        await Promise.all(done);
+        return order;
+    }
+
+    it('should run higher priorities first', async () => {
+        const order = await runInOrder([
+            { label: 'low', priority: 0, clientId: 'a' },
+            { label: 'high', priority: 5, clientId: 'a' },
+        ]);
+
+        expect(order).toEqual(['high', 'low']);
+    });
+
+    it('should take turns between clients of the same priority', async () => {
+        const order = await runInOrder([
+            { label: 'a1', clientId: 'a' },
+            { label: 'a2', clientId: 'a' },
+            { label: 'a3', clientId: 'a' },
+            { label: 'b1', clientId: 'b' },
+            { label: 'b2', clientId: 'b' },
+        ]);
+
+        expect(order).toEqual(['a1', 'b1', 'a2', 'b2', 'a3']);
+    });
+
+    it('should change the priority of a waiting task', async () => {
+        const queue = new FairQueue();
+        queue.enqueue('first', { id: '1', clientId: 'a' });
+        queue.enqueue('second', { id: '2', clientId: 'b' });
+
+        queue.setPriority('2', 3);
+
+        expect(queue.filter({ priority: 3 })).toEqual(['second']);
+        expect(queue.dequeue()).toBe('second');
+        expect(() => queue.setPriority('2', 1)).toThrow(ReferenceError);
+    });
+
+    it('should drop a task removed by id', () => {
+        const queue = new FairQueue();
+        queue.enqueue('first', { id: '1' });
+        queue.enqueue('second', { id: '2' });
+
+        queue.remove('1');
+
+        expect(queue.size).toBe(1);
+        expect(queue.dequeue()).toBe('second');
+        expect(queue.dequeue()).toBeUndefined();
+    });
+
+    it('should drop a task from the queue when its signal aborts', async () => {
+        const queue = new PQueue({ concurrency: 1, autoStart: false, queueClass: FairQueue });
+        const controller = new AbortController();
+
+        const cancelled = queue.add(async () => 'never', { signal: controller.signal, clientId: 'a' });
+        controller.abort();
+
+        await expect(cancelled).rejects.toBeDefined();
+        expect(queue.size).toBe(0);
+    });
+});
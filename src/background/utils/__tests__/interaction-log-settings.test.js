@@ -0,0 +1,83 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+    getInteractionLogSettings,
+    matchesInteractionFilter,
+    normalizeInteractionLogSettings,
+    summarizeInteraction,
+} from '../interaction-log-settings.js';
+
+describe('interaction-log-settings', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    describe('normalizeInteractionLogSettings', () => {
+        it('should be disabled with the default size when not configured', () => {
+            expect(normalizeInteractionLogSettings(undefined)).toEqual({ enabled: false, maxEntries: 500 });
+        });
+
+        it('should ignore an invalid size', () => {
+            expect(normalizeInteractionLogSettings({ enabled: true, maxEntries: 0 })).toEqual({ enabled: true, maxEntries: 500 });
+            expect(normalizeInteractionLogSettings({ enabled: true, maxEntries: 2.5 }).maxEntries).toBe(500);
+        });
+    });
+
+    describe('getInteractionLogSettings', () => {
+        it('should read the stored settings', async () => {
+            chrome.storage.local.get.mockResolvedValue({ interaction_log: { enabled: true, maxEntries: 50 } });
+
+            expect(await getInteractionLogSettings()).toEqual({ enabled: true, maxEntries: 50 });
+            expect(chrome.storage.local.get).toHaveBeenCalledWith('interaction_log');
+        });
+    });
+
+    describe('matchesInteractionFilter', () => {
+        const entry = {
+            series: 'syosetu/n1234ab',
+            runId: 'run-1',
+            page: 'https://ncode.syosetu.com/n1234ab/12/',
+        };
+
+        it('should match everything without a filter', () => {
+            expect(matchesInteractionFilter(entry)).toBe(true);
+            expect(matchesInteractionFilter(entry, { series: '', page: '', runId: '' })).toBe(true);
+        });
+
+        it('should match series and run exactly', () => {
+            expect(matchesInteractionFilter(entry, { series: 'syosetu/n1234ab', runId: 'run-1' })).toBe(true);
+            expect(matchesInteractionFilter(entry, { series: 'syosetu/n1234' })).toBe(false);
+            expect(matchesInteractionFilter(entry, { runId: 'run-2' })).toBe(false);
+        });
+
+        it('should match any part of the page URL', () => {
+            expect(matchesInteractionFilter(entry, { page: 'n1234ab/12' })).toBe(true);
+            expect(matchesInteractionFilter(entry, { page: 'kakuyomu' })).toBe(false);
+            expect(matchesInteractionFilter({ series: 'x' }, { page: 'n1234ab' })).toBe(false);
+        });
+    });
+
+    describe('summarizeInteraction', () => {
+        it('should drop the prompts and keep a preview of the answer', () => {
+            const summary = summarizeInteraction({
+                id: 3,
+                stage: 'translation',
+                systemPrompt: 'Translate.',
+                userMessage: 'こんにちは',
+                reasoning: 'Greeting.',
+                response: 'x'.repeat(200),
+                error: null,
+            });
+
+            expect(summary).toEqual({
+                id: 3,
+                stage: 'translation',
+                error: null,
+                preview: 'x'.repeat(120),
+            });
+        });
+
+        it('should have an empty preview for failed requests', () => {
+            expect(summarizeInteraction({ id: 1, response: null, error: 'Rate limited' }).preview).toBe('');
+        });
+    });
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { KeepAlive } from '../keep-alive.js';
+
+describe('KeepAlive', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('should ping while any request holds it', () => {
+        const ping = vi.fn(async () => {});
+        const keepAlive = new KeepAlive({ ping, intervalMs: 1000 });
+
+        keepAlive.acquire();
+        keepAlive.acquire();
+        vi.advanceTimersByTime(2500);
+        expect(ping).toHaveBeenCalledTimes(2);
+
+        keepAlive.release();
+        vi.advanceTimersByTime(1000);
+        expect(ping).toHaveBeenCalledTimes(3);
+
+        keepAlive.release();
+        vi.advanceTimersByTime(5000);
+        expect(ping).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not ping without holders', () => {
+        const ping = vi.fn();
+        const keepAlive = new KeepAlive({ ping, intervalMs: 1000 });
+
+        keepAlive.release();
+        vi.advanceTimersByTime(5000);
+
+        expect(ping).not.toHaveBeenCalled();
+        expect(keepAlive.holders).toBe(0);
+    });
+
+    it('should ignore failed pings', () => {
+        const ping = vi.fn(async () => {
+            throw new Error('Extension context invalidated');
+        });
+        const keepAlive = new KeepAlive({ ping, intervalMs: 1000 });
+
+        keepAlive.acquire();
+        vi.advanceTimersByTime(1000);
+        keepAlive.release();
+
+        expect(ping).toHaveBeenCalledTimes(1);
+    });
+});
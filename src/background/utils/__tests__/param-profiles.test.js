@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { getParamProfiles, normalizeParamProfiles, resolveProfileParams } from '../param-profiles.js';
+
+describe('param-profiles', () => {
+    describe('resolveProfileParams', () => {
+        const profiles = normalizeParamProfiles({
+            defaults: { temperature: 0.7, max_tokens: 4096 },
+            models: { '1-3': { temperature: 1, reasoning: 'high' } },
+            stages: { translation: { temperature: 0.9 } },
+        });
+
+        it('should apply stage over model over defaults', () => {
+            expect(resolveProfileParams(profiles, { llmId: '1-3', stageKey: 'translation' })).toEqual({
+                temperature: 0.9,
+                max_tokens: 4096,
+                reasoning: 'high',
+            });
+        });
+
+        it('should fall back to the defaults for other models and stages', () => {
+            expect(resolveProfileParams(profiles, { llmId: '2-1', stageKey: 'postEdit' })).toEqual({
+                temperature: 0.7,
+                max_tokens: 4096,
+            });
+            expect(resolveProfileParams(profiles, { llmId: '1-3' }).temperature).toBe(1);
+        });
+    });
+
+    describe('normalizeParamProfiles', () => {
+        it('should fill in missing sections', () => {
+            expect(normalizeParamProfiles(undefined)).toEqual({ defaults: {}, models: {}, stages: {} });
+        });
+
+        it('should keep only supported parameters with valid values', () => {
+            const profiles = normalizeParamProfiles({
+                defaults: { temperature: 3, top_p: 0.9, max_tokens: 1.5, reasoning: 'extreme', seed: 1 },
+                models: { '1-1': { providers: ['DeepInfra', 'Google'], top_p: 0 } },
+            });
+
+            expect(profiles.defaults).toEqual({ top_p: 0.9 });
+            expect(profiles.models['1-1']).toEqual({ providers: ['DeepInfra', 'Google'] });
+        });
+    });
+
+    describe('getParamProfiles', () => {
+        it('should read the legacy userParams as the defaults', async () => {
+            chrome.storage.local.get.mockResolvedValue({ userParams: { temperature: 0.5 } });
+
+            const profiles = await getParamProfiles();
+
+            expect(profiles.defaults).toEqual({ temperature: 0.5 });
+        });
+
+        it('should prefer stored profiles', async () => {
+            chrome.storage.local.get.mockResolvedValue({
+                param_profiles: { stages: { translation: { max_tokens: 8192 } } },
+                userParams: { temperature: 0.5 },
+            });
+
+            const profiles = await getParamProfiles();
+
+            expect(profiles.defaults).toEqual({});
+            expect(profiles.stages.translation).toEqual({ max_tokens: 8192 });
+        });
+    });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+    AZURE_DEFAULT_API_VERSION,
+    getProviderClientOptions,
+    normalizeProviderOverrides,
+} from '../provider-overrides.js';
+
+describe('provider-overrides', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    describe('normalizeProviderOverrides', () => {
+        it('should fill in defaults for missing overrides', () => {
+            expect(normalizeProviderOverrides(undefined)).toEqual({
+                baseUrl: '',
+                headers: {},
+                query: {},
+                apiVersion: AZURE_DEFAULT_API_VERSION,
+                deployments: [],
+            });
+        });
+
+        it('should keep the base URL path without adding one', () => {
+            expect(normalizeProviderOverrides({ baseUrl: 'https://gateway.example.com/openai/v1/' }).baseUrl)
+                .toBe('https://gateway.example.com/openai/v1');
+            expect(normalizeProviderOverrides({ baseUrl: 'https://my-resource.openai.azure.com' }).baseUrl)
+                .toBe('https://my-resource.openai.azure.com');
+        });
+
+        it('should drop invalid base URLs', () => {
+            expect(normalizeProviderOverrides({ baseUrl: 'gateway.example.com' }).baseUrl).toBe('');
+            expect(normalizeProviderOverrides({ baseUrl: 'ftp://gateway.example.com' }).baseUrl).toBe('');
+        });
+
+        it('should keep only valid headers and query params', () => {
+            const overrides = normalizeProviderOverrides({
+                headers: { 'X-Team': 'books', 'bad header': 'x', 'X-Count': 3 },
+                query: { tenant: 'books', '': 'x' },
+            });
+
+            expect(overrides.headers).toEqual({ 'X-Team': 'books' });
+            expect(overrides.query).toEqual({ tenant: 'books' });
+        });
+
+        it('should trim and dedupe deployment names', () => {
+            const overrides = normalizeProviderOverrides({
+                apiVersion: ' 2025-01-01-preview ',
+                deployments: ['gpt-4o ', 'gpt-4o', '', 42, 'gpt-4o-mini'],
+            });
+
+            expect(overrides.apiVersion).toBe('2025-01-01-preview');
+            expect(overrides.deployments).toEqual(['gpt-4o', 'gpt-4o-mini']);
+        });
+    });
+
+    describe('getProviderClientOptions', () => {
+        it('should replace the endpoint with the base URL override', async () => {
+            chrome.storage.local.get.mockResolvedValue({
+                provider_overrides: {
+                    openai: { baseUrl: 'https://gateway.example.com/v1', headers: { 'X-Team': 'books' } },
+                },
+            });
+
+            const options = await getProviderClientOptions('openai', {
+                endpoint: 'https://api.openai.com/v1',
+                apiKey: 'sk-test',
+            });
+
+            expect(options.endpoint).toBe('https://gateway.example.com/v1');
+            expect(options.apiKey).toBe('sk-test');
+            expect(options.overrides.headers).toEqual({ 'X-Team': 'books' });
+        });
+
+        it('should keep the default endpoint without overrides', async () => {
+            chrome.storage.local.get.mockResolvedValue({});
+
+            const options = await getProviderClientOptions('deepseek', {
+                endpoint: 'https://api.deepseek.com/v1',
+                apiKey: 'sk-test',
+            });
+
+            expect(options.endpoint).toBe('https://api.deepseek.com/v1');
+            expect(options.overrides.headers).toEqual({});
+        });
+    });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { RATE_LIMIT_CONFIG } from '../../config/defaults.js';
+import { normalizeRateLimitSettings, resolveRateLimit } from '../rate-limit-settings.js';
+
+describe('rate-limit-settings', () => {
+    describe('resolveRateLimit', () => {
+        it('should fall back to the defaults', () => {
+            const limits = resolveRateLimit(normalizeRateLimitSettings(undefined), 'openai', 'gpt-5');
+            expect(limits).toEqual({ queueKey: 'openai', ...RATE_LIMIT_CONFIG });
+        });
+
+        it('should apply provider overrides to the provider queue', () => {
+            const settings = normalizeRateLimitSettings({
+                providers: { deepseek: { concurrency: 20 } },
+            });
+
+            const limits = resolveRateLimit(settings, 'deepseek', 'deepseek-chat');
+            expect(limits.queueKey).toBe('deepseek');
+            expect(limits.concurrency).toBe(20);
+            expect(limits.intervalCap).toBe(RATE_LIMIT_CONFIG.intervalCap);
+        });
+
+        it('should give models with overrides their own queue', () => {
+            const settings = normalizeRateLimitSettings({
+                providers: { google: { concurrency: 4, intervalCap: 8 } },
+                models: { 'google:gemini-2.5-pro': { concurrency: 1, tokensPerMinute: 250000 } },
+            });
+
+            const limits = resolveRateLimit(settings, 'google', 'gemini-2.5-pro');
+            expect(limits.queueKey).toBe('google:gemini-2.5-pro');
+            expect(limits.concurrency).toBe(1);
+            expect(limits.intervalCap).toBe(8);
+            expect(limits.tokensPerMinute).toBe(250000);
+        });
+
+        it('should ignore invalid values', () => {
+            const settings = normalizeRateLimitSettings({
+                providers: { openai: { concurrency: 0, intervalCap: 'lots', interval: 2.5 } },
+            });
+
+            const limits = resolveRateLimit(settings, 'openai', 'gpt-5');
+            expect(limits).toEqual({ queueKey: 'openai', ...RATE_LIMIT_CONFIG });
+        });
+    });
+});
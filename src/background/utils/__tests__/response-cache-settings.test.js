@@ -0,0 +1,64 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+    buildResponseCacheKey,
+    getResponseCacheSettings,
+    normalizeResponseCacheSettings,
+} from '../response-cache-settings.js';
+
+describe('response-cache-settings', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    describe('normalizeResponseCacheSettings', () => {
+        it('should be disabled with the default size when not configured', () => {
+            expect(normalizeResponseCacheSettings(undefined)).toEqual({
+                enabled: false,
+                maxBytes: 50 * 1024 * 1024,
+            });
+        });
+
+        it('should convert the size cap to bytes', () => {
+            expect(normalizeResponseCacheSettings({ enabled: true, maxSizeMB: 10 })).toEqual({
+                enabled: true,
+                maxBytes: 10 * 1024 * 1024,
+            });
+        });
+
+        it('should ignore an invalid size cap', () => {
+            expect(normalizeResponseCacheSettings({ enabled: true, maxSizeMB: -5 }).maxBytes).toBe(50 * 1024 * 1024);
+        });
+    });
+
+    describe('getResponseCacheSettings', () => {
+        it('should read the stored settings', async () => {
+            chrome.storage.local.get.mockResolvedValue({ response_cache: { enabled: true, maxSizeMB: 1 } });
+
+            expect(await getResponseCacheSettings()).toEqual({ enabled: true, maxBytes: 1024 * 1024 });
+            expect(chrome.storage.local.get).toHaveBeenCalledWith('response_cache');
+        });
+    });
+
+    describe('buildResponseCacheKey', () => {
+        const messages = [
+            { role: 'system', content: 'Translate.' },
+            { role: 'user', content: 'こんにちは' },
+        ];
+
+        it('should not depend on parameter order', async () => {
+            const a = await buildResponseCacheKey('openai', { model: 'gpt-5-mini', max_tokens: 4096 }, messages);
+            const b = await buildResponseCacheKey('openai', { max_tokens: 4096, model: 'gpt-5-mini' }, messages);
+
+            expect(a).toMatch(/^[0-9a-f]{64}$/);
+            expect(a).toBe(b);
+        });
+
+        it('should differ by model, params and messages', async () => {
+            const base = await buildResponseCacheKey('openai', { model: 'gpt-5-mini' }, messages);
+
+            expect(await buildResponseCacheKey('openai', { model: 'gpt-5-nano' }, messages)).not.toBe(base);
+            expect(await buildResponseCacheKey('openai', { model: 'gpt-5-mini', temperature: 0.2 }, messages)).not.toBe(base);
+            expect(await buildResponseCacheKey('openai', { model: 'gpt-5-mini' }, [messages[1]])).not.toBe(base);
+        });
+    });
+});
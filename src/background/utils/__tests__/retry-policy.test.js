@@ -0,0 +1,197 @@
+import { describe, it, expect } from 'vitest';
+import { APIConnectionError } from 'openai';
+import {
+    getErrorCode,
+    getRetryClass,
+    getRetryDelay,
+    isContentFilterError,
+    parseRetryAfter,
+    shouldFallback,
+    shouldRetry,
+} from '../retry-policy.js';
+
+const config = {
+    baseDelayMs: 1000,
+    maxDelayMs: 10000,
+    maxAttempts: { rate_limit: 4, server: 2, network: 2 },
+};
+
+function providerError(status, headers) {
+    const original = new Error(`${status} error`);
+    original.status = status;
+    original.headers = headers;
+
+    const normalized = new Error('normalized');
+    normalized.originalError = original;
+    return normalized;
+}
+
+describe('retry-policy', () => {
+    describe('getRetryClass', () => {
+        it('should classify rate limit and server errors', () => {
+            expect(getRetryClass(providerError(429))).toBe('rate_limit');
+            expect(getRetryClass(providerError(503))).toBe('server');
+            expect(getRetryClass(providerError(408))).toBe('server');
+        });
+
+        it('should classify connection errors as network', () => {
+            const error = new Error('Network error');
+            error.originalError = new APIConnectionError({ message: 'Connection error.' });
+            expect(getRetryClass(error)).toBe('network');
+        });
+
+        it('should not retry client errors or cancelled requests', () => {
+            expect(getRetryClass(providerError(400))).toBeNull();
+            expect(getRetryClass(providerError(401))).toBeNull();
+
+            const cancelled = providerError(429);
+            cancelled.cancelled = true;
+            expect(getRetryClass(cancelled)).toBeNull();
+        });
+
+        it('should respect an explicit retryable flag', () => {
+            const error = providerError(500);
+            error.retryable = false;
+            expect(getRetryClass(error)).toBeNull();
+        });
+    });
+
+    describe('shouldRetry', () => {
+        it('should stop at the max attempts for the error class', () => {
+            expect(shouldRetry(providerError(429), 3, config)).toBe(true);
+            expect(shouldRetry(providerError(429), 4, config)).toBe(false);
+            expect(shouldRetry(providerError(500), 2, config)).toBe(false);
+        });
+    });
+
+    describe('isContentFilterError', () => {
+        it('should detect provider content filter errors', () => {
+            const blocked = new Error('Response blocked');
+            blocked.contentFiltered = true;
+
+            const normalized = new Error('normalized');
+            normalized.originalError = blocked;
+
+            expect(isContentFilterError(normalized)).toBe(true);
+        });
+
+        it('should detect OpenAI-style error codes', () => {
+            const error = providerError(400);
+            error.originalError.code = 'content_filter';
+
+            expect(isContentFilterError(error)).toBe(true);
+            expect(isContentFilterError(providerError(400))).toBe(false);
+        });
+    });
+
+    describe('shouldFallback', () => {
+        it('should fall back on retryable, auth and content filter errors', () => {
+            const blocked = new Error('Response blocked');
+            blocked.contentFiltered = true;
+
+            expect(shouldFallback(providerError(503))).toBe(true);
+            expect(shouldFallback(providerError(429))).toBe(true);
+            expect(shouldFallback(providerError(401))).toBe(true);
+            expect(shouldFallback(blocked)).toBe(true);
+        });
+
+        it('should not fall back on other errors', () => {
+            expect(shouldFallback(providerError(400))).toBe(false);
+            expect(shouldFallback(new Error('Invalid response: no choices returned'))).toBe(false);
+        });
+
+        it('should not fall back on cancelled or partially streamed requests', () => {
+            const cancelled = providerError(503);
+            cancelled.cancelled = true;
+
+            const streamed = providerError(503);
+            streamed.retryable = false;
+
+            expect(shouldFallback(cancelled)).toBe(false);
+            expect(shouldFallback(streamed)).toBe(false);
+        });
+    });
+
+    describe('getErrorCode', () => {
+        it('should classify auth, rate limit and server errors', () => {
+            expect(getErrorCode(providerError(401))).toBe('auth');
+            expect(getErrorCode(providerError(403))).toBe('auth');
+            expect(getErrorCode(providerError(429))).toBe('rate_limit');
+            expect(getErrorCode(providerError(502))).toBe('server');
+        });
+
+        it('should classify content filter and truncated responses', () => {
+            const blocked = new Error('Response blocked');
+            blocked.contentFiltered = true;
+
+            const truncated = new Error('Response truncated');
+            truncated.truncated = true;
+
+            expect(getErrorCode(blocked)).toBe('content_filter');
+            expect(getErrorCode(truncated)).toBe('truncated');
+        });
+
+        it('should classify context length errors by code or message', () => {
+            const byCode = providerError(400);
+            byCode.originalError.code = 'context_length_exceeded';
+
+            const byMessage = providerError(400);
+            byMessage.originalError.message = 'prompt is too long: 210000 tokens > 200000 maximum';
+
+            expect(getErrorCode(byCode)).toBe('context_length');
+            expect(getErrorCode(byMessage)).toBe('context_length');
+            expect(getErrorCode(providerError(413))).toBe('context_length');
+        });
+
+        it('should classify partially streamed errors by their cause', () => {
+            const streamed = providerError(503);
+            streamed.retryable = false;
+
+            expect(getErrorCode(streamed)).toBe('server');
+        });
+
+        it('should keep an existing code and fall back to unknown', () => {
+            const coded = new Error('Rate limited');
+            coded.code = 'rate_limit';
+
+            expect(getErrorCode(coded)).toBe('rate_limit');
+            expect(getErrorCode(providerError(400))).toBe('unknown');
+            expect(getErrorCode(new Error('Invalid response: no choices returned'))).toBe('unknown');
+        });
+    });
+
+    describe('getRetryDelay', () => {
+        it('should back off exponentially with jitter', () => {
+            expect(getRetryDelay(providerError(500), 1, config, () => 0)).toBe(500);
+            expect(getRetryDelay(providerError(500), 1, config, () => 0.999)).toBe(1000);
+            expect(getRetryDelay(providerError(500), 3, config, () => 0)).toBe(2000);
+        });
+
+        it('should cap the delay', () => {
+            expect(getRetryDelay(providerError(500), 10, config, () => 0.999)).toBe(9995);
+        });
+
+        it('should honor Retry-After from Headers', () => {
+            const error = providerError(429, new Headers({ 'retry-after': '3' }));
+            expect(getRetryDelay(error, 1, config)).toBe(3000);
+        });
+
+        it('should cap Retry-After at the max delay', () => {
+            const error = providerError(429, { 'retry-after': '120' });
+            expect(getRetryDelay(error, 1, config)).toBe(10000);
+        });
+    });
+
+    describe('parseRetryAfter', () => {
+        it('should parse seconds and HTTP dates', () => {
+            const now = Date.parse('Wed, 21 Oct 2015 07:28:00 GMT');
+            expect(parseRetryAfter('2', now)).toBe(2000);
+            expect(parseRetryAfter('Wed, 21 Oct 2015 07:28:05 GMT', now)).toBe(5000);
+        });
+
+        it('should return null for missing or invalid values', () => {
+            expect(parseRetryAfter(null)).toBeNull();
+            expect(parseRetryAfter('soon')).toBeNull();
+        });
+    });
+});
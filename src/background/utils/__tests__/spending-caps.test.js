@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import {
+    addSpending,
+    findExceededCap,
+    getCapKey,
+    hasSpendingCaps,
+    normalizeSpendingCaps,
+    summarizeSpending,
+} from '../spending-caps.js';
+
+describe('spending-caps', () => {
+    describe('normalizeSpendingCaps', () => {
+        it('should keep positive caps and drop invalid ones', () => {
+            const caps = normalizeSpendingCaps({
+                overall: { daily: 5, monthly: 0 },
+                providers: { openai: { daily: -1, monthly: 20 }, google: { daily: '3' } },
+            });
+
+            expect(caps).toEqual({
+                overall: { daily: 5, monthly: null },
+                providers: {
+                    openai: { daily: null, monthly: 20 },
+                    google: { daily: null, monthly: null },
+                },
+            });
+        });
+
+        it('should treat missing settings as no caps', () => {
+            const caps = normalizeSpendingCaps(undefined);
+
+            expect(caps).toEqual({ overall: { daily: null, monthly: null }, providers: {} });
+            expect(hasSpendingCaps(caps)).toBe(false);
+            expect(hasSpendingCaps(normalizeSpendingCaps({ providers: { xai: { monthly: 1 } } }))).toBe(true);
+        });
+    });
+
+    describe('summarizeSpending', () => {
+        it('should total today and the month by provider', () => {
+            const spending = summarizeSpending([
+                { date: '2025-01-31', provider: 'openai', cost: 1.5 },
+                { date: '2025-01-31', provider: 'deepseek', cost: 0.25 },
+                { date: '2025-01-02', provider: 'openai', cost: 3 },
+                { date: '2025-01-31', provider: 'custom', cost: null },
+            ], '2025-01-31');
+
+            expect(spending.daily).toEqual({ total: 1.75, providers: { openai: 1.5, deepseek: 0.25 } });
+            expect(spending.monthly).toEqual({ total: 4.75, providers: { openai: 4.5, deepseek: 0.25 } });
+        });
+
+        it('should ignore costs from other months', () => {
+            const spending = summarizeSpending([{ date: '2024-12-31', provider: 'openai', cost: 9 }], '2025-01-01');
+            addSpending(spending, 'openai', 2, '2024-12-31');
+
+            expect(spending.monthly.total).toBe(0);
+        });
+    });
+
+    describe('findExceededCap', () => {
+        const spending = summarizeSpending([
+            { date: '2025-01-31', provider: 'openai', cost: 2 },
+            { date: '2025-01-10', provider: 'google', cost: 8 },
+        ], '2025-01-31');
+
+        it('should check the provider caps before the overall caps', () => {
+            const caps = normalizeSpendingCaps({ overall: { daily: 1 }, providers: { openai: { daily: 2 } } });
+
+            expect(findExceededCap(caps, spending, 'openai')).toEqual({
+                key: 'openai:daily:2025-01-31',
+                provider: 'openai',
+                period: 'daily',
+                cap: 2,
+                spent: 2,
+            });
+        });
+
+        it('should apply overall caps to every provider', () => {
+            const caps = normalizeSpendingCaps({ overall: { monthly: 10 } });
+
+            expect(findExceededCap(caps, spending, 'deepseek')).toMatchObject({
+                key: '*:monthly:2025-01',
+                provider: null,
+                spent: 10,
+            });
+        });
+
+        it('should not apply another provider\'s caps', () => {
+            const caps = normalizeSpendingCaps({ providers: { google: { monthly: 5 } } });
+
+            expect(findExceededCap(caps, spending, 'openai')).toBeNull();
+            expect(findExceededCap(caps, spending, 'google')).not.toBeNull();
+        });
+
+        it('should skip caps the user continued past', () => {
+            const caps = normalizeSpendingCaps({ providers: { openai: { daily: 1, monthly: 1.5 } } });
+            const ignored = new Set([getCapKey('openai', 'daily', '2025-01-31')]);
+
+            expect(findExceededCap(caps, spending, 'openai', ignored)).toMatchObject({ period: 'monthly' });
+        });
+    });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect, vi } from 'vitest';
+import { SpendingGuard } from '../spending-guard.js';
+
+// 2025-01-31, local time
+const NOW = new Date(2025, 0, 31, 12).getTime();
+
+function createGuard(caps, rows = []) {
+    const onPauseChange = vi.fn();
+    const guard = new SpendingGuard({
+        loadCaps: async () => caps,
+        loadUsage: vi.fn(async () => rows),
+        onPauseChange,
+        now: () => NOW,
+    });
+    return { guard, onPauseChange };
+}
+
+describe('SpendingGuard', () => {
+    it('should let requests through without caps, without reading usage', async () => {
+        const { guard } = createGuard(undefined);
+
+        await guard.waitForBudget('openai');
+
+        expect(guard._loadUsage).not.toHaveBeenCalled();
+    });
+
+    it('should load this month\'s usage and let requests under the cap through', async () => {
+        const { guard } = createGuard({ overall: { daily: 5 } }, [{ date: '2025-01-31', provider: 'openai', cost: 1 }]);
+
+        await guard.waitForBudget('openai');
+
+        expect(guard._loadUsage).toHaveBeenCalledWith({ from: '2025-01-01', to: '2025-01-31' });
+    });
+
+    it('should pause once recorded costs reach a cap, and continue past it on request', async () => {
+        const { guard, onPauseChange } = createGuard({ providers: { openai: { daily: 2 } } });
+        await guard.waitForBudget('openai');
+
+        guard.recordCost('openai', 2.5);
+
+        let released = false;
+        const waiting = guard.waitForBudget('openai').then(() => {
+            released = true;
+        });
+        await vi.waitFor(() => expect(guard.getStatus().waiting).toBe(1));
+
+        expect(released).toBe(false);
+        expect(guard.getStatus()).toMatchObject({ paused: true, exceeded: { provider: 'openai', cap: 2, spent: 2.5 } });
+        expect(onPauseChange).toHaveBeenLastCalledWith(expect.objectContaining({ paused: true }));
+
+        // Other providers are not held back by a provider cap
+        await guard.waitForBudget('google');
+
+        expect(guard.resolve('continue')).toBe(true);
+        await waiting;
+
+        expect(released).toBe(true);
+        expect(onPauseChange).toHaveBeenLastCalledWith(expect.objectContaining({ paused: false }));
+
+        // The cap stays out of the way for the rest of the day
+        await guard.waitForBudget('openai');
+    });
+
+    it('should fail waiting requests when stopped', async () => {
+        const { guard } = createGuard({ overall: { monthly: 1 } }, [{ date: '2025-01-03', provider: 'openai', cost: 1 }]);
+
+        const waiting = guard.waitForBudget('deepseek');
+        await vi.waitFor(() => expect(guard.getStatus().paused).toBe(true));
+
+        guard.resolve('stop');
+
+        await expect(waiting).rejects.toMatchObject({
+            message: 'Stopped: monthly overall spending cap ($1.00 of $1.00) reached',
+            retryable: false,
+        });
+        expect(guard.getStatus().paused).toBe(false);
+    });
+
+    it('should recheck waiting requests when the caps change', async () => {
+        const { guard } = createGuard({ overall: { daily: 1 } }, [{ date: '2025-01-31', provider: 'openai', cost: 1 }]);
+
+        const waiting = guard.waitForBudget('openai');
+        await vi.waitFor(() => expect(guard.getStatus().paused).toBe(true));
+
+        guard.setCaps({ overall: { daily: 3 } });
+
+        await expect(waiting).resolves.toBeUndefined();
+    });
+
+    it('should stop waiting when the request is cancelled', async () => {
+        const { guard } = createGuard({ overall: { daily: 1 } }, [{ date: '2025-01-31', provider: 'openai', cost: 1 }]);
+        const controller = new AbortController();
+
+        const waiting = guard.waitForBudget('openai', controller.signal);
+        await vi.waitFor(() => expect(guard.getStatus().waiting).toBe(1));
+
+        controller.abort();
+
+        await expect(waiting).rejects.toThrow();
+        expect(guard.getStatus().waiting).toBe(0);
+    });
+
+    it('should let requests through if usage cannot be read', async () => {
+        const guard = new SpendingGuard({
+            loadCaps: async () => ({ overall: { daily: 1 } }),
+            loadUsage: async () => {
+                throw new Error('IndexedDB unavailable');
+            },
+            now: () => NOW,
+        });
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+
+        await expect(guard.waitForBudget('openai')).resolves.toBeUndefined();
+    });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { estimateTokens, TokenBudget } from '../token-budget.js';
+
+describe('TokenBudget', () => {
+    it('should reserve tokens while within budget', () => {
+        let now = 0;
+        const budget = new TokenBudget(1000, { now: () => now });
+
+        expect(budget.tryReserve(400)).toBe(0);
+        expect(budget.tryReserve(600)).toBe(0);
+    });
+
+    it('should return the wait until the oldest reservation expires', () => {
+        let now = 0;
+        const budget = new TokenBudget(1000, { now: () => now });
+
+        budget.tryReserve(800);
+        now = 20000;
+        expect(budget.tryReserve(300)).toBe(40000);
+
+        now = 60000;
+        expect(budget.tryReserve(300)).toBe(0);
+    });
+
+    it('should let an oversized request through when the window is empty', () => {
+        const budget = new TokenBudget(1000, { now: () => 0 });
+        expect(budget.tryReserve(5000)).toBe(0);
+    });
+
+    it('should stop waiting when aborted', async () => {
+        const budget = new TokenBudget(100, { now: () => 0 });
+        budget.tryReserve(100);
+
+        const controller = new AbortController();
+        const pending = budget.acquire(50, controller.signal);
+        controller.abort();
+
+        await expect(pending).rejects.toThrow();
+    });
+});
+
+describe('estimateTokens', () => {
+    it('should count CJK characters as one token each', () => {
+        expect(estimateTokens([{ role: 'user', content: '日本語' }])).toBe(6);
+    });
+
+    it('should count other text at about four characters per token', () => {
+        expect(estimateTokens([{ role: 'user', content: 'abcdefgh' }])).toBe(4);
+    });
+});
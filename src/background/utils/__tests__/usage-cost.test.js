@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { computeCost, toDateKey, addUsage } from '../usage-cost.js';
+
+describe('usage-cost', () => {
+    const usage = { inputTokens: 1000000, outputTokens: 200000, reasoningTokens: 50000, cachedTokens: 400000 };
+
+    describe('computeCost', () => {
+        it('should bill cache hits at the cached input price', () => {
+            const cost = computeCost(usage, { input: 1, output: 10, cachedInput: 0.1 });
+
+            // 600k uncached * $1 + 400k cached * $0.1 + 200k output * $10, per 1M
+            expect(cost).toBeCloseTo(0.6 + 0.04 + 2);
+        });
+
+        it('should bill cache hits as input without a cached price', () => {
+            expect(computeCost(usage, { input: 1, output: 10 })).toBeCloseTo(1 + 2);
+        });
+
+        it('should return null without pricing', () => {
+            expect(computeCost(usage, null)).toBeNull();
+        });
+    });
+
+    describe('toDateKey', () => {
+        it('should format the local date', () => {
+            expect(toDateKey(new Date(2025, 0, 5, 23, 30).getTime())).toBe('2025-01-05');
+        });
+    });
+
+    describe('addUsage', () => {
+        it('should start a row from the first request', () => {
+            expect(addUsage(undefined, usage, 0.5)).toEqual({
+                requests: 1,
+                inputTokens: 1000000,
+                outputTokens: 200000,
+                reasoningTokens: 50000,
+                cachedTokens: 400000,
+                cost: 0.5,
+                unpricedRequests: 0,
+            });
+        });
+
+        it('should accumulate and count unpriced requests', () => {
+            const row = addUsage(addUsage(undefined, usage, 0.5), usage, null);
+
+            expect(row.requests).toBe(2);
+            expect(row.inputTokens).toBe(2000000);
+            expect(row.cost).toBe(0.5);
+            expect(row.unpricedRequests).toBe(1);
+        });
+    });
+});
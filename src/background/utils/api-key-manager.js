@@ -1,29 +1,78 @@
+import { readApiKeys, writeApiKeys } from '../../common/api-key-vault.js';
+
+// Health of individual API keys, kept apart from the keys so the options page
+// can save keys without clobbering it (see ApiKeyPool)
+export const API_KEY_HEALTH_STORAGE_KEY = 'api_key_health';
+
 /**
  * Retrieves the API key for a given provider from chrome.storage.local.
+ * With several keys stored, this is the first one; requests rotate through
+ * all of them via ApiKeyPool.
  *
  * Storage format:
  * {
  *   api_keys: {
- *     openai: 'sk-...',
- *     google: '...',
+ *     openai: [
+ *       { id: 'k1', label: 'Personal', key: 'sk-...' },
+ *       { id: 'k2', label: 'Work', key: 'sk-...' }
+ *     ],
+ *     google: '...',  // single key, as saved by older versions
  *     ...
  *   }
  * }
  *
+ * With passphrase protection on, keys are read from the unlocked vault
+ * (see common/api-key-vault.js).
+ *
  * @param {string} provider - The provider name (e.g., 'openai', 'deepseek')
  * @returns {Promise<string>} The API key
- * @throws {Error} If the API key is not found
+ * @throws {Error} If the API key is not found, or the vault is locked
  */
 export async function getApiKey(provider) {
-  const result = await chrome.storage.local.get('api_keys');
-  const keys = result.api_keys || {};
-  const key = keys[provider];
+  const [entry] = await getApiKeyEntries(provider);
 
-  if (!key) {
+  if (!entry) {
     throw new Error(`API key not found for provider: ${provider}`);
   }
 
-  return key;
+  return entry.key;
+}
+
+/**
+ * Retrieves all keys stored for a provider.
+ *
+ * @param {string} provider - The provider name
+ * @returns {Promise<Array<Object>>} Keys: [{ id, label, key }], empty if none
+ * @throws {Error} If the vault is locked
+ */
+export async function getApiKeyEntries(provider) {
+  const keys = await readApiKeys();
+  return normalizeApiKeyEntries(keys[provider]);
+}
+
+/**
+ * Converts a stored provider value to a list of keys.
+ * A plain string (single key) becomes one key with the id 'default'.
+ *
+ * @param {string|Array<Object>|undefined} value - Stored value for one provider
+ * @returns {Array<Object>} Keys: [{ id, label, key }]
+ */
+export function normalizeApiKeyEntries(value) {
+  if (typeof value === 'string') {
+    return value ? [{ id: 'default', label: '', key: value }] : [];
+  }
+
+  if (!Array.isArray(value)) {
+    return [];
+  }
+
+  return value
+    .filter(entry => typeof entry?.key === 'string' && entry.key)
+    .map((entry, index) => ({
+      id: entry.id ? String(entry.id) : `key-${index + 1}`,
+      label: typeof entry.label === 'string' ? entry.label : '',
+      key: entry.key,
+    }));
 }
 
 /**
@@ -33,15 +82,83 @@ export async function getApiKey(provider) {
  * @returns {Promise<void>}
  */
 export async function saveApiKeys(keys) {
-  await chrome.storage.local.set({ api_keys: keys });
+  await writeApiKeys(keys);
 }
 
 /**
- * Retrieves all stored API keys.
+ * Retrieves the first stored API key of every provider.
+ * While the vault is locked, no keys are available.
  *
  * @returns {Promise<Object>} Object mapping provider names to API keys
  */
 export async function getAllApiKeys() {
-  const result = await chrome.storage.local.get('api_keys');
-  return result.api_keys || {};
+  const keys = {};
+
+  for (const [provider, value] of Object.entries(await readApiKeysUnlessLocked())) {
+    const [entry] = normalizeApiKeyEntries(value);
+    if (entry) {
+      keys[provider] = entry.key;
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * Retrieves the keys providers rejected.
+ *
+ * Storage format:
+ * {
+ *   api_key_health: {
+ *     openai: { k2: { reason: 'Authentication failed: ...', at: 1735689600000 } },
+ *     ...
+ *   }
+ * }
+ *
+ * @returns {Promise<Object>} Rejected keys by provider and key id
+ */
+export async function getApiKeyHealth() {
+  const result = await chrome.storage.local.get(API_KEY_HEALTH_STORAGE_KEY);
+  return result[API_KEY_HEALTH_STORAGE_KEY] || {};
+}
+
+/**
+ * Saves the keys providers rejected.
+ *
+ * @param {Object} health - Rejected keys by provider and key id
+ * @returns {Promise<void>}
+ */
+export async function saveApiKeyHealth(health) {
+  await chrome.storage.local.set({ [API_KEY_HEALTH_STORAGE_KEY]: health });
+}
+
+/**
+ * Retrieves all stored keys of every provider.
+ * While the vault is locked, no keys are available.
+ *
+ * @returns {Promise<Object>} Object mapping provider names to keys: [{ id, label, key }]
+ */
+export async function getAllApiKeyEntries() {
+  const entries = {};
+
+  for (const [provider, value] of Object.entries(await readApiKeysUnlessLocked())) {
+    entries[provider] = normalizeApiKeyEntries(value);
+  }
+
+  return entries;
+}
+
+/**
+ * Reads the stored keys, or none while the vault is locked.
+ * @private
+ */
+async function readApiKeysUnlessLocked() {
+  try {
+    return await readApiKeys();
+  } catch (error) {
+    if (error.locked) {
+      return {};
+    }
+    throw error;
+  }
 }
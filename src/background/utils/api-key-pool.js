@@ -0,0 +1,223 @@
+import { log } from '../../common/logger.js';
+
+// How long a key that hit a rate limit is passed over while others are available
+export const RATE_LIMIT_COOLDOWN_MS = 60_000;
+
+/**
+ * Rotates requests across the API keys of each provider and tracks their health.
+ *
+ * Keys are picked least recently used first (round-robin), skipping keys that
+ * were rate limited in the last minute unless every key was. A key rejected by
+ * the provider (401/403) is taken out of rotation until the user re-enables it;
+ * rejections are persisted, other stats are kept in memory only.
+ */
+export class ApiKeyPool {
+  /**
+   * @param {Object} options
+   * @param {Function} options.loadHealth - Resolves the persisted health: { [provider]: { [keyId]: { reason, at } } }
+   * @param {Function} options.saveHealth - Persists the health object
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor({ loadHealth, saveHealth, now = Date.now }) {
+    this._loadHealth = loadHealth;
+    this._saveHealth = saveHealth;
+    this._now = now;
+
+    // Rejected keys, loaded on first use: { [provider]: { [keyId]: { reason, at } } }
+    this.rejected = null;
+
+    // In-memory stats: Map<`${provider}:${keyId}`, { lastUsedAt, rateLimitedAt, requests, failures }>
+    this.stats = new Map();
+  }
+
+  /**
+   * Picks the key to send the next request with. Does not count as a use; see markUsed().
+   *
+   * @param {string} provider - Provider type
+   * @param {Array<Object>} entries - Stored keys of the provider: [{ id, label, key }]
+   * @returns {Promise<Object>} The chosen key entry
+   * @throws {Error} If the provider has no keys, or all of them were rejected
+   */
+  async pick(provider, entries) {
+    if (entries.length === 0) {
+      throw new Error(`API key not found for provider: ${provider}`);
+    }
+
+    const rejected = (await this._getRejected())[provider] ?? {};
+    const usable = entries.filter(entry => !rejected[entry.id]);
+
+    if (usable.length === 0) {
+      throw new Error(`All API keys for ${provider} were rejected by the provider. Check them in the API Keys tab.`);
+    }
+
+    const now = this._now();
+    const coolingDown = entry => now - (this._getStats(provider, entry.id).rateLimitedAt ?? -Infinity) < RATE_LIMIT_COOLDOWN_MS;
+    const ready = usable.filter(entry => !coolingDown(entry));
+
+    if (ready.length === 0) {
+      return minBy(usable, entry => this._getStats(provider, entry.id).rateLimitedAt);
+    }
+
+    return minBy(ready, entry => this._getStats(provider, entry.id).lastUsedAt ?? -Infinity);
+  }
+
+  /**
+   * Records that a request is being sent with a key.
+   *
+   * @param {string} provider - Provider type
+   * @param {string} keyId - Key id
+   */
+  markUsed(provider, keyId) {
+    const stats = this._getStats(provider, keyId);
+    stats.lastUsedAt = this._now();
+    stats.requests++;
+  }
+
+  /**
+   * Records that a key hit the provider's rate limit, so the next requests prefer other keys.
+   *
+   * @param {string} provider - Provider type
+   * @param {string} keyId - Key id
+   */
+  markRateLimited(provider, keyId) {
+    const stats = this._getStats(provider, keyId);
+    stats.rateLimitedAt = this._now();
+    stats.failures++;
+  }
+
+  /**
+   * Takes a key out of rotation after the provider rejected it.
+   *
+   * @param {string} provider - Provider type
+   * @param {string} keyId - Key id
+   * @param {string} reason - Error message, shown in the options page
+   * @returns {Promise<void>}
+   */
+  async markRejected(provider, keyId, reason) {
+    const rejected = await this._getRejected();
+
+    this._getStats(provider, keyId).failures++;
+    rejected[provider] = { ...rejected[provider], [keyId]: { reason, at: this._now() } };
+
+    log(`[ApiKeyPool] Key ${keyId} of ${provider} rejected, taken out of rotation`);
+
+    try {
+      await this._saveHealth(rejected);
+    } catch (error) {
+      console.error('[ApiKeyPool] Failed to save key health:', error);
+    }
+  }
+
+  /**
+   * Puts a key back into rotation after it passed a connection test.
+   *
+   * @param {string} provider - Provider type
+   * @param {string} keyId - Key id
+   * @returns {Promise<void>}
+   */
+  async markAccepted(provider, keyId) {
+    const rejected = await this._getRejected();
+    if (!rejected[provider]?.[keyId]) {
+      return;
+    }
+
+    delete rejected[provider][keyId];
+
+    try {
+      await this._saveHealth(rejected);
+    } catch (error) {
+      console.error('[ApiKeyPool] Failed to save key health:', error);
+    }
+  }
+
+  /**
+   * Replaces the rejected keys, e.g. after a key was re-enabled in the options page.
+   *
+   * @param {Object|undefined} health - Persisted health object
+   */
+  setHealth(health) {
+    this.rejected = normalizeHealth(health);
+  }
+
+  /**
+   * Reports the state of each key.
+   *
+   * @param {Object} entriesByProvider - { [provider]: [{ id, label, key }] }
+   * @returns {Promise<Object>} { [provider]: { [keyId]: { state, reason, lastUsedAt, rateLimitedAt, requests, failures } } }
+   *   where state is 'rejected', 'rate_limited', 'active' or 'unused'
+   */
+  async getStatus(entriesByProvider) {
+    const rejected = await this._getRejected();
+    const now = this._now();
+    const status = {};
+
+    for (const [provider, entries] of Object.entries(entriesByProvider)) {
+      status[provider] = {};
+
+      for (const { id } of entries) {
+        const stats = this._getStats(provider, id);
+        const rejection = rejected[provider]?.[id];
+
+        let state = 'unused';
+        if (rejection) {
+          state = 'rejected';
+        } else if (now - (stats.rateLimitedAt ?? -Infinity) < RATE_LIMIT_COOLDOWN_MS) {
+          state = 'rate_limited';
+        } else if (stats.requests > 0) {
+          state = 'active';
+        }
+
+        status[provider][id] = { state, reason: rejection?.reason ?? null, ...stats };
+      }
+    }
+
+    return status;
+  }
+
+  /**
+   * Gets the rejected keys, loading them on first use.
+   * @private
+   */
+  async _getRejected() {
+    if (!this.rejected) {
+      this.rejected = normalizeHealth(await this._loadHealth());
+    }
+    return this.rejected;
+  }
+
+  /**
+   * Gets or creates the in-memory stats of a key.
+   * @private
+   */
+  _getStats(provider, keyId) {
+    const statsKey = `${provider}:${keyId}`;
+    if (!this.stats.has(statsKey)) {
+      this.stats.set(statsKey, { lastUsedAt: null, rateLimitedAt: null, requests: 0, failures: 0 });
+    }
+    return this.stats.get(statsKey);
+  }
+}
+
+/**
+ * Keeps the well-formed part of a persisted health object.
+ * @private
+ */
+function normalizeHealth(health) {
+  const normalized = {};
+
+  for (const [provider, keys] of Object.entries(health ?? {})) {
+    if (keys && typeof keys === 'object') {
+      normalized[provider] = { ...keys };
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Returns the item with the lowest score; the first one on ties.
+ * @private
+ */
+function minBy(items, score) {
+  return items.reduce((best, item) => (score(item) < score(best) ? item : best));
+}
@@ -0,0 +1,77 @@
+import { getRetryClass, isAuthError } from './retry-policy.js';
+
+// Prompt of the test completion; short so it costs next to nothing
+export const CONNECTION_TEST_MESSAGES = [
+  { role: 'user', content: 'Reply with the single word: OK' },
+];
+
+// A check without an answer by then is given up
+export const CONNECTION_TEST_TIMEOUT_MS = 30_000;
+
+// How long a passed model check is reused by the popup's check before a run
+export const CONNECTION_TEST_TTL_MS = 10 * 60_000;
+
+/**
+ * Lists the models of the pipeline stages a translation config uses.
+ * Stages switched off (glossary, post-edit, LLM segmentation) are left out.
+ *
+ * @param {Object|null|undefined} config - Stored translation_config
+ * @returns {Object} Map of stage key to llmId, e.g. { translation: '1-1', postEdit: '7-3' }
+ */
+export function getActiveStageModels(config) {
+  const llm = config?.llm ?? {};
+
+  const active = {
+    glossaryGenerate: config?.updateGlossary !== false,
+    glossaryUpdate: config?.updateGlossary !== false,
+    textChunking: (config?.textSegmentation?.method ?? 'chunk') === 'chunk',
+    translation: true,
+    postEdit: !!config?.postEdit,
+  };
+
+  const stages = {};
+  for (const [stage, used] of Object.entries(active)) {
+    if (used && llm[stage]) {
+      stages[stage] = llm[stage];
+    }
+  }
+  return stages;
+}
+
+/**
+ * Turns the error of a failed check into a result.
+ * Rate limits, server and network errors are warnings: the key and model may well
+ * work once they pass. Rejected keys and unknown models are errors.
+ *
+ * @param {Error} error - Error thrown while checking
+ * @returns {Object} Result: { status: 'warning'|'error', message }
+ */
+export function describeConnectionError(error) {
+  const status = (error?.originalError ?? error)?.status ?? error?.status;
+
+  if (error?.cancelled) {
+    return { status: 'warning', message: `No answer within ${CONNECTION_TEST_TIMEOUT_MS / 1000} seconds` };
+  }
+
+  if (isAuthError(error)) {
+    return { status: 'error', message: 'API key rejected by the provider' };
+  }
+
+  if (/^API key not found/.test(error?.message ?? '')) {
+    return { status: 'error', message: 'No API key saved for this provider' };
+  }
+
+  if (status === 404 || /not found/i.test(error?.message ?? '')) {
+    return { status: 'error', message: `Model not available: ${error.message}` };
+  }
+
+  const retryClass = getRetryClass(error);
+  if (retryClass === 'rate_limit') {
+    return { status: 'warning', message: 'Rate limited; the key works but is busy' };
+  }
+  if (retryClass) {
+    return { status: 'warning', message: `Could not complete the check: ${error.message}` };
+  }
+
+  return { status: 'error', message: error?.message || 'Unknown error' };
+}
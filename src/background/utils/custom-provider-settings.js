@@ -0,0 +1,60 @@
+export const CUSTOM_PROVIDER_STORAGE_KEY = 'custom_provider';
+
+/**
+ * Retrieves the custom (OpenAI-compatible) provider settings from chrome.storage.local.
+ * Its optional API key is stored with the others under `api_keys.custom`.
+ *
+ * Storage format:
+ * {
+ *   custom_provider: {
+ *     baseUrl: 'http://localhost:11434/v1'
+ *   }
+ * }
+ *
+ * @returns {Promise<Object>} Settings: { baseUrl } (empty string if not configured)
+ */
+export async function getCustomProviderSettings() {
+  const result = await chrome.storage.local.get(CUSTOM_PROVIDER_STORAGE_KEY);
+  return {
+    baseUrl: normalizeBaseUrl(result[CUSTOM_PROVIDER_STORAGE_KEY]?.baseUrl),
+  };
+}
+
+/**
+ * Normalizes a user-supplied server URL to the API base the OpenAI SDK expects.
+ * A bare host gets the conventional '/v1' path; a pasted '/chat/completions' or
+ * '/models' suffix and trailing slashes are removed.
+ *
+ * @param {string|undefined} baseUrl - URL as entered by the user
+ * @returns {string} Normalized base URL, or empty string if missing or invalid
+ *
+ * @example
+ * normalizeBaseUrl('http://localhost:11434')                      // 'http://localhost:11434/v1'
+ * normalizeBaseUrl('http://127.0.0.1:8080/v1/chat/completions')   // 'http://127.0.0.1:8080/v1'
+ */
+export function normalizeBaseUrl(baseUrl) {
+  if (typeof baseUrl !== 'string' || !baseUrl.trim()) {
+    return '';
+  }
+
+  let url;
+  try {
+    url = new URL(baseUrl.trim());
+  } catch {
+    return '';
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return '';
+  }
+
+  let path = url.pathname
+    .replace(/\/+$/, '')
+    .replace(/\/(chat\/completions|models)$/, '');
+
+  if (!path) {
+    path = '/v1';
+  }
+
+  return `${url.origin}${path}`;
+}
@@ -0,0 +1,106 @@
+// Added to the priority of requests from the tab the user is looking at, so they
+// go before any request of a background tab whatever its stage
+const FOREGROUND_PRIORITY = 10;
+
+// Stages the reader waits on rank above glossary upkeep; unknown stages rank lowest
+const STAGE_PRIORITY = {
+  textChunking: 2,
+  translation: 2,
+  postEdit: 1,
+  glossaryGenerate: 0,
+  glossaryUpdate: 0,
+};
+
+/**
+ * Gets the queue priority of a request: higher runs first.
+ *
+ * @param {Object} request
+ * @param {string} [request.stageKey] - Pipeline stage key, e.g. 'translation'
+ * @param {boolean} [request.foreground] - The request comes from the active tab of its window
+ * @returns {number} Priority
+ */
+export function getRequestPriority({ stageKey, foreground = false }) {
+  return (foreground ? FOREGROUND_PRIORITY : 0) + (STAGE_PRIORITY[stageKey] ?? 0);
+}
+
+/**
+ * Queue class for p-queue (`queueClass` option) that runs higher priorities first and,
+ * within a priority, takes turns between clients: the client served longest ago goes next,
+ * so one stage sending a large batch can't hold back the requests of other tabs.
+ * A client's own tasks run in the order they were added.
+ *
+ * Tasks are added with `queue.add(task, { priority, clientId })`.
+ */
+export class FairQueue {
+  constructor() {
+    // Waiting tasks, in the order they were added: Array<{ run, id, priority, clientId }>
+    this._items = [];
+
+    // When each client with waiting tasks was last served: Map<clientId, sequence number>
+    this._lastServed = new Map();
+    this._served = 0;
+  }
+
+  get size() {
+    return this._items.length;
+  }
+
+  enqueue(run, { priority = 0, id, clientId } = {}) {
+    this._items.push({ run, id, priority, clientId });
+  }
+
+  dequeue() {
+    let next = -1;
+    for (let i = 0; i < this._items.length; i++) {
+      if (next === -1 || this._goesBefore(this._items[i], this._items[next])) {
+        next = i;
+      }
+    }
+
+    if (next === -1) {
+      return undefined;
+    }
+
+    const [item] = this._items.splice(next, 1);
+
+    // Clients without waiting tasks start afresh next time
+    if (this._items.some(other => other.clientId === item.clientId)) {
+      this._lastServed.set(item.clientId, this._served++);
+    } else {
+      this._lastServed.delete(item.clientId);
+    }
+
+    return item.run;
+  }
+
+  setPriority(id, priority) {
+    const item = this._items.find(candidate => candidate.id === id);
+    if (!item) {
+      throw new ReferenceError(`No promise function with the id "${id}" exists in the queue.`);
+    }
+    item.priority = priority;
+  }
+
+  remove(id) {
+    const index = this._items.findIndex(item => item.id === id);
+    if (index !== -1) {
+      this._items.splice(index, 1);
+    }
+  }
+
+  filter({ priority }) {
+    return this._items.filter(item => item.priority === priority).map(item => item.run);
+  }
+
+  /**
+   * Checks whether task a is served before task b.
+   * Ties keep the order the tasks were added in.
+   * @private
+   */
+  _goesBefore(a, b) {
+    if (a.priority !== b.priority) {
+      return a.priority > b.priority;
+    }
+    return (this._lastServed.get(a.clientId) ?? -1) < (this._lastServed.get(b.clientId) ?? -1);
+  }
+}
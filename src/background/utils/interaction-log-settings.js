@@ -0,0 +1,76 @@
+import { INTERACTION_LOG_CONFIG } from '../config/defaults.js';
+
+export const INTERACTION_LOG_STORAGE_KEY = 'interaction_log';
+
+// Characters of the answer shown in the log list
+const PREVIEW_LENGTH = 120;
+
+/**
+ * Retrieves the interaction log settings from chrome.storage.local.
+ * Recording is opt-in: nothing is logged unless the user turns it on in the options page.
+ *
+ * Storage format:
+ * {
+ *   interaction_log: {
+ *     enabled: true,
+ *     maxEntries: 500
+ *   }
+ * }
+ *
+ * @returns {Promise<Object>} Settings: { enabled, maxEntries }
+ */
+export async function getInteractionLogSettings() {
+  const result = await chrome.storage.local.get(INTERACTION_LOG_STORAGE_KEY);
+  return normalizeInteractionLogSettings(result[INTERACTION_LOG_STORAGE_KEY]);
+}
+
+/**
+ * Fills in defaults for stored settings.
+ *
+ * @param {Object|undefined} settings - Raw stored value
+ * @returns {Object} Settings: { enabled, maxEntries }
+ */
+export function normalizeInteractionLogSettings(settings) {
+  const maxEntries = Number(settings?.maxEntries);
+
+  return {
+    enabled: settings?.enabled === true,
+    maxEntries: Number.isInteger(maxEntries) && maxEntries > 0 ? maxEntries : INTERACTION_LOG_CONFIG.maxEntries,
+  };
+}
+
+/**
+ * Checks whether a log entry matches the filter of the log viewer.
+ * Series and run must match exactly; page matches any part of the URL.
+ *
+ * @param {Object} entry - Log entry
+ * @param {Object} [filter]
+ * @param {string} [filter.series] - Series key, e.g. 'syosetu/n1234ab'
+ * @param {string} [filter.page] - Text the page URL contains
+ * @param {string} [filter.runId] - Pipeline run
+ * @returns {boolean} True if the entry matches
+ */
+export function matchesInteractionFilter(entry, { series, page, runId } = {}) {
+  if (series && entry.series !== series) {
+    return false;
+  }
+  if (runId && entry.runId !== runId) {
+    return false;
+  }
+  return !page || (entry.page ?? '').includes(page);
+}
+
+/**
+ * Summarizes a log entry for the log list, without the prompts and the full answer.
+ *
+ * @param {Object} entry - Log entry
+ * @returns {Object} Summary: the entry's metadata with a `preview` of the answer
+ */
+export function summarizeInteraction(entry) {
+  const { systemPrompt, userMessage, response, reasoning, ...metadata } = entry;
+
+  return {
+    ...metadata,
+    preview: (response ?? '').slice(0, PREVIEW_LENGTH),
+  };
+}
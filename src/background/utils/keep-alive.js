@@ -0,0 +1,52 @@
+// Chrome stops an idle service worker after 30 seconds; calling an extension API resets the timer
+export const KEEP_ALIVE_INTERVAL_MS = 20_000;
+
+/**
+ * Keeps the service worker running while requests are pending.
+ *
+ * Long waits (rate limit queues, retry backoff, a spending cap pause) do no
+ * extension API calls, so the worker could be stopped in the middle of a run.
+ * Each pending request holds the keep-alive; while any does, an extension API
+ * is called every KEEP_ALIVE_INTERVAL_MS.
+ */
+export class KeepAlive {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.ping] - Extension API call that counts as activity
+   * @param {number} [options.intervalMs] - Time between pings
+   */
+  constructor({ ping = () => chrome.runtime.getPlatformInfo(), intervalMs = KEEP_ALIVE_INTERVAL_MS } = {}) {
+    this._ping = ping;
+    this._intervalMs = intervalMs;
+
+    this.holders = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Holds the worker alive until the matching release().
+   */
+  acquire() {
+    this.holders++;
+
+    if (!this.timer) {
+      this.timer = setInterval(() => {
+        Promise.resolve(this._ping()).catch(() => {
+          // Only the call itself matters
+        });
+      }, this._intervalMs);
+    }
+  }
+
+  /**
+   * Releases a hold; the pings stop once no request holds the worker.
+   */
+  release() {
+    this.holders = Math.max(0, this.holders - 1);
+
+    if (this.holders === 0 && this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
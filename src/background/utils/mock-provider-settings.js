@@ -0,0 +1,36 @@
+export const MOCK_PROVIDER_STORAGE_KEY = 'mock_provider';
+
+/**
+ * Retrieves the mock provider settings from chrome.storage.local.
+ * Both options are developer tools and off by default.
+ *
+ * - enabled: lists the offline mock model in the model dropdowns
+ * - record: saves every real request/response pair as a replay fixture
+ *
+ * Storage format:
+ * {
+ *   mock_provider: {
+ *     enabled: true,
+ *     record: false
+ *   }
+ * }
+ *
+ * @returns {Promise<Object>} Settings: { enabled, record }
+ */
+export async function getMockProviderSettings() {
+  const result = await chrome.storage.local.get(MOCK_PROVIDER_STORAGE_KEY);
+  return normalizeMockProviderSettings(result[MOCK_PROVIDER_STORAGE_KEY]);
+}
+
+/**
+ * Fills in defaults for stored settings.
+ *
+ * @param {Object|undefined} settings - Raw stored value
+ * @returns {Object} Settings: { enabled, record }
+ */
+export function normalizeMockProviderSettings(settings) {
+  return {
+    enabled: settings?.enabled === true,
+    record: settings?.record === true,
+  };
+}
@@ -0,0 +1,108 @@
+export const PARAM_PROFILES_STORAGE_KEY = 'param_profiles';
+
+// Storage key of the single parameter set used before profiles; read as the defaults profile
+const LEGACY_USER_PARAMS_KEY = 'userParams';
+
+const REASONING_LEVELS = ['minimal', 'low', 'medium', 'high'];
+
+/**
+ * Retrieves the parameter profiles from chrome.storage.local.
+ *
+ * Storage format:
+ * {
+ *   param_profiles: {
+ *     defaults: { temperature: 0.7 },
+ *     models: {
+ *       '1-3': { max_tokens: 16384, reasoning: 'high' },
+ *       ...
+ *     },
+ *     stages: {
+ *       translation: { temperature: 0.9 },
+ *       ...
+ *     }
+ *   }
+ * }
+ *
+ * Model keys are llmIds; stage keys are the keys of `config.llm` (glossaryGenerate,
+ * glossaryUpdate, textChunking, translation, postEdit). Missing fields are inherited.
+ *
+ * @returns {Promise<Object>} Profiles: { defaults, models, stages }
+ */
+export async function getParamProfiles() {
+  const result = await chrome.storage.local.get([PARAM_PROFILES_STORAGE_KEY, LEGACY_USER_PARAMS_KEY]);
+  const profiles = result[PARAM_PROFILES_STORAGE_KEY];
+
+  if (!profiles && result[LEGACY_USER_PARAMS_KEY]) {
+    return normalizeParamProfiles({ defaults: result[LEGACY_USER_PARAMS_KEY] });
+  }
+
+  return normalizeParamProfiles(profiles);
+}
+
+/**
+ * Fills in missing sections of stored profiles and drops invalid values.
+ *
+ * @param {Object|undefined} profiles - Raw stored value
+ * @returns {Object} Profiles: { defaults, models: { [llmId]: params }, stages: { [stageKey]: params } }
+ */
+export function normalizeParamProfiles(profiles) {
+  const sanitizeAll = entries => Object.fromEntries(
+    Object.entries(entries ?? {}).map(([key, params]) => [key, sanitizeParams(params)])
+  );
+
+  return {
+    defaults: sanitizeParams(profiles?.defaults),
+    models: sanitizeAll(profiles?.models),
+    stages: sanitizeAll(profiles?.stages),
+  };
+}
+
+/**
+ * Resolves the profile parameters of a request.
+ * Precedence: stage profile > model profile > defaults profile.
+ *
+ * @param {Object} profiles - Profiles from getParamProfiles()
+ * @param {Object} target
+ * @param {string} target.llmId - Model the request is sent to
+ * @param {string} [target.stageKey] - Pipeline stage sending the request
+ * @returns {Object} Parameters to apply on top of the model config
+ */
+export function resolveProfileParams(profiles, { llmId, stageKey }) {
+  return {
+    ...profiles.defaults,
+    ...profiles.models[llmId],
+    ...(stageKey ? profiles.stages[stageKey] : {}),
+  };
+}
+
+/**
+ * Keeps only the supported parameters with valid values.
+ * @private
+ */
+function sanitizeParams(params) {
+  const sanitized = {};
+  if (!params) {
+    return sanitized;
+  }
+
+  const { temperature, top_p, max_tokens, reasoning, providers } = params;
+
+  if (Number.isFinite(temperature) && temperature >= 0 && temperature <= 2) {
+    sanitized.temperature = temperature;
+  }
+  if (Number.isFinite(top_p) && top_p > 0 && top_p <= 1) {
+    sanitized.top_p = top_p;
+  }
+  if (Number.isInteger(max_tokens) && max_tokens > 0) {
+    sanitized.max_tokens = max_tokens;
+  }
+  if (REASONING_LEVELS.includes(reasoning)) {
+    sanitized.reasoning = reasoning;
+  }
+  // Provider routing order, used by OpenRouter
+  if (Array.isArray(providers) && providers.length > 0 && providers.every(name => typeof name === 'string' && name)) {
+    sanitized.providers = providers;
+  }
+
+  return sanitized;
+}
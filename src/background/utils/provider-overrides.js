@@ -0,0 +1,129 @@
+export const PROVIDER_OVERRIDES_STORAGE_KEY = 'provider_overrides';
+
+// Azure OpenAI data-plane API version used when none is set
+export const AZURE_DEFAULT_API_VERSION = '2024-10-21';
+
+// HTTP header name characters (RFC 9110 token)
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+/**
+ * Retrieves the advanced overrides of a provider from chrome.storage.local.
+ * They are edited next to the provider's API keys and applied when its SDK client is built,
+ * e.g. to send requests through a gateway or to an Azure OpenAI resource.
+ *
+ * Storage format:
+ * {
+ *   provider_overrides: {
+ *     openai: {
+ *       baseUrl: 'https://gateway.example.com/openai/v1',
+ *       headers: { 'x-gateway-team': 'translation' },
+ *       query: { 'tenant': 'books' }
+ *     },
+ *     azure: {
+ *       baseUrl: 'https://my-resource.openai.azure.com',
+ *       apiVersion: '2024-10-21',
+ *       deployments: ['gpt-4o-prod', 'gpt-4o-mini']
+ *     },
+ *     ...
+ *   }
+ * }
+ *
+ * `apiVersion` and `deployments` are only used by the Azure provider.
+ *
+ * @param {string} provider - Provider type
+ * @returns {Promise<Object>} Overrides: { baseUrl, headers, query, apiVersion, deployments }
+ */
+export async function getProviderOverrides(provider) {
+  const result = await chrome.storage.local.get(PROVIDER_OVERRIDES_STORAGE_KEY);
+  return normalizeProviderOverrides(result[PROVIDER_OVERRIDES_STORAGE_KEY]?.[provider]);
+}
+
+/**
+ * Builds the options a provider class is constructed with, with the provider's overrides applied.
+ * A base URL override replaces the default endpoint.
+ *
+ * @param {string} provider - Provider type
+ * @param {Object} options
+ * @param {string|null} options.endpoint - Default endpoint of the provider
+ * @param {string} [options.apiKey] - API key
+ * @returns {Promise<Object>} Constructor options: { endpoint, apiKey, overrides }
+ */
+export async function getProviderClientOptions(provider, { endpoint, apiKey }) {
+  const overrides = await getProviderOverrides(provider);
+
+  return {
+    endpoint: overrides.baseUrl || endpoint,
+    apiKey,
+    overrides,
+  };
+}
+
+/**
+ * Fills in missing fields of a provider's stored overrides and drops invalid values.
+ *
+ * - baseUrl: http(s) URL without trailing slashes, or empty string
+ * - headers / query: string-to-string maps; headers with invalid names are dropped
+ * - apiVersion: non-empty string, defaults to AZURE_DEFAULT_API_VERSION
+ * - deployments: distinct non-empty names
+ *
+ * @param {Object|undefined} overrides - Raw stored value
+ * @returns {Object} Overrides: { baseUrl, headers, query, apiVersion, deployments }
+ */
+export function normalizeProviderOverrides(overrides) {
+  const apiVersion = typeof overrides?.apiVersion === 'string' ? overrides.apiVersion.trim() : '';
+  const deployments = Array.isArray(overrides?.deployments)
+                      ? overrides.deployments.filter(name => typeof name === 'string').map(name => name.trim())
+                      : [];
+
+  return {
+    baseUrl: sanitizeUrl(overrides?.baseUrl),
+    headers: sanitizeStringMap(overrides?.headers, name => HEADER_NAME_PATTERN.test(name)),
+    query: sanitizeStringMap(overrides?.query, name => name.length > 0),
+    apiVersion: apiVersion || AZURE_DEFAULT_API_VERSION,
+    deployments: [...new Set(deployments.filter(Boolean))],
+  };
+}
+
+/**
+ * Keeps http(s) URLs, without trailing slashes or a query string (set in `query` instead).
+ * Unlike the custom provider's base URL, no path is added: gateways use all kinds of paths.
+ * @private
+ */
+function sanitizeUrl(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return '';
+  }
+
+  let url;
+  try {
+    url = new URL(value.trim());
+  } catch {
+    return '';
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return '';
+  }
+
+  return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+}
+
+/**
+ * Keeps the entries of a map whose name is valid and whose value is a string.
+ * @private
+ */
+function sanitizeStringMap(map, isValidName) {
+  const sanitized = {};
+  if (!map || typeof map !== 'object' || Array.isArray(map)) {
+    return sanitized;
+  }
+
+  for (const [name, value] of Object.entries(map)) {
+    const trimmed = name.trim();
+    if (isValidName(trimmed) && typeof value === 'string') {
+      sanitized[trimmed] = value;
+    }
+  }
+
+  return sanitized;
+}
@@ -0,0 +1,93 @@
+import { RATE_LIMIT_CONFIG } from '../config/defaults.js';
+
+export const RATE_LIMITS_STORAGE_KEY = 'rate_limits';
+
+const LIMIT_FIELDS = ['concurrency', 'intervalCap', 'interval', 'tokensPerMinute'];
+
+/**
+ * Retrieves user rate limit overrides from chrome.storage.local.
+ *
+ * Storage format:
+ * {
+ *   rate_limits: {
+ *     providers: {
+ *       deepseek: { concurrency: 20, intervalCap: 50 },
+ *       ...
+ *     },
+ *     models: {
+ *       'google:gemini-2.5-pro': { concurrency: 2, tokensPerMinute: 250000 },
+ *       ...
+ *     }
+ *   }
+ * }
+ *
+ * Model keys are `${providerType}:${model}`, using the model name sent to the API.
+ *
+ * @returns {Promise<Object>} Settings: { providers, models }
+ */
+export async function getRateLimitSettings() {
+  const result = await chrome.storage.local.get(RATE_LIMITS_STORAGE_KEY);
+  return normalizeRateLimitSettings(result[RATE_LIMITS_STORAGE_KEY]);
+}
+
+/**
+ * Fills in missing sections of stored settings.
+ *
+ * @param {Object|undefined} settings - Raw stored value
+ * @returns {Object} Settings: { providers, models }
+ */
+export function normalizeRateLimitSettings(settings) {
+  return {
+    providers: settings?.providers ?? {},
+    models: settings?.models ?? {},
+  };
+}
+
+/**
+ * Resolves the effective limits for a request.
+ * Precedence: model override > provider override > RATE_LIMIT_CONFIG.
+ *
+ * Requests for a model with its own override get their own queue,
+ * so the queue key includes the model in that case.
+ *
+ * @param {Object} settings - Settings from getRateLimitSettings()
+ * @param {string} providerType - Provider type
+ * @param {string} model - Model name sent to the API
+ * @returns {Object} { queueKey, concurrency, intervalCap, interval, tokensPerMinute }
+ */
+export function resolveRateLimit(settings, providerType, model) {
+  const modelKey = `${providerType}:${model}`;
+  const providerOverride = sanitizeLimits(settings.providers[providerType]);
+  const modelOverride = sanitizeLimits(settings.models[modelKey]);
+  const hasModelOverride = Object.keys(modelOverride).length > 0;
+
+  return {
+    queueKey: hasModelOverride ? modelKey : providerType,
+    ...RATE_LIMIT_CONFIG,
+    ...providerOverride,
+    ...(hasModelOverride ? modelOverride : {}),
+  };
+}
+
+/**
+ * Keeps only valid limit values: positive integers, or null tokensPerMinute to lift the limit.
+ * @private
+ */
+function sanitizeLimits(limits) {
+  const sanitized = {};
+  if (!limits) {
+    return sanitized;
+  }
+
+  for (const field of LIMIT_FIELDS) {
+    const value = limits[field];
+
+    if (field === 'tokensPerMinute' && value === null) {
+      sanitized[field] = null;
+    } else if (Number.isInteger(value) && value > 0) {
+      sanitized[field] = value;
+    }
+  }
+
+  return sanitized;
+}
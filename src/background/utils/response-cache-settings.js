@@ -0,0 +1,56 @@
+import { RESPONSE_CACHE_CONFIG } from '../config/defaults.js';
+
+export const RESPONSE_CACHE_STORAGE_KEY = 'response_cache';
+
+/**
+ * Retrieves the response cache settings from chrome.storage.local.
+ * The cache is opt-in: it is disabled unless the user turns it on in the options page.
+ *
+ * Storage format:
+ * {
+ *   response_cache: {
+ *     enabled: true,
+ *     maxSizeMB: 50
+ *   }
+ * }
+ *
+ * @returns {Promise<Object>} Settings: { enabled, maxBytes }
+ */
+export async function getResponseCacheSettings() {
+  const result = await chrome.storage.local.get(RESPONSE_CACHE_STORAGE_KEY);
+  return normalizeResponseCacheSettings(result[RESPONSE_CACHE_STORAGE_KEY]);
+}
+
+/**
+ * Fills in defaults for stored settings and converts the size cap to bytes.
+ *
+ * @param {Object|undefined} settings - Raw stored value
+ * @returns {Object} Settings: { enabled, maxBytes }
+ */
+export function normalizeResponseCacheSettings(settings) {
+  const maxSizeMB = Number(settings?.maxSizeMB);
+
+  return {
+    enabled: settings?.enabled === true,
+    maxBytes: (Number.isFinite(maxSizeMB) && maxSizeMB > 0 ? maxSizeMB : RESPONSE_CACHE_CONFIG.maxSizeMB) * 1024 * 1024,
+  };
+}
+
+/**
+ * Builds the cache key for a request: a SHA-256 hash of the provider, the resolved
+ * parameters (model included) and the messages. Parameter order does not matter.
+ *
+ * @param {string} providerType - Provider type
+ * @param {Object} params - Resolved request parameters
+ * @param {Array<Object>} messages - Messages array with role and content
+ * @returns {Promise<string>} Hex digest
+ */
+export async function buildResponseCacheKey(providerType, params, messages) {
+  const sortedParams = Object.fromEntries(
+    Object.entries(params).sort(([a], [b]) => a.localeCompare(b)),
+  );
+  const input = JSON.stringify([providerType, sortedParams, messages]);
+
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(input));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,258 @@
+import { APIConnectionError } from 'openai';
+import { RETRY_CONFIG } from '../config/defaults.js';
+import { LLM_ERROR_CODE } from '../../common/llm-errors.js';
+
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+// Error codes used by OpenAI-compatible APIs (incl. Azure) for blocked prompts or completions
+const CONTENT_FILTER_CODES = ['content_filter', 'content_policy_violation'];
+
+/**
+ * Classifies a provider error for the retry policy.
+ * Looks through normalized errors (from BaseProvider.handleError) to the SDK error.
+ *
+ * @param {Error} error - Error thrown by a provider
+ * @returns {'rate_limit'|'server'|'network'|null} Error class, or null if not retryable
+ */
+export function getRetryClass(error) {
+  if (!error || error.cancelled || error.retryable === false) {
+    return null;
+  }
+
+  return getTransientClass(error);
+}
+
+/**
+ * Classifies errors that may pass on their own, whether or not they can still be retried.
+ * @private
+ */
+function getTransientClass(error) {
+  const original = error.originalError ?? error;
+  const status = original.status ?? error.status;
+
+  if (status === 429) {
+    return 'rate_limit';
+  }
+
+  if (status === 408 || status >= 500) {
+    return 'server';
+  }
+
+  if (original instanceof APIConnectionError ||
+    NETWORK_ERROR_CODES.includes(original.code) ||
+    (original instanceof TypeError && /fetch/i.test(original.message))) {
+    return 'network';
+  }
+
+  return null;
+}
+
+// Error codes of OpenAI-compatible APIs for prompts over the context window
+const CONTEXT_LENGTH_CODES = ['context_length_exceeded', 'string_above_max_length'];
+
+// Messages of providers without such a code (Anthropic, Gemini, local servers)
+const CONTEXT_LENGTH_PATTERN =
+  /context (length|window)|maximum context|prompt is too long|too many tokens|exceeds the maximum number of tokens|input token count/i;
+
+/**
+ * Classifies a failed request for the user, as one of LLM_ERROR_CODE.
+ * Errors normalized by a provider already carry their code; others (SDK errors,
+ * errors raised by the coordinator) are classified the same way.
+ *
+ * @param {Error} error - Error thrown while sending a request
+ * @returns {string} Error code, 'unknown' if none applies
+ */
+export function getErrorCode(error) {
+  if (!error) {
+    return LLM_ERROR_CODE.unknown;
+  }
+
+  if (Object.hasOwn(LLM_ERROR_CODE, error.code ?? '') && error.code !== LLM_ERROR_CODE.unknown) {
+    return error.code;
+  }
+
+  const original = error.originalError ?? error;
+  const status = original.status ?? error.status;
+
+  if (isAuthError(error) || /^API key not found|API_KEY_INVALID/.test(original.message ?? '')) {
+    return LLM_ERROR_CODE.auth;
+  }
+
+  if (isContentFilterError(error)) {
+    return LLM_ERROR_CODE.content_filter;
+  }
+
+  if (error.truncated || original.truncated) {
+    return LLM_ERROR_CODE.truncated;
+  }
+
+  if (status === 413 ||
+    CONTEXT_LENGTH_CODES.includes(original.code) ||
+    CONTEXT_LENGTH_CODES.includes(original.error?.code) ||
+    ((status === 400 || status === undefined) && CONTEXT_LENGTH_PATTERN.test(original.message ?? ''))) {
+    return LLM_ERROR_CODE.context_length;
+  }
+
+  return getTransientClass(error) ?? LLM_ERROR_CODE.unknown;
+}
+
+/**
+ * Checks whether a provider refused or blocked the request on content grounds.
+ * Covers errors from BaseProvider.createContentFilterError() and OpenAI-style error codes.
+ *
+ * @param {Error} error - Error thrown by a provider
+ * @returns {boolean} True if the request was blocked by a content filter
+ */
+export function isContentFilterError(error) {
+  if (!error) {
+    return false;
+  }
+
+  const original = error.originalError ?? error;
+  return !!(error.contentFiltered || original.contentFiltered ||
+    CONTENT_FILTER_CODES.includes(original.code) ||
+    CONTENT_FILTER_CODES.includes(original.error?.code));
+}
+
+/**
+ * Decides whether a failed request should be re-sent to the next model of a fallback chain.
+ * Applies once retries on the current model are exhausted: to retryable errors
+ * (rate limit, server, network), content-filter refusals and rejected API keys,
+ * as a different model or provider may still answer.
+ *
+ * @param {Error} error - Error from the current model
+ * @returns {boolean} True if the next model should be tried
+ */
+export function shouldFallback(error) {
+  if (!error || error.cancelled || error.retryable === false) {
+    return false;
+  }
+
+  return getRetryClass(error) !== null ||
+    isContentFilterError(error) ||
+    isAuthError(error);
+}
+
+/**
+ * Checks whether a provider rejected the API key (401 / 403).
+ *
+ * @param {Error} error - Error thrown by a provider
+ * @returns {boolean} True if the key was rejected
+ */
+export function isAuthError(error) {
+  if (!error) {
+    return false;
+  }
+
+  const status = (error.originalError ?? error).status ?? error.status;
+  return status === 401 || status === 403;
+}
+
+/**
+ * Decides whether another attempt should be made.
+ *
+ * @param {Error} error - Error from the latest attempt
+ * @param {number} attempt - Number of attempts made so far (1 after the first failure)
+ * @param {Object} [config] - Retry config, defaults to RETRY_CONFIG
+ * @returns {boolean} True if the request should be retried
+ */
+export function shouldRetry(error, attempt, config = RETRY_CONFIG) {
+  const retryClass = getRetryClass(error);
+  if (!retryClass) {
+    return false;
+  }
+
+  return attempt < (config.maxAttempts[retryClass] ?? 1);
+}
+
+/**
+ * Computes the delay before the next attempt.
+ * Honors Retry-After when the provider sent one, otherwise uses
+ * exponential backoff with jitter in [50%, 100%] of the step.
+ *
+ * @param {Error} error - Error from the latest attempt
+ * @param {number} attempt - Number of attempts made so far (1 after the first failure)
+ * @param {Object} [config] - Retry config, defaults to RETRY_CONFIG
+ * @param {Function} [random] - Random source in [0, 1), for tests
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(error, attempt, config = RETRY_CONFIG, random = Math.random) {
+  const original = error?.originalError ?? error;
+  const retryAfterMs = parseRetryAfter(readHeader(original?.headers, 'retry-after'));
+
+  if (retryAfterMs !== null) {
+    return Math.min(retryAfterMs, config.maxDelayMs);
+  }
+
+  const step = Math.min(config.maxDelayMs, config.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(step / 2 + random() * step / 2);
+}
+
+/**
+ * Parses a Retry-After header value (delay in seconds, or an HTTP date).
+ *
+ * @param {string|null|undefined} value - Header value
+ * @param {number} [now] - Current time in ms, for tests
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) {
+    return null;
+  }
+
+  return Math.max(0, date - now);
+}
+
+/**
+ * Waits before the next attempt. Rejects early if the request is cancelled.
+ *
+ * @param {number} delayMs - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cancels the wait
+ * @returns {Promise<void>}
+ */
+export function waitForRetry(delayMs, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, delayMs);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Reads a header from either a Headers instance or a plain object.
+ * @private
+ */
+function readHeader(headers, name) {
+  if (!headers) {
+    return null;
+  }
+
+  if (typeof headers.get === 'function') {
+    return headers.get(name);
+  }
+
+  return headers[name] ?? null;
+}
@@ -0,0 +1,174 @@
+import { toDateKey } from './usage-cost.js';
+
+export const SPENDING_CAPS_STORAGE_KEY = 'spending_caps';
+
+const PERIODS = ['daily', 'monthly'];
+
+/**
+ * Retrieves the spending caps from chrome.storage.local.
+ * Caps are in USD and checked against the estimated costs recorded for usage.
+ *
+ * Storage format:
+ * {
+ *   spending_caps: {
+ *     overall: { daily: 5, monthly: 50 },
+ *     providers: {
+ *       openai: { daily: 2 },
+ *       ...
+ *     }
+ *   }
+ * }
+ *
+ * A missing or null cap means no limit.
+ *
+ * @returns {Promise<Object>} Caps: { overall, providers }
+ */
+export async function getSpendingCaps() {
+  const result = await chrome.storage.local.get(SPENDING_CAPS_STORAGE_KEY);
+  return normalizeSpendingCaps(result[SPENDING_CAPS_STORAGE_KEY]);
+}
+
+/**
+ * Keeps only valid caps (positive numbers) and fills in missing sections.
+ *
+ * @param {Object|undefined} caps - Raw stored value
+ * @returns {Object} Caps: { overall: { daily, monthly }, providers: { [provider]: { daily, monthly } } }
+ */
+export function normalizeSpendingCaps(caps) {
+  const providers = {};
+  for (const [provider, limits] of Object.entries(caps?.providers ?? {})) {
+    providers[provider] = sanitizePeriods(limits);
+  }
+
+  return {
+    overall: sanitizePeriods(caps?.overall),
+    providers,
+  };
+}
+
+/**
+ * Checks whether any cap is set.
+ *
+ * @param {Object} caps - Caps from normalizeSpendingCaps()
+ * @returns {boolean}
+ */
+export function hasSpendingCaps(caps) {
+  return [caps.overall, ...Object.values(caps.providers)]
+    .some(limits => PERIODS.some(period => limits[period] !== null));
+}
+
+/**
+ * Totals recorded costs for today and the current month.
+ *
+ * @param {Array<Object>} rows - Usage rows of the current month, from getUsageFromDB()
+ * @param {string} [dateKey] - Today's date key (defaults to today)
+ * @returns {Object} Spending: { dateKey, daily: { total, providers }, monthly: { total, providers } }
+ */
+export function summarizeSpending(rows, dateKey = toDateKey()) {
+  const spending = {
+    dateKey,
+    daily: { total: 0, providers: {} },
+    monthly: { total: 0, providers: {} },
+  };
+
+  const monthPrefix = dateKey.slice(0, 7);
+
+  for (const row of rows) {
+    if (!row.date.startsWith(monthPrefix)) {
+      continue;
+    }
+    addSpending(spending, row.provider, row.cost ?? 0, row.date);
+  }
+
+  return spending;
+}
+
+/**
+ * Adds a cost to the spending totals in place.
+ * Costs from other months are ignored; costs from other days count towards the month only.
+ *
+ * @param {Object} spending - Totals from summarizeSpending()
+ * @param {string} provider - Provider type
+ * @param {number|null} cost - Cost in USD (null for unpriced requests)
+ * @param {string} [dateKey] - Date the cost was incurred (defaults to today)
+ * @returns {Object} The same spending object
+ */
+export function addSpending(spending, provider, cost, dateKey = spending.dateKey) {
+  if (!cost || dateKey.slice(0, 7) !== spending.dateKey.slice(0, 7)) {
+    return spending;
+  }
+
+  const periods = dateKey === spending.dateKey ? PERIODS : ['monthly'];
+
+  for (const period of periods) {
+    const totals = spending[period];
+    totals.total += cost;
+    totals.providers[provider] = (totals.providers[provider] ?? 0) + cost;
+  }
+
+  return spending;
+}
+
+/**
+ * Finds the first cap a request to a provider would run past.
+ * Provider caps are checked before the overall caps, daily before monthly.
+ *
+ * @param {Object} caps - Caps from normalizeSpendingCaps()
+ * @param {Object} spending - Totals from summarizeSpending()
+ * @param {string} providerType - Provider the request goes to
+ * @param {Set<string>} [ignoredKeys] - Cap keys the user chose to continue past
+ * @returns {Object|null} { key, provider, period, cap, spent } (provider is null for overall caps), or null if within budget
+ */
+export function findExceededCap(caps, spending, providerType, ignoredKeys = new Set()) {
+  const scopes = [
+    { provider: providerType, limits: caps.providers[providerType] },
+    { provider: null, limits: caps.overall },
+  ];
+
+  for (const { provider, limits } of scopes) {
+    for (const period of PERIODS) {
+      const cap = limits?.[period];
+      if (cap === null || cap === undefined) {
+        continue;
+      }
+
+      const key = getCapKey(provider, period, spending.dateKey);
+      const spent = provider
+                    ? spending[period].providers[provider] ?? 0
+                    : spending[period].total;
+
+      if (spent >= cap && !ignoredKeys.has(key)) {
+        return { key, provider, period, cap, spent };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Builds the key identifying a cap within its current period, so that
+ * continuing past a daily cap only lasts until the day ends.
+ *
+ * @param {string|null} provider - Provider type, or null for the overall cap
+ * @param {string} period - 'daily' or 'monthly'
+ * @param {string} dateKey - Today's date key
+ * @returns {string} e.g. 'openai:daily:2025-01-31' or '*:monthly:2025-01'
+ */
+export function getCapKey(provider, period, dateKey) {
+  const periodKey = period === 'daily' ? dateKey : dateKey.slice(0, 7);
+  return `${provider ?? '*'}:${period}:${periodKey}`;
+}
+
+/**
+ * Keeps valid daily/monthly caps, null otherwise.
+ * @private
+ */
+function sanitizePeriods(limits) {
+  const sanitized = {};
+  for (const period of PERIODS) {
+    const value = limits?.[period];
+    sanitized[period] = typeof value === 'number' && Number.isFinite(value) && value > 0 ? value : null;
+  }
+  return sanitized;
+}
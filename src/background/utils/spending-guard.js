@@ -0,0 +1,231 @@
+import { log } from '../../common/logger.js';
+import { toDateKey } from './usage-cost.js';
+import {
+  addSpending,
+  findExceededCap,
+  hasSpendingCaps,
+  normalizeSpendingCaps,
+  summarizeSpending,
+} from './spending-caps.js';
+
+/**
+ * Holds requests back once a spending cap is reached, until the user decides what to do.
+ *
+ * While paused, every request that would run past a cap waits. The popup reads
+ * the pause with getStatus() and answers with resolve():
+ * - 'continue': ignore the reached cap for the rest of its day or month
+ * - 'stop': fail the waiting requests
+ * Raising the cap in storage also releases the pause (see setCaps()).
+ */
+export class SpendingGuard {
+  /**
+   * @param {Object} options
+   * @param {Function} options.loadCaps - Resolves the raw stored caps
+   * @param {Function} options.loadUsage - Resolves usage rows for a { from, to } date range
+   * @param {Function} [options.onPauseChange] - Called with the status whenever a pause starts or ends
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor({ loadCaps, loadUsage, onPauseChange, now = Date.now }) {
+    this._loadCaps = loadCaps;
+    this._loadUsage = loadUsage;
+    this._onPauseChange = onPauseChange;
+    this._now = now;
+
+    // Caps and this month's spending, loaded on first check
+    this.caps = null;
+    this.spending = null;
+
+    // Keys of caps the user chose to continue past (see getCapKey)
+    this.ignoredKeys = new Set();
+
+    // Current pause: { exceeded, waiters: Set<{ resolve, reject }> }, or null
+    this._pause = null;
+  }
+
+  /**
+   * Resolves once requests to the provider are within all caps.
+   * Waits for a decision if a cap is reached.
+   *
+   * @param {string} providerType - Provider the request goes to
+   * @param {AbortSignal} [signal] - Cancels the wait
+   * @returns {Promise<void>}
+   * @throws {Error} If the user stops at the cap (not retryable)
+   */
+  async waitForBudget(providerType, signal) {
+    while (true) {
+      signal?.throwIfAborted();
+
+      const exceeded = await this.check(providerType);
+      if (!exceeded) {
+        return;
+      }
+
+      if (!this._pause) {
+        this._pause = { exceeded, waiters: new Set() };
+        log(`[SpendingGuard] Paused: ${describeCap(exceeded)} reached`);
+        this._onPauseChange?.(this.getStatus());
+      }
+
+      await this._waitForDecision(signal);
+    }
+  }
+
+  /**
+   * Finds the cap a request to the provider would run past.
+   * If the usage history can't be read, requests are let through rather than blocked.
+   *
+   * @param {string} providerType - Provider type
+   * @returns {Promise<Object|null>} Exceeded cap from findExceededCap(), or null
+   */
+  async check(providerType) {
+    if (!this.caps) {
+      this.caps = normalizeSpendingCaps(await this._loadCaps());
+    }
+
+    if (!hasSpendingCaps(this.caps)) {
+      return null;
+    }
+
+    let spending;
+    try {
+      spending = await this._getSpending();
+    } catch (error) {
+      console.error('[SpendingGuard] Failed to load spending, caps not enforced:', error);
+      return null;
+    }
+
+    return findExceededCap(this.caps, spending, providerType, this.ignoredKeys);
+  }
+
+  /**
+   * Adds the cost of a completed request.
+   *
+   * @param {string} providerType - Provider type
+   * @param {number|null} cost - Cost in USD
+   */
+  recordCost(providerType, cost) {
+    if (this.spending && this.spending.dateKey === toDateKey(this._now())) {
+      addSpending(this.spending, providerType, cost);
+    }
+  }
+
+  /**
+   * Replaces the caps, e.g. after they were changed in the options page or popup.
+   * Waiting requests are released to check against the new caps.
+   *
+   * @param {Object|undefined} caps - Raw stored caps
+   */
+  setCaps(caps) {
+    this.caps = normalizeSpendingCaps(caps);
+    this._release(waiter => waiter.resolve());
+  }
+
+  /**
+   * Answers the current pause.
+   *
+   * @param {string} action - 'continue' or 'stop'
+   * @returns {boolean} False if there was nothing to answer
+   */
+  resolve(action) {
+    if (!this._pause) {
+      return false;
+    }
+
+    const { exceeded } = this._pause;
+
+    if (action === 'continue') {
+      this.ignoredKeys.add(exceeded.key);
+      this._release(waiter => waiter.resolve());
+    } else {
+      const error = new Error(`Stopped: ${describeCap(exceeded)} reached`);
+      error.retryable = false;
+      this._release(waiter => waiter.reject(error));
+    }
+
+    log(`[SpendingGuard] ${action === 'continue' ? 'Continuing past' : 'Stopped at'} ${describeCap(exceeded)}`);
+    return true;
+  }
+
+  /**
+   * @returns {Object} Status: { paused, exceeded, waiting }
+   */
+  getStatus() {
+    return {
+      paused: this._pause !== null,
+      exceeded: this._pause?.exceeded ?? null,
+      waiting: this._pause?.waiters.size ?? 0,
+    };
+  }
+
+  /**
+   * Gets this month's spending, reloading it from usage history when the day changes.
+   * @private
+   */
+  async _getSpending() {
+    const dateKey = toDateKey(this._now());
+
+    if (this.spending?.dateKey !== dateKey) {
+      const rows = await this._loadUsage({ from: `${dateKey.slice(0, 7)}-01`, to: dateKey });
+      this.spending = summarizeSpending(rows, dateKey);
+    }
+
+    return this.spending;
+  }
+
+  /**
+   * Waits until the pause is answered or the signal aborts.
+   * @private
+   */
+  _waitForDecision(signal) {
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        resolve: () => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        },
+        reject: (error) => {
+          signal?.removeEventListener('abort', onAbort);
+          reject(error);
+        },
+      };
+
+      // Wake on abort; the check at the top of the wait loop then throws
+      const onAbort = () => {
+        this._pause?.waiters.delete(waiter);
+        resolve();
+      };
+
+      this._pause.waiters.add(waiter);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Ends the pause and settles all waiters.
+   * @private
+   */
+  _release(settle) {
+    if (!this._pause) {
+      return;
+    }
+
+    const { waiters } = this._pause;
+    this._pause = null;
+
+    for (const waiter of waiters) {
+      settle(waiter);
+    }
+
+    this._onPauseChange?.(this.getStatus());
+  }
+}
+
+/**
+ * Describes a cap for logs and error messages.
+ *
+ * @param {Object} exceeded - Exceeded cap from findExceededCap()
+ * @returns {string} e.g. 'daily openai spending cap ($2.04 of $2.00)'
+ */
+export function describeCap({ provider, period, cap, spent }) {
+  return `${period} ${provider ?? 'overall'} spending cap ($${spent.toFixed(2)} of $${cap.toFixed(2)})`;
+}
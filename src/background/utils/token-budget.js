@@ -0,0 +1,95 @@
+/**
+ * Sliding-window tokens-per-minute limiter for one queue.
+ * Token counts are estimates (see estimateTokens), so this keeps usage
+ * in the right range rather than enforcing an exact provider quota.
+ */
+export class TokenBudget {
+  /**
+   * @param {number} tokensPerMinute - Budget per 60 second window
+   * @param {Object} [options]
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor(tokensPerMinute, { now = Date.now } = {}) {
+    this.tokensPerMinute = tokensPerMinute;
+    this.windowMs = 60000;
+    this._now = now;
+
+    // Reservations in the current window: Array<{ time, tokens }>, oldest first
+    this._entries = [];
+  }
+
+  /**
+   * Waits until the tokens fit in the budget, then reserves them.
+   * A request larger than the whole budget runs once the window is empty.
+   *
+   * @param {number} tokens - Estimated tokens for the request
+   * @param {AbortSignal} [signal] - Cancels the wait
+   * @returns {Promise<void>}
+   */
+  async acquire(tokens, signal) {
+    while (true) {
+      signal?.throwIfAborted();
+
+      const waitMs = this.tryReserve(tokens);
+      if (waitMs === 0) {
+        return;
+      }
+
+      // Wake early on abort; the check at the top of the loop then throws
+      await new Promise((resolve) => {
+        const onAbort = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+        const timer = setTimeout(() => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        }, waitMs);
+        signal?.addEventListener('abort', onAbort, { once: true });
+      });
+    }
+  }
+
+  /**
+   * Reserves tokens if they fit in the current window.
+   *
+   * @param {number} tokens - Estimated tokens for the request
+   * @returns {number} 0 if reserved, otherwise milliseconds until the oldest reservation expires
+   */
+  tryReserve(tokens) {
+    const now = this._now();
+
+    while (this._entries.length > 0 && this._entries[0].time <= now - this.windowMs) {
+      this._entries.shift();
+    }
+
+    const used = this._entries.reduce((sum, entry) => sum + entry.tokens, 0);
+
+    if (this._entries.length === 0 || used + tokens <= this.tokensPerMinute) {
+      this._entries.push({ time: now, tokens });
+      return 0;
+    }
+
+    return Math.max(1, this._entries[0].time + this.windowMs - now);
+  }
+}
+
+/**
+ * Roughly estimates the tokens a request will use.
+ * CJK characters count as about one token each, other text as about four characters per token.
+ * The completion is assumed to be as long as the prompt, which fits translation workloads.
+ *
+ * @param {Array<Object>} messages - Messages array with role and content
+ * @returns {number} Estimated prompt + completion tokens
+ */
+export function estimateTokens(messages) {
+  let promptTokens = 0;
+
+  for (const message of messages) {
+    const text = message.content || '';
+    const cjkCount = (text.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uf900-\ufaff]/g) || []).length;
+    promptTokens += cjkCount + (text.length - cjkCount) / 4;
+  }
+
+  return Math.ceil(promptTokens * 2);
+}
@@ -0,0 +1,64 @@
+/**
+ * Token usage and cost helpers for spending accounting.
+ * Usage objects come from provider normalizeUsage(): { inputTokens, outputTokens, reasoningTokens, cachedTokens },
+ * where inputTokens includes cachedTokens and outputTokens includes reasoningTokens.
+ */
+
+/**
+ * Estimates the cost of one request.
+ *
+ * @param {Object} usage - Normalized token usage
+ * @param {Object|null} pricing - USD per 1M tokens: { input, output, cachedInput? }
+ * @returns {number|null} Cost in USD, or null if the model has no known pricing
+ *
+ * @example
+ * computeCost({ inputTokens: 1000000, outputTokens: 0, reasoningTokens: 0, cachedTokens: 0 }, { input: 0.28, output: 0.42 }) // 0.28
+ */
+export function computeCost(usage, pricing) {
+  if (!pricing) {
+    return null;
+  }
+
+  const cachedTokens = Math.min(usage.cachedTokens ?? 0, usage.inputTokens ?? 0);
+  const uncachedTokens = (usage.inputTokens ?? 0) - cachedTokens;
+
+  return (
+    uncachedTokens * pricing.input +
+    cachedTokens * (pricing.cachedInput ?? pricing.input) +
+    (usage.outputTokens ?? 0) * pricing.output
+  ) / 1e6;
+}
+
+/**
+ * Formats a timestamp as a local calendar date, the granularity usage is stored at.
+ *
+ * @param {number} [timestamp] - Milliseconds since epoch (defaults to now)
+ * @returns {string} Date key, e.g. '2025-01-31'
+ */
+export function toDateKey(timestamp = Date.now()) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Adds one request to an aggregated usage row.
+ * Requests without known pricing are counted in `unpricedRequests` instead of adding to `cost`.
+ *
+ * @param {Object|undefined} row - Existing row, or undefined for the first request
+ * @param {Object} usage - Normalized token usage
+ * @param {number|null} cost - Cost in USD, from computeCost()
+ * @returns {Object} Updated counters: { requests, inputTokens, outputTokens, reasoningTokens, cachedTokens, cost, unpricedRequests }
+ */
+export function addUsage(row, usage, cost) {
+  return {
+    requests: (row?.requests ?? 0) + 1,
+    inputTokens: (row?.inputTokens ?? 0) + (usage.inputTokens ?? 0),
+    outputTokens: (row?.outputTokens ?? 0) + (usage.outputTokens ?? 0),
+    reasoningTokens: (row?.reasoningTokens ?? 0) + (usage.reasoningTokens ?? 0),
+    cachedTokens: (row?.cachedTokens ?? 0) + (usage.cachedTokens ?? 0),
+    cost: (row?.cost ?? 0) + (cost ?? 0),
+    unpricedRequests: (row?.unpricedRequests ?? 0) + (cost === null ? 1 : 0),
+  };
+}
@@ -0,0 +1,128 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+    VAULT_STORAGE_KEY,
+    disableVault,
+    enableVault,
+    getVaultState,
+    lockVault,
+    readApiKeys,
+    resetVault,
+    unlockVault,
+    writeApiKeys,
+} from '../api-key-vault.js';
+
+// Keeps the tests fast; the real count is only slower, not different
+const ITERATIONS = 1000;
+
+function createArea(store) {
+    const pick = (keys) => {
+        const list = typeof keys === 'string' ? [keys] : keys;
+        return Object.fromEntries(list.filter(key => store.has(key)).map(key => [key, store.get(key)]));
+    };
+
+    return {
+        get: vi.fn(async keys => pick(keys)),
+        set: vi.fn(async (items) => {
+            Object.entries(items).forEach(([key, value]) => store.set(key, value));
+        }),
+        remove: vi.fn(async (keys) => {
+            (typeof keys === 'string' ? [keys] : keys).forEach(key => store.delete(key));
+        }),
+    };
+}
+
+describe('api-key-vault', () => {
+    const keys = { openai: [{ id: 'a', label: 'Work', key: 'sk-work' }] };
+    let local;
+    let session;
+    let originalLocal;
+
+    beforeEach(() => {
+        local = new Map([['api_keys', keys]]);
+        session = new Map();
+
+        originalLocal = chrome.storage.local;
+        chrome.storage.local = createArea(local);
+        chrome.storage.session = createArea(session);
+    });
+
+    afterEach(() => {
+        chrome.storage.local = originalLocal;
+        delete chrome.storage.session;
+    });
+
+    it('should read and write plaintext keys without a vault', async () => {
+        expect(await getVaultState()).toBe('disabled');
+        expect(await readApiKeys()).toEqual(keys);
+
+        await writeApiKeys({ deepseek: 'sk-ds' });
+
+        expect(local.get('api_keys')).toEqual({ deepseek: 'sk-ds' });
+    });
+
+    it('should encrypt the keys and remove the plaintext copy', async () => {
+        await enableVault('correct horse', { iterations: ITERATIONS });
+
+        expect(local.has('api_keys')).toBe(false);
+        expect(JSON.stringify(local.get(VAULT_STORAGE_KEY))).not.toContain('sk-work');
+        expect(await getVaultState()).toBe('unlocked');
+        expect(await readApiKeys()).toEqual(keys);
+    });
+
+    it('should refuse to read or write while locked', async () => {
+        await enableVault('correct horse', { iterations: ITERATIONS });
+        await lockVault();
+
+        expect(await getVaultState()).toBe('locked');
+        await expect(readApiKeys()).rejects.toMatchObject({ locked: true });
+        await expect(writeApiKeys({})).rejects.toMatchObject({ locked: true });
+    });
+
+    it('should unlock with the right passphrase only', async () => {
+        await enableVault('correct horse', { iterations: ITERATIONS });
+        await lockVault();
+
+        await expect(unlockVault('wrong')).rejects.toThrow('Wrong passphrase');
+        expect(await getVaultState()).toBe('locked');
+
+        await unlockVault('correct horse');
+
+        expect(await readApiKeys()).toEqual(keys);
+    });
+
+    it('should keep changes written while unlocked across a lock', async () => {
+        await enableVault('correct horse', { iterations: ITERATIONS });
+        await writeApiKeys({ deepseek: 'sk-ds' });
+        await lockVault();
+        await unlockVault('correct horse');
+
+        expect(await readApiKeys()).toEqual({ deepseek: 'sk-ds' });
+        expect(local.has('api_keys')).toBe(false);
+    });
+
+    it('should restore the plaintext keys when the passphrase is removed', async () => {
+        await enableVault('correct horse', { iterations: ITERATIONS });
+
+        await expect(disableVault('wrong')).rejects.toThrow('Wrong passphrase');
+        await disableVault('correct horse');
+
+        expect(local.get('api_keys')).toEqual(keys);
+        expect(local.has(VAULT_STORAGE_KEY)).toBe(false);
+        expect(session.size).toBe(0);
+        expect(await getVaultState()).toBe('disabled');
+    });
+
+    it('should delete the keys on reset', async () => {
+        await enableVault('correct horse', { iterations: ITERATIONS });
+        await resetVault();
+
+        expect(await getVaultState()).toBe('disabled');
+        expect(await readApiKeys()).toEqual({});
+    });
+
+    it('should not enable a second vault', async () => {
+        await enableVault('correct horse', { iterations: ITERATIONS });
+
+        await expect(enableVault('other', { iterations: ITERATIONS })).rejects.toThrow('already protected');
+    });
+});
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { describeErrorGroup, getErrorHint, normalizeErrorCode } from '../llm-errors.js';
+
+describe('llm-errors', () => {
+    describe('describeErrorGroup', () => {
+        it('should describe a group with its unit and model', () => {
+            expect(describeErrorGroup({ code: 'content_filter', count: 3, unit: 'interval', model: 'gemini-3-flash' }))
+                .toBe('3 intervals were blocked by the safety filter on gemini-3-flash');
+        });
+
+        it('should use the singular for one request', () => {
+            expect(describeErrorGroup({ code: 'truncated', count: 1, unit: 'chunk', model: null }))
+                .toBe('1 chunk was cut off at the output token limit');
+            expect(describeErrorGroup({ code: 'rate_limit', count: 1 }))
+                .toBe('1 request hit the rate limit');
+        });
+
+        it('should describe unknown codes as plain failures', () => {
+            expect(describeErrorGroup({ code: 'teapot', count: 2 })).toBe('2 requests failed');
+        });
+    });
+
+    describe('normalizeErrorCode', () => {
+        it('should keep known codes only', () => {
+            expect(normalizeErrorCode('auth')).toBe('auth');
+            expect(normalizeErrorCode('toString')).toBe('unknown');
+            expect(normalizeErrorCode(null)).toBe('unknown');
+        });
+    });
+
+    describe('getErrorHint', () => {
+        it('should return a hint for actionable codes', () => {
+            expect(getErrorHint('auth')).toMatch(/API key/);
+            expect(getErrorHint('unknown')).toBe('');
+        });
+    });
+});
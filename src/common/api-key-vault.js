@@ -0,0 +1,259 @@
+/**
+ * Optional passphrase protection for the stored API keys.
+ *
+ * Without a vault, keys are kept in plaintext under `chrome.storage.local.api_keys`.
+ * With one, `chrome.storage.local.api_key_vault` holds them encrypted with AES-GCM,
+ * under a key derived from the passphrase with PBKDF2. Unlocking puts the decrypted
+ * keys (and the derived key, to encrypt later changes) in `chrome.storage.session`,
+ * which is kept in memory until the browser closes and is not readable by content scripts.
+ *
+ * Vault format:
+ * {
+ *   api_key_vault: { version: 1, iterations: 600000, salt: '<base64>', iv: '<base64>', data: '<base64>' }
+ * }
+ */
+
+export const VAULT_STORAGE_KEY = 'api_key_vault';
+
+// Session storage: the decrypted keys use the same key as the plaintext ones,
+// so listeners for `api_keys` changes see both
+const SESSION_KEYS_KEY = 'api_keys';
+const SESSION_CRYPTO_KEY = 'api_key_vault_key';
+
+const VAULT_VERSION = 1;
+
+// OWASP recommendation for PBKDF2-HMAC-SHA256
+export const PBKDF2_ITERATIONS = 600_000;
+
+/**
+ * Reports whether the keys are protected, and whether they are unlocked.
+ *
+ * @returns {Promise<'disabled'|'locked'|'unlocked'>}
+ */
+export async function getVaultState() {
+  const vault = await getVault();
+  if (!vault) {
+    return 'disabled';
+  }
+
+  const session = await chrome.storage.session.get(SESSION_CRYPTO_KEY);
+  return session[SESSION_CRYPTO_KEY] ? 'unlocked' : 'locked';
+}
+
+/**
+ * Reads the stored API keys, through the vault if there is one.
+ *
+ * @returns {Promise<Object>} Object mapping provider names to keys, as stored under `api_keys`
+ * @throws {Error} With `locked` set, if the vault is locked
+ */
+export async function readApiKeys() {
+  const vault = await getVault();
+
+  if (!vault) {
+    const result = await chrome.storage.local.get('api_keys');
+    return result.api_keys || {};
+  }
+
+  const session = await chrome.storage.session.get([SESSION_KEYS_KEY, SESSION_CRYPTO_KEY]);
+  if (!session[SESSION_CRYPTO_KEY]) {
+    throw createLockedError();
+  }
+
+  return session[SESSION_KEYS_KEY] || {};
+}
+
+/**
+ * Saves the API keys, encrypting them if there is a vault.
+ *
+ * @param {Object} keys - Object mapping provider names to keys
+ * @returns {Promise<void>}
+ * @throws {Error} With `locked` set, if the vault is locked
+ */
+export async function writeApiKeys(keys) {
+  const vault = await getVault();
+
+  if (!vault) {
+    await chrome.storage.local.set({ api_keys: keys });
+    return;
+  }
+
+  const session = await chrome.storage.session.get(SESSION_CRYPTO_KEY);
+  if (!session[SESSION_CRYPTO_KEY]) {
+    throw createLockedError();
+  }
+
+  const cryptoKey = await importRawKey(session[SESSION_CRYPTO_KEY]);
+  const encrypted = await encryptJson(keys, cryptoKey);
+
+  await chrome.storage.local.set({ [VAULT_STORAGE_KEY]: { ...vault, ...encrypted } });
+  await chrome.storage.session.set({ [SESSION_KEYS_KEY]: keys });
+}
+
+/**
+ * Encrypts the stored keys with a passphrase and removes the plaintext copy.
+ * The vault starts out unlocked.
+ *
+ * @param {string} passphrase - New passphrase
+ * @param {Object} [options]
+ * @param {number} [options.iterations] - PBKDF2 iterations, for tests
+ * @returns {Promise<void>}
+ */
+export async function enableVault(passphrase, { iterations = PBKDF2_ITERATIONS } = {}) {
+  if (await getVault()) {
+    throw new Error('API keys are already protected by a passphrase');
+  }
+  if (!passphrase) {
+    throw new Error('Passphrase must not be empty');
+  }
+
+  const { api_keys: keys = {} } = await chrome.storage.local.get('api_keys');
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const cryptoKey = await deriveKey(passphrase, salt, iterations);
+  const encrypted = await encryptJson(keys || {}, cryptoKey);
+
+  await chrome.storage.local.set({
+    [VAULT_STORAGE_KEY]: { version: VAULT_VERSION, iterations, salt: toBase64(salt), ...encrypted },
+  });
+  await storeSession(keys || {}, cryptoKey);
+  await chrome.storage.local.remove('api_keys');
+}
+
+/**
+ * Decrypts the vault for this browser session.
+ *
+ * @param {string} passphrase - Vault passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} If the passphrase is wrong
+ */
+export async function unlockVault(passphrase) {
+  const vault = await getVault();
+  if (!vault) {
+    return;
+  }
+
+  const { keys, cryptoKey } = await openVault(vault, passphrase);
+  await storeSession(keys, cryptoKey);
+}
+
+/**
+ * Forgets the decrypted keys until the next unlock.
+ *
+ * @returns {Promise<void>}
+ */
+export async function lockVault() {
+  await chrome.storage.session.remove([SESSION_KEYS_KEY, SESSION_CRYPTO_KEY]);
+}
+
+/**
+ * Removes the passphrase and stores the keys in plaintext again.
+ *
+ * @param {string} passphrase - Current passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} If the passphrase is wrong
+ */
+export async function disableVault(passphrase) {
+  const vault = await getVault();
+  if (!vault) {
+    return;
+  }
+
+  const { keys } = await openVault(vault, passphrase);
+
+  await chrome.storage.local.set({ api_keys: keys });
+  await chrome.storage.local.remove(VAULT_STORAGE_KEY);
+  await lockVault();
+}
+
+/**
+ * Deletes the vault and the keys in it, e.g. after the passphrase was forgotten.
+ *
+ * @returns {Promise<void>}
+ */
+export async function resetVault() {
+  await chrome.storage.local.remove(VAULT_STORAGE_KEY);
+  await lockVault();
+}
+
+async function getVault() {
+  const result = await chrome.storage.local.get(VAULT_STORAGE_KEY);
+  return result[VAULT_STORAGE_KEY] || null;
+}
+
+async function openVault(vault, passphrase) {
+  const cryptoKey = await deriveKey(passphrase, fromBase64(vault.salt), vault.iterations);
+
+  try {
+    const keys = await decryptJson(vault, cryptoKey);
+    return { keys, cryptoKey };
+  } catch {
+    // AES-GCM fails authentication with the wrong key
+    throw new Error('Wrong passphrase');
+  }
+}
+
+async function storeSession(keys, cryptoKey) {
+  const raw = await crypto.subtle.exportKey('raw', cryptoKey);
+  await chrome.storage.session.set({
+    [SESSION_KEYS_KEY]: keys,
+    [SESSION_CRYPTO_KEY]: toBase64(new Uint8Array(raw)),
+  });
+}
+
+function createLockedError() {
+  const error = new Error('API keys are locked. Unlock them with your passphrase from the extension popup.');
+  error.locked = true;
+  return error;
+}
+
+// --- WebCrypto helpers ---
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey'],
+  );
+
+  // Extractable, so the unlocked key can be kept in session storage
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt'],
+  );
+}
+
+function importRawKey(base64) {
+  return crypto.subtle.importKey('raw', fromBase64(base64), 'AES-GCM', true, ['encrypt', 'decrypt']);
+}
+
+async function encryptJson(value, cryptoKey) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    cryptoKey,
+    new TextEncoder().encode(JSON.stringify(value)),
+  );
+  return { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+}
+
+async function decryptJson({ iv, data }, cryptoKey) {
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(iv) },
+    cryptoKey,
+    fromBase64(data),
+  );
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
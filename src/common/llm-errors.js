@@ -0,0 +1,113 @@
+/**
+ * Codes of failed LLM requests, shared by the background worker, content script and popup.
+ *
+ * The background worker sets one on every failed response (`{ ok: false, error, code }`),
+ * so the popup can tell an invalid key from a context overflow or a refusal.
+ */
+export const LLM_ERROR_CODE = {
+  auth: 'auth',
+  rate_limit: 'rate_limit',
+  context_length: 'context_length',
+  content_filter: 'content_filter',
+  truncated: 'truncated',
+  network: 'network',
+  server: 'server',
+  unknown: 'unknown',
+};
+
+/**
+ * Why a model stopped generating, normalized across providers.
+ * Responses carry one as `finishReason`, or null if the provider didn't report it.
+ *
+ * - length: cut off at the output token limit (OpenAI `length`, Anthropic `max_tokens`, Gemini `MAX_TOKENS`)
+ * - content_filter: stopped by the provider's safety filter (Gemini `SAFETY` and other block reasons)
+ * - refusal: the model declined to answer (Anthropic `refusal`, OpenAI `message.refusal`)
+ */
+export const FINISH_REASON = {
+  stop: 'stop',
+  length: 'length',
+  content_filter: 'content_filter',
+  refusal: 'refusal',
+};
+
+/**
+ * Checks whether a response stopped before its answer was complete: cut off, filtered or refused.
+ *
+ * @param {string|null|undefined} finishReason - Normalized finish reason of the response
+ * @returns {boolean} True if the answer is incomplete
+ */
+export function isIncompleteFinish(finishReason) {
+  return finishReason === FINISH_REASON.length ||
+    finishReason === FINISH_REASON.content_filter ||
+    finishReason === FINISH_REASON.refusal;
+}
+
+// What happened to the requests of a group, completing "<count> <unit>s ..."
+const ERROR_DESCRIPTIONS = {
+  auth: 'failed because the API key was rejected',
+  rate_limit: 'hit the rate limit',
+  context_length: 'were too long for the context window',
+  content_filter: 'were blocked by the safety filter',
+  truncated: 'were cut off at the output token limit',
+  network: 'could not reach the provider',
+  server: 'failed with a provider server error',
+  unknown: 'failed',
+};
+
+// What the user can do about each kind of failure
+const ERROR_HINTS = {
+  auth: 'Check the API key in the options page.',
+  rate_limit: 'Lower the rate limits in the options page, or add another API key.',
+  context_length: 'Lower the chunk size, or pick a model with a larger context window.',
+  content_filter: 'Add a fallback model from another provider for this stage.',
+  truncated: 'Raise max tokens in the model parameters, or lower the chunk size.',
+  network: 'Check your connection and the provider\'s base URL.',
+  server: 'The provider had problems; try again later.',
+  unknown: '',
+};
+
+/**
+ * Normalizes a code received in a message; anything outside the taxonomy is 'unknown'.
+ *
+ * @param {string|null|undefined} code - Code as received
+ * @returns {string} One of LLM_ERROR_CODE
+ */
+export function normalizeErrorCode(code) {
+  return Object.hasOwn(LLM_ERROR_CODE, code ?? '') ? code : LLM_ERROR_CODE.unknown;
+}
+
+/**
+ * Describes a group of failed requests.
+ *
+ * @param {Object} group
+ * @param {string} group.code - Error code
+ * @param {number} group.count - Number of failed requests
+ * @param {string} [group.unit] - What one request works on, e.g. 'interval'
+ * @param {string|null} [group.model] - Model the requests failed on
+ * @returns {string} Description
+ *
+ * @example
+ * describeErrorGroup({ code: 'content_filter', count: 3, unit: 'interval', model: 'gemini-3-flash' })
+ * // '3 intervals were blocked by the safety filter on gemini-3-flash'
+ */
+export function describeErrorGroup({ code, count, unit = 'request', model }) {
+  const subject = `${count} ${unit}${count === 1 ? '' : 's'}`;
+  let description = ERROR_DESCRIPTIONS[normalizeErrorCode(code)];
+
+  // Singular subjects
+  if (count === 1) {
+    description = description.replace(/^were /, 'was ');
+  }
+
+  return model ? `${subject} ${description} on ${model}` : `${subject} ${description}`;
+}
+
+/**
+ * Gets the suggested fix for a kind of failure.
+ *
+ * @param {string} code - Error code
+ * @returns {string} Hint, or empty string if there is none
+ */
+export function getErrorHint(code) {
+  return ERROR_HINTS[normalizeErrorCode(code)];
+}
@@ -1,10 +1,24 @@
 export const MSG_TYPE = {
   llm_request: 'llm_request',
   llm_cancel: 'llm_cancel',
+  llm_stream: 'llm_stream',
+  llm_retry: 'llm_retry',
+  get_model_metadata: 'models.get_metadata',
   get_glossary: 'idb.get_glossary',
   save_glossary: 'idb.save_glossary',
   delete_glossary: 'idb.delete_glossary',
   scan_glossary_keys: 'idb.scan_glossary_keys',
+  get_checkpoint: 'checkpoint.get',
+  save_checkpoint: 'checkpoint.save',
+  delete_checkpoint: 'checkpoint.delete',
+};
+
+// Events posted back over an llm_stream port
+export const LLM_STREAM_EVENT = {
+  delta: 'delta',
+  done: 'done',
+  error: 'error',
+  retry: 'retry',
 };
 
 // Helper for content script
@@ -20,6 +34,7 @@ export const POPUP_MSG_TYPE = {
   pipeline_start: 'pipeline.start',
   pipeline_continue: 'pipeline.continue',
   pipeline_cancel: 'pipeline.cancel',
+  pipeline_getCheckpoint: 'pipeline.getCheckpoint',
   glossary_showWidget: 'glossary.showWidget',
   display_preview: 'preview.show'
 };
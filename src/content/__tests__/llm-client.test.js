@@ -0,0 +1,28 @@
+import { describe, it, expect, vi } from 'vitest';
+import { LLMClient } from '../llm-client.js';
+import { getProgressTracker } from '../progress-tracking.js';
+
+describe('LLMClient', () => {
+  it('ignores answers that arrive after it was disposed', async () => {
+    getProgressTracker(1);
+
+    const answers = [];
+    chrome.runtime.sendMessage.mockImplementation((message) => {
+      if (message.type === 'llm_request') {
+        return new Promise(resolve => answers.push(resolve));
+      }
+      return Promise.resolve();
+    });
+
+    const client = new LLMClient({ llmId: 'mock-1', stageId: '4', stageLabel: 'Translation', stageKey: 'translation' });
+    const request = client.request({ system: 'system', user: 'user' });
+    await vi.waitFor(() => expect(answers).toHaveLength(1));
+
+    client.dispose();
+    await expect(request).rejects.toThrow('LLMClient disposed');
+
+    // Answered after the cancel; an unhandled rejection here fails the test run
+    answers[0]({ ok: true, data: { assistant: 'late', llmId: 'mock-1' } });
+    await new Promise(resolve => setTimeout(resolve, 0));
+  });
+});
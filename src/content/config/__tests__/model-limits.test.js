@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { clampChunkSizes, getMaxChunkSize } from '../model-limits.js';
+
+describe('getMaxChunkSize', () => {
+  it('should not limit models with unknown limits', () => {
+    expect(getMaxChunkSize(null)).toBe(Infinity);
+    expect(getMaxChunkSize({ contextLength: null, maxOutputTokens: null }, { withOutput: true })).toBe(Infinity);
+  });
+
+  it('should leave room for the answer when it is as long as the input', () => {
+    const metadata = { contextLength: 16000, maxOutputTokens: null };
+
+    expect(getMaxChunkSize(metadata)).toBe(8000);
+    expect(getMaxChunkSize(metadata, { withOutput: true })).toBe(4000);
+  });
+
+  it('should respect the output limit for translations', () => {
+    expect(getMaxChunkSize({ contextLength: 128000, maxOutputTokens: 3000 }, { withOutput: true })).toBe(2000);
+  });
+});
+
+describe('clampChunkSizes', () => {
+  const createConfig = () => ({
+    llm: { glossaryGenerate: 'small', textChunking: 'big', translation: 'big' },
+    llmFallbacks: { translation: ['tiny-output'] },
+    updateGlossary: true,
+    glossaryChunkSize: 10000,
+    textSegmentation: { method: 'chunk', chunkSize: 5000 },
+  });
+
+  const metadata = {
+    small: { contextLength: 10000, maxOutputTokens: null },
+    big: { contextLength: 1000000, maxOutputTokens: 65536 },
+    'tiny-output': { contextLength: 128000, maxOutputTokens: 4500 },
+  };
+
+  it('should lower sizes that do not fit, fallback models included', () => {
+    const config = createConfig();
+
+    const changes = clampChunkSizes(config, metadata);
+
+    expect(config.textSegmentation.chunkSize).toBe(3000);
+    expect(config.glossaryChunkSize).toBe(4000);
+    expect(changes).toHaveLength(2);
+  });
+
+  it('should keep sizes that fit or stages that are off', () => {
+    const config = { ...createConfig(), updateGlossary: false, llmFallbacks: {} };
+
+    expect(clampChunkSizes(config, metadata)).toEqual([]);
+    expect(config.textSegmentation.chunkSize).toBe(5000);
+    expect(config.glossaryChunkSize).toBe(10000);
+  });
+});
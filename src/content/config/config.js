@@ -3,6 +3,7 @@
  */
 import { LANGS } from "../../common/languages.js";
 import { getLanguage } from "../languages/detect-language.js";
+import { applyModelLimits } from "./model-limits.js";
 
 class TranslationConfig {
   constructor(raw) {
@@ -61,6 +62,10 @@ export async function getTranslationConfig(popupOverrides) {
     config.updateGlossary = false;
   }
 
+  if (popupOverrides.bypassCache) {
+    config.bypassCache = true;
+  }
+
   if (popupOverrides.popupSourceLang) {
     config.sourceLang = popupOverrides.popupSourceLang;
   }
@@ -75,6 +80,9 @@ export async function getTranslationConfig(popupOverrides) {
     config.customInstruction = customInstructions;
   }
 
+  // Keep chunks within the context window of the selected models
+  await applyModelLimits(config);
+
   return config;
 }
 
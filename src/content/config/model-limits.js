@@ -0,0 +1,113 @@
+/**
+ * Sizing of pipeline requests from the limits of the selected models
+ */
+import { MSG_TYPE } from "../../common/messaging.js";
+import { log } from "../../common/logger.js";
+
+// Rough tokens per unit of chunk size (a CJK character or a word), for the source text or its translation
+const TOKENS_PER_UNIT = 1.5;
+
+// Room kept in the context window for the system prompt, glossary and preceding lines
+const PROMPT_OVERHEAD_TOKENS = 4000;
+
+// Chunks are never made smaller than this, however small the model
+const MIN_CHUNK_SIZE = 200;
+
+/**
+ * Gets the largest chunk size (CJK characters or words) whose request fits a model.
+ *
+ * @param {Object|null} metadata - Model metadata: { contextLength, maxOutputTokens }
+ * @param {Object} [options]
+ * @param {boolean} [options.withOutput] - The answer is as long as the input (translation) rather than short
+ * @returns {number} Maximum chunk size, or Infinity if the model's limits are unknown
+ */
+export function getMaxChunkSize(metadata, { withOutput = false } = {}) {
+  let max = Infinity;
+
+  if (metadata?.contextLength) {
+    const tokensPerUnit = withOutput ? TOKENS_PER_UNIT * 2 : TOKENS_PER_UNIT;
+    max = (metadata.contextLength - PROMPT_OVERHEAD_TOKENS) / tokensPerUnit;
+  }
+
+  if (withOutput && metadata?.maxOutputTokens) {
+    max = Math.min(max, metadata.maxOutputTokens / TOKENS_PER_UNIT);
+  }
+
+  return max === Infinity ? max : Math.max(MIN_CHUNK_SIZE, Math.floor(max));
+}
+
+/**
+ * Lowers the chunk sizes of a config so each request fits the models that may receive it,
+ * fallback models included.
+ *
+ * - chunkSize: the segmentation model reads whole batches, the translation model
+ *   reads and writes chunks of up to the same size
+ * - glossaryChunkSize: the glossary generation model reads whole chunks
+ *
+ * @param {Object} config - Translation config, updated in place
+ * @param {Object} metadata - Map of llmId to model metadata
+ * @returns {Array<string>} Descriptions of the lowered sizes
+ */
+export function clampChunkSizes(config, metadata) {
+  const changes = [];
+
+  const limitFor = (stageKey, options) => Math.min(
+    ...getStageModels(config, stageKey).map(llmId => getMaxChunkSize(metadata[llmId], options))
+  );
+
+  if (config.textSegmentation?.method === 'chunk') {
+    const max = Math.min(limitFor('textChunking'), limitFor('translation', { withOutput: true }));
+
+    if (config.textSegmentation.chunkSize > max) {
+      changes.push(`Chunk size lowered from ${config.textSegmentation.chunkSize} to ${max} to fit the models`);
+      config.textSegmentation.chunkSize = max;
+    }
+  }
+
+  if (config.updateGlossary) {
+    const max = limitFor('glossaryGenerate');
+
+    if (config.glossaryChunkSize > max) {
+      changes.push(`Glossary chunk size lowered from ${config.glossaryChunkSize} to ${max} to fit the model`);
+      config.glossaryChunkSize = max;
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Fetches the metadata of the configured models and lowers chunk sizes that don't fit them.
+ * Sizing is a safeguard only: without metadata, the configured sizes are kept.
+ *
+ * @param {Object} config - Translation config, updated in place
+ * @returns {Promise<void>}
+ */
+export async function applyModelLimits(config) {
+  const llmIds = Object.keys(config.llm ?? {}).flatMap(stageKey => getStageModels(config, stageKey));
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: MSG_TYPE.get_model_metadata,
+      payload: { llmIds: [...new Set(llmIds)] },
+    });
+
+    if (!response?.ok) {
+      throw new Error(response?.error || 'No response');
+    }
+
+    for (const change of clampChunkSizes(config, response.data)) {
+      log(`[Config] ${change}`);
+    }
+  } catch (error) {
+    console.warn('[Config] Could not load model metadata, keeping the configured chunk sizes:', error.message);
+  }
+}
+
+/**
+ * Gets the model of a stage followed by its fallback models.
+ * @private
+ */
+function getStageModels(config, stageKey) {
+  return [config.llm?.[stageKey], ...(config.llmFallbacks?.[stageKey] ?? [])].filter(Boolean);
+}
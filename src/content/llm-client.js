@@ -1,9 +1,54 @@
 import { getProgressTracker } from './progress-tracking.js';
-import { MSG_TYPE } from "../common/messaging.js";
+import { LLM_STREAM_EVENT, MSG_TYPE } from "../common/messaging.js";
+import { normalizeErrorCode } from "../common/llm-errors.js";
 
 // Generate unique client IDs
 let nextClientId = 1;
 
+// Clients not yet disposed, so a pipeline cancel can reach every stage at once
+const liveClients = new Set();
+
+// Resends of a request while the background worker restarts; the worker's journal
+// answers a resend of a request it was already working on
+const WORKER_RETRY_LIMIT = 5;
+const WORKER_RETRY_DELAY_MS = 1000;
+
+// Retry notices arrive as tab messages from the background worker; one listener serves all clients
+let retryListenerRegistered = false;
+
+function ensureRetryListener() {
+  if (retryListenerRegistered) return;
+  retryListenerRegistered = true;
+
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.type !== MSG_TYPE.llm_retry) {
+      return false;
+    }
+
+    const { clientId, requestId, reason } = message.payload;
+    for (const client of liveClients) {
+      if (client.clientId === clientId) {
+        client._markRetrying(requestId, reason);
+      }
+    }
+    return false;
+  });
+}
+
+/**
+ * Creates the error a failed request rejects with, from the failure sent by the background worker.
+ *
+ * @param {Object} failure - { error, code, llmId, model } from a response or stream error event
+ * @returns {Error} Error with `code` (one of LLM_ERROR_CODE), `llmId` and `model` set
+ */
+function createRequestError(failure) {
+  const error = new Error(failure.error || 'LLM request failed');
+  error.code = normalizeErrorCode(failure.code);
+  error.llmId = failure.llmId ?? null;
+  error.model = failure.model ?? null;
+  return error;
+}
+
 /**
  * Thin wrapper for chrome.runtime.sendMessage.
  * Automatically registers with the global progress tracker.
@@ -13,30 +58,68 @@ class LLMClient {
   /**
    * @param {Object} params
    * @param {string} params.llmId - Unique label for a LLM to be used
+   * @param {Array<string>} [params.fallbackLlmIds] - Models tried in order when llmId fails
    * @param {string} params.stageId - Stage identifier for progress tracking
    * @param {string} params.stageLabel - Human-readable stage name
+   * @param {string} [params.taskUnit] - What one request works on (e.g. 'interval'), for grouped error messages
+   * @param {string} [params.stageKey] - Stage key in `config.llm`, selects the stage's parameter profile
+   * @param {string} [params.series] - Series key ('<domain>/<seriesId>'), for usage accounting
+   * @param {string} [params.runId] - Pipeline run, for the interaction log
+   * @param {string} [params.page] - URL of the translated page, for the interaction log
+   * @param {boolean} [params.bypassCache] - Ignore cached responses for this client's requests
    * @param {Object} params.customParams - Additional LLM payload parameters (temp, max_tokens, etc.) use for all requests.
+   *        They override the parameter profiles set in the options page.
+   * @param {Object} [params.defaultParams] - LLM payload parameters the stage needs unless the user set their own
+   *        (e.g. a larger max_tokens). The parameter profiles set in the options page override them.
+   * @param {Array<string>} [params.deferredErrorCodes] - LLM_ERROR_CODEs of failures the caller retries itself.
+   *        Such a failure is not counted as an error; the caller settles it with retractTask() or reportFailure().
    */
-  constructor({ llmId, stageId, stageLabel, customParams = {} }) {
+  constructor({
+    llmId,
+    fallbackLlmIds = [],
+    stageId,
+    stageLabel,
+    taskUnit,
+    stageKey,
+    series,
+    runId,
+    page,
+    bypassCache = false,
+    customParams = {},
+    defaultParams = {},
+    deferredErrorCodes = [],
+  }) {
     this.clientId = `client_${nextClientId++}_${Date.now()}`;
     this.llmId = llmId;
+    this.fallbackLlmIds = fallbackLlmIds;
     this.stageId = stageId;
+    this.stageLabel = stageLabel;
+    this.stageKey = stageKey;
+    this.series = series;
+    this.runId = runId;
+    this.page = page;
+    this.bypassCache = bypassCache;
+    this.deferredErrorCodes = deferredErrorCodes;
     this._disposed = false;
 
     this._pendingRequests = new Map();
     this._nextRequestId = 1;
 
+    // Requests currently waiting on a retry in the background worker
+    this._retryingRequests = new Set();
+
+    // In-flight streaming requests: Map<Port, push(event)>, disconnected on dispose
+    this._streamPorts = new Map();
+
     // Register with progress tracker
     this.progressTracker = getProgressTracker();
-    this.progressTracker.createStage(this.stageId, stageLabel);
+    this.progressTracker.createStage(this.stageId, stageLabel, taskUnit);
 
     this.customParams = customParams;
-    this._setDefaultParams();
-  }
+    this.defaultParams = defaultParams;
 
-
-  _setDefaultParams() {
-    this.customParams.temperature = 0.8;
+    liveClients.add(this);
+    ensureRetryListener();
   }
 
   /**
@@ -44,9 +127,21 @@ class LLMClient {
    * @param {Object} prompt
    * @param {string} prompt.system - The system message/prompt
    * @param {string} prompt.user - The user message/prompt
+   * @param {Object} [prompt.schema] - JSON schema of the output, for models with structured outputs
+   * @param {Array<string>} [prompt.llmIds] - Models to try in order for this prompt, instead of the client's
    * @returns {Promise<string>} The assistant's completion text
    */
   async request(prompt) {
+    const result = await this._request(prompt);
+    return result.assistant;
+  }
+
+  /**
+   * Sends a single LLM request and resolves with the full response.
+   * @private
+   * @returns {Promise<{assistant: string, reasoning: string|null, llmId: string}>} Response, incl. the model that answered
+   */
+  async _request(prompt) {
     if (this._disposed) {
       throw new Error('LLMClient has been disposed');
     }
@@ -71,25 +166,192 @@ class LLMClient {
    * Sends multiple requests concurrently.
    *
    * @param {Array<Object>} prompts - Array of prompts (system/user message)
-   * @returns {Promise<Array<{ok: boolean, data?: string, error?: string}>>}
+   * @param {Function} [onResult] - Called as (index, result) as each prompt settles
+   * @returns {Promise<Array<{ok: boolean, data?: string, llmId?: string, usage?: Object|null, finishReason?: string|null, error?: string, code?: string}>>}
+   *          llmId is the model that answered (or failed last), usage its token counts (incl. cachedTokens)
+   *          if reported, finishReason why it stopped (FINISH_REASON) if reported, code the LLM_ERROR_CODE of a failure
+   */
+  async requestBatch(prompts, onResult) {
+    if (this._disposed) {
+      throw new Error('LLMClient has been disposed');
+    }
+
+    const promises = prompts.map(async (userMessage, index) => {
+      let batchResult;
+      try {
+        const result = await this._request(userMessage);
+        batchResult = {
+          ok: true,
+          data: result.assistant,
+          llmId: result.llmId,
+          usage: result.usage ?? null,
+          finishReason: result.finishReason ?? null,
+        };
+      } catch (error) {
+        batchResult = {
+          ok: false,
+          error: error.message,
+          code: normalizeErrorCode(error.code),
+          llmId: error.llmId ?? null,
+          model: error.model ?? null,
+        };
+      }
+
+      onResult?.(index, batchResult);
+      return batchResult;
+    });
+
+    return Promise.all(promises);
+  }
+
+  /**
+   * Sends a single LLM request and streams the completion as it is generated.
+   * Uses a dedicated port to the background worker for the lifetime of the request.
+   *
+   * @param {Object} prompt
+   * @param {string} prompt.system - The system message/prompt
+   * @param {string} prompt.user - The user message/prompt
+   * @returns {AsyncGenerator<{assistant: string, reasoning: string|null}, Object>} Deltas of the completion;
+   *          returns the full response, incl. the `llmId` of the model that answered
+   */
+  async *requestStream(prompt) {
+    if (this._disposed) {
+      throw new Error('LLMClient has been disposed');
+    }
+
+    this.progressTracker.addTasks(this.stageId, 1);
+
+    const streamKey = `stream_${this._nextRequestId++}`;
+    const port = chrome.runtime.connect({ name: MSG_TYPE.llm_stream });
+
+    // Buffer port events so they can be consumed with await
+    const events = [];
+    let wake = null;
+    const push = (event) => {
+      events.push(event);
+      wake?.();
+      wake = null;
+    };
+
+    this._streamPorts.set(port, push);
+
+    port.onMessage.addListener(push);
+    port.onDisconnect.addListener(() => push({ type: 'disconnect' }));
+    port.postMessage({ type: MSG_TYPE.llm_request, payload: this._buildPayload(prompt) });
+
+    try {
+      while (true) {
+        if (events.length === 0) {
+          await new Promise(resolve => wake = resolve);
+        }
+
+        const event = events.shift();
+
+        if (event.type === LLM_STREAM_EVENT.delta) {
+          this._clearRetrying(streamKey);
+          yield event.data;
+        } else if (event.type === LLM_STREAM_EVENT.retry) {
+          this._markRetrying(streamKey, event.data.reason);
+        } else if (event.type === LLM_STREAM_EVENT.done) {
+          this._clearRetrying(streamKey);
+          this.progressTracker?.markComplete(this.stageId);
+          return event.data;
+        } else if (event.type === LLM_STREAM_EVENT.error) {
+          this._clearRetrying(streamKey);
+          const error = createRequestError(event);
+          this._markFailed(error);
+          throw error;
+        } else {
+          if (this._disposed) {
+            throw new Error('LLMClient disposed');
+          }
+          this.progressTracker?.markError(this.stageId, 'Background worker disconnected');
+          throw new Error('Background worker disconnected during streaming request');
+        }
+      }
+    } finally {
+      this._streamPorts.delete(port);
+      port.disconnect();
+    }
+  }
+
+  /**
+   * Sends multiple streaming requests concurrently.
+   * Resolves with the same shape as requestBatch(); progress is reported through onUpdate.
+   *
+   * @param {Array<Object>} prompts - Array of prompts (system/user message)
+   * @param {Function} [onUpdate] - Called as (index, textSoFar) whenever a prompt receives new output
+   * @param {Function} [onResult] - Called as (index, result) as each prompt settles
+   * @returns {Promise<Array<{ok: boolean, data?: string, llmId?: string, usage?: Object|null, finishReason?: string|null, error?: string, code?: string}>>}
    */
-  async requestBatch(prompts) {
+  async requestStreamBatch(prompts, onUpdate, onResult) {
     if (this._disposed) {
       throw new Error('LLMClient has been disposed');
     }
 
-    const promises = prompts.map(async (userMessage) => {
+    const promises = prompts.map(async (prompt, index) => {
+      let output = '';
+      let batchResult;
       try {
-        const result = await this.request(userMessage);
-        return { ok: true, data: result };
+        // Iterate by hand to receive the generator's return value
+        const stream = this.requestStream(prompt);
+        let step;
+        while (!(step = await stream.next()).done) {
+          const delta = step.value;
+          if (!delta.assistant) continue;
+          output += delta.assistant;
+          onUpdate?.(index, output);
+        }
+        batchResult = {
+          ok: true,
+          data: output,
+          llmId: step.value?.llmId,
+          usage: step.value?.usage ?? null,
+          finishReason: step.value?.finishReason ?? null,
+        };
       } catch (error) {
-        return { ok: false, error: error.message };
+        batchResult = {
+          ok: false,
+          error: error.message,
+          code: normalizeErrorCode(error.code),
+          llmId: error.llmId ?? null,
+          model: error.model ?? null,
+        };
       }
+
+      onResult?.(index, batchResult);
+      return batchResult;
     });
 
     return Promise.all(promises);
   }
 
+  /**
+   * Builds the background request payload for a prompt.
+   * @private
+   */
+  _buildPayload(prompt) {
+    const [llmId, ...fallbackLlmIds] = prompt.llmIds ?? [this.llmId, ...this.fallbackLlmIds];
+
+    return {
+      clientId: this.clientId,
+      llmId,
+      fallbackLlmIds,
+      systemPrompt: prompt.system,
+      userMessage: prompt.user,
+      responseSchema: prompt.schema,
+      customParams: this.customParams,
+      defaultParams: this.defaultParams,
+      stageKey: this.stageKey,
+      // Usage accounting and interaction log context
+      stage: this.stageLabel,
+      series: this.series,
+      runId: this.runId,
+      page: this.page,
+      bypassCache: this.bypassCache,
+    };
+  }
+
   /**
    * Internal method to send or retry a request.
    * @private
@@ -101,28 +363,32 @@ class LLMClient {
     }
 
     try {
-      const payload = {
-        clientId: this.clientId,
-        llmId: this.llmId,
-        systemPrompt: pending.prompt.system,
-        userMessage: pending.prompt.user,
-        customParams: this.customParams
-      };
+      const payload = { ...this._buildPayload(pending.prompt), requestId };
 
       const response = await chrome.runtime.sendMessage({ type: MSG_TYPE.llm_request, payload });
 
+      // Disposed while waiting (e.g. cancelled): the request was already rejected
+      if (this._disposed) {
+        return;
+      }
 
       this._pendingRequests.delete(requestId);
+      this._clearRetrying(requestId);
 
       if (!response.ok) {
-        this.progressTracker.markError(this.stageId, response.error || 'Unknown error');
-        pending.reject(new Error(response.error || 'LLM request failed'));
+        const error = createRequestError(response);
+        this._markFailed(error);
+        pending.reject(error);
       } else {
         this.progressTracker.markComplete(this.stageId);
-        pending.resolve(response.data.assistant);
+        pending.resolve(response.data);
       }
 
     } catch (error) {
+      if (this._disposed) {
+        return;
+      }
+
       const isWorkerDead =
         chrome.runtime.lastError?.message?.includes('Receiving end does not exist') ||
         error.message?.includes('Receiving end does not exist') ||
@@ -132,36 +398,96 @@ class LLMClient {
       if (isWorkerDead) {
         pending.retryCount++;
 
-        if (pending.retryCount <= 3) {
+        if (pending.retryCount <= WORKER_RETRY_LIMIT) {
           console.warn(
             `[LLMClient] Background worker unavailable for request ${requestId}, ` +
-            `retrying (${pending.retryCount}/3)...`,
+            `retrying (${pending.retryCount}/${WORKER_RETRY_LIMIT})...`,
           );
 
-          setTimeout(() => this._sendRequest(requestId), 1000);
+          // Same requestId, so the restarted worker can match it to its journal
+          setTimeout(() => this._sendRequest(requestId), WORKER_RETRY_DELAY_MS * pending.retryCount);
         } else {
           this._pendingRequests.delete(requestId);
+          this._clearRetrying(requestId);
           this.progressTracker.markError(
             this.stageId,
             'Background worker unavailable after retries',
           );
           pending.reject(
-            new Error('Background worker unavailable after 3 retry attempts'),
+            new Error(`Background worker unavailable after ${WORKER_RETRY_LIMIT} retry attempts`),
           );
         }
       } else {
         this._pendingRequests.delete(requestId);
+        this._clearRetrying(requestId);
         this.progressTracker.markError(this.stageId, error.message);
         pending.reject(error);
       }
     }
   }
 
+  /**
+   * Counts a failed request as an error, unless the caller recovers from its code itself.
+   * @private
+   */
+  _markFailed(error) {
+    if (!this.deferredErrorCodes.includes(error.code)) {
+      this.progressTracker?.markError(this.stageId, error.message, { code: error.code, model: error.model });
+    }
+  }
+
+  /**
+   * Takes back the task of a request the caller replaced with retries, so it
+   * counts neither as done nor as failed.
+   *
+   * @param {Object} result - Result of the request, from requestBatch(); an answer or a deferred failure
+   */
+  retractTask(result) {
+    this.progressTracker?.removeTask(this.stageId, { completed: result.ok });
+  }
+
+  /**
+   * Counts a request that failed with one of deferredErrorCodes as an error,
+   * once the caller gave up recovering from it.
+   *
+   * @param {Object} result - Result of the request, from requestBatch()
+   */
+  reportFailure(result) {
+    if (!result.ok && this.deferredErrorCodes.includes(result.code)) {
+      this.progressTracker?.markError(this.stageId, result.error, { code: result.code, model: result.model ?? null });
+    }
+  }
+
+  /**
+   * Shows a request as retrying in the progress tracker, once per request.
+   * @private
+   */
+  _markRetrying(requestKey, reason) {
+    if (this._disposed || this._retryingRequests.has(requestKey)) {
+      return;
+    }
+
+    this._retryingRequests.add(requestKey);
+    this.progressTracker.markRetrying(this.stageId, reason);
+  }
+
+  /**
+   * Clears the retrying state of a request once it streams output or settles.
+   * @private
+   */
+  _clearRetrying(requestKey) {
+    if (this._disposed || !this._retryingRequests.delete(requestKey)) {
+      return;
+    }
+
+    this.progressTracker.clearRetrying(this.stageId);
+  }
+
   /**
    * Cleans up this client instance.
    * - Marks the stage as finished in the progress tracker
    * - Sends cancellation message to background worker
-   * - Rejects all pending requests
+   * - Rejects all pending requests and closes streaming ports
    *
    * Used when:
    * - Pipeline stage finishes
@@ -171,14 +497,24 @@ class LLMClient {
     if (this._disposed) return;
 
     this._disposed = true;
+    liveClients.delete(this);
 
     // Reject all pending requests
     for (const [requestId, pending] of this._pendingRequests) {
       pending.reject(new Error('LLMClient disposed'));
     }
 
-    const pendingCount = this._pendingRequests.size;
+    const pendingCount = this._pendingRequests.size + this._streamPorts.size;
     this._pendingRequests.clear();
+    this._retryingRequests.clear();
+
+    // Closing the port tells the background worker to stop streaming.
+    // onDisconnect only fires on the remote end, so wake the local reader too.
+    for (const [port, push] of this._streamPorts) {
+      port.disconnect();
+      push({ type: 'disconnect' });
+    }
+    this._streamPorts.clear();
 
     // Mark stage as done in progress tracker
     this.progressTracker.finishStage(this.stageId);
@@ -198,4 +534,15 @@ class LLMClient {
   }
 }
 
-export { LLMClient };
+/**
+ * Disposes every live client, rejecting their pending requests and
+ * aborting the matching requests in the background worker.
+ * Used when the user cancels a running pipeline.
+ */
+function disposeAllClients() {
+  for (const client of [...liveClients]) {
+    client.dispose();
+  }
+}
+
+export { LLMClient, disposeAllClients };
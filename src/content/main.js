@@ -4,7 +4,7 @@
 
 import { runPipeline } from './pipeline/pipeline.js';
 import { getTranslationConfig, validateConfig } from './config/config.js';
-import { extractText, replaceText, buildGlossaryKeys } from './dom-adapter.js';
+import { extractText, replaceText, buildGlossaryKeys, getDomainId, getSeriesId } from './dom-adapter.js';
 import { getGlossary, saveGlossary } from './ui/glossary.js';
 import { isSiteSupported } from "../domains/registry.js";
 import { getProgressTracker } from "./progress-tracking.js";
@@ -14,6 +14,7 @@ import { showTextPreview } from "./ui/preview-manager.js";
 import { applyCSS } from "./style-manager.js";
 import { DomainAdapter } from "../domains/DomainAdapter.js";
 import { log } from "../common/logger.js";
+import { getRunId, PipelineCheckpoint } from "./pipeline/checkpoint.js";
 
 // --- Lifecycle State Management ---
 const PipelineStatus = {
@@ -36,6 +37,9 @@ const pipelineContext = {
 // Temp data store while waiting for the confirmation signal to continue from popup
 let pendingContext = null;
 
+// Aborted when the user cancels the running pipeline
+let pipelineAbortController = null;
+
 // Check if the global flag exists. If it does, we stop immediately.
 // Popup should not attempt load, but just in case.
 if (!window.hasLLMTranslatorLoaded) {
@@ -76,7 +80,8 @@ if (!window.hasLLMTranslatorLoaded) {
       }
 
       // Resume execution immediately using the stored data
-      executePipelineCore(pendingContext.extractedText, pendingContext.config)
+      const { extractedText, config, resume } = pendingContext;
+      executePipelineCore(extractedText, config, { resume })
         .then(() => sendResponse({ ok: true }))
         .catch((error) => {
           console.error('[Main] Pipeline continuation failed:', error);
@@ -87,6 +92,10 @@ if (!window.hasLLMTranslatorLoaded) {
     }
 
     if (message.type === POPUP_MSG_TYPE.pipeline_cancel) {
+      // Stops the running stage and aborts its in-flight requests
+      pipelineAbortController?.abort();
+      pipelineAbortController = null;
+
       pipelineContext.status = PipelineStatus.IDLE;
       pipelineContext.warning = null;
       pipelineContext.error = null;
@@ -110,6 +119,14 @@ if (!window.hasLLMTranslatorLoaded) {
       return true;
     }
 
+    if (message.type === POPUP_MSG_TYPE.pipeline_getCheckpoint) {
+      // Whatever an interrupted run on this page saved, for the popup to offer resuming
+      findCheckpoint(message.payload)
+        .then((checkpoint) => sendResponse({ ok: true, checkpoint }))
+        .catch((error) => sendResponse({ ok: false, error: error.message }));
+      return true;
+    }
+
     if (message.type === POPUP_MSG_TYPE.site_supported) {
       try {
         const supported = isSiteSupported();
@@ -169,7 +186,7 @@ async function handlePipelineStart(payload) {
     pipelineContext.warning = validation.warning;
 
     // Save state to memory
-    pendingContext = { extractedText, config };
+    pendingContext = { extractedText, config, resume: payload?.resume };
 
     // Send active message to popup to trigger the Modal
     chrome.runtime.sendMessage({
@@ -185,30 +202,60 @@ async function handlePipelineStart(payload) {
   }
 
   // --- Branch C: Success (Proceed) ---
-  executePipelineCore(extractedText, config).catch(err => {
+  executePipelineCore(extractedText, config, { resume: payload?.resume }).catch(err => {
     console.error("Background pipeline error:", err);
   });
   return { status: 'started' };
 }
 
+/**
+ * Summarizes the checkpoint of an interrupted run on this page, if any
+ */
+async function findCheckpoint(payload) {
+  const extractedText = extractText();
+  const config = await getTranslationConfig(payload?.overrides);
+  const saved = await PipelineCheckpoint.load(await getRunId(location.href, extractedText, config));
+
+  return PipelineCheckpoint.summarize(saved);
+}
+
 /**
  * Start translation pipeline
+ * @param {Object} [options]
+ * @param {boolean} [options.resume] - Skip the stages an interrupted run on this page finished
  */
-async function executePipelineCore(extractedText, config) {
+async function executePipelineCore(extractedText, config, { resume = false } = {}) {
   // Enable warning listener
   window.addEventListener('beforeunload', handleBeforeUnload);
 
+  const abortController = new AbortController();
+  pipelineAbortController = abortController;
+
   try {
     pipelineContext.status = PipelineStatus.RUNNING;
     pipelineContext.error = null;
     pipelineContext.warning = null;
     pendingContext = null;
 
+    // Attribute token usage and cost to this series
+    config.series = `${getDomainId()}/${getSeriesId()}`;
+
+    // Groups this run's requests in the interaction log, and keys its checkpoint.
+    // Derived from the page, so a run interrupted here can be resumed
+    config.runId = await getRunId(location.href, extractedText, config);
+    config.page = location.href;
+    const checkpoint = await PipelineCheckpoint.open(config, { resume });
+
     // Read in glossary from disk
     const glossaryStorageKeys = buildGlossaryKeys(config.sourceLang, config.targetLang);
     const glossary = await getGlossary(glossaryStorageKeys.seriesKey);
 
-    const { translatedText, glossary: updatedGlossary } = await runPipeline(extractedText, glossary, config);
+    // Show partial translations on the page as they stream in (no-op unless streaming is enabled)
+    const { translatedText, glossary: updatedGlossary } = await runPipeline(extractedText, glossary, config, {
+      onPartialTranslation: (partialTexts) => replaceText(partialTexts),
+      signal: abortController.signal,
+      checkpoint,
+    });
 
     // Save updated glossary (if enabled) to disk
     await saveGlossary(glossaryStorageKeys.seriesKey, updatedGlossary);
@@ -217,14 +264,28 @@ async function executePipelineCore(extractedText, config) {
 
     await applyCSS(config.targetLang, DomainAdapter.CSS_EXT_CLASS);
 
+    // Nothing left to resume
+    await checkpoint.clear();
+
     pipelineContext.status = PipelineStatus.COMPLETE_SUCCESS;
   } catch (error) {
+    // Cancelled by the user: the cancel handler already reset the state
+    if (abortController.signal.aborted) {
+      log('[Main] Pipeline cancelled by user.');
+      return;
+    }
+
     pipelineContext.status = PipelineStatus.COMPLETE_ERROR;
-    pipelineContext.error = { message: error};
+    // Sent to the popup as JSON, so only plain fields; code is set for failed LLM requests
+    pipelineContext.error = { message: error?.message || String(error), code: error?.code ?? null };
     console.error('[Main] Error in pipeline execution:', error);
     throw error;
   } finally {
     window.removeEventListener('beforeunload', handleBeforeUnload);
+
+    if (pipelineAbortController === abortController) {
+      pipelineAbortController = null;
+    }
   }
 }
 
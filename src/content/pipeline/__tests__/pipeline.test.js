@@ -0,0 +1,370 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { runPipeline } from '../pipeline.js';
+import { translateText } from '../translation/translation.js';
+import { getRunId, PipelineCheckpoint } from '../checkpoint.js';
+import { getProgressTracker } from '../../progress-tracking.js';
+import { LLMCoordinator } from '../../../background/llm-coordinator.js';
+import { MemoryFixtureStore, MockProvider } from '../../../background/providers/mock-provider.js';
+
+/**
+ * Runs the pipeline offline: LLMClient messages go straight to a real
+ * coordinator, which answers every stage with the given mock provider.
+ */
+function useOfflineBackend(provider) {
+  const coordinator = new LLMCoordinator();
+  coordinator.providers.set('mock', provider);
+
+  chrome.runtime.sendMessage.mockImplementation((message) => {
+    if (message.type === 'llm_request') {
+      return new Promise(resolve => coordinator.handleRequest(message.payload, resolve));
+    }
+    return Promise.resolve();
+  });
+}
+
+function createConfig(overrides = {}) {
+  return {
+    sourceLang: 'ja',
+    targetLang: 'en',
+    get languagePair() {
+      return `${this.sourceLang}_${this.targetLang}`;
+    },
+    get sourceLangName() {
+      return 'Japanese';
+    },
+    get targetLangName() {
+      return 'English';
+    },
+    llm: {
+      glossaryGenerate: 'mock-1',
+      glossaryUpdate: 'mock-1',
+      textChunking: 'mock-1',
+      translation: 'mock-1',
+      postEdit: 'mock-1',
+    },
+    updateGlossary: true,
+    textSegmentation: { method: 'chunk', chunkSize: 1000, overlapCount: 5, fallbackSize: 5 },
+    translation: { contextLines: 3 },
+    postEdit: true,
+    customInstruction: '',
+    series: 'example.com/1',
+    ...overrides,
+  };
+}
+
+const texts = [
+  { id: 'p1', index: 0, text: '勇者アレンは剣を抜いた。' },
+  { id: 'p2', index: 1, text: '「行くぞ！」' },
+  { id: 'p3', index: 2, text: '魔王城はまだ遠い。' },
+];
+
+// Shares a key with the generated mock entry, so the glossary update stage calls the LLM
+const existingGlossary = {
+  entries: [{ id: 1, keys: ['勇者アレ'], value: '[character] Name: Allen (勇者アレン)' }],
+};
+
+describe('runPipeline with the mock provider', () => {
+  beforeEach(() => {
+    chrome.storage.local.get.mockResolvedValue({});
+  });
+
+  it('runs all five stages with scripted responses', async () => {
+    useOfflineBackend(new MockProvider());
+
+    const { translatedText, glossary } = await runPipeline(texts, existingGlossary, createConfig());
+
+    expect(translatedText.map(t => t.translatedText)).toEqual([
+      '[MOCK] 勇者アレンは剣を抜いた。',
+      '[MOCK] 「行くぞ！」',
+      '[MOCK] 魔王城はまだ遠い。',
+    ]);
+    expect(glossary.entries).toEqual(existingGlossary.entries);
+  });
+
+  it('replays a recorded run from fixtures alone', async () => {
+    // Stand-in for a real model: translates with fixed lines
+    const realModel = new MockProvider({
+      responders: [{
+        match: ({ user }) => user.includes('<raw-text>'),
+        respond: () => '<translation>\nAllen drew his sword.\n"Let\'s go!"\nThe castle was still far away.\n</translation>',
+      }],
+    });
+
+    const fixtureStore = new MemoryFixtureStore();
+    const config = createConfig({ updateGlossary: false, postEdit: false, textSegmentation: { method: 'entire' } });
+
+    useOfflineBackend(new MockProvider({ mode: 'record', delegate: realModel, fixtureStore }));
+    const recorded = await runPipeline(texts, { entries: [] }, config);
+
+    // No responders: every answer must come from the recording
+    useOfflineBackend(new MockProvider({ fixtureStore: new MemoryFixtureStore(fixtureStore.toJSON()), responders: [] }));
+    const replayed = await runPipeline(texts, { entries: [] }, config);
+
+    expect(replayed.translatedText.map(t => t.translatedText)).toEqual([
+      'Allen drew his sword.',
+      '"Let\'s go!"',
+      'The castle was still far away.',
+    ]);
+    expect(replayed.translatedText).toEqual(recorded.translatedText);
+  });
+});
+
+describe('translateText recovery of incomplete answers', () => {
+  const lines = {
+    '勇者アレンは剣を抜いた。': 'Allen drew his sword.',
+    '「行くぞ！」': '"Let\'s go!"',
+    '魔王城はまだ遠い。': 'The castle was still far away.',
+  };
+
+  const getRawLines = user => user.split('<raw-text>\n')[1].split('\n</raw-text>')[0].split('\n');
+  const translate = rawLines => `<translation>\n${rawLines.map(line => lines[line]).join('\n')}\n</translation>`;
+  const copyTexts = () => texts.map(text => ({ ...text }));
+  const getTranslationProgress = () => getProgressTracker().getState()['4'];
+
+  beforeEach(() => {
+    chrome.storage.local.get.mockResolvedValue({});
+    getProgressTracker().reset();
+  });
+
+  it('splits an interval that was cut off and translates the halves', async () => {
+    useOfflineBackend(new MockProvider({
+      responders: [{
+        match: ({ user }) => user.includes('<raw-text>'),
+        // Runs out of tokens on anything longer than two lines
+        respond: ({ user }) => {
+          const rawLines = getRawLines(user);
+          return rawLines.length > 2 ? '<translation>\nAllen drew his sword.\n' : translate(rawLines);
+        },
+      }],
+    }));
+
+    const config = createConfig({ textSegmentation: { method: 'entire' } });
+    const { translatedTexts, translationMetadata } = await translateText(config, copyTexts(), { entries: [] }, [[0, 2]]);
+
+    expect(translatedTexts.map(t => t.translatedText)).toEqual(Object.values(lines));
+    expect(translationMetadata.map(meta => meta.interval)).toEqual([[0, 1], [2, 2]]);
+    expect(translationMetadata[0].recovery).toEqual({
+      reason: 'truncated',
+      from: [0, 2],
+      splits: 1,
+      alternatePrompt: false,
+      recovered: true,
+    });
+
+    // The cut off request was replaced by the halves
+    expect(getTranslationProgress()).toMatchObject({ total: 2, completed: 2, errorCount: 0 });
+  });
+
+  it('retries a refused interval with the alternate prompt', async () => {
+    useOfflineBackend(new MockProvider({
+      responders: [{
+        match: ({ user }) => user.includes('<raw-text>'),
+        respond: ({ system, user }) => {
+          if (!system.includes('published work of fiction')) {
+            const error = new Error('Response blocked by mock content filter (SAFETY)');
+            error.contentFiltered = true;
+            throw error;
+          }
+          return translate(getRawLines(user));
+        },
+      }],
+    }));
+
+    const config = createConfig({ textSegmentation: { method: 'entire' } });
+    const { translatedTexts, translationMetadata } = await translateText(config, copyTexts(), { entries: [] }, [[0, 2]]);
+
+    expect(translatedTexts.map(t => t.translatedText)).toEqual(Object.values(lines));
+    expect(translationMetadata[0].recovery).toEqual({
+      reason: 'refused',
+      from: [0, 2],
+      splits: 0,
+      alternatePrompt: true,
+      recovered: true,
+    });
+    expect(getTranslationProgress()).toMatchObject({ total: 1, completed: 1, errorCount: 0 });
+  });
+
+  it('keeps the failure when the alternate prompt is refused too', async () => {
+    useOfflineBackend(new MockProvider({
+      responders: [{
+        match: ({ user }) => user.includes('<raw-text>'),
+        respond: () => {
+          const error = new Error('Response blocked by mock content filter (SAFETY)');
+          error.contentFiltered = true;
+          throw error;
+        },
+      }],
+    }));
+
+    const config = createConfig({ textSegmentation: { method: 'entire' } });
+    const { translatedTexts, translationMetadata } = await translateText(config, copyTexts(), { entries: [] }, [[0, 2]]);
+
+    expect(translatedTexts.every(t => t.translatedText === null)).toBe(true);
+    expect(translationMetadata[0]).toMatchObject({
+      success: false,
+      errorCode: 'content_filter',
+      recovery: { reason: 'refused', alternatePrompt: true, recovered: false },
+    });
+
+    // Only the final refusal is reported
+    expect(getTranslationProgress()).toMatchObject({
+      total: 1,
+      completed: 1,
+      errorGroups: [expect.objectContaining({ code: 'content_filter', count: 1 })],
+    });
+  });
+});
+
+describe('runPipeline with a checkpoint', () => {
+  const translated = {
+    '勇者アレンは剣を抜いた。': 'Allen drew his sword.',
+    '「行くぞ！」': '"Let\'s go!"',
+    '魔王城はまだ遠い。': 'The castle was still far away.',
+  };
+
+  const getRawLines = user => user.split('<raw-text>\n')[1].split('\n</raw-text>')[0].split('\n');
+
+  // Translates with fixed lines and records the lines of each translation request.
+  // Answers to requests of more than maxLines lines are cut off
+  function createTranslator(sentLines, { maxLines = Infinity } = {}) {
+    return new MockProvider({
+      responders: [{
+        match: ({ user }) => user.includes('<raw-text>'),
+        respond: ({ user }) => {
+          const rawLines = getRawLines(user);
+          sentLines.push(rawLines);
+          if (rawLines.length > maxLines) {
+            return `<translation>\n${translated[rawLines[0]]}\n`;
+          }
+          return `<translation>\n${rawLines.map(line => translated[line]).join('\n')}\n</translation>`;
+        },
+      }],
+    });
+  }
+
+  // Collects the checkpoint saves sent to the background
+  function captureSaves(saves) {
+    const forward = chrome.runtime.sendMessage.getMockImplementation();
+    chrome.runtime.sendMessage.mockImplementation((message) => {
+      if (message.type === 'checkpoint.save') {
+        saves.push(message.payload);
+        return Promise.resolve({ ok: true });
+      }
+      return forward(message);
+    });
+  }
+
+  beforeEach(() => {
+    chrome.storage.local.get.mockResolvedValue({});
+  });
+
+  it('saves each stage and every translated interval', async () => {
+    const sentLines = [];
+    const saves = [];
+    useOfflineBackend(createTranslator(sentLines));
+    captureSaves(saves);
+
+    const config = createConfig({ postEdit: false, textSegmentation: { method: 'single' } });
+    const checkpoint = new PipelineCheckpoint({ runId: 'run-1', page: 'https://example.com/1' });
+    await runPipeline(texts, existingGlossary, config, { checkpoint });
+
+    expect(saves.map(save => save.key ? `${save.stage}:${save.key}` : save.stage).sort()).toEqual([
+      'glossaryGenerate',
+      'glossaryUpdate',
+      'segmentation',
+      'translation:0-0',
+      'translation:1-1',
+      'translation:2-2',
+    ]);
+    expect(saves.every(save => save.runId === 'run-1')).toBe(true);
+    expect(Object.keys(checkpoint.get('translation')).sort()).toEqual(['0-0', '1-1', '2-2']);
+  });
+
+  it('skips the finished stages and intervals when resuming', async () => {
+    const sentLines = [];
+    useOfflineBackend(createTranslator(sentLines));
+    captureSaves([]);
+
+    const checkpoint = new PipelineCheckpoint({
+      runId: 'run-1',
+      stages: {
+        glossaryGenerate: [],
+        glossaryUpdate: existingGlossary,
+        segmentation: [[0, 1], [2, 2]],
+        translation: {
+          '2-2': [{
+            interval: [2, 2],
+            result: { ok: true, data: '<translation>\nThe castle, far away.\n</translation>', llmId: 'mock-1' },
+            recovery: null,
+          }],
+        },
+      },
+    });
+
+    const config = createConfig({ postEdit: false });
+    const { translatedText, glossary } = await runPipeline(texts, { entries: [] }, config, { checkpoint });
+
+    expect(sentLines).toEqual([['勇者アレンは剣を抜いた。', '「行くぞ！」']]);
+    expect(translatedText.map(t => t.translatedText)).toEqual([
+      'Allen drew his sword.',
+      '"Let\'s go!"',
+      'The castle, far away.',
+    ]);
+    expect(glossary).toEqual(existingGlossary);
+  });
+
+  it('saves an interval that was split once its halves are translated, and resumes from them', async () => {
+    const sentLines = [];
+    const saves = [];
+    useOfflineBackend(createTranslator(sentLines, { maxLines: 2 }));
+    captureSaves(saves);
+
+    const config = createConfig({ updateGlossary: false, postEdit: false, textSegmentation: { method: 'entire' } });
+    const checkpoint = new PipelineCheckpoint({ runId: 'run-1' });
+    await runPipeline(texts.map(text => ({ ...text })), { entries: [] }, config, { checkpoint });
+
+    const translationSaves = saves.filter(save => save.stage === 'translation');
+    expect(translationSaves.map(save => save.key)).toEqual(['0-2']);
+    expect(translationSaves[0].data.map(part => part.interval)).toEqual([[0, 1], [2, 2]]);
+
+    // Resuming sends nothing and keeps what the recovery did
+    sentLines.length = 0;
+    const resumed = new PipelineCheckpoint({ runId: 'run-1', stages: checkpoint.stages });
+    const { translatedText } = await runPipeline(texts.map(text => ({ ...text })), { entries: [] }, config, { checkpoint: resumed });
+
+    expect(sentLines).toEqual([]);
+    expect(translatedText.map(t => t.translatedText)).toEqual(Object.values(translated));
+  });
+});
+
+describe('pipeline checkpoints', () => {
+  it('derives the same run ID from the same page, text and languages', async () => {
+    const config = { sourceLang: 'ja', targetLang: 'en' };
+    const runId = await getRunId('https://example.com/1', texts, config);
+
+    expect(runId).toMatch(/^[0-9a-f]{64}$/);
+    expect(await getRunId('https://example.com/1', texts.map(text => ({ ...text })), config)).toBe(runId);
+    expect(await getRunId('https://example.com/2', texts, config)).not.toBe(runId);
+    expect(await getRunId('https://example.com/1', texts, { ...config, targetLang: 'ko' })).not.toBe(runId);
+  });
+
+  it('summarizes the finished stages for the resume offer', () => {
+    expect(PipelineCheckpoint.summarize(null)).toBeNull();
+    expect(PipelineCheckpoint.summarize({ stages: {} })).toBeNull();
+
+    expect(PipelineCheckpoint.summarize({
+      updatedAt: 1000,
+      stages: {
+        glossaryGenerate: [],
+        glossaryUpdate: { entries: [] },
+        segmentation: [[0, 1], [2, 2]],
+        translation: { '0-1': { ok: true, data: '' } },
+      },
+    })).toEqual({
+      updatedAt: 1000,
+      stages: ['Glossary generation', 'Glossary update', 'Text segmentation'],
+      translatedIntervals: 1,
+      totalIntervals: 2,
+    });
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Checkpoints of a pipeline run: the output of each finished stage, and of each translated
+ * interval, kept by the background worker under a run ID derived from the page and its text.
+ * Running the pipeline again on the same page can resume from them instead of paying for
+ * the finished work again.
+ */
+import { MSG_TYPE } from "../../common/messaging.js";
+
+// Stages whose output is checkpointed
+export const CHECKPOINT_STAGE = {
+  glossaryGenerate: 'glossaryGenerate',
+  glossaryUpdate: 'glossaryUpdate',
+  segmentation: 'segmentation',
+  translation: 'translation',  // One entry per interval, keyed by intervalKey(): its final parts, see translateText()
+  postEdit: 'postEdit',
+};
+
+// Names of the checkpointed stages, for the resume offer
+const STAGE_NAMES = {
+  glossaryGenerate: 'Glossary generation',
+  glossaryUpdate: 'Glossary update',
+  segmentation: 'Text segmentation',
+  translation: 'Translation',
+  postEdit: 'Post editing',
+};
+
+/**
+ * Derives the run ID of a page: the same text on the same URL, translated between the same
+ * languages, gets the same ID, so a run interrupted there can be found again.
+ *
+ * @param {string} url - Page URL
+ * @param {Array<{text: string}>} texts - Extracted paragraphs
+ * @param {Object} config - Translation config, for the language pair
+ * @returns {Promise<string>} Hex SHA-256 digest
+ */
+export async function getRunId(url, texts, config) {
+  const content = JSON.stringify([url, config.sourceLang, config.targetLang, texts.map(t => t.text)]);
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(content));
+
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Key of an interval among the translation stage's entries.
+ *
+ * @param {[number, number]} interval - 0-indexed [start, end]
+ * @returns {string} Key, e.g. '0-4'
+ */
+export function intervalKey([start, end]) {
+  return `${start}-${end}`;
+}
+
+/**
+ * Checkpoint of one run. Saving is best-effort: a failed save is logged and the run goes on,
+ * it can only be resumed from an earlier point.
+ */
+export class PipelineCheckpoint {
+  /**
+   * @param {Object} params
+   * @param {string} params.runId - Run ID, from getRunId()
+   * @param {string} [params.page] - Page URL
+   * @param {string} [params.series] - Series key
+   * @param {Object} [params.stages] - Saved output of each stage, from a previous run
+   */
+  constructor({ runId, page, series, stages = {} }) {
+    this.runId = runId;
+    this.page = page;
+    this.series = series;
+    this.stages = stages;
+  }
+
+  /**
+   * Opens the checkpoint of a run for the pipeline. Resuming picks up the saved output;
+   * otherwise the saved output is dropped and the run starts over.
+   *
+   * @param {Object} config - Translation config with runId, page and series set
+   * @param {Object} [options]
+   * @param {boolean} [options.resume] - Keep the output saved by a previous run
+   * @returns {Promise<PipelineCheckpoint>} Checkpoint
+   */
+  static async open(config, { resume = false } = {}) {
+    const context = { runId: config.runId, page: config.page, series: config.series };
+
+    if (!resume) {
+      await sendCheckpointMessage(MSG_TYPE.delete_checkpoint, { runId: config.runId }).catch((error) => {
+        console.warn('[Checkpoint] Could not drop the previous checkpoint:', error.message);
+      });
+      return new PipelineCheckpoint(context);
+    }
+
+    const saved = await PipelineCheckpoint.load(config.runId);
+    return new PipelineCheckpoint({ ...context, stages: saved?.stages ?? {} });
+  }
+
+  /**
+   * Retrieves the checkpoint saved for a run.
+   *
+   * @param {string} runId - Run ID
+   * @returns {Promise<Object|null>} Saved record: { runId, page, series, updatedAt, stages }, or null
+   */
+  static async load(runId) {
+    try {
+      return await sendCheckpointMessage(MSG_TYPE.get_checkpoint, { runId });
+    } catch (error) {
+      console.warn('[Checkpoint] Could not load the checkpoint:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Describes a saved checkpoint for the resume offer.
+   *
+   * @param {Object|null} saved - From load()
+   * @returns {Object|null} Summary: { updatedAt, stages, translatedIntervals, totalIntervals }
+   *   with the names of the finished stages, or null if nothing was saved
+   */
+  static summarize(saved) {
+    const stages = saved?.stages ?? {};
+    if (Object.keys(stages).length === 0) {
+      return null;
+    }
+
+    const translated = Object.keys(stages.translation ?? {}).length;
+
+    return {
+      updatedAt: saved.updatedAt,
+      stages: Object.keys(STAGE_NAMES)
+        .filter(stage => stage in stages && stage !== CHECKPOINT_STAGE.translation)
+        .map(stage => STAGE_NAMES[stage]),
+      translatedIntervals: translated,
+      totalIntervals: stages.segmentation?.length ?? null,
+    };
+  }
+
+  /**
+   * Checks whether a stage's output was saved.
+   */
+  has(stage) {
+    return this.stages[stage] !== undefined;
+  }
+
+  /**
+   * Gets a stage's saved output, or undefined.
+   */
+  get(stage) {
+    return this.stages[stage];
+  }
+
+  /**
+   * Saves the output of a finished stage.
+   *
+   * @param {string} stage - One of CHECKPOINT_STAGE
+   * @param {*} data - Output, structured-cloneable
+   * @returns {Promise<void>}
+   */
+  async save(stage, data) {
+    this.stages[stage] = data;
+    await this._send({ stage, data });
+  }
+
+  /**
+   * Saves one entry of a stage's output, e.g. one translated interval.
+   *
+   * @param {string} stage - One of CHECKPOINT_STAGE
+   * @param {string} key - Entry key
+   * @param {*} data - Output, structured-cloneable
+   * @returns {Promise<void>}
+   */
+  async saveEntry(stage, key, data) {
+    this.stages[stage] = { ...this.stages[stage], [key]: data };
+    await this._send({ stage, key, data });
+  }
+
+  /**
+   * Deletes the checkpoint once the run completed.
+   *
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.stages = {};
+    await sendCheckpointMessage(MSG_TYPE.delete_checkpoint, { runId: this.runId }).catch((error) => {
+      console.warn('[Checkpoint] Could not delete the checkpoint:', error.message);
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _send({ stage, key, data }) {
+    try {
+      await sendCheckpointMessage(MSG_TYPE.save_checkpoint, {
+        runId: this.runId,
+        page: this.page,
+        series: this.series,
+        stage,
+        key,
+        data,
+      });
+    } catch (error) {
+      console.warn(`[Checkpoint] Could not save the ${stage} checkpoint:`, error.message);
+    }
+  }
+}
+
+/**
+ * Sends a checkpoint message to the background worker.
+ * @private
+ */
+async function sendCheckpointMessage(type, payload) {
+  const response = await chrome.runtime.sendMessage({ type, payload });
+
+  if (!response?.ok) {
+    throw new Error(response?.error || 'No response');
+  }
+
+  return response.data;
+}
@@ -16,8 +16,15 @@ const GLOSSARY_CHUNK_SIZE = 4000;
 export async function generateGlossary(config, textSegments) {
   const client = new LLMClient({
     llmId: config.llm.glossaryGenerate,
+    fallbackLlmIds: config.llmFallbacks?.glossaryGenerate,
     stageId: "1",
+    stageKey: "glossaryGenerate",
     stageLabel: "Glossary Generation",
+    taskUnit: "chunk",
+    series: config.series,
+    runId: config.runId,
+    page: config.page,
+    bypassCache: config.bypassCache,
   });
 
   try {
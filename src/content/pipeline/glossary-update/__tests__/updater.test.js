@@ -146,6 +146,24 @@ describe('LLM result application without real LLM', () => {
     expect(res.entries.find(e => e.id === 1).value).toBe('NEW');
   });
 
+  it('applies structured output actions, ignoring null fields', async () => {
+    parseJSONFromLLM.mockReturnValue({
+      actions: [
+        { action: 'add_key', id: 1, data: ['b'] },
+        { action: 'add_entry', id: null, data: null },
+      ],
+    });
+    const client = immediateClient('whatever');
+    const updater = new GlossaryUpdater(client, { build: vi.fn() });
+
+    const existing = { entries: [{ id: 1, keys: ['a'], value: 'old' }] };
+    const newEntries = [{ keys: ['a', 'c'], value: 'new' }];
+
+    const res = await updater.update(existing, newEntries);
+    expect(res.entries.find(e => e.id === 1).keys).toEqual(['a', 'b']);
+    expect(res.entries).toHaveLength(2);
+  });
+
   it('ignores invalid actions and continues', async () => {
     // Silence the log from the invalid action
     const spy = vi.spyOn(console, 'error').mockImplementation(() => {});
@@ -20,8 +20,14 @@ export async function updateGlossary(config, existingGlossary, newEntries) {
 
   const client = new LLMClient({
     llmId: config.llm.glossaryUpdate,
+    fallbackLlmIds: config.llmFallbacks?.glossaryUpdate,
     stageId: "2",
+    stageKey: "glossaryUpdate",
     stageLabel: "Glossary Update",
+    series: config.series,
+    runId: config.runId,
+    page: config.page,
+    bypassCache: config.bypassCache,
   });
 
   try {
@@ -223,6 +223,12 @@ export class GlossaryUpdater {
    * Output: Always an array
    */
   _normalizeActions(parsed) {
+    // Structured output: { actions: [...] }, with unused fields set to null
+    if (Array.isArray(parsed?.actions)) {
+      return parsed.actions.map(action => Object.fromEntries(
+        Object.entries(action).filter(([, value]) => value !== null),
+      ));
+    }
     if (Array.isArray(parsed)) {
       return parsed;
     }
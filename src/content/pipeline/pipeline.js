@@ -9,51 +9,133 @@ import { segmentText } from './text-segmentation/text-segmentation.js';
 import { translateText } from "./translation/translation.js";
 import { postEditText } from "./post-edit/post-edit.js";
 import { log } from "../../common/logger.js";
+import { disposeAllClients } from "../llm-client.js";
+import { CHECKPOINT_STAGE, intervalKey } from "./checkpoint.js";
 
-export async function runPipeline(texts, glossary, config) {
+/**
+ * Runs all enabled pipeline stages over the extracted texts.
+ *
+ * @param {Array<{id: string, index: number, text: string}>} texts - Extracted paragraphs
+ * @param {Object} glossary - Existing glossary for the series
+ * @param {Object} config - Translation config
+ * @param {Object} [options]
+ * @param {Function} [options.onPartialTranslation] - Receives partial translations while streaming
+ * @param {AbortSignal} [options.signal] - Cancels the run; the current stage's requests are aborted
+ * @param {PipelineCheckpoint} [options.checkpoint] - Saves each stage's output; stages (and translated
+ *        intervals) it already holds, from an interrupted run, are not run again
+ * @returns {Promise<{translatedText: Array, glossary: Object}>}
+ */
+export async function runPipeline(texts, glossary, config, { onPartialTranslation, signal, checkpoint } = {}) {
 
 
   // Init object
   getProgressTracker(expectedTotalStages(config));
 
+  // Cancelling disposes the running stage's client, so its batch settles immediately
+  signal?.throwIfAborted();
+  signal?.addEventListener('abort', disposeAllClients, { once: true });
+
   try {
     let updatedGlossary = undefined;
 
     if (config.updateGlossary) {
-      // Stage 1: Glossary Generation
-      log(`Starting glossary generation.`);
-      const newEntries = await generateGlossary(config, texts);
-      log(`Generated ${newEntries.length} new entries.`);
-
-      // Stage 2: Glossary Update
-      updatedGlossary = await updateGlossary(config, glossary, newEntries);
-      log(`Completed update, glossary now has ${updatedGlossary.entries.length} entries.`);
+      if (checkpoint?.has(CHECKPOINT_STAGE.glossaryUpdate)) {
+        updatedGlossary = checkpoint.get(CHECKPOINT_STAGE.glossaryUpdate);
+        markStageResumed("1", "Glossary Generation");
+        markStageResumed("2", "Glossary Update");
+        log(`Resumed with the updated glossary of ${updatedGlossary.entries.length} entries.`);
+      } else {
+        // Stage 1: Glossary Generation
+        let newEntries = checkpoint?.get(CHECKPOINT_STAGE.glossaryGenerate);
+        if (newEntries) {
+          markStageResumed("1", "Glossary Generation");
+          log(`Resumed with ${newEntries.length} generated entries.`);
+        } else {
+          log(`Starting glossary generation.`);
+          newEntries = await generateGlossary(config, texts);
+          signal?.throwIfAborted();
+          log(`Generated ${newEntries.length} new entries.`);
+          await checkpoint?.save(CHECKPOINT_STAGE.glossaryGenerate, newEntries);
+        }
+
+        // Stage 2: Glossary Update
+        updatedGlossary = await updateGlossary(config, glossary, newEntries);
+        signal?.throwIfAborted();
+        log(`Completed update, glossary now has ${updatedGlossary.entries.length} entries.`);
+        await checkpoint?.save(CHECKPOINT_STAGE.glossaryUpdate, updatedGlossary);
+      }
     }
 
     // Stage 3: Text Splitting
-    const intervals = await segmentText(config, texts);
+    let intervals = checkpoint?.get(CHECKPOINT_STAGE.segmentation);
+    if (intervals) {
+      // Only LLM chunking is tracked as a stage
+      if (config.textSegmentation.method === "chunk") {
+        markStageResumed("3", "Text Segmentation");
+      }
+    } else {
+      intervals = await segmentText(config, texts);
+      signal?.throwIfAborted();
+      await checkpoint?.save(CHECKPOINT_STAGE.segmentation, intervals);
+    }
     log(`Translating using the segments: ${JSON.stringify(intervals)}`);
 
     // Stage 4: Text Translation
-    const { translatedTexts, translationMetadata } = await translateText(config, texts, updatedGlossary ?? glossary, intervals);
+    // Each interval is saved as soon as it is translated (incl. any retries), so a resumed run only sends the rest
+    const { translatedTexts, translationMetadata } = await translateText(
+      config,
+      texts,
+      updatedGlossary ?? glossary,
+      intervals,
+      {
+        onPartial: onPartialTranslation,
+        savedResults: checkpoint?.get(CHECKPOINT_STAGE.translation),
+        onIntervalDone: checkpoint && ((interval, parts) => {
+          void checkpoint.saveEntry(CHECKPOINT_STAGE.translation, intervalKey(interval), parts);
+        }),
+      },
+    );
+    signal?.throwIfAborted();
 
     // If the post-edit step is not run, return it without modification
     let finalTranslations = translatedTexts;
 
     // Stage 5: Post Editing
     if (config.postEdit) {
-      log('Starting post-edit QC step.');
-      finalTranslations = await postEditText(config, translatedTexts, translationMetadata);
+      if (checkpoint?.has(CHECKPOINT_STAGE.postEdit)) {
+        finalTranslations = checkpoint.get(CHECKPOINT_STAGE.postEdit);
+        markStageResumed("5", "Post Editing");
+      } else {
+        log('Starting post-edit QC step.');
+        finalTranslations = await postEditText(config, translatedTexts, translationMetadata);
+        signal?.throwIfAborted();
+        await checkpoint?.save(CHECKPOINT_STAGE.postEdit, finalTranslations);
+      }
     }
 
     return { translatedText: finalTranslations, glossary: updatedGlossary ?? glossary }
 
   } catch (error) {
-    console.error('[Pipeline] Pipeline failed:', error);
+    if (signal?.aborted) {
+      log('[Pipeline] Pipeline cancelled.');
+    } else {
+      console.error('[Pipeline] Pipeline failed:', error);
+    }
     throw error;
+  } finally {
+    signal?.removeEventListener('abort', disposeAllClients);
   }
 }
 
+/**
+ * Shows a stage restored from a checkpoint as done in the progress tracker.
+ */
+function markStageResumed(stageId, label) {
+  const tracker = getProgressTracker();
+  tracker.createStage(stageId, `${label} (resumed)`);
+  tracker.finishStage(stageId);
+}
+
 function expectedTotalStages(config) {
   let total = 1; // TL
   if (config.updateGlossary) {
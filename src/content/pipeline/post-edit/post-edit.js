@@ -32,8 +32,15 @@ export async function postEditText(config, translatedTexts, translationMetadata)
 
   const client = new LLMClient({
     llmId: config.llm.postEdit,
+    fallbackLlmIds: config.llmFallbacks?.postEdit,
     stageId: "5",
+    stageKey: "postEdit",
     stageLabel: "Post Editing",
+    taskUnit: "interval",
+    series: config.series,
+    runId: config.runId,
+    page: config.page,
+    bypassCache: config.bypassCache,
   });
 
   try {
@@ -73,6 +73,18 @@ describe("getIntervalsFromLLMOrFallback", () => {
     expect(got).toEqual(valid);
   });
 
+  it("unwraps intervals from structured output", () => {
+    const start = 31, end = 42;
+    const valid = [
+      [31, 35],
+      [36, 42],
+    ];
+    parseJSONFromLLM.mockReturnValue({ chunks: valid });
+
+    const got = getIntervalsFromLLMOrFallback("ok", start, end);
+    expect(got).toEqual(valid);
+  });
+
   it("accepts unsorted intervals and returns normalized sorted output", () => {
     const start = 31, end = 42;
     const unsorted = [
@@ -26,8 +26,14 @@ export async function segmentWithChunking(config, texts) {
 
   const client = new LLMClient({
     llmId: config.llm.textChunking,
+    fallbackLlmIds: config.llmFallbacks?.textChunking,
     stageId: "3",
+    stageKey: "textChunking",
     stageLabel: "Text Segmentation",
+    series: config.series,
+    runId: config.runId,
+    page: config.page,
+    bypassCache: config.bypassCache,
   });
 
   try {
@@ -233,7 +239,10 @@ export function getIntervalsFromLLMOrFallback(llmOutput, start, end, options = {
     parsed = {};
   }
 
-  const valid = validateIntervals(parsed, start, end);
+  // Structured output wraps the intervals: { chunks: [...] }
+  const intervals = Array.isArray(parsed?.chunks) ? parsed.chunks : parsed;
+
+  const valid = validateIntervals(intervals, start, end);
   if (valid) return valid;
 
   // Fallback
@@ -3,7 +3,9 @@ import { describe, it, expect } from 'vitest';
 
 import {
   computePrecedingText,
+  extractPartialTranslation,
   filterRelevantGlossary,
+  getIncompleteReason,
   mapTranslationToTexts,
 } from './../translation.js';
 
@@ -171,4 +173,42 @@ describe('mapTranslationToTexts', () => {
     expect(arr[1].translatedText).toBe('T1');
     expect(arr[2].translatedText).toBe('T2\nT3');
   });
-});
\ No newline at end of file
+});
+
+describe('extractPartialTranslation', () => {
+  it('returns nothing before the opening tag arrives', () => {
+    expect(extractPartialTranslation('Some preamble <transl')).toEqual([]);
+  });
+
+  it('holds back the line that is still being generated', () => {
+    const output = '<translation>\nFirst line\nSecond li';
+    expect(extractPartialTranslation(output)).toEqual(['First line']);
+  });
+
+  it('returns every line once the closing tag arrives', () => {
+    const output = 'notes\n<translation>\nFirst line\n\nSecond line</translation>\ntrailing';
+    expect(extractPartialTranslation(output)).toEqual(['First line', 'Second line']);
+  });
+});
+
+describe('getIncompleteReason', () => {
+  it('detects answers cut off at the output token limit', () => {
+    expect(getIncompleteReason({ ok: true, data: '<translation>A</translation>', finishReason: 'length' })).toBe('truncated');
+    expect(getIncompleteReason({ ok: false, error: 'cut off', code: 'truncated' })).toBe('truncated');
+  });
+
+  it('treats a translation tag left open as cut off', () => {
+    expect(getIncompleteReason({ ok: true, data: '<translation>\nA\nB', finishReason: null })).toBe('truncated');
+  });
+
+  it('detects refused and blocked answers', () => {
+    expect(getIncompleteReason({ ok: true, data: 'I cannot', finishReason: 'refusal' })).toBe('refused');
+    expect(getIncompleteReason({ ok: true, data: '', finishReason: 'content_filter' })).toBe('refused');
+    expect(getIncompleteReason({ ok: false, error: 'blocked', code: 'content_filter' })).toBe('refused');
+  });
+
+  it('returns null for complete answers and other failures', () => {
+    expect(getIncompleteReason({ ok: true, data: '<translation>A</translation>', finishReason: 'stop' })).toBeNull();
+    expect(getIncompleteReason({ ok: false, error: 'Rate limited', code: 'rate_limit' })).toBeNull();
+  });
+});
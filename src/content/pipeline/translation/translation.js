@@ -4,23 +4,43 @@
 import { getPromptBuilder } from "../../prompts/index.js";
 import { LLMClient } from "../../llm-client.js";
 import { extractTextFromTag } from "../../utils/data-extraction.js";
+import { FINISH_REASON, LLM_ERROR_CODE } from "../../../common/llm-errors.js";
+import { intervalKey } from "../checkpoint.js";
+
+// Times an interval cut off at the output token limit is halved before its partial translation is kept
+const MAX_SPLITS = 2;
+
+// Added to the prompt of an interval the model refused, as refusals of fiction are often
+// the model mistaking depicted events for a request
+const REFUSAL_RETRY_INSTRUCTION =
+  'The text is an excerpt of a published work of fiction, translated for readers of the original. ' +
+  'Translate it faithfully and completely, without comments or omissions.';
 
 /**
  * Translates text based on provided intervals.
  *
  * Flow:
  * 1. Build prompts for each interval with context and relevant glossary
- * 2. Send all requests concurrently
- * 3. Map responses back to text objects, handling line count mismatches
- * 4. Return augmented texts with translatedText field
+ * 2. Send all requests concurrently (streamed when config.translation.stream is set),
+ *    except for intervals already translated by an interrupted run
+ * 3. Retry incomplete answers: cut off intervals are split in half, refused ones
+ *    are sent again with an alternate prompt, starting at the next model of the chain
+ * 4. Map responses back to text objects, handling line count mismatches
+ * 5. Return augmented texts with translatedText field
  *
  * @param {Object} config - Configuration object
  * @param {Array<{id: string, index: number, text: string}>} texts - Input texts
  * @param {Object} glossary - Glossary with entries array
  * @param {Array<[number, number]>} intervals - 0-indexed intervals [[start, end], ...]
+ * @param {Object} [options]
+ * @param {Function} [options.onPartial] - Receives all partially translated texts so far, while streaming
+ * @param {Object} [options.savedResults] - Intervals translated by an interrupted run, keyed by intervalKey(),
+ *        each as the parts passed to onIntervalDone
+ * @param {Function} [options.onIntervalDone] - Called as (interval, parts) once an interval is translated completely;
+ *        parts are its final { interval, result, recovery }, several if it was split
  * @returns {Promise<{translatedTexts: Array<{id: string, index: number, text: string}>, translationMetadata: *[]}>} Texts with translatedText and metadata
  */
-export async function translateText(config, texts, glossary, intervals) {
+export async function translateText(config, texts, glossary, intervals, { onPartial, savedResults, onIntervalDone } = {}) {
   // Initialize all translatedText fields to undefined
   for (const text of texts) {
     text.translatedText = undefined;
@@ -33,13 +53,23 @@ export async function translateText(config, texts, glossary, intervals) {
 
   const llmClientConfig = {
     llmId: config.llm.translation,
+    fallbackLlmIds: config.llmFallbacks?.translation,
     stageId: "4",
+    stageKey: "translation",
     stageLabel: "Translation",
+    taskUnit: "interval",
+    series: config.series,
+    runId: config.runId,
+    page: config.page,
+    bypassCache: config.bypassCache,
+    // Retried by recoverIncompleteAnswers(), which reports the final outcome
+    deferredErrorCodes: [LLM_ERROR_CODE.truncated, LLM_ERROR_CODE.content_filter],
   }
 
-  // Increase max tokens if we are processing the entire block of text in a single call
+  // Increase max tokens if we are processing the entire block of text in a single call,
+  // unless the user's parameter profiles set their own limit
   if (config.textSegmentation.method === 'entire') {
-    llmClientConfig.customParam = { max_tokens: 8192 }
+    llmClientConfig.defaultParams = { max_tokens: 8192 };
   }
 
   const client = new LLMClient(llmClientConfig);
@@ -47,8 +77,7 @@ export async function translateText(config, texts, glossary, intervals) {
   try {
     const promptBuilder = await getPromptBuilder(config.languagePair, 'translate');
 
-    // Build prompts for all intervals
-    const promptData = intervals.map(([start, end]) => {
+    const buildPromptData = ([start, end], { afterRefusal = false } = {}) => {
       const intervalTexts = texts.slice(start, end + 1);
       const precedingText = computePrecedingText(texts, start, config);
       const sourceText = intervalTexts.map(t => t.text).join('\n');
@@ -56,12 +85,16 @@ export async function translateText(config, texts, glossary, intervals) {
       const fullContextText = precedingText + '\n' + sourceText;
       const relevantEntries = filterRelevantGlossary(glossary, fullContextText);
 
+      const customInstruction = afterRefusal
+                                ? [config.customInstruction, REFUSAL_RETRY_INSTRUCTION].filter(Boolean).join('\n')
+                                : config.customInstruction;
+
       const prompt = promptBuilder.build(
         sourceText,
         {
           precedingText,
           glossaryEntries: relevantEntries,
-          customInstruction: config.customInstruction,
+          customInstruction,
         },
         config,
       );
@@ -73,21 +106,64 @@ export async function translateText(config, texts, glossary, intervals) {
         relevantEntries,
         prompt,
       };
-    });
+    };
+
+    // Build prompts for all intervals
+    const promptData = intervals.map(interval => buildPromptData(interval));
+
+    // Intervals translated by an interrupted run are not sent again
+    const saved = promptData.map(data => savedResults?.[intervalKey(data.interval)] ?? null);
+    const unsent = promptData.map((_, i) => i).filter(i => !saved[i]);
+
+    const prompts = unsent.map(i => promptData[i].prompt);
+
+    // Partial lines received so far while streaming: Map<textIndex, text>
+    const partialTexts = new Map();
 
-    const prompts = promptData.map(m => m.prompt);
+    const reportPartial = (i, output) => {
+      const [start, end] = promptData[i].interval;
+      const lines = extractPartialTranslation(output);
+
+      for (let j = 0; j < lines.length && start + j <= end; j++) {
+        partialTexts.set(start + j, { ...texts[start + j], translatedText: lines[j] });
+      }
+
+      onPartial?.([...partialTexts.values()]);
+    };
+
+    const reportResult = (j, result) => {
+      if (result.ok && getIncompleteReason(result) === null) {
+        const { interval } = promptData[unsent[j]];
+        onIntervalDone?.(interval, [{ interval, result, recovery: null }]);
+      }
+    };
 
     // Send to LLM
-    const results = await client.requestBatch(prompts);
+    const sent = config.translation?.stream
+                 ? await client.requestStreamBatch(prompts, (j, output) => reportPartial(unsent[j], output), reportResult)
+                 : await client.requestBatch(prompts, reportResult);
+
+    const sentResults = new Map(unsent.map((i, j) => [i, sent[j]]));
+
+    // Saved intervals come back as the parts they were finished in
+    const attempts = await recoverIncompleteAnswers(
+      client,
+      promptData.flatMap((data, i) => saved[i]
+        ? saved[i].map(part => ({ ...buildPromptData(part.interval), result: part.result, recovery: part.recovery }))
+        : [{ ...data, result: sentResults.get(i), recovery: null }]),
+      {
+        buildPromptData,
+        llmIds: [config.llm.translation, ...(config.llmFallbacks?.translation ?? [])],
+        onRecovered: onIntervalDone,
+      },
+    );
 
     // Store data for post-editing
     const intervalMetadata = [];
 
     // Map translations back to text objects
-    for (let i = 0; i < results.length; i++) {
-      const { interval, precedingText, sourceText, relevantEntries } = promptData[i];
+    for (const { interval, precedingText, sourceText, relevantEntries, result, recovery } of attempts) {
       const [start, end] = interval;
-      const result = results[i];
       const intervalTexts = texts.slice(start, end + 1);
 
       let translatedText = '';
@@ -124,6 +200,11 @@ export async function translateText(config, texts, glossary, intervals) {
         translatedText,
         relevantEntries,
         success,
+        llmId: result.llmId ?? null,  // Model that answered, after any fallbacks
+        errorCode: result.ok ? null : result.code ?? null,  // LLM_ERROR_CODE of a failed request
+        finishReason: result.finishReason ?? null,  // FINISH_REASON of the answer, if reported
+        recovery,  // Retries of an incomplete answer, see recoverIncompleteAnswers()
+        cachedTokens: result.usage?.cachedTokens ?? 0,  // Prompt tokens read from the provider's prompt cache
       });
     }
 
@@ -137,6 +218,132 @@ export async function translateText(config, texts, glossary, intervals) {
   }
 }
 
+/**
+ * Retries the intervals whose answer was incomplete, until each one is complete or out of retries.
+ *
+ * - Cut off at the output token limit: the interval is split in half and both halves are
+ *   translated again, up to MAX_SPLITS times. A single line is not split.
+ * - Refused or blocked: the interval is translated again once with REFUSAL_RETRY_INSTRUCTION,
+ *   starting at the model after the one that refused (so the refusing model is tried last).
+ *
+ * A retried request's task is taken back from the progress tracker, so only the final
+ * outcome of each interval counts.
+ *
+ * Each retried interval records what was done in `recovery`:
+ * { reason: 'truncated'|'refused', from: [start, end], splits, alternatePrompt, recovered },
+ * where `from` is the interval first sent and `recovered` tells whether the last answer was complete.
+ *
+ * @param {LLMClient} client - Client of the translation stage
+ * @param {Array<Object>} attempts - Prompt data of each interval with its `result` and `recovery` (null)
+ * @param {Object} options
+ * @param {Function} options.buildPromptData - Builds the prompt data of an interval: (interval, { afterRefusal })
+ * @param {Array<string>} options.llmIds - Model chain of the stage
+ * @param {Function} [options.onRecovered] - Called as (interval, parts) once all parts of a retried
+ *        interval are complete, with the interval first sent and its final { interval, result, recovery }
+ * @returns {Promise<Array<Object>>} Final attempts, in text order
+ */
+async function recoverIncompleteAnswers(client, attempts, { buildPromptData, llmIds, onRecovered }) {
+  const settled = [];
+  let pending = attempts;
+
+  while (pending.length > 0) {
+    const retries = [];
+
+    for (const attempt of pending) {
+      const reason = getIncompleteReason(attempt.result);
+      const [start, end] = attempt.interval;
+      const recovery = attempt.recovery ?? {
+        reason,
+        from: attempt.interval,
+        splits: 0,
+        alternatePrompt: false,
+        recovered: false,
+      };
+
+      // Parts of the interval first sent, which is done once none of them is retried any more
+      const group = attempt.group ?? { interval: attempt.interval, pending: 1, parts: [], complete: true };
+
+      if (reason === 'truncated' && end > start && recovery.splits < MAX_SPLITS) {
+        const middle = Math.floor((start + end) / 2);
+        console.warn(`[Translation] Interval [${start}, ${end}] was cut off, splitting it at ${middle}`);
+
+        client.retractTask(attempt.result);
+        group.pending += 1;
+        for (const half of [[start, middle], [middle + 1, end]]) {
+          retries.push({ ...buildPromptData(half), recovery: { ...recovery, splits: recovery.splits + 1 }, group });
+        }
+      } else if (reason === 'refused' && !recovery.alternatePrompt) {
+        console.warn(`[Translation] Interval [${start}, ${end}] was refused, retrying with an alternate prompt`);
+
+        client.retractTask(attempt.result);
+        const data = buildPromptData(attempt.interval, { afterRefusal: true });
+        data.prompt = { ...data.prompt, llmIds: rotateAfter(llmIds, attempt.result.llmId) };
+        retries.push({ ...data, recovery: { ...recovery, alternatePrompt: true }, group });
+      } else {
+        if (attempt.recovery) {
+          recovery.recovered = attempt.result.ok && reason === null;
+        }
+        client.reportFailure(attempt.result);
+        settled.push({ ...attempt, recovery: attempt.recovery && recovery });
+
+        if (attempt.group) {
+          group.parts.push({ interval: attempt.interval, result: attempt.result, recovery });
+          group.complete &&= attempt.result.ok && reason === null;
+          group.pending -= 1;
+
+          if (group.pending === 0 && group.complete) {
+            onRecovered?.(group.interval, group.parts.sort((a, b) => a.interval[0] - b.interval[0]));
+          }
+        }
+      }
+    }
+
+    if (retries.length === 0) {
+      break;
+    }
+
+    const results = await client.requestBatch(retries.map(retry => retry.prompt));
+    pending = retries.map((retry, i) => ({ ...retry, result: results[i] }));
+  }
+
+  return settled.sort((a, b) => a.interval[0] - b.interval[0]);
+}
+
+/**
+ * Gets why the answer of an interval is incomplete, for the cases a retry can fix.
+ * Without a reported finish reason, a translation tag left open counts as cut off.
+ *
+ * @param {Object} result - Result of the interval's request, from LLMClient.requestBatch()
+ * @returns {'truncated'|'refused'|null} Reason, or null if the answer is complete or can't be retried
+ */
+export function getIncompleteReason(result) {
+  if (!result.ok) {
+    if (result.code === LLM_ERROR_CODE.truncated) return 'truncated';
+    if (result.code === LLM_ERROR_CODE.content_filter) return 'refused';
+    return null;
+  }
+
+  if (result.finishReason === FINISH_REASON.length) {
+    return 'truncated';
+  }
+  if (result.finishReason === FINISH_REASON.content_filter || result.finishReason === FINISH_REASON.refusal) {
+    return 'refused';
+  }
+  if (result.data.includes('<translation>') && !result.data.includes('</translation>')) {
+    return 'truncated';
+  }
+  return null;
+}
+
+/**
+ * Orders a model chain to start after the given model, which moves to the end.
+ * @private
+ */
+function rotateAfter(llmIds, llmId) {
+  const index = llmIds.indexOf(llmId);
+  return index === -1 ? llmIds : [...llmIds.slice(index + 1), ...llmIds.slice(0, index + 1)];
+}
+
 /**
  * Computes preceding text for context.
  *
@@ -177,6 +384,40 @@ export function filterRelevantGlossary(glossary, fullContextText) {
   return relevantEntries;
 }
 
+/**
+ * Extracts the complete lines of a translation that is still being streamed.
+ * The last line is held back until the closing tag arrives, as it may be cut mid-sentence.
+ *
+ * @param {string} partialOutput - Output received so far
+ * @returns {Array<string>} Non-empty translated lines
+ */
+export function extractPartialTranslation(partialOutput) {
+  const openingTag = '<translation>';
+  const closingTag = '</translation>';
+
+  const openIndex = partialOutput.indexOf(openingTag);
+  if (openIndex === -1) {
+    return [];
+  }
+
+  let body = partialOutput.slice(openIndex + openingTag.length);
+  const closeIndex = body.indexOf(closingTag);
+  const isComplete = closeIndex !== -1;
+
+  if (isComplete) {
+    body = body.slice(0, closeIndex);
+  }
+
+  const lines = body.split('\n');
+  if (!isComplete) {
+    lines.pop();
+  }
+
+  return lines
+    .map(line => line.trim())
+    .filter(line => line.length > 0);
+}
+
 /**
  * Maps translated lines back to the interval's text objects.
  * Handles line count mismatches by distributing or combining lines appropriately.
@@ -24,13 +24,17 @@ class ProgressMetrics {
   /**
    * Creates a new progress stage.
    * Called automatically by LLMClient constructor.
+   *
+   * @param {string} stageId - Stage identifier
+   * @param {string} label - Human-readable stage name
+   * @param {string} [unit] - What one task works on (e.g. 'interval'), for grouped error messages
    */
-  createStage(stageId, label) {
+  createStage(stageId, label, unit) {
     if (this.stages.has(stageId)) {
       return;
     }
 
-    this.stages.set(stageId, new StageTracker(stageId, label));
+    this.stages.set(stageId, new StageTracker(stageId, label, unit));
   }
 
   /**
@@ -41,6 +45,18 @@ class ProgressMetrics {
     stage.addTasks(count);
   }
 
+  /**
+   * Removes one task that was replaced by others, e.g. a request sent again in parts.
+   *
+   * @param {string} stageId - Stage identifier
+   * @param {Object} [options]
+   * @param {boolean} [options.completed] - The task was already marked complete or failed
+   */
+  removeTask(stageId, { completed = false } = {}) {
+    const stage = this._getStage(stageId);
+    stage.removeTask(completed);
+  }
+
   /**
    * Marks one task as successfully completed.
    */
@@ -51,10 +67,33 @@ class ProgressMetrics {
 
   /**
    * Marks one task as failed with an error.
+   *
+   * @param {string} stageId - Stage identifier
+   * @param {string} errorMessage - Error message
+   * @param {Object} [details]
+   * @param {string} [details.code] - LLM_ERROR_CODE of the failure
+   * @param {string|null} [details.model] - Model the request failed on
+   */
+  markError(stageId, errorMessage, details) {
+    const stage = this._getStage(stageId);
+    stage.markError(errorMessage, details);
+  }
+
+  /**
+   * Marks one task as waiting to be retried after a provider error.
+   * Called by LLMClient when the background worker reports a retry.
+   */
+  markRetrying(stageId, reason) {
+    const stage = this._getStage(stageId);
+    stage.markRetrying(reason);
+  }
+
+  /**
+   * Clears the retrying mark of one task once it settles.
    */
-  markError(stageId, errorMessage) {
+  clearRetrying(stageId) {
     const stage = this._getStage(stageId);
-    stage.markError(errorMessage);
+    stage.clearRetrying();
   }
 
   /**
@@ -75,6 +114,8 @@ class ProgressMetrics {
     let globalTotal = 0;
     let globalCompleted = 0;
     let globalErrors = 0;
+    let globalRetrying = 0;
+    const errorGroups = [];
 
     const stageWeight = 1 / this.totalStages;
 
@@ -85,6 +126,8 @@ class ProgressMetrics {
       globalTotal += stageData.total || 0;
       globalCompleted += stageData.completed || 0;
       globalErrors += stageData.errorCount || 0;
+      globalRetrying += stageData.retrying || 0;
+      errorGroups.push(...stageData.errorGroups.map(group => ({ ...group, stage: stageData.label })));
 
       // Calculate weighted progress for this stage
       if (stageData.total > 0) {
@@ -104,6 +147,9 @@ class ProgressMetrics {
       completed: globalCompleted,
       remaining: globalTotal - globalCompleted,
       errors: globalErrors,
+      retrying: globalRetrying,
+      // Failed tasks of all stages, grouped by stage, error code and model
+      errorGroups,
     };
 
     return state;
@@ -134,12 +180,15 @@ class ProgressMetrics {
  * @private
  */
 class StageTracker {
-  constructor(id, label) {
+  constructor(id, label, unit = 'request') {
     this.id = id;
     this.label = label;
+    this.unit = unit;
     this.total = 0;
     this.completed = 0;
-    this.errors = [];
+    this.errors = []; // { message, code, model }
+    this.retrying = 0;
+    this.lastRetryReason = null;
     this.startTime = null;
     this.endTime = null;
     this.done = false;
@@ -152,13 +201,29 @@ class StageTracker {
     }
   }
 
+  removeTask(completed) {
+    this.total = Math.max(0, this.total - 1);
+    if (completed) {
+      this.completed = Math.max(0, this.completed - 1);
+    }
+  }
+
   markComplete() {
     this.completed += 1;
   }
 
-  markError(errorMessage) {
+  markError(errorMessage, { code = 'unknown', model = null } = {}) {
     this.completed += 1;
-    this.errors.push(errorMessage);
+    this.errors.push({ message: errorMessage, code, model });
+  }
+
+  markRetrying(reason) {
+    this.retrying += 1;
+    this.lastRetryReason = reason || null;
+  }
+
+  clearRetrying() {
+    this.retrying = Math.max(0, this.retrying - 1);
   }
 
   finish() {
@@ -166,6 +231,28 @@ class StageTracker {
     this.endTime = Date.now();
   }
 
+  /**
+   * Groups the errors by code and model, largest group first.
+   * Each group keeps the first message as an example.
+   *
+   * @returns {Array<Object>} Groups: [{ code, model, unit, count, message }]
+   */
+  getErrorGroups() {
+    const groups = new Map();
+
+    for (const { message, code, model } of this.errors) {
+      const key = `${code}\n${model ?? ''}`;
+      const group = groups.get(key);
+      if (group) {
+        group.count += 1;
+      } else {
+        groups.set(key, { code, model, unit: this.unit, count: 1, message });
+      }
+    }
+
+    return [...groups.values()].sort((a, b) => b.count - a.count);
+  }
+
   toJSON() {
     // If stage is done, return minimal info
     if (this.done) {
@@ -176,6 +263,7 @@ class StageTracker {
         total: this.total,
         completed: this.completed,
         errorCount: this.errors.length,
+        errorGroups: this.getErrorGroups(),
       };
     }
 
@@ -198,7 +286,10 @@ class StageTracker {
       in_progress: inProgress,
       progress: Math.round(progress * 100) / 100,
       errorCount: this.errors.length,
-      errors: [...this.errors],
+      errors: this.errors.map(error => error.message),
+      errorGroups: this.getErrorGroups(),
+      retrying: this.retrying,
+      lastRetryReason: this.retrying > 0 ? this.lastRetryReason : null,
       elapsed: Math.round(elapsed),
       eta: Math.round(eta),
       speed: Math.round(speed * 100) / 100,
@@ -1,3 +1,5 @@
+import { GLOSSARY_SCHEMA } from "../schemas.js";
+
 export default {
   build(text, config) {
     const sourceLang = config.sourceLangName;
@@ -88,6 +90,6 @@ You will be provided the raw text delimited with <text> XML tags.
 <text>\n${text}\n</text>
 `.trim();
 
-    return { system, user };
+    return { system, user, schema: GLOSSARY_SCHEMA };
   },
 };
@@ -1,3 +1,5 @@
+import { GLOSSARY_UPDATE_SCHEMA } from "../schemas.js";
+
 export default {
   build(existingDict, newUpdate, config) {
     const sourceLang = config.sourceLangName;
@@ -239,6 +241,6 @@ ${JSON.stringify(newUpdate, null, 2)}
 </new_updates>
 `.trim();
 
-    return { system, user };
+    return { system, user, schema: GLOSSARY_UPDATE_SCHEMA };
   },
 }
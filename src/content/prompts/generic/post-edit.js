@@ -130,9 +130,9 @@ Once you are ready, write the final JSON operations inside \`<operations>\` tags
 
     const user = [
       '# Post-Editing Task',
+      styleBlock,
       contextBlock,
       glossaryBlock,
-      styleBlock,
       '---',
       sourceBlock,
       translationBlock,
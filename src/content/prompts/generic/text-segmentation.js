@@ -1,4 +1,5 @@
 import { getChunkingUserParts } from "../utils.js";
+import { TEXT_SEGMENTATION_SCHEMA } from "../schemas.js";
 
 export default {
   /**
@@ -109,6 +110,6 @@ End: ${formattedText.end}
 </metadata>
 `.trim();
 
-    return { system, user }
+    return { system, user, schema: TEXT_SEGMENTATION_SCHEMA }
   },
 }
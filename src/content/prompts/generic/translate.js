@@ -9,7 +9,12 @@ export default {
     const src = config.sourceLangName;
     const tgt = config.targetLangName;
 
-    const system = `
+    // --- Custom Instructions ---
+    const customBlock = customInstruction
+                        ? `### Additional Notes:\n${customInstruction}`
+                        : '';
+
+    const instructions = `
 You are a highly skilled ${src} to ${tgt} literature translator, tasked with translating text from ${src} to ${tgt}. Aim to maintain the original tone, prose, nuance, and character voices of the source text as closely as possible.
 Do not under any circumstances localize anything by changing the original meaning or tone, stick strictly to translating the original tone, prose and language as closely as possible to the original text.
 
@@ -39,9 +44,11 @@ Input: \`==--==--==\`
 Output: <translation> ==--==--== <translation>
 </example>
 </instructions>
-
 `.trim();
 
+    // Same for every chunk of a run
+    const system = [instructions, customBlock].filter(Boolean).join('\n\n');
+
     // ========================================
     // USER PROMPT ASSEMBLY
     // ========================================
@@ -58,14 +65,8 @@ Output: <translation> ==--==--== <translation>
                           ? `<metadata>\n${glossaryMetadata}\n</metadata>${precedingTextContext}`
                           : '';
 
-    // --- Custom Instructions ---
-    const customBlock = customInstruction
-                        ? `### Additional Notes:\n${customInstruction}`
-                        : '';
-
     // Assemble user prompt
     const userParts = [
-      customBlock,
       metadataBlock,
       `Translate the following ${src} text into ${tgt}:\n<raw-text>\n${text}\n</raw-text>`,
     ].filter(Boolean);
@@ -10,6 +10,10 @@ const promptModules = import.meta.glob(
  * 1. Specific pair (e.g., ja_en/glossary-generate.js)
  * 2. Common group (common/glossary-generate.js, if both langs supported)
  * 3. Generic (generic/glossary-generate.js, all other langs)
+ *
+ * Builders put what only changes with the settings first (the system prompt, then fixed
+ * user blocks) and the per-chunk context last, so every chunk of a run shares a prefix
+ * providers can cache.
  */
 export async function getPromptBuilder(langPair, stage) {
   const [sourceLang, targetLang] = langPair.split('_');
@@ -1,3 +1,5 @@
+import { GLOSSARY_UPDATE_SCHEMA } from "../schemas.js";
+
 export default {
   build(existingDict, newUpdate, config) {
     const system = `
@@ -157,6 +159,6 @@ ${JSON.stringify(newUpdate, null, 2)}
 </new_updates>
 `.trim();
 
-    return { system, user };
+    return { system, user, schema: GLOSSARY_UPDATE_SCHEMA };
   },
 }
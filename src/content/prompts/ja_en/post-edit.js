@@ -154,11 +154,12 @@ Once you are ready, write the final JSON operations inside \`<operations>\` tags
 `.trim();
 
     // Assemble the user prompt
+    // Style block first, as it does not change between chunks
     const user = [
       '# Post-Editing Task',
+      styleBlock,
       contextBlock,
       glossaryBlock,
-      styleBlock,
       '---',
       sourceBlock,
       translationBlock,
@@ -1,4 +1,5 @@
 import { getChunkingUserParts } from "../utils.js";
+import { TEXT_SEGMENTATION_SCHEMA } from "../schemas.js";
 
 export default {
   /**
@@ -120,6 +121,6 @@ End: ${formattedText.end}
 </metadata>
 `.trim();
 
-    return { system, user }
+    return { system, user, schema: TEXT_SEGMENTATION_SCHEMA }
   },
 }
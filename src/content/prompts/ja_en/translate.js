@@ -104,8 +104,13 @@ Use English name ordering (FirstName-LastName) in your translation.
         break;
     }
 
+    // --- Custom Instructions ---
+    const customBlock = customInstruction
+                        ? `### Additional Notes:\n${customInstruction}`
+                        : '';
+
     // Assemble system prompt
-    const system = `
+    const instructions = `
 You are a highly skilled Japanese to English literature translator, tasked with translating text from Japanese to English. Aim to maintain the original tone, prose, nuance, and character voices of the source text as closely as possible.
 Do not under any circumstances localize anything by changing the original meaning or tone, stick strictly to translating the original tone, prose and language as closely as possible to the original text.
 
@@ -157,6 +162,9 @@ Output: <translation> ==--==--== <translation>
 </instructions>
 `.trim();
 
+    // Settings only; the per-chunk metadata and preceding text stay in the user prompt
+    const system = [instructions, customBlock].filter(Boolean).join('\n\n');
+
     // ========================================
     // USER PROMPT ASSEMBLY
     // ========================================
@@ -173,14 +181,8 @@ Output: <translation> ==--==--== <translation>
                           ? `<metadata>\n${glossaryMetadata}\n</metadata>${precedingTextContext}`
                           : '';
 
-    // --- Custom Instructions ---
-    const customBlock = customInstruction
-                        ? `### Additional Notes:\n${customInstruction}`
-                        : '';
-
     // Assemble user prompt
     const userParts = [
-      customBlock,
       metadataBlock,
       `Translate the following Japanese text into English:\n<raw-text>\n${text}\n</raw-text>`,
     ].filter(Boolean);
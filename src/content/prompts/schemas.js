@@ -0,0 +1,85 @@
+/**
+ * JSON schemas of the stages whose output is parsed as JSON.
+ *
+ * Prompt builders return one as `schema` next to the system and user prompt.
+ * Providers with structured outputs use it to constrain the response; for other
+ * models it is ignored and the output is read with parseJSONFromLLM().
+ *
+ * Schemas follow the strict subset of JSON Schema shared by OpenAI and Gemini:
+ * the root is an object, every property is required and no others are allowed.
+ * Stages whose prompts ask for a bare array accept it wrapped in the root object.
+ */
+
+// Stage 1: { entries: [{ keys, value }] }
+export const GLOSSARY_SCHEMA = {
+  name: 'glossary',
+  schema: {
+    type: 'object',
+    properties: {
+      entries: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            keys: { type: 'array', items: { type: 'string' } },
+            value: { type: 'string' },
+          },
+          required: ['keys', 'value'],
+          additionalProperties: false,
+        },
+      },
+    },
+    required: ['entries'],
+    additionalProperties: false,
+  },
+};
+
+// Stage 2: { actions: [{ action, id, data }] }; fields an action doesn't use are null
+export const GLOSSARY_UPDATE_SCHEMA = {
+  name: 'glossary_update',
+  schema: {
+    type: 'object',
+    properties: {
+      actions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            action: { type: 'string', enum: ['none', 'add_entry', 'delete', 'update', 'add_key', 'del_key'] },
+            id: { type: ['integer', 'null'] },
+            data: {
+              anyOf: [
+                { type: 'string' },
+                { type: 'array', items: { type: 'string' } },
+                { type: 'null' },
+              ],
+            },
+          },
+          required: ['action', 'id', 'data'],
+          additionalProperties: false,
+        },
+      },
+    },
+    required: ['actions'],
+    additionalProperties: false,
+  },
+};
+
+// Stage 3: { chunks: [[start, end]] }
+export const TEXT_SEGMENTATION_SCHEMA = {
+  name: 'text_segmentation',
+  schema: {
+    type: 'object',
+    properties: {
+      chunks: {
+        type: 'array',
+        items: {
+          type: 'array',
+          items: { type: 'integer' },
+        },
+      },
+    },
+    required: ['chunks'],
+    additionalProperties: false,
+  },
+};
@@ -13,6 +13,12 @@ describe('parseJSONFromLLM', () => {
     consoleErrorSpy.mockRestore();
   });
 
+  it('parses output that is JSON as a whole (Strategy 0)', () => {
+    const input = '\n{ "entries": [{ "keys": ["a"], "value": "[term] b" }], "note": "{" }\n';
+    const result = parseJSONFromLLM(input);
+    expect(result).toEqual({ entries: [{ keys: ['a'], value: '[term] b' }], note: '{' });
+  });
+
   it('parses JSON from ```json fenced block (Strategy 1)', () => {
     const input = `
 Intro text
@@ -1,11 +1,22 @@
 /**
  * Parses JSON data from the output of an LLM (Large Language Model).
- * Tries fences first, then recovers balanced JSON segments from raw text.
+ * Takes output that is JSON as a whole (e.g. structured output) as is;
+ * otherwise tries fences first, then recovers balanced JSON segments from raw text.
  *
  * @param {string} llmOutput - The raw output string from the LLM.
  * @returns {object|Array|{}} - The parsed JSON value, or an empty object if it cannot be read.
  */
 export function parseJSONFromLLM(llmOutput) {
+  // Strategy 0: The whole output is JSON
+  const trimmed = llmOutput.trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      return JSON.parse(trimmed);
+    } catch {
+      // Surrounding or malformed text, continue to other strategies
+    }
+  }
+
   // Strategy 1: Look for ```json fence (expected format)
   let match = llmOutput.match(/```json\s*\n([\s\S]*?)\n?```/);
   if (match) {
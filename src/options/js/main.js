@@ -4,6 +4,10 @@ import { glossaryTabController } from "./tabs/glossary-tab.js";
 import { customInstructionsTabController } from "./tabs/custom-instructions.js";
 import { welcomeTabController } from './tabs/welcome.js';
 import { miscSettingsController } from './tabs/misc-settings.js';
+import { rateLimitsTabController } from './tabs/rate-limits.js';
+import { usageTabController } from './tabs/usage.js';
+import { spendingCapsTabController } from './tabs/spending-caps.js';
+import { requestLogTabController } from './tabs/request-log.js';
 
 document.addEventListener('DOMContentLoaded', () => {
   const sidebarButtons = Array.from(
@@ -21,6 +25,10 @@ document.addEventListener('DOMContentLoaded', () => {
     'models': modelsTabController,
     'glossary': glossaryTabController,
     'custom-instructions': customInstructionsTabController,
+    'rate-limits': rateLimitsTabController,
+    'usage': usageTabController,
+    'spending-caps': spendingCapsTabController,
+    'request-log': requestLogTabController,
     'misc-settings': miscSettingsController,
   };
 
@@ -1,29 +1,80 @@
+import {
+  disableVault,
+  enableVault,
+  getVaultState,
+  lockVault,
+  readApiKeys,
+  resetVault,
+  unlockVault,
+  writeApiKeys,
+} from '../../../common/api-key-vault.js';
+
 const API_KEY_PROVIDERS = [
-  'openrouter',
-  'openai',
-  'deepseek',
-  'google',
-  'xai'
+  { id: 'openrouter', label: 'OpenRouter' },
+  { id: 'openai', label: 'OpenAI' },
+  { id: 'deepseek', label: 'DeepSeek' },
+  { id: 'google', label: 'Google' },
+  { id: 'xai', label: 'xAI' },
+  { id: 'anthropic', label: 'Anthropic' },
+  { id: 'azure', label: 'Azure OpenAI' },
+  { id: 'custom', label: 'Custom / Local' },
 ];
 
+// Providers whose base URL has its own field, rather than one in the advanced settings table
+const OWN_BASE_URL_PROVIDERS = ['azure', 'custom'];
+
+const VAULT_STATE_LABELS = {
+  disabled: 'Keys are stored without a passphrase.',
+  locked: 'Keys are encrypted and locked. Unlock them to view or change them.',
+  unlocked: 'Keys are encrypted and unlocked for this browser session.',
+};
+
+// Vault controls shown in each state
+const VAULT_CONTROLS = {
+  disabled: ['passphraseInput', 'confirmInput', 'enableButton'],
+  locked: ['passphraseInput', 'unlockButton', 'resetButton'],
+  unlocked: ['passphraseInput', 'lockButton', 'disableButton'],
+};
+
+const KEY_STATE_LABELS = {
+  unused: 'Not used yet',
+  active: 'Active',
+  rate_limited: 'Rate limited, resting',
+  rejected: 'Rejected',
+};
+
+/**
+ * Loads the keys of the providers managed by this page as a flat list.
+ * A single key saved by older versions (a plain string) becomes one entry.
+ *
+ * @returns {Promise<Array<Object>>} Keys: [{ provider, id, label, key }]
+ */
 async function getApiKeys() {
-  const result = await chrome.storage.local.get('api_keys');
-  const existing = result.api_keys || {};
-  const keys = {};
+  const existing = await readApiKeys();
+  const keys = [];
+
+  API_KEY_PROVIDERS.forEach(({ id: provider }) => {
+    const value = existing[provider];
 
-  API_KEY_PROVIDERS.forEach((provider) => {
-    keys[provider] = existing[provider] || '';
+    if (typeof value === 'string' && value) {
+      keys.push({ provider, id: 'default', label: '', key: value });
+    } else if (Array.isArray(value)) {
+      value.forEach((entry) => {
+        if (entry?.key) {
+          keys.push({ provider, id: entry.id, label: entry.label || '', key: entry.key });
+        }
+      });
+    }
   });
 
   return keys;
 }
 
 async function setApiKeys(updatedKeys) {
-  const result = await chrome.storage.local.get('api_keys');
-  const existing = result.api_keys || {};
+  const existing = await readApiKeys();
 
   // Remove providers managed by this page
-  API_KEY_PROVIDERS.forEach((provider) => {
+  API_KEY_PROVIDERS.forEach(({ id: provider }) => {
     if (provider in existing) {
       delete existing[provider];
     }
@@ -34,21 +85,171 @@ async function setApiKeys(updatedKeys) {
     ...updatedKeys
   };
 
-  await chrome.storage.local.set({ api_keys: merged });
+  await writeApiKeys(merged);
+}
+
+/**
+ * Forgets provider rejections, putting the keys back into rotation.
+ *
+ * @param {Function} shouldForget - Called with (provider, keyId), true to drop the rejection
+ * @returns {Promise<void>}
+ */
+async function forgetKeyRejections(shouldForget) {
+  const result = await chrome.storage.local.get('api_key_health');
+  const health = result.api_key_health || {};
+  let changed = false;
+
+  for (const [provider, keys] of Object.entries(health)) {
+    for (const keyId of Object.keys(keys)) {
+      if (shouldForget(provider, keyId)) {
+        delete keys[keyId];
+        changed = true;
+      }
+    }
+  }
+
+  if (changed) {
+    await chrome.storage.local.set({ api_key_health: health });
+  }
+}
+
+/**
+ * Loads the rotation state of each key from the background.
+ * A failure only leaves the status column empty.
+ *
+ * @returns {Promise<Object>} Status by provider and key id
+ */
+async function getKeyStatus() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'api_keys.get_status' });
+
+    if (!response || !response.ok) {
+      console.error('[Options] Failed to load API key status:', response?.error);
+      return {};
+    }
+
+    return response.data || {};
+  } catch (error) {
+    console.error('[Options] Failed to load API key status:', error);
+    return {};
+  }
+}
+
+function describeKeyStatus(status) {
+  if (!status) {
+    return '';
+  }
+
+  const label = KEY_STATE_LABELS[status.state] || status.state;
+  if (status.state === 'rejected') {
+    return status.reason ? `${label}: ${status.reason}` : label;
+  }
+
+  return status.requests > 0 ? `${label} (${status.requests} requests, ${status.failures} failed)` : label;
+}
+
+async function getCustomBaseUrl() {
+  const result = await chrome.storage.local.get('custom_provider');
+  return result.custom_provider?.baseUrl || '';
+}
+
+async function setCustomBaseUrl(baseUrl) {
+  if (baseUrl) {
+    await chrome.storage.local.set({ custom_provider: { baseUrl } });
+  } else {
+    await chrome.storage.local.remove('custom_provider');
+  }
+}
+
+/**
+ * Loads the advanced provider settings (base URL, headers, query params, Azure deployment settings).
+ *
+ * @returns {Promise<Object>} Overrides by provider, as stored
+ */
+async function getProviderOverrides() {
+  const result = await chrome.storage.local.get('provider_overrides');
+  return result.provider_overrides || {};
+}
+
+async function setProviderOverrides(overrides) {
+  if (Object.keys(overrides).length > 0) {
+    await chrome.storage.local.set({ provider_overrides: overrides });
+  } else {
+    await chrome.storage.local.remove('provider_overrides');
+  }
+}
+
+/**
+ * Parses one `name<separator>value` pair per line, skipping blank lines.
+ *
+ * @param {string} text - Text as entered by the user
+ * @param {string} separator - ':' for headers, '=' for query params
+ * @returns {Object|null} Map of names to values, or null if a line has no name
+ */
+function parsePairs(text, separator) {
+  const pairs = {};
+
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+
+    const index = line.indexOf(separator);
+    const name = index > 0 ? line.slice(0, index).trim() : '';
+    if (!name) {
+      return null;
+    }
+    pairs[name] = line.slice(index + 1).trim();
+  }
+
+  return pairs;
+}
+
+function formatPairs(pairs, separator) {
+  return Object.entries(pairs || {}).map(([name, value]) => `${name}${separator}${value}`).join('\n');
+}
+
+/**
+ * Builds the host permission pattern for a server URL.
+ * Match patterns cannot contain a port, so this covers every port on the host.
+ *
+ * @param {string} baseUrl - Server URL as entered by the user
+ * @returns {string|null} Origin pattern, or null if the URL is invalid
+ */
+function getOriginPattern(baseUrl) {
+  try {
+    const url = new URL(baseUrl);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return null;
+    }
+    return `${url.protocol}//${url.hostname}/*`;
+  } catch {
+    return null;
+  }
 }
 
 class ApiKeysTabController {
   constructor() {
     this.tabId = 'api-keys';
     this.root = null;
-    this.inputs = {};
+    this.keysBody = null;
+    this.addButton = null;
+    this.testButton = null;
+    this.baseUrlInput = null;
+    this.azureInputs = {};
+    this.overridesBody = null;
     this.statusElement = null;
     this.saveButton = null;
     this.cancelButton = null;
+    this.vault = {};
 
     this.isInitialized = false;
     this.isDirty = false;
-    this.originalKeys = {};
+    this.vaultState = 'disabled';
+    this.originalKeys = [];
+    this.originalBaseUrl = '';
+    this.originalOverrides = {};
+    this.keyStatus = {};
+    // Latest connection test results: { [provider]: { [keyId]: { status, message } } }
+    this.testResults = {};
   }
 
   async onShow() {
@@ -62,24 +263,48 @@ class ApiKeysTabController {
 
   initDom() {
     this.root = document.getElementById('tab-api-keys');
+    this.keysBody = document.getElementById('api-keys-rows');
+    this.addButton = document.getElementById('api-keys-add');
+    this.testButton = document.getElementById('api-keys-test');
     this.statusElement = document.getElementById('api-keys-status');
     this.saveButton = document.getElementById('api-keys-save');
     this.cancelButton = document.getElementById('api-keys-cancel');
+    this.baseUrlInput = document.getElementById('custom-provider-base-url');
+    this.overridesBody = document.getElementById('provider-overrides-rows');
+    this.azureInputs = {
+      endpoint: document.getElementById('azure-endpoint'),
+      apiVersion: document.getElementById('azure-api-version'),
+      deployments: document.getElementById('azure-deployments'),
+    };
 
-    API_KEY_PROVIDERS.forEach((provider) => {
-      const input = this.root.querySelector(
-        `input.api-key-input[data-provider="${provider}"]`
-      );
-      this.inputs[provider] = input;
-    });
+    this.vault = {
+      stateElement: document.getElementById('vault-state'),
+      passphraseInput: document.getElementById('vault-passphrase'),
+      confirmInput: document.getElementById('vault-passphrase-confirm'),
+      enableButton: document.getElementById('vault-enable'),
+      unlockButton: document.getElementById('vault-unlock'),
+      lockButton: document.getElementById('vault-lock'),
+      disableButton: document.getElementById('vault-disable'),
+      resetButton: document.getElementById('vault-reset'),
+    };
   }
 
   attachListeners() {
-    Object.values(this.inputs).forEach((input) => {
-      if (!input) return;
-      input.addEventListener('input', () => {
-        this.markDirty();
-      });
+    this.baseUrlInput?.addEventListener('input', () => {
+      this.markDirty();
+    });
+
+    Object.values(this.azureInputs).forEach((input) => {
+      input.addEventListener('input', () => this.markDirty());
+    });
+
+    this.addButton.addEventListener('click', () => {
+      this.addKeyRow({ provider: API_KEY_PROVIDERS[0].id, id: null, label: '', key: '' });
+      this.markDirty();
+    });
+
+    this.testButton.addEventListener('click', async () => {
+      await this.testKeys();
     });
 
     this.saveButton.addEventListener('click', async () => {
@@ -89,18 +314,117 @@ class ApiKeysTabController {
     this.cancelButton.addEventListener('click', () => {
       this.reset();
     });
+
+    this.vault.enableButton.addEventListener('click', async () => {
+      await this.enableVault();
+    });
+
+    this.vault.unlockButton.addEventListener('click', async () => {
+      await this.runVaultAction(() => unlockVault(this.vault.passphraseInput.value), 'Keys unlocked.');
+    });
+
+    this.vault.passphraseInput.addEventListener('keydown', async (event) => {
+      if (event.key === 'Enter' && this.vaultState === 'locked') {
+        await this.runVaultAction(() => unlockVault(this.vault.passphraseInput.value), 'Keys unlocked.');
+      }
+    });
+
+    this.vault.lockButton.addEventListener('click', async () => {
+      await this.runVaultAction(() => lockVault(), 'Keys locked.');
+    });
+
+    this.vault.disableButton.addEventListener('click', async () => {
+      await this.runVaultAction(
+        () => disableVault(this.vault.passphraseInput.value),
+        'Passphrase removed. Keys are stored without encryption again.'
+      );
+    });
+
+    this.vault.resetButton.addEventListener('click', async () => {
+      if (!confirm('Delete the encrypted API keys? You will have to enter them again.')) {
+        return;
+      }
+      await this.runVaultAction(() => resetVault(), 'Encrypted keys deleted.');
+    });
+  }
+
+  /**
+   * Encrypts the saved keys with the entered passphrase.
+   */
+  async enableVault() {
+    const passphrase = this.vault.passphraseInput.value;
+
+    if (this.isDirty) {
+      this.setStatus('Save or discard your changes before adding a passphrase.', 'error');
+      return;
+    }
+    if (passphrase.length < 8) {
+      this.setStatus('Use a passphrase of at least 8 characters.', 'error');
+      return;
+    }
+    if (passphrase !== this.vault.confirmInput.value) {
+      this.setStatus('The passphrases do not match.', 'error');
+      return;
+    }
+
+    await this.runVaultAction(() => enableVault(passphrase), 'Keys encrypted.');
+  }
+
+  /**
+   * Runs a vault change, then reloads the keys to match the new state.
+   */
+  async runVaultAction(action, successMessage) {
+    try {
+      await action();
+      this.vault.passphraseInput.value = '';
+      this.vault.confirmInput.value = '';
+      await this.loadKeys();
+      this.setStatus(successMessage, 'success');
+    } catch (error) {
+      console.error('[Options] Passphrase action failed:', error);
+      this.setStatus(error.message || 'Passphrase action failed.', 'error');
+    }
+  }
+
+  renderVault() {
+    const visible = VAULT_CONTROLS[this.vaultState];
+
+    this.vault.stateElement.textContent = VAULT_STATE_LABELS[this.vaultState];
+    for (const name of Object.values(VAULT_CONTROLS).flat()) {
+      this.vault[name].hidden = !visible.includes(name);
+    }
+
+    // Keys can't be shown or changed while locked
+    const locked = this.vaultState === 'locked';
+    [this.addButton, this.testButton, this.saveButton].forEach((button) => {
+      button.disabled = locked;
+    });
   }
 
   async loadKeys() {
     try {
-      const keys = await getApiKeys();
-      this.originalKeys = { ...keys };
+      this.vaultState = await getVaultState();
+      this.renderVault();
 
-      API_KEY_PROVIDERS.forEach((provider) => {
-        const input = this.inputs[provider];
-        if (!input) return;
-        input.value = keys[provider] || '';
-      });
+      if (this.vaultState === 'locked') {
+        this.originalKeys = [];
+        this.render(this.originalKeys);
+        this.isDirty = false;
+        this.setStatus(VAULT_STATE_LABELS.locked, 'info');
+        return;
+      }
+
+      this.originalKeys = await getApiKeys();
+      this.keyStatus = await getKeyStatus();
+      this.render(this.originalKeys);
+
+      this.originalBaseUrl = await getCustomBaseUrl();
+      if (this.baseUrlInput) {
+        this.baseUrlInput.value = this.originalBaseUrl;
+      }
+
+      this.originalOverrides = await getProviderOverrides();
+      this.renderOverrides(this.originalOverrides);
 
       this.isDirty = false;
       this.setStatus('', '');
@@ -110,27 +434,352 @@ class ApiKeysTabController {
     }
   }
 
+  render(keys) {
+    this.keysBody.innerHTML = '';
+    keys.forEach(entry => this.addKeyRow(entry));
+  }
+
+  /**
+   * Adds a table row for one key. Saved keys keep their id, so their status
+   * stays attached; new rows get an id on save.
+   */
+  addKeyRow({ provider, id, label, key }) {
+    const row = document.createElement('tr');
+    if (id) {
+      row.dataset.keyId = id;
+    }
+
+    const providerCell = document.createElement('td');
+    const providerSelect = document.createElement('select');
+    providerSelect.className = 'api-key-provider';
+    API_KEY_PROVIDERS.forEach(({ id: value, label: text }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      providerSelect.appendChild(option);
+    });
+    providerSelect.value = provider;
+    providerSelect.addEventListener('change', () => this.markDirty());
+    providerCell.appendChild(providerSelect);
+    row.appendChild(providerCell);
+
+    const labelCell = document.createElement('td');
+    const labelInput = document.createElement('input');
+    labelInput.type = 'text';
+    labelInput.className = 'api-key-label';
+    labelInput.placeholder = 'e.g. Work account';
+    labelInput.value = label;
+    labelInput.addEventListener('input', () => this.markDirty());
+    labelCell.appendChild(labelInput);
+    row.appendChild(labelCell);
+
+    const keyCell = document.createElement('td');
+    const keyInput = document.createElement('input');
+    keyInput.type = 'password';
+    keyInput.autocomplete = 'off';
+    keyInput.className = 'api-key-input';
+    keyInput.value = key;
+    keyInput.addEventListener('input', () => this.markDirty());
+    keyCell.appendChild(keyInput);
+    row.appendChild(keyCell);
+
+    const statusCell = document.createElement('td');
+    statusCell.className = 'api-key-status';
+    const status = id ? this.keyStatus[provider]?.[id] : null;
+    statusCell.textContent = describeKeyStatus(status);
+    statusCell.dataset.state = status?.state || '';
+
+    if (status?.state === 'rejected') {
+      const enableButton = document.createElement('button');
+      enableButton.type = 'button';
+      enableButton.textContent = 'Re-enable';
+      enableButton.addEventListener('click', async () => {
+        await this.reenableKey(provider, id);
+      });
+      statusCell.appendChild(enableButton);
+    }
+
+    const testResult = id ? this.testResults[provider]?.[id] : null;
+    if (testResult) {
+      const testLine = document.createElement('div');
+      testLine.className = 'api-key-test';
+      testLine.dataset.status = testResult.status;
+      testLine.textContent = `Test: ${testResult.message}`;
+      statusCell.appendChild(testLine);
+    }
+    row.appendChild(statusCell);
+
+    const removeCell = document.createElement('td');
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.textContent = 'Remove';
+    removeButton.addEventListener('click', () => {
+      row.remove();
+      this.markDirty();
+    });
+    removeCell.appendChild(removeButton);
+    row.appendChild(removeCell);
+
+    this.keysBody.appendChild(row);
+  }
+
+  /**
+   * Shows the advanced provider settings: the Azure fields and one table row per provider.
+   */
+  renderOverrides(overrides) {
+    const azure = overrides.azure || {};
+    this.azureInputs.endpoint.value = azure.baseUrl || '';
+    this.azureInputs.apiVersion.value = azure.apiVersion || '';
+    this.azureInputs.deployments.value = (azure.deployments || []).join(', ');
+
+    this.overridesBody.innerHTML = '';
+
+    API_KEY_PROVIDERS.forEach(({ id: provider, label }) => {
+      const { baseUrl = '', headers, query } = overrides[provider] || {};
+      const row = document.createElement('tr');
+      row.dataset.provider = provider;
+
+      const nameCell = document.createElement('td');
+      nameCell.textContent = label;
+      row.appendChild(nameCell);
+
+      const baseUrlCell = document.createElement('td');
+      const baseUrlInput = document.createElement('input');
+      baseUrlInput.type = 'url';
+      baseUrlInput.autocomplete = 'off';
+      baseUrlInput.className = 'provider-override-base-url';
+      if (OWN_BASE_URL_PROVIDERS.includes(provider)) {
+        baseUrlInput.disabled = true;
+        baseUrlInput.placeholder = 'Set above';
+      } else {
+        baseUrlInput.value = baseUrl;
+        baseUrlInput.placeholder = 'Default';
+      }
+      baseUrlCell.appendChild(baseUrlInput);
+      row.appendChild(baseUrlCell);
+
+      [['provider-override-headers', formatPairs(headers, ': '), 'X-Team: books'],
+        ['provider-override-query', formatPairs(query, '='), 'tenant=books']].forEach(([className, value, placeholder]) => {
+        const cell = document.createElement('td');
+        const textarea = document.createElement('textarea');
+        textarea.className = className;
+        textarea.rows = 2;
+        textarea.value = value;
+        textarea.placeholder = placeholder;
+        cell.appendChild(textarea);
+        row.appendChild(cell);
+      });
+
+      row.addEventListener('input', () => this.markDirty());
+      this.overridesBody.appendChild(row);
+    });
+  }
+
+  /**
+   * Reads the advanced provider settings. Providers without any setting are left out.
+   *
+   * @returns {Object} Overrides by provider: { baseUrl?, headers?, query?, apiVersion?, deployments? }
+   * @throws {Error} If a base URL is not an http(s) URL or a header or query line has no name
+   */
+  buildOverridesFromUI() {
+    const overrides = {};
+
+    for (const row of this.overridesBody.querySelectorAll('tr')) {
+      const provider = row.dataset.provider;
+      const label = row.firstChild.textContent;
+      const entry = {};
+
+      const baseUrl = row.querySelector('.provider-override-base-url').value.trim();
+      if (baseUrl && !OWN_BASE_URL_PROVIDERS.includes(provider)) {
+        if (!getOriginPattern(baseUrl)) {
+          throw new Error(`${label} base URL must be a valid http(s) URL.`);
+        }
+        entry.baseUrl = baseUrl;
+      }
+
+      const headers = parsePairs(row.querySelector('.provider-override-headers').value, ':');
+      const query = parsePairs(row.querySelector('.provider-override-query').value, '=');
+      if (!headers || !query) {
+        throw new Error(`${label}: write one "Name: value" header or "name=value" parameter per line.`);
+      }
+      if (Object.keys(headers).length > 0) entry.headers = headers;
+      if (Object.keys(query).length > 0) entry.query = query;
+
+      if (Object.keys(entry).length > 0) {
+        overrides[provider] = entry;
+      }
+    }
+
+    const endpoint = this.azureInputs.endpoint.value.trim();
+    const apiVersion = this.azureInputs.apiVersion.value.trim();
+    const deployments = this.azureInputs.deployments.value.split(',').map(name => name.trim()).filter(Boolean);
+
+    if (endpoint && !getOriginPattern(endpoint)) {
+      throw new Error('Azure resource URL must be a valid http(s) URL.');
+    }
+    if (endpoint || apiVersion || deployments.length > 0) {
+      overrides.azure = {
+        ...overrides.azure,
+        ...(endpoint && { baseUrl: endpoint }),
+        ...(apiVersion && { apiVersion }),
+        ...(deployments.length > 0 && { deployments }),
+      };
+    }
+
+    return overrides;
+  }
+
+  /**
+   * Reads the key rows. Rows without a key are dropped.
+   *
+   * @returns {Array<Object>} Keys: [{ provider, id, label, key }]
+   */
+  buildKeysFromUI() {
+    const keys = [];
+
+    for (const row of this.keysBody.querySelectorAll('tr')) {
+      const key = row.querySelector('.api-key-input').value.trim();
+      if (!key) continue;
+
+      keys.push({
+        provider: row.querySelector('.api-key-provider').value,
+        id: row.dataset.keyId || crypto.randomUUID(),
+        label: row.querySelector('.api-key-label').value.trim(),
+        key,
+      });
+    }
+
+    return keys;
+  }
+
+  /**
+   * Tests every saved key with a tiny request. A key that passes goes back into
+   * rotation; a rejected one is taken out.
+   */
+  async testKeys() {
+    if (this.isDirty) {
+      this.setStatus('Save your changes before testing the keys.', 'error');
+      return;
+    }
+
+    const providers = [...new Set(this.originalKeys.map(({ provider }) => provider))];
+    if (providers.length === 0) {
+      this.setStatus('No saved keys to test.', 'info');
+      return;
+    }
+
+    this.testButton.disabled = true;
+    this.setStatus('Testing keys…', 'info');
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'connection.test',
+        payload: { providers, stages: {} },
+      });
+
+      if (!response || !response.ok) {
+        throw new Error(response?.error || 'No response');
+      }
+
+      this.testResults = response.data.keys;
+      this.keyStatus = await getKeyStatus();
+      this.render(this.originalKeys);
+
+      const results = Object.values(this.testResults).flatMap(keys => Object.values(keys));
+      const failed = results.filter(result => result.status !== 'ok').length;
+      this.setStatus(
+        failed === 0 ? 'All keys work.' : `${failed} of ${results.length} keys had problems, see below.`,
+        failed === 0 ? 'success' : 'error'
+      );
+    } catch (error) {
+      console.error('[Options] Failed to test API keys:', error);
+      this.setStatus('Failed to test the keys.', 'error');
+    } finally {
+      this.testButton.disabled = false;
+    }
+  }
+
+  async reenableKey(provider, keyId) {
+    try {
+      await forgetKeyRejections((p, id) => p === provider && id === keyId);
+      this.keyStatus = await getKeyStatus();
+      if (!this.isDirty) {
+        this.render(this.originalKeys);
+      }
+      this.setStatus('Key re-enabled.', 'success');
+    } catch (error) {
+      console.error('[Options] Failed to re-enable API key:', error);
+      this.setStatus('Failed to re-enable the key.', 'error');
+    }
+  }
+
   markDirty() {
     this.isDirty = true;
   }
 
   async save() {
-    const updated = {};
+    const baseUrl = this.baseUrlInput ? this.baseUrlInput.value.trim() : '';
+
+    if (baseUrl && !getOriginPattern(baseUrl)) {
+      this.setStatus('Custom server base URL must be a valid http(s) URL.', 'error');
+      throw new Error('Invalid custom server base URL');
+    }
+
+    let overrides;
+    try {
+      overrides = this.buildOverridesFromUI();
+    } catch (error) {
+      this.setStatus(error.message, 'error');
+      throw error;
+    }
 
-    API_KEY_PROVIDERS.forEach((provider) => {
-      const input = this.inputs[provider];
-      if (!input) return;
-      const value = input.value.trim();
-      if (value) {
-        updated[provider] = value;
+    const originPatterns = [...new Set(
+      [baseUrl, ...Object.values(overrides).map(entry => entry.baseUrl)].filter(Boolean).map(getOriginPattern)
+    )];
+
+    // Ask for host access first, while the click still counts as a user gesture
+    let permissionGranted = true;
+    if (originPatterns.length > 0) {
+      try {
+        permissionGranted = await chrome.permissions.request({ origins: originPatterns });
+      } catch (error) {
+        console.error('[Options] Failed to request host permission:', error);
+        permissionGranted = false;
       }
+    }
+
+    const keys = this.buildKeysFromUI();
+    const updated = {};
+
+    keys.forEach(({ provider, id, label, key }) => {
+      updated[provider] = [...(updated[provider] || []), { id, label, key }];
     });
 
+    // A key that was removed, moved or replaced loses its rejection
+    const kept = new Set(keys.map(({ provider, id, key }) => `${provider}:${id}:${key}`));
+    const original = new Map(this.originalKeys.map(({ provider, id, key }) => [`${provider}:${id}`, key]));
+
     try {
       await setApiKeys(updated);
-      this.originalKeys = { ...updated };
+      await forgetKeyRejections((provider, keyId) =>
+        !kept.has(`${provider}:${keyId}:${original.get(`${provider}:${keyId}`)}`));
+      await setCustomBaseUrl(baseUrl);
+      await setProviderOverrides(overrides);
+      this.originalKeys = keys;
+      this.originalBaseUrl = baseUrl;
+      this.originalOverrides = overrides;
       this.isDirty = false;
-      this.setStatus('API keys saved.', 'success');
+      this.keyStatus = await getKeyStatus();
+      this.render(this.originalKeys);
+
+      if (permissionGranted) {
+        this.setStatus('API keys saved.', 'success');
+      } else {
+        this.setStatus(
+          'API keys saved, but access to the custom server or gateway was not granted. Save again to retry.',
+          'error'
+        );
+      }
     } catch (error) {
       console.error('[Options] Failed to save API keys:', error);
       this.setStatus('Failed to save API keys.', 'error');
@@ -139,11 +788,13 @@ class ApiKeysTabController {
   }
 
   reset() {
-    API_KEY_PROVIDERS.forEach((provider) => {
-      const input = this.inputs[provider];
-      if (!input) return;
-      input.value = this.originalKeys[provider] || '';
-    });
+    this.render(this.originalKeys);
+
+    if (this.baseUrlInput) {
+      this.baseUrlInput.value = this.originalBaseUrl;
+    }
+
+    this.renderOverrides(this.originalOverrides);
 
     this.isDirty = false;
     this.setStatus('Changes discarded.', 'info');
@@ -1,9 +1,25 @@
 
+// Matches RESPONSE_CACHE_CONFIG in the background defaults
+const DEFAULT_CACHE_SIZE_MB = 50;
+
+// Matches INTERACTION_LOG_CONFIG in the background defaults
+const DEFAULT_LOG_MAX_ENTRIES = 500;
+
 class MiscSettingsTabController {
   constructor() {
     this.tabId = 'misc-settings';
     this.root = null;
     this.inputLogging = null;
+    this.inputInteractionLog = null;
+    this.inputInteractionLogSize = null;
+    this.inputCacheEnabled = null;
+    this.inputCacheSize = null;
+    this.cacheStatsElement = null;
+    this.clearCacheButton = null;
+    this.inputMockEnabled = null;
+    this.inputMockRecord = null;
+    this.exportFixturesButton = null;
+    this.clearFixturesButton = null;
     this.statusElement = null;
     this.saveButton = null;
     this.cancelButton = null;
@@ -25,6 +41,16 @@ class MiscSettingsTabController {
   initDom() {
     this.root = document.getElementById('tab-misc-settings');
     this.inputLogging = document.getElementById('misc-logging-enabled');
+    this.inputInteractionLog = document.getElementById('misc-interaction-log-enabled');
+    this.inputInteractionLogSize = document.getElementById('misc-interaction-log-size');
+    this.inputCacheEnabled = document.getElementById('misc-cache-enabled');
+    this.inputCacheSize = document.getElementById('misc-cache-size');
+    this.cacheStatsElement = document.getElementById('misc-cache-stats');
+    this.clearCacheButton = document.getElementById('misc-cache-clear');
+    this.inputMockEnabled = document.getElementById('misc-mock-enabled');
+    this.inputMockRecord = document.getElementById('misc-mock-record');
+    this.exportFixturesButton = document.getElementById('misc-mock-export');
+    this.clearFixturesButton = document.getElementById('misc-mock-clear');
     this.statusElement = document.getElementById('misc-settings-status');
     this.saveButton = document.getElementById('misc-settings-save');
     this.cancelButton = document.getElementById('misc-settings-cancel');
@@ -37,6 +63,56 @@ class MiscSettingsTabController {
       });
     }
 
+    if (this.inputInteractionLog) {
+      this.inputInteractionLog.addEventListener('change', () => {
+        this.markDirty();
+      });
+    }
+
+    if (this.inputInteractionLogSize) {
+      this.inputInteractionLogSize.addEventListener('input', () => {
+        this.markDirty();
+      });
+    }
+
+    if (this.inputCacheEnabled) {
+      this.inputCacheEnabled.addEventListener('change', () => {
+        this.markDirty();
+      });
+    }
+
+    if (this.inputCacheSize) {
+      this.inputCacheSize.addEventListener('input', () => {
+        this.markDirty();
+      });
+    }
+
+    if (this.clearCacheButton) {
+      this.clearCacheButton.addEventListener('click', async () => {
+        await this.clearCache();
+      });
+    }
+
+    for (const input of [this.inputMockEnabled, this.inputMockRecord]) {
+      if (input) {
+        input.addEventListener('change', () => {
+          this.markDirty();
+        });
+      }
+    }
+
+    if (this.exportFixturesButton) {
+      this.exportFixturesButton.addEventListener('click', async () => {
+        await this.exportFixtures();
+      });
+    }
+
+    if (this.clearFixturesButton) {
+      this.clearFixturesButton.addEventListener('click', async () => {
+        await this.clearFixtures();
+      });
+    }
+
     if (this.saveButton) {
       this.saveButton.addEventListener('click', async () => {
         await this.save();
@@ -52,35 +128,182 @@ class MiscSettingsTabController {
 
   async loadSettings() {
     try {
-      const result = await chrome.storage.local.get('loggingEnabled');
+      const result = await chrome.storage.local.get(['loggingEnabled', 'interaction_log', 'response_cache', 'mock_provider']);
       this.originalSettings = {
-        loggingEnabled: result.loggingEnabled ?? false
+        loggingEnabled: result.loggingEnabled ?? false,
+        interaction_log: {
+          enabled: result.interaction_log?.enabled ?? false,
+          maxEntries: result.interaction_log?.maxEntries ?? DEFAULT_LOG_MAX_ENTRIES,
+        },
+        response_cache: {
+          enabled: result.response_cache?.enabled ?? false,
+          maxSizeMB: result.response_cache?.maxSizeMB ?? DEFAULT_CACHE_SIZE_MB,
+        },
+        mock_provider: {
+          enabled: result.mock_provider?.enabled ?? false,
+          record: result.mock_provider?.record ?? false,
+        },
       };
 
-      if (this.inputLogging) {
-        this.inputLogging.checked = this.originalSettings.loggingEnabled;
-      }
+      this.applySettingsToUI(this.originalSettings);
 
       this.isDirty = false;
       this.setStatus('', '');
+
+      await this.loadCacheStats();
     } catch (error) {
       console.error('[Options] Failed to load misc settings:', error);
       this.setStatus('Failed to load settings.', 'error');
     }
   }
 
+  applySettingsToUI(settings) {
+    if (this.inputLogging) {
+      this.inputLogging.checked = settings.loggingEnabled;
+    }
+    if (this.inputInteractionLog) {
+      this.inputInteractionLog.checked = settings.interaction_log.enabled;
+    }
+    if (this.inputInteractionLogSize) {
+      this.inputInteractionLogSize.value = String(settings.interaction_log.maxEntries);
+    }
+    if (this.inputCacheEnabled) {
+      this.inputCacheEnabled.checked = settings.response_cache.enabled;
+    }
+    if (this.inputCacheSize) {
+      this.inputCacheSize.value = String(settings.response_cache.maxSizeMB);
+    }
+    if (this.inputMockEnabled) {
+      this.inputMockEnabled.checked = settings.mock_provider.enabled;
+    }
+    if (this.inputMockRecord) {
+      this.inputMockRecord.checked = settings.mock_provider.record;
+    }
+  }
+
+  async loadCacheStats() {
+    if (!this.cacheStatsElement) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'cache.get_stats' });
+      if (!response || !response.ok) {
+        this.cacheStatsElement.textContent = '';
+        return;
+      }
+
+      const { count, bytes } = response.data;
+      this.cacheStatsElement.textContent = `Currently ${count} response(s), about ${(bytes / (1024 * 1024)).toFixed(1)} MB.`;
+    } catch (error) {
+      console.error('[Options] Failed to load cache stats:', error);
+      this.cacheStatsElement.textContent = '';
+    }
+  }
+
+  async clearCache() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'cache.clear' });
+
+      if (!response || !response.ok) {
+        console.error('[Options] Failed to clear response cache:', response?.error);
+        this.setStatus('Failed to clear the response cache.', 'error');
+        return;
+      }
+
+      this.setStatus('Response cache cleared.', 'success');
+      await this.loadCacheStats();
+    } catch (error) {
+      console.error('[Options] Failed to clear response cache:', error);
+      this.setStatus('Failed to clear the response cache.', 'error');
+    }
+  }
+
+  async exportFixtures() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'mock.export_fixtures' });
+
+      if (!response || !response.ok) {
+        console.error('[Options] Failed to export recordings:', response?.error);
+        this.setStatus('Failed to export recordings.', 'error');
+        return;
+      }
+
+      if (response.data.length === 0) {
+        this.setStatus('There are no recordings to export.', 'info');
+        return;
+      }
+
+      const blob = new Blob([JSON.stringify(response.data, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'mock-fixtures.json';
+      link.click();
+      URL.revokeObjectURL(url);
+
+      this.setStatus(`Exported ${response.data.length} recording(s).`, 'success');
+    } catch (error) {
+      console.error('[Options] Failed to export recordings:', error);
+      this.setStatus('Failed to export recordings.', 'error');
+    }
+  }
+
+  async clearFixtures() {
+    if (!confirm('Delete all recorded responses?')) {
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'mock.clear_fixtures' });
+
+      if (!response || !response.ok) {
+        console.error('[Options] Failed to clear recordings:', response?.error);
+        this.setStatus('Failed to clear recordings.', 'error');
+        return;
+      }
+
+      this.setStatus('Recordings cleared.', 'success');
+    } catch (error) {
+      console.error('[Options] Failed to clear recordings:', error);
+      this.setStatus('Failed to clear recordings.', 'error');
+    }
+  }
+
   markDirty() {
     this.isDirty = true;
   }
 
   async save() {
+    const maxSizeMB = Number(this.inputCacheSize?.value);
+    if (!Number.isInteger(maxSizeMB) || maxSizeMB <= 0) {
+      this.setStatus('Cache size must be a positive whole number.', 'error');
+      return;
+    }
+
+    const maxEntries = Number(this.inputInteractionLogSize?.value);
+    if (!Number.isInteger(maxEntries) || maxEntries <= 0) {
+      this.setStatus('The number of logged requests must be a positive whole number.', 'error');
+      return;
+    }
+
     const updated = {
-      loggingEnabled: this.inputLogging ? this.inputLogging.checked : false
+      loggingEnabled: this.inputLogging ? this.inputLogging.checked : false,
+      interaction_log: {
+        enabled: this.inputInteractionLog ? this.inputInteractionLog.checked : false,
+        maxEntries,
+      },
+      response_cache: {
+        enabled: this.inputCacheEnabled ? this.inputCacheEnabled.checked : false,
+        maxSizeMB,
+      },
+      mock_provider: {
+        enabled: this.inputMockEnabled ? this.inputMockEnabled.checked : false,
+        record: this.inputMockRecord ? this.inputMockRecord.checked : false,
+      },
     };
 
     try {
       await chrome.storage.local.set(updated);
-      this.originalSettings = { ...updated };
+      this.originalSettings = structuredClone(updated);
       this.isDirty = false;
       this.setStatus('Settings saved.', 'success');
     } catch (error) {
@@ -91,9 +314,7 @@ class MiscSettingsTabController {
   }
 
   reset() {
-    if (this.inputLogging) {
-      this.inputLogging.checked = this.originalSettings.loggingEnabled;
-    }
+    this.applySettingsToUI(this.originalSettings);
 
     this.isDirty = false;
     this.setStatus('Changes discarded.', 'info');
@@ -10,13 +10,25 @@ const PAIR_SETTINGS_MAP = {
 
 // Stage metadata
 const STAGES = {
-  glossaryGenerate: { index: 1, providerSelectId: 'provider-glossary-generate', modelSelectId: 'model-glossary-generate' },
-  glossaryUpdate: { index: 2, providerSelectId: 'provider-glossary-update', modelSelectId: 'model-glossary-update' },
-  textChunking: { index: 3, providerSelectId: 'provider-text-chunking', modelSelectId: 'model-text-chunking' },
-  translation: { index: 4, providerSelectId: 'provider-translation', modelSelectId: 'model-translation' },
-  postEdit: { index: 5, providerSelectId: 'provider-postedit', modelSelectId: 'model-postedit' },
+  glossaryGenerate: { index: 1, label: 'Glossary generation', providerSelectId: 'provider-glossary-generate', modelSelectId: 'model-glossary-generate', fallbackContainerId: 'fallback-glossary-generate' },
+  glossaryUpdate: { index: 2, label: 'Glossary update', providerSelectId: 'provider-glossary-update', modelSelectId: 'model-glossary-update', fallbackContainerId: 'fallback-glossary-update' },
+  textChunking: { index: 3, label: 'Text segmentation', providerSelectId: 'provider-text-chunking', modelSelectId: 'model-text-chunking', fallbackContainerId: 'fallback-text-chunking' },
+  translation: { index: 4, label: 'Translation', providerSelectId: 'provider-translation', modelSelectId: 'model-translation', fallbackContainerId: 'fallback-translation' },
+  postEdit: { index: 5, label: 'Post-edit', providerSelectId: 'provider-postedit', modelSelectId: 'model-postedit', fallbackContainerId: 'fallback-postedit' },
 };
 
+// Parameter profile fields, in column order; see param-profiles.js in the background worker
+const PROFILE_FIELDS = [
+  { key: 'temperature', isValid: value => value >= 0 && value <= 2, step: '0.05' },
+  { key: 'top_p', isValid: value => value > 0 && value <= 1, step: '0.05' },
+  { key: 'max_tokens', isValid: value => Number.isInteger(value) && value > 0, step: '1' },
+  { key: 'reasoning', options: ['minimal', 'low', 'medium', 'high'] },
+  { key: 'providers', placeholder: 'e.g. DeepInfra, Google' },
+];
+
+// Stages whose output is parsed as JSON
+const JSON_STAGES = ['glossaryGenerate', 'glossaryUpdate', 'textChunking'];
+
 const SUPPORTED_LANGS = Object.entries(LANGS).map(([code, label]) => ({
   code,
   label,
@@ -38,6 +50,15 @@ function getDefaultConfig() {
       postEdit: null,
     },
 
+    // Models tried in order when a stage's model fails, per stage
+    llmFallbacks: {
+      glossaryGenerate: [],
+      glossaryUpdate: [],
+      textChunking: [],
+      translation: [],
+      postEdit: [],
+    },
+
     updateGlossary: true,
     glossaryChunkSize: 3000,
 
@@ -50,6 +71,7 @@ function getDefaultConfig() {
     translation: {
       // Pair-specific options will go here
       contextLines: 5,
+      stream: false,          // show partial translations while they are generated
     },
 
     postEdit: false,
@@ -62,6 +84,94 @@ function getDefaultConfig() {
   };
 }
 
+/**
+ * Formats the price of a model for its dropdown entry, e.g. " ($0.28 / $0.42 per 1M)".
+ */
+function formatPrice(pricing) {
+  if (!pricing) return '';
+
+  const format = price => `$${Number(price.toFixed(2))}`;
+  return ` (${format(pricing.input)} / ${format(pricing.output)} per 1M)`;
+}
+
+// Parameter profiles if nothing is stored yet: { defaults, models: { [llmId]: params }, stages: { [stageKey]: params } }
+function getDefaultParamProfiles() {
+  return { defaults: {}, models: {}, stages: {} };
+}
+
+/**
+ * Creates the inputs for one row of parameters. Empty means "inherit".
+ */
+function createProfileCells(params, onInput) {
+  return PROFILE_FIELDS.map((field) => {
+    const cell = document.createElement('td');
+    let input;
+
+    if (field.options) {
+      input = document.createElement('select');
+      ['', ...field.options].forEach((value) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = value || 'Inherit';
+        input.appendChild(option);
+      });
+      input.value = params?.[field.key] ?? '';
+      input.addEventListener('change', onInput);
+    } else if (field.key === 'providers') {
+      input = document.createElement('input');
+      input.type = 'text';
+      input.placeholder = field.placeholder;
+      input.value = params?.providers?.join(', ') ?? '';
+      input.addEventListener('input', onInput);
+    } else {
+      input = document.createElement('input');
+      input.type = 'number';
+      input.step = field.step;
+      input.placeholder = 'Inherit';
+      input.value = params?.[field.key] != null ? String(params[field.key]) : '';
+      input.addEventListener('input', onInput);
+    }
+
+    input.dataset.field = field.key;
+    cell.appendChild(input);
+    return cell;
+  });
+}
+
+/**
+ * Reads a row's inputs into a parameters object, leaving out empty fields.
+ * Inputs with invalid values are flagged with aria-invalid and left out.
+ */
+function readProfileCells(row) {
+  const params = {};
+
+  for (const field of PROFILE_FIELDS) {
+    const input = row.querySelector(`[data-field="${field.key}"]`);
+    const raw = input.value.trim();
+    input.removeAttribute('aria-invalid');
+
+    if (!raw) continue;
+
+    if (field.options) {
+      params[field.key] = raw;
+    } else if (field.key === 'providers') {
+      const providers = raw.split(',').map(name => name.trim()).filter(Boolean);
+      if (providers.length > 0) {
+        params.providers = providers;
+      }
+    } else {
+      const value = Number(raw);
+      if (Number.isFinite(value) && field.isValid(value)) {
+        params[field.key] = value;
+      } else {
+        input.setAttribute('aria-invalid', 'true');
+      }
+    }
+  }
+
+  return params;
+}
+
 export class ModelsTabController {
   constructor() {
     this.tabId = 'models';
@@ -70,6 +180,9 @@ export class ModelsTabController {
     this.statusElement = null;
     this.saveButton = null;
     this.cancelButton = null;
+    this.testButton = null;
+    this.testResultsList = null;
+    this.warningsList = null;
 
     this.modeSimpleRadio = null;
     this.modeAdvancedRadio = null;
@@ -94,11 +207,17 @@ export class ModelsTabController {
     this.sourceLangSelect = null;
     this.targetLangSelect = null;
     this.contextLinesSelect = null;
+    this.streamTranslationCheckbox = null;
     this.translationPairSettingsContainer = null;
     this.currentPairModule = null;
 
     this.stageProviderSelects = {};
     this.stageModelSelects = {};
+    this.stageFallbackContainers = {};
+
+    this.paramProfilesBody = null;
+    this.paramProfiles = getDefaultParamProfiles();
+    this.originalParamProfiles = getDefaultParamProfiles();
 
     this.models = [];          // full model list from backend
     this.config = getDefaultConfig();
@@ -125,6 +244,9 @@ export class ModelsTabController {
     this.statusElement = document.getElementById('models-status');
     this.saveButton = document.getElementById('models-save');
     this.cancelButton = document.getElementById('models-cancel');
+    this.testButton = document.getElementById('models-test');
+    this.testResultsList = document.getElementById('models-test-results');
+    this.warningsList = document.getElementById('models-warnings');
 
     this.modeSimpleRadio = document.getElementById('mode-simple');
     this.modeAdvancedRadio = document.getElementById('mode-advanced');
@@ -149,7 +271,9 @@ export class ModelsTabController {
     this.sourceLangSelect = document.getElementById('source-lang');
     this.targetLangSelect = document.getElementById('target-lang');
     this.contextLinesSelect = document.getElementById('context-lines');
+    this.streamTranslationCheckbox = document.getElementById('stream-translation');
     this.translationPairSettingsContainer = document.getElementById('translation-pair-settings');
+    this.paramProfilesBody = document.getElementById('param-profiles-body');
 
     // Map stage -> selects
     for (const [stageKey, meta] of Object.entries(STAGES)) {
@@ -157,6 +281,7 @@ export class ModelsTabController {
       const modelSelect = document.getElementById(meta.modelSelectId);
       this.stageProviderSelects[stageKey] = providerSelect;
       this.stageModelSelects[stageKey] = modelSelect;
+      this.stageFallbackContainers[stageKey] = document.getElementById(meta.fallbackContainerId);
     }
   }
 
@@ -206,6 +331,7 @@ export class ModelsTabController {
       const enabled = this.glossaryEnabledCheckbox.checked;
       this.config.updateGlossary = enabled;
       this.glossaryModelsContainer.style.display = enabled ? '' : 'none';
+      this.renderModelWarnings();
       this.markDirty();
     });
 
@@ -214,6 +340,7 @@ export class ModelsTabController {
       const method = this.segmentationMethodSelect.value;
       this.config.textSegmentation.method = method;
       this.updateSegmentationUI();
+      this.renderModelWarnings();
       this.markDirty();
     });
 
@@ -233,6 +360,7 @@ export class ModelsTabController {
       const enabled = this.postEditEnabledCheckbox.checked;
       this.config.postEdit = enabled;
       this.postEditModelsContainer.style.display = enabled ? '' : 'none';
+      this.renderModelWarnings();
       this.markDirty();
     });
 
@@ -269,11 +397,20 @@ export class ModelsTabController {
       this.markDirty();
     });
 
+    this.streamTranslationCheckbox.addEventListener('change', () => {
+      this.config.translation.stream = this.streamTranslationCheckbox.checked;
+      this.markDirty();
+    });
+
     // Save / Cancel
     this.saveButton.addEventListener('click', async () => {
       await this.save();
     });
 
+    this.testButton.addEventListener('click', async () => {
+      await this.testModels();
+    });
+
     this.cancelButton.addEventListener('click', async () => {
       await this.reset();
     });
@@ -296,15 +433,19 @@ export class ModelsTabController {
 
   async loadConfig() {
     try {
-      const result = await chrome.storage.local.get('translation_config');
+      const result = await chrome.storage.local.get(['translation_config', 'param_profiles']);
       const stored = result['translation_config'];
 
+      this.paramProfiles = { ...getDefaultParamProfiles(), ...(result['param_profiles'] || {}) };
+      this.originalParamProfiles = deepClone(this.paramProfiles);
+
       if (stored && typeof stored === 'object') {
         // Merge into defaults to ensure all keys exist
         const merged = { ...getDefaultConfig(), ...stored };
 
         // Deep merge nested objects we care about
         merged.llm = { ...getDefaultConfig().llm, ...(stored.llm || {}) };
+        merged.llmFallbacks = { ...getDefaultConfig().llmFallbacks, ...(stored.llmFallbacks || {}) };
         merged.textSegmentation = {
           ...getDefaultConfig().textSegmentation,
           ...(stored.textSegmentation || {}),
@@ -360,6 +501,7 @@ export class ModelsTabController {
 
     // Translation common
     this.contextLinesSelect.value = String(this.config.translation.contextLines || 5);
+    this.streamTranslationCheckbox.checked = !!this.config.translation.stream;
 
     // Pair-specific UI (stub)
     this.renderPairSpecificSettings();
@@ -461,7 +603,10 @@ export class ModelsTabController {
   rebuildAllModelSelectors() {
     for (const stageKey of Object.keys(STAGES)) {
       this.populateStageSelectors(stageKey);
+      this.renderFallbackChain(stageKey);
     }
+    this.renderParamProfiles();
+    this.renderModelWarnings();
   }
 
   populateStageSelectors(stageKey) {
@@ -538,7 +683,7 @@ export class ModelsTabController {
       const opt = document.createElement('option');
       opt.value = model.id;
       const prefix = model.source === 'recommended' ? '★ ' : '';
-      opt.textContent = `${prefix}${model.label}`;
+      opt.textContent = `${prefix}${model.label}${formatPrice(model.pricing)}`;
       if (model.id === selectedModelId) {
         opt.selected = true;
       }
@@ -562,6 +707,9 @@ export class ModelsTabController {
     const provider = providerSelect.value;
     const currentModelId = this.config.llm[stageKey] || null;
     this.populateModelOptions(stageKey, provider, currentModelId);
+    this.renderFallbackChain(stageKey);
+    this.renderParamProfiles();
+    this.renderModelWarnings();
     this.markDirty();
   }
 
@@ -571,9 +719,216 @@ export class ModelsTabController {
 
     const modelId = modelSelect.value || null;
     this.config.llm[stageKey] = modelId;
+    this.renderFallbackChain(stageKey);
+    this.renderParamProfiles();
+    this.renderModelWarnings();
+    this.markDirty();
+  }
+
+  /**
+   * Renders the ordered fallback models of a stage, with controls to
+   * reorder and remove them, and a select to append another model.
+   */
+  renderFallbackChain(stageKey) {
+    const container = this.stageFallbackContainers[stageKey];
+    if (!container) return;
+
+    const chain = this.config.llmFallbacks[stageKey];
+    container.innerHTML = '';
+
+    const title = document.createElement('p');
+    title.textContent = 'Fallback models, tried in order if the model above fails:';
+    container.appendChild(title);
+
+    if (chain.length > 0) {
+      const list = document.createElement('ol');
+
+      chain.forEach((modelId, index) => {
+        const item = document.createElement('li');
+
+        const label = document.createElement('span');
+        label.textContent = this.getModelDisplayName(modelId);
+        item.appendChild(label);
+
+        item.appendChild(this.createFallbackButton('Up', index === 0, () => {
+          this.moveFallback(stageKey, index, index - 1);
+        }));
+        item.appendChild(this.createFallbackButton('Down', index === chain.length - 1, () => {
+          this.moveFallback(stageKey, index, index + 1);
+        }));
+        item.appendChild(this.createFallbackButton('Remove', false, () => {
+          chain.splice(index, 1);
+          this.renderFallbackChain(stageKey);
+          this.renderParamProfiles();
+          this.markDirty();
+        }));
+
+        list.appendChild(item);
+      });
+
+      container.appendChild(list);
+    }
+
+    // Models not already used by this stage
+    const candidates = this.getModelsForStage(stageKey).filter(
+      (m) => m.id !== this.config.llm[stageKey] && !chain.includes(m.id),
+    );
+
+    const addSelect = document.createElement('select');
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = candidates.length > 0 ? 'Add fallback model…' : 'No other models available';
+    addSelect.appendChild(placeholder);
+
+    candidates.forEach((model) => {
+      const opt = document.createElement('option');
+      opt.value = model.id;
+      opt.textContent = `${this.getModelDisplayName(model.id)}${formatPrice(model.pricing)}`;
+      addSelect.appendChild(opt);
+    });
+
+    addSelect.disabled = candidates.length === 0;
+    addSelect.addEventListener('change', () => {
+      if (!addSelect.value) return;
+      chain.push(addSelect.value);
+      this.renderFallbackChain(stageKey);
+      this.renderParamProfiles();
+      this.markDirty();
+    });
+
+    container.appendChild(addSelect);
+  }
+
+  createFallbackButton(label, disabled, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  moveFallback(stageKey, from, to) {
+    const chain = this.config.llmFallbacks[stageKey];
+    const [modelId] = chain.splice(from, 1);
+    chain.splice(to, 0, modelId);
+    this.renderFallbackChain(stageKey);
     this.markDirty();
   }
 
+  /**
+   * Renders a row of parameters for the defaults, each stage, and each model in use
+   * (selected or fallback), plus models that already have a profile.
+   */
+  renderParamProfiles() {
+    if (!this.paramProfilesBody) return;
+
+    this.paramProfilesBody.innerHTML = '';
+
+    this.addParamProfileRow('Defaults', this.paramProfiles.defaults, (params) => {
+      this.paramProfiles.defaults = params;
+    });
+
+    for (const [stageKey, meta] of Object.entries(STAGES)) {
+      this.addParamProfileRow(`Stage: ${meta.label}`, this.paramProfiles.stages[stageKey], (params) => {
+        this.setParamProfile('stages', stageKey, params);
+      });
+    }
+
+    const modelIds = new Set([
+      ...Object.values(this.config.llm),
+      ...Object.values(this.config.llmFallbacks).flat(),
+      ...Object.keys(this.paramProfiles.models),
+    ].filter(Boolean));
+
+    for (const modelId of modelIds) {
+      this.addParamProfileRow(`Model: ${this.getModelDisplayName(modelId)}`, this.paramProfiles.models[modelId], (params) => {
+        this.setParamProfile('models', modelId, params);
+      });
+    }
+  }
+
+  addParamProfileRow(label, params, onChange) {
+    const row = document.createElement('tr');
+
+    const nameCell = document.createElement('td');
+    nameCell.textContent = label;
+    row.appendChild(nameCell);
+
+    createProfileCells(params, () => {
+      onChange(readProfileCells(row));
+      this.renderModelWarnings();
+      this.markDirty();
+    }).forEach(cell => row.appendChild(cell));
+
+    this.paramProfilesBody.appendChild(row);
+  }
+
+  setParamProfile(section, key, params) {
+    if (Object.keys(params).length > 0) {
+      this.paramProfiles[section][key] = params;
+    } else {
+      delete this.paramProfiles[section][key];
+    }
+  }
+
+  /**
+   * Lists settings the selected models can't honour, as far as the
+   * fetched model metadata tells (models without it are not checked).
+   */
+  renderModelWarnings() {
+    if (!this.warningsList) return;
+
+    const warnings = [];
+
+    for (const [stageKey, meta] of Object.entries(STAGES)) {
+      const modelId = this.config.llm[stageKey];
+      const supported = this.models.find((m) => m.id === modelId)?.supportedParameters;
+      if (!this.isStageEnabled(stageKey) || !modelId || !Array.isArray(supported)) continue;
+
+      const name = this.getModelDisplayName(modelId);
+      const reasoning = this.paramProfiles.stages[stageKey]?.reasoning
+        ?? this.paramProfiles.models[modelId]?.reasoning
+        ?? this.paramProfiles.defaults.reasoning;
+
+      if (reasoning && !supported.includes('reasoning')) {
+        warnings.push(`${meta.label} – ${name} does not support reasoning; the reasoning setting is ignored.`);
+      }
+
+      if (JSON_STAGES.includes(stageKey) && !supported.includes('structured_outputs') && !supported.includes('response_format')) {
+        warnings.push(`${meta.label} – ${name} has no JSON output mode; its answers are read from plain text, which fails more often.`);
+      }
+    }
+
+    this.warningsList.innerHTML = '';
+    for (const warning of warnings) {
+      const item = document.createElement('li');
+      item.dataset.status = 'warning';
+      item.textContent = warning;
+      this.warningsList.appendChild(item);
+    }
+    this.warningsList.hidden = warnings.length === 0;
+  }
+
+  isStageEnabled(stageKey) {
+    switch (stageKey) {
+      case 'glossaryGenerate':
+      case 'glossaryUpdate':
+        return !!this.config.updateGlossary;
+      case 'textChunking':
+        return this.config.textSegmentation.method === 'chunk';
+      case 'postEdit':
+        return !!this.config.postEdit;
+      default:
+        return true;
+    }
+  }
+
+  getModelDisplayName(modelId) {
+    const model = this.models.find((m) => m.id === modelId);
+    return model ? `${model.provider}: ${model.label}` : modelId;
+  }
+
   onLanguagePairChanged() {
     // In the future, this might request pair-specific defaults from the background worker.
     this.renderPairSpecificSettings();
@@ -660,6 +1015,7 @@ export class ModelsTabController {
     config.sourceLang = this.sourceLangSelect.value;
     config.targetLang = this.targetLangSelect.value;
     config.translation.contextLines = parseInt(this.contextLinesSelect.value, 10);
+    config.translation.stream = this.streamTranslationCheckbox.checked;
 
     // Merge pair-specific settings if a module is loaded
     if (this.currentPairModule && typeof this.currentPairModule.getConfig === 'function') {
@@ -676,6 +1032,14 @@ export class ModelsTabController {
       config.llm.postEdit = null;
     }
 
+    // Fallback chains, only for stages in use; the stage's own model is never its fallback
+    for (const stageKey of Object.keys(STAGES)) {
+      const primary = config.llm[stageKey];
+      config.llmFallbacks[stageKey] = primary
+                                      ? this.config.llmFallbacks[stageKey].filter((id) => id !== primary)
+                                      : [];
+    }
+
     return config;
   }
 
@@ -714,6 +1078,61 @@ export class ModelsTabController {
     return true;
   }
 
+  /**
+   * Sends a tiny request to each selected model (as currently shown, saved or not)
+   * and lists the results.
+   */
+  async testModels() {
+    const { llm } = this.buildConfigFromUI();
+    const stages = Object.fromEntries(Object.entries(llm).filter(([, llmId]) => llmId));
+
+    if (Object.keys(stages).length === 0) {
+      this.setStatus('Select models to test first.', 'error');
+      return;
+    }
+
+    this.testButton.disabled = true;
+    this.setStatus('Testing models…', 'info');
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'connection.test',
+        payload: { stages },
+      });
+
+      if (!response || !response.ok) {
+        throw new Error(response?.error || 'No response');
+      }
+
+      this.renderTestResults(response.data.models);
+
+      const results = Object.values(response.data.models);
+      const failed = results.filter(result => result.status !== 'ok').length;
+      this.setStatus(
+        failed === 0 ? 'All selected models answered.' : `${failed} of ${results.length} checks had problems, see above.`,
+        failed === 0 ? 'success' : 'error'
+      );
+    } catch (error) {
+      console.error('[Options] Failed to test models:', error);
+      this.setStatus('Failed to test the models.', 'error');
+    } finally {
+      this.testButton.disabled = false;
+    }
+  }
+
+  renderTestResults(models) {
+    this.testResultsList.innerHTML = '';
+
+    for (const [stageKey, result] of Object.entries(models)) {
+      const item = document.createElement('li');
+      item.dataset.status = result.status;
+      item.textContent = `${STAGES[stageKey]?.label || stageKey} – ${this.getModelDisplayName(result.llmId)}: ${result.message}`;
+      this.testResultsList.appendChild(item);
+    }
+
+    this.testResultsList.hidden = false;
+  }
+
   async save() {
     const newConfig = this.buildConfigFromUI();
 
@@ -721,10 +1140,16 @@ export class ModelsTabController {
       return;
     }
 
+    if (this.paramProfilesBody.querySelector('[aria-invalid="true"]')) {
+      this.setStatus('Model parameters have invalid values: temperature must be 0–2, top P above 0 and up to 1, max tokens a positive whole number.', 'error');
+      return;
+    }
+
     try {
-      await chrome.storage.local.set({ 'translation_config': newConfig });
+      await chrome.storage.local.set({ 'translation_config': newConfig, 'param_profiles': this.paramProfiles });
       this.config = newConfig;
       this.originalConfig = deepClone(newConfig);
+      this.originalParamProfiles = deepClone(this.paramProfiles);
       this.isDirty = false;
       this.setStatus('Translation settings saved.', 'success');
     } catch (error) {
@@ -736,6 +1161,7 @@ export class ModelsTabController {
 
   async reset() {
     this.config = deepClone(this.originalConfig);
+    this.paramProfiles = deepClone(this.originalParamProfiles);
     this.isDirty = false;
     await this.applyConfigToUI();
     this.rebuildAllModelSelectors();
@@ -0,0 +1,267 @@
+const RATE_LIMIT_PROVIDERS = [
+  { id: 'openrouter', label: 'OpenRouter' },
+  { id: 'openai', label: 'OpenAI' },
+  { id: 'deepseek', label: 'DeepSeek' },
+  { id: 'google', label: 'Google' },
+  { id: 'xai', label: 'xAI' },
+  { id: 'anthropic', label: 'Anthropic' },
+  { id: 'azure', label: 'Azure OpenAI' },
+  { id: 'custom', label: 'Custom / Local' },
+];
+
+// Limit fields, in column order
+const LIMIT_FIELDS = ['concurrency', 'intervalCap', 'interval', 'tokensPerMinute'];
+
+async function getRateLimits() {
+  const result = await chrome.storage.local.get('rate_limits');
+  return {
+    providers: result.rate_limits?.providers ?? {},
+    models: result.rate_limits?.models ?? {},
+  };
+}
+
+/**
+ * Creates the number inputs for one row of limits. Empty means "use the default".
+ */
+function createLimitCells(limits, onInput) {
+  return LIMIT_FIELDS.map((field) => {
+    const cell = document.createElement('td');
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '1';
+    input.step = '1';
+    input.placeholder = 'Default';
+    input.dataset.field = field;
+    input.value = limits?.[field] != null ? String(limits[field]) : '';
+    input.addEventListener('input', onInput);
+    cell.appendChild(input);
+    return cell;
+  });
+}
+
+/**
+ * Reads a row's inputs into a limits object, leaving out empty fields.
+ * Returns null if a value is not a positive integer.
+ */
+function readLimitCells(row) {
+  const limits = {};
+
+  for (const input of row.querySelectorAll('input[data-field]')) {
+    const raw = input.value.trim();
+    if (!raw) continue;
+
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value <= 0) {
+      return null;
+    }
+    limits[input.dataset.field] = value;
+  }
+
+  return limits;
+}
+
+class RateLimitsTabController {
+  constructor() {
+    this.tabId = 'rate-limits';
+    this.root = null;
+    this.providersBody = null;
+    this.modelsBody = null;
+    this.addModelButton = null;
+    this.statusElement = null;
+    this.saveButton = null;
+    this.cancelButton = null;
+
+    this.isInitialized = false;
+    this.isDirty = false;
+    this.originalLimits = { providers: {}, models: {} };
+  }
+
+  async onShow() {
+    if (!this.isInitialized) {
+      this.initDom();
+      this.attachListeners();
+      this.isInitialized = true;
+    }
+    await this.loadLimits();
+  }
+
+  initDom() {
+    this.root = document.getElementById('tab-rate-limits');
+    this.providersBody = document.getElementById('rate-limits-providers');
+    this.modelsBody = document.getElementById('rate-limits-models');
+    this.addModelButton = document.getElementById('rate-limits-add-model');
+    this.statusElement = document.getElementById('rate-limits-status');
+    this.saveButton = document.getElementById('rate-limits-save');
+    this.cancelButton = document.getElementById('rate-limits-cancel');
+  }
+
+  attachListeners() {
+    this.addModelButton.addEventListener('click', () => {
+      this.addModelRow('', '', {});
+      this.markDirty();
+    });
+
+    this.saveButton.addEventListener('click', async () => {
+      await this.save();
+    });
+
+    this.cancelButton.addEventListener('click', () => {
+      this.reset();
+    });
+  }
+
+  async loadLimits() {
+    try {
+      this.originalLimits = await getRateLimits();
+      this.render(this.originalLimits);
+
+      this.isDirty = false;
+      this.setStatus('', '');
+    } catch (error) {
+      console.error('[Options] Failed to load rate limits:', error);
+      this.setStatus('Failed to load rate limits.', 'error');
+    }
+  }
+
+  render(limits) {
+    this.providersBody.innerHTML = '';
+    this.modelsBody.innerHTML = '';
+
+    RATE_LIMIT_PROVIDERS.forEach(({ id, label }) => {
+      const row = document.createElement('tr');
+      row.dataset.provider = id;
+
+      const nameCell = document.createElement('td');
+      nameCell.textContent = label;
+      row.appendChild(nameCell);
+
+      createLimitCells(limits.providers[id], () => this.markDirty())
+        .forEach(cell => row.appendChild(cell));
+
+      this.providersBody.appendChild(row);
+    });
+
+    for (const [modelKey, modelLimits] of Object.entries(limits.models)) {
+      const separator = modelKey.indexOf(':');
+      this.addModelRow(modelKey.slice(0, separator), modelKey.slice(separator + 1), modelLimits);
+    }
+  }
+
+  addModelRow(provider, model, limits) {
+    const row = document.createElement('tr');
+
+    const providerCell = document.createElement('td');
+    const providerSelect = document.createElement('select');
+    providerSelect.className = 'rate-limit-provider';
+    RATE_LIMIT_PROVIDERS.forEach(({ id, label }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = label;
+      providerSelect.appendChild(option);
+    });
+    providerSelect.value = provider || RATE_LIMIT_PROVIDERS[0].id;
+    providerSelect.addEventListener('change', () => this.markDirty());
+    providerCell.appendChild(providerSelect);
+    row.appendChild(providerCell);
+
+    const modelCell = document.createElement('td');
+    const modelInput = document.createElement('input');
+    modelInput.type = 'text';
+    modelInput.className = 'rate-limit-model';
+    modelInput.placeholder = 'e.g. gemini-2.5-pro';
+    modelInput.value = model;
+    modelInput.addEventListener('input', () => this.markDirty());
+    modelCell.appendChild(modelInput);
+    row.appendChild(modelCell);
+
+    createLimitCells(limits, () => this.markDirty())
+      .forEach(cell => row.appendChild(cell));
+
+    const removeCell = document.createElement('td');
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.textContent = 'Remove';
+    removeButton.addEventListener('click', () => {
+      row.remove();
+      this.markDirty();
+    });
+    removeCell.appendChild(removeButton);
+    row.appendChild(removeCell);
+
+    this.modelsBody.appendChild(row);
+  }
+
+  buildLimitsFromUI() {
+    const limits = { providers: {}, models: {} };
+
+    for (const row of this.providersBody.querySelectorAll('tr')) {
+      const providerLimits = readLimitCells(row);
+      if (!providerLimits) {
+        return { error: 'Limits must be positive whole numbers.' };
+      }
+      if (Object.keys(providerLimits).length > 0) {
+        limits.providers[row.dataset.provider] = providerLimits;
+      }
+    }
+
+    for (const row of this.modelsBody.querySelectorAll('tr')) {
+      const provider = row.querySelector('.rate-limit-provider').value;
+      const model = row.querySelector('.rate-limit-model').value.trim();
+      const modelLimits = readLimitCells(row);
+
+      if (!model) {
+        return { error: 'Enter a model name for every model override.' };
+      }
+      if (!modelLimits) {
+        return { error: 'Limits must be positive whole numbers.' };
+      }
+      if (Object.keys(modelLimits).length > 0) {
+        limits.models[`${provider}:${model}`] = modelLimits;
+      }
+    }
+
+    return { limits };
+  }
+
+  markDirty() {
+    this.isDirty = true;
+  }
+
+  async save() {
+    const { limits, error } = this.buildLimitsFromUI();
+
+    if (error) {
+      this.setStatus(error, 'error');
+      return;
+    }
+
+    try {
+      await chrome.storage.local.set({ rate_limits: limits });
+      this.originalLimits = limits;
+      this.isDirty = false;
+      this.setStatus('Rate limits saved. They apply to new requests right away.', 'success');
+    } catch (error) {
+      console.error('[Options] Failed to save rate limits:', error);
+      this.setStatus('Failed to save rate limits.', 'error');
+      throw error;
+    }
+  }
+
+  reset() {
+    this.render(this.originalLimits);
+    this.isDirty = false;
+    this.setStatus('Changes discarded.', 'info');
+  }
+
+  canNavigateAway() {
+    return !this.isDirty;
+  }
+
+  setStatus(message, type) {
+    if (!this.statusElement) return;
+    this.statusElement.textContent = message || '';
+    this.statusElement.dataset.statusType = type || '';
+  }
+}
+
+export const rateLimitsTabController = new RateLimitsTabController();
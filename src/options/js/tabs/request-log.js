@@ -0,0 +1,375 @@
+// Sections of a logged request shown in the detail view: entry field and heading
+const DETAIL_SECTIONS = [
+  ['error', 'Error'],
+  ['systemPrompt', 'System prompt'],
+  ['userMessage', 'User message'],
+  ['reasoning', 'Reasoning'],
+  ['response', 'Response'],
+];
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleString();
+}
+
+function formatLatency(latencyMs) {
+  return latencyMs >= 1000 ? `${(latencyMs / 1000).toFixed(1)} s` : `${latencyMs} ms`;
+}
+
+/**
+ * Describes how a logged request ended, for the Result column.
+ */
+function describeResult(entry) {
+  if (entry.error) {
+    return `Failed (${entry.code || 'unknown'})`;
+  }
+
+  const parts = [entry.cached ? 'Cached' : 'OK'];
+  if (entry.finishReason && entry.finishReason !== 'stop') {
+    parts.push(entry.finishReason);
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Saves data as a JSON file through a temporary download link.
+ */
+function downloadJson(data, filename) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+class RequestLogTabController {
+  constructor() {
+    this.tabId = 'request-log';
+    this.root = null;
+    this.seriesSelect = null;
+    this.runSelect = null;
+    this.pageInput = null;
+    this.rowsElement = null;
+    this.detailElement = null;
+    this.detailTitle = null;
+    this.detailBody = null;
+    this.exportEntryButton = null;
+    this.exportRunButton = null;
+    this.statusElement = null;
+    this.refreshButton = null;
+    this.clearButton = null;
+
+    // Series and runs seen in the log, for the filter dropdowns: runId -> { series, page, timestamp }
+    this.knownSeries = new Set();
+    this.knownRuns = new Map();
+
+    // Full entry shown in the detail view
+    this.selectedEntry = null;
+
+    this.isInitialized = false;
+  }
+
+  async onShow() {
+    if (!this.isInitialized) {
+      this.initDom();
+      this.attachListeners();
+      this.isInitialized = true;
+    }
+    await this.loadEntries();
+  }
+
+  initDom() {
+    this.root = document.getElementById('tab-request-log');
+    this.seriesSelect = document.getElementById('request-log-series');
+    this.runSelect = document.getElementById('request-log-run');
+    this.pageInput = document.getElementById('request-log-page');
+    this.rowsElement = document.getElementById('request-log-rows');
+    this.detailElement = document.getElementById('request-log-detail');
+    this.detailTitle = document.getElementById('request-log-detail-title');
+    this.detailBody = document.getElementById('request-log-detail-body');
+    this.exportEntryButton = document.getElementById('request-log-export-entry');
+    this.exportRunButton = document.getElementById('request-log-export-run');
+    this.statusElement = document.getElementById('request-log-status');
+    this.refreshButton = document.getElementById('request-log-refresh');
+    this.clearButton = document.getElementById('request-log-clear');
+  }
+
+  attachListeners() {
+    this.seriesSelect.addEventListener('change', async () => {
+      // Runs belong to a series, so a run picked before may no longer be listed
+      this.runSelect.value = '';
+      await this.loadEntries();
+    });
+
+    this.runSelect.addEventListener('change', async () => {
+      await this.loadEntries();
+    });
+
+    this.pageInput.addEventListener('change', async () => {
+      await this.loadEntries();
+    });
+
+    this.refreshButton.addEventListener('click', async () => {
+      await this.loadEntries();
+    });
+
+    this.exportEntryButton.addEventListener('click', () => {
+      if (this.selectedEntry) {
+        downloadJson(this.selectedEntry, `request-${this.selectedEntry.id}.json`);
+      }
+    });
+
+    this.exportRunButton.addEventListener('click', async () => {
+      await this.exportRun();
+    });
+
+    this.clearButton.addEventListener('click', async () => {
+      await this.clearLog();
+    });
+  }
+
+  getFilter() {
+    return {
+      series: this.seriesSelect.value,
+      runId: this.runSelect.value,
+      page: this.pageInput.value.trim(),
+    };
+  }
+
+  async loadEntries() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'interaction_log.list',
+        payload: this.getFilter(),
+      });
+
+      if (!response || !response.ok) {
+        console.error('[Options] Failed to load the request log:', response?.error);
+        this.setStatus('Failed to load the request log.', 'error');
+        return;
+      }
+
+      const entries = Array.isArray(response.data) ? response.data : [];
+      this.rememberFilters(entries);
+      this.renderFilters();
+      this.renderRows(entries);
+      this.setStatus('', '');
+    } catch (error) {
+      console.error('[Options] Failed to load the request log:', error);
+      this.setStatus('Failed to load the request log.', 'error');
+    }
+  }
+
+  rememberFilters(entries) {
+    for (const entry of entries) {
+      if (entry.series) {
+        this.knownSeries.add(entry.series);
+      }
+      if (entry.runId && !this.knownRuns.has(entry.runId)) {
+        this.knownRuns.set(entry.runId, { series: entry.series, page: entry.page, timestamp: entry.timestamp });
+      }
+    }
+  }
+
+  renderFilters() {
+    const selectedSeries = this.seriesSelect.value;
+    const selectedRun = this.runSelect.value;
+
+    const seriesOptions = [...this.knownSeries].sort().map(series => [series, series]);
+    this.fillSelect(this.seriesSelect, 'All series', seriesOptions, selectedSeries);
+
+    // Newest runs first; only those of the selected series
+    const runOptions = [...this.knownRuns]
+      .filter(([, run]) => !selectedSeries || run.series === selectedSeries)
+      .sort(([, a], [, b]) => b.timestamp - a.timestamp)
+      .map(([runId, run]) => [runId, `${formatTime(run.timestamp)} – ${run.page || run.series || runId}`]);
+    this.fillSelect(this.runSelect, 'All runs', runOptions, selectedRun);
+  }
+
+  fillSelect(select, allLabel, options, selectedValue) {
+    select.innerHTML = '';
+
+    const allOption = document.createElement('option');
+    allOption.value = '';
+    allOption.textContent = allLabel;
+    select.appendChild(allOption);
+
+    options.forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+
+    select.value = options.some(([value]) => value === selectedValue) ? selectedValue : '';
+  }
+
+  renderRows(entries) {
+    this.rowsElement.innerHTML = '';
+
+    if (entries.length === 0) {
+      const row = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 5;
+      cell.textContent = 'No requests logged.';
+      row.appendChild(cell);
+      this.rowsElement.appendChild(row);
+      return;
+    }
+
+    entries.forEach(entry => this.rowsElement.appendChild(this.createRow(entry)));
+  }
+
+  createRow(entry) {
+    const row = document.createElement('tr');
+    row.dataset.id = String(entry.id);
+    row.title = entry.preview || entry.error || '';
+
+    [
+      formatTime(entry.timestamp),
+      entry.stage || '(unknown)',
+      `${entry.provider} / ${entry.model}`,
+      formatLatency(entry.latencyMs),
+      describeResult(entry),
+    ].forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+
+    if (entry.error) {
+      row.lastChild.className = 'request-log-error';
+    }
+
+    row.addEventListener('click', async () => {
+      this.rowsElement.querySelectorAll('tr.selected').forEach(selected => selected.classList.remove('selected'));
+      row.classList.add('selected');
+      await this.showEntry(entry.id);
+    });
+
+    return row;
+  }
+
+  async showEntry(id) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'interaction_log.get', payload: { id } });
+
+      if (!response || !response.ok) {
+        console.error('[Options] Failed to load the request:', response?.error);
+        this.setStatus('Failed to load the request.', 'error');
+        return;
+      }
+
+      const [entry] = response.data;
+      if (!entry) {
+        this.setStatus('This request is no longer in the log.', 'info');
+        return;
+      }
+
+      this.selectedEntry = entry;
+      this.renderDetail(entry);
+    } catch (error) {
+      console.error('[Options] Failed to load the request:', error);
+      this.setStatus('Failed to load the request.', 'error');
+    }
+  }
+
+  renderDetail(entry) {
+    this.detailTitle.textContent = `${entry.stage || 'Request'} – ${formatTime(entry.timestamp)}`;
+    this.detailBody.innerHTML = '';
+
+    const facts = [
+      ['Model', `${entry.provider} / ${entry.model} (${entry.llmId})`],
+      ['Series', entry.series || '(unknown)'],
+      ['Page', entry.page || '(unknown)'],
+      ['Latency', formatLatency(entry.latencyMs)],
+      ['Result', describeResult(entry)],
+    ];
+    if (entry.usage) {
+      facts.push(['Tokens', `${entry.usage.inputTokens} in, ${entry.usage.outputTokens} out`]);
+    }
+
+    const list = document.createElement('p');
+    list.className = 'setting-desc';
+    facts.forEach(([label, value]) => {
+      const line = document.createElement('div');
+      line.textContent = `${label}: ${value}`;
+      list.appendChild(line);
+    });
+    this.detailBody.appendChild(list);
+
+    DETAIL_SECTIONS.forEach(([field, heading]) => {
+      if (!entry[field]) return;
+
+      const headingElement = document.createElement('h4');
+      headingElement.textContent = heading;
+
+      const content = document.createElement('pre');
+      content.textContent = entry[field];
+
+      this.detailBody.append(headingElement, content);
+    });
+
+    this.exportRunButton.disabled = !entry.runId;
+    this.detailElement.hidden = false;
+  }
+
+  async exportRun() {
+    const runId = this.selectedEntry?.runId;
+    if (!runId) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'interaction_log.get', payload: { runId } });
+
+      if (!response || !response.ok) {
+        console.error('[Options] Failed to export the run:', response?.error);
+        this.setStatus('Failed to export the run.', 'error');
+        return;
+      }
+
+      // Oldest first, in the order the requests were sent
+      downloadJson([...response.data].reverse(), `run-${runId}.json`);
+      this.setStatus(`Exported ${response.data.length} request(s).`, 'success');
+    } catch (error) {
+      console.error('[Options] Failed to export the run:', error);
+      this.setStatus('Failed to export the run.', 'error');
+    }
+  }
+
+  async clearLog() {
+    if (!confirm('Delete all logged requests? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'interaction_log.clear' });
+
+      if (!response || !response.ok) {
+        console.error('[Options] Failed to clear the request log:', response?.error);
+        this.setStatus('Failed to clear the request log.', 'error');
+        return;
+      }
+
+      this.knownSeries.clear();
+      this.knownRuns.clear();
+      this.selectedEntry = null;
+      this.detailElement.hidden = true;
+
+      this.renderFilters();
+      this.renderRows([]);
+      this.setStatus('Request log cleared.', 'success');
+    } catch (error) {
+      console.error('[Options] Failed to clear the request log:', error);
+      this.setStatus('Failed to clear the request log.', 'error');
+    }
+  }
+
+  setStatus(message, type) {
+    if (!this.statusElement) return;
+    this.statusElement.textContent = message || '';
+    this.statusElement.dataset.statusType = type || '';
+  }
+}
+
+export const requestLogTabController = new RequestLogTabController();
@@ -0,0 +1,254 @@
+const SPENDING_CAP_PROVIDERS = [
+  { id: 'openrouter', label: 'OpenRouter' },
+  { id: 'openai', label: 'OpenAI' },
+  { id: 'deepseek', label: 'DeepSeek' },
+  { id: 'google', label: 'Google' },
+  { id: 'xai', label: 'xAI' },
+  { id: 'anthropic', label: 'Anthropic' },
+  { id: 'azure', label: 'Azure OpenAI' },
+  { id: 'custom', label: 'Custom / Local' },
+];
+
+// Row key for the caps across all providers
+const OVERALL = '*';
+
+const CAP_PERIODS = ['daily', 'monthly'];
+
+/**
+ * Formats a date as a local date key, matching how usage is stored.
+ */
+function toDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+async function getSpendingCaps() {
+  const result = await chrome.storage.local.get('spending_caps');
+  return {
+    overall: result.spending_caps?.overall ?? {},
+    providers: result.spending_caps?.providers ?? {},
+  };
+}
+
+/**
+ * Sums this month's usage rows into spent amounts per row key and period.
+ * Returns Map<rowKey, { daily, monthly }>.
+ */
+function sumSpending(rows, todayKey) {
+  const spent = new Map();
+
+  const add = (key, period, cost) => {
+    if (!spent.has(key)) {
+      spent.set(key, { daily: 0, monthly: 0 });
+    }
+    spent.get(key)[period] += cost;
+  };
+
+  rows.forEach(row => {
+    const cost = row.cost ?? 0;
+    const periods = row.date === todayKey ? CAP_PERIODS : ['monthly'];
+    periods.forEach(period => {
+      add(OVERALL, period, cost);
+      add(row.provider, period, cost);
+    });
+  });
+
+  return spent;
+}
+
+function formatCost(cost) {
+  return `$${(cost ?? 0).toFixed(2)}`;
+}
+
+class SpendingCapsTabController {
+  constructor() {
+    this.tabId = 'spending-caps';
+    this.root = null;
+    this.capsBody = null;
+    this.statusElement = null;
+    this.saveButton = null;
+    this.cancelButton = null;
+
+    this.isInitialized = false;
+    this.isDirty = false;
+    this.originalCaps = { overall: {}, providers: {} };
+    this.spent = new Map();
+  }
+
+  async onShow() {
+    if (!this.isInitialized) {
+      this.initDom();
+      this.attachListeners();
+      this.isInitialized = true;
+    }
+    await this.loadCaps();
+  }
+
+  initDom() {
+    this.root = document.getElementById('tab-spending-caps');
+    this.capsBody = document.getElementById('spending-caps-rows');
+    this.statusElement = document.getElementById('spending-caps-status');
+    this.saveButton = document.getElementById('spending-caps-save');
+    this.cancelButton = document.getElementById('spending-caps-cancel');
+  }
+
+  attachListeners() {
+    this.saveButton.addEventListener('click', async () => {
+      await this.save();
+    });
+
+    this.cancelButton.addEventListener('click', () => {
+      this.reset();
+    });
+  }
+
+  async loadCaps() {
+    try {
+      this.originalCaps = await getSpendingCaps();
+      this.spent = await this.loadSpending();
+      this.render(this.originalCaps);
+
+      this.isDirty = false;
+      this.setStatus('', '');
+    } catch (error) {
+      console.error('[Options] Failed to load spending caps:', error);
+      this.setStatus('Failed to load spending caps.', 'error');
+    }
+  }
+
+  /**
+   * Loads this month's spending. A failure only leaves the spent columns empty.
+   */
+  async loadSpending() {
+    const today = new Date();
+    const todayKey = toDateKey(today);
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'usage.get',
+        payload: { from: toDateKey(new Date(today.getFullYear(), today.getMonth(), 1)), to: todayKey },
+      });
+
+      if (!response || !response.ok) {
+        console.error('[Options] Failed to load spending:', response?.error);
+        return new Map();
+      }
+
+      return sumSpending(Array.isArray(response.data) ? response.data : [], todayKey);
+    } catch (error) {
+      console.error('[Options] Failed to load spending:', error);
+      return new Map();
+    }
+  }
+
+  render(caps) {
+    this.capsBody.innerHTML = '';
+
+    const rows = [
+      { key: OVERALL, label: 'All providers', limits: caps.overall },
+      ...SPENDING_CAP_PROVIDERS.map(({ id, label }) => ({ key: id, label, limits: caps.providers[id] })),
+    ];
+
+    rows.forEach(({ key, label, limits }) => {
+      const row = document.createElement('tr');
+      row.dataset.key = key;
+
+      const nameCell = document.createElement('td');
+      nameCell.textContent = label;
+      row.appendChild(nameCell);
+
+      CAP_PERIODS.forEach(period => {
+        const cell = document.createElement('td');
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0.01';
+        input.step = '0.01';
+        input.placeholder = 'No cap';
+        input.dataset.period = period;
+        input.value = limits?.[period] != null ? String(limits[period]) : '';
+        input.addEventListener('input', () => this.markDirty());
+        cell.appendChild(input);
+        row.appendChild(cell);
+      });
+
+      const spent = this.spent.get(key);
+      CAP_PERIODS.forEach(period => {
+        const cell = document.createElement('td');
+        cell.textContent = formatCost(spent?.[period]);
+        row.appendChild(cell);
+      });
+
+      this.capsBody.appendChild(row);
+    });
+  }
+
+  buildCapsFromUI() {
+    const caps = { overall: {}, providers: {} };
+
+    for (const row of this.capsBody.querySelectorAll('tr')) {
+      const limits = {};
+
+      for (const input of row.querySelectorAll('input[data-period]')) {
+        const raw = input.value.trim();
+        if (!raw) continue;
+
+        const value = Number(raw);
+        if (!Number.isFinite(value) || value <= 0) {
+          return { error: 'Caps must be positive amounts.' };
+        }
+        limits[input.dataset.period] = value;
+      }
+
+      if (row.dataset.key === OVERALL) {
+        caps.overall = limits;
+      } else if (Object.keys(limits).length > 0) {
+        caps.providers[row.dataset.key] = limits;
+      }
+    }
+
+    return { caps };
+  }
+
+  markDirty() {
+    this.isDirty = true;
+  }
+
+  async save() {
+    const { caps, error } = this.buildCapsFromUI();
+
+    if (error) {
+      this.setStatus(error, 'error');
+      return;
+    }
+
+    try {
+      await chrome.storage.local.set({ spending_caps: caps });
+      this.originalCaps = caps;
+      this.isDirty = false;
+      this.setStatus('Spending caps saved. They apply to new requests right away.', 'success');
+    } catch (error) {
+      console.error('[Options] Failed to save spending caps:', error);
+      this.setStatus('Failed to save spending caps.', 'error');
+      throw error;
+    }
+  }
+
+  reset() {
+    this.render(this.originalCaps);
+    this.isDirty = false;
+    this.setStatus('Changes discarded.', 'info');
+  }
+
+  canNavigateAway() {
+    return !this.isDirty;
+  }
+
+  setStatus(message, type) {
+    if (!this.statusElement) return;
+    this.statusElement.textContent = message || '';
+    this.statusElement.dataset.statusType = type || '';
+  }
+}
+
+export const spendingCapsTabController = new SpendingCapsTabController();
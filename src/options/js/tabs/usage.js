@@ -0,0 +1,252 @@
+// Breakdown tables: element id suffix, row label, and how a usage row is grouped
+const BREAKDOWNS = [
+  { id: 'series', label: 'Series', getKey: row => row.series || '(unknown)' },
+  { id: 'stage', label: 'Stage', getKey: row => row.stage || '(unknown)' },
+  { id: 'model', label: 'Model', getKey: row => `${row.provider} / ${row.model}` },
+  { id: 'date', label: 'Date', getKey: row => row.date, sortByKey: true },
+];
+
+// Counters summed across usage rows
+const COUNTER_FIELDS = ['requests', 'inputTokens', 'outputTokens', 'reasoningTokens', 'cachedTokens', 'cost', 'unpricedRequests'];
+
+/**
+ * Formats a timestamp as a local date key, matching how usage is stored.
+ */
+function toDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Converts a range option to the { from, to } date keys sent to the background.
+ */
+function getDateRange(rangeId) {
+  const today = new Date();
+
+  switch (rangeId) {
+    case 'today':
+      return { from: toDateKey(today) };
+    case '7d':
+      return { from: toDateKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() - 6)) };
+    case '30d':
+      return { from: toDateKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() - 29)) };
+    case 'month':
+      return { from: toDateKey(new Date(today.getFullYear(), today.getMonth(), 1)) };
+    default:
+      return {};
+  }
+}
+
+function sumRows(rows) {
+  const totals = Object.fromEntries(COUNTER_FIELDS.map(field => [field, 0]));
+  rows.forEach(row => {
+    COUNTER_FIELDS.forEach(field => {
+      totals[field] += row[field] ?? 0;
+    });
+  });
+  return totals;
+}
+
+/**
+ * Groups usage rows by key and sums their counters.
+ * Sorted by cost (then tokens), or by key descending for dates.
+ */
+function groupRows(rows, { getKey, sortByKey }) {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = getKey(row);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(row);
+  });
+
+  const grouped = Array.from(groups, ([key, groupRows]) => ({ key, ...sumRows(groupRows) }));
+
+  if (sortByKey) {
+    return grouped.sort((a, b) => b.key.localeCompare(a.key));
+  }
+  return grouped.sort((a, b) =>
+    (b.cost - a.cost) || ((b.inputTokens + b.outputTokens) - (a.inputTokens + a.outputTokens)));
+}
+
+function formatTokens(count) {
+  return count.toLocaleString();
+}
+
+function formatCost(cost) {
+  // Sub-cent amounts are common for cheap models; show enough digits to tell them apart
+  return `$${cost.toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+}
+
+class UsageTabController {
+  constructor() {
+    this.tabId = 'usage';
+    this.root = null;
+    this.rangeSelect = null;
+    this.totalsElement = null;
+    this.unpricedElement = null;
+    this.statusElement = null;
+    this.refreshButton = null;
+    this.clearButton = null;
+
+    this.isInitialized = false;
+  }
+
+  async onShow() {
+    if (!this.isInitialized) {
+      this.initDom();
+      this.attachListeners();
+      this.isInitialized = true;
+    }
+    await this.loadUsage();
+  }
+
+  initDom() {
+    this.root = document.getElementById('tab-usage');
+    this.rangeSelect = document.getElementById('usage-range');
+    this.totalsElement = document.getElementById('usage-totals');
+    this.unpricedElement = document.getElementById('usage-unpriced');
+    this.statusElement = document.getElementById('usage-status');
+    this.refreshButton = document.getElementById('usage-refresh');
+    this.clearButton = document.getElementById('usage-clear');
+  }
+
+  attachListeners() {
+    this.rangeSelect.addEventListener('change', async () => {
+      await this.loadUsage();
+    });
+
+    this.refreshButton.addEventListener('click', async () => {
+      await this.loadUsage();
+    });
+
+    this.clearButton.addEventListener('click', async () => {
+      await this.clearUsage();
+    });
+  }
+
+  async loadUsage() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'usage.get',
+        payload: getDateRange(this.rangeSelect.value),
+      });
+
+      if (!response || !response.ok) {
+        console.error('[Options] Failed to load usage:', response?.error);
+        this.setStatus('Failed to load usage.', 'error');
+        return;
+      }
+
+      this.render(Array.isArray(response.data) ? response.data : []);
+      this.setStatus('', '');
+    } catch (error) {
+      console.error('[Options] Failed to load usage:', error);
+      this.setStatus('Failed to load usage.', 'error');
+    }
+  }
+
+  async clearUsage() {
+    if (!confirm('Delete all recorded usage? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'usage.clear' });
+
+      if (!response || !response.ok) {
+        console.error('[Options] Failed to clear usage:', response?.error);
+        this.setStatus('Failed to clear usage.', 'error');
+        return;
+      }
+
+      this.render([]);
+      this.setStatus('Usage history cleared.', 'success');
+    } catch (error) {
+      console.error('[Options] Failed to clear usage:', error);
+      this.setStatus('Failed to clear usage.', 'error');
+    }
+  }
+
+  render(rows) {
+    const totals = sumRows(rows);
+    this.renderTotals(totals);
+
+    this.unpricedElement.textContent = totals.unpricedRequests > 0
+      ? `${totals.unpricedRequests} request(s) used models without known pricing and are not included in the cost.`
+      : '';
+
+    BREAKDOWNS.forEach(breakdown => {
+      const body = document.getElementById(`usage-by-${breakdown.id}`);
+      body.innerHTML = '';
+
+      const grouped = groupRows(rows, breakdown);
+
+      if (grouped.length === 0) {
+        const row = document.createElement('tr');
+        const cell = document.createElement('td');
+        cell.colSpan = 5;
+        cell.textContent = 'No usage recorded for this period.';
+        row.appendChild(cell);
+        body.appendChild(row);
+        return;
+      }
+
+      grouped.forEach(group => body.appendChild(this.createBreakdownRow(group)));
+    });
+  }
+
+  renderTotals(totals) {
+    const items = [
+      ['Requests', formatTokens(totals.requests)],
+      ['Input tokens', `${formatTokens(totals.inputTokens)} (${formatTokens(totals.cachedTokens)} cached)`],
+      ['Output tokens', `${formatTokens(totals.outputTokens)} (${formatTokens(totals.reasoningTokens)} reasoning)`],
+      ['Estimated cost', formatCost(totals.cost)],
+    ];
+
+    this.totalsElement.innerHTML = '';
+    items.forEach(([label, value]) => {
+      const item = document.createElement('div');
+      item.className = 'usage-total';
+
+      const labelElement = document.createElement('span');
+      labelElement.className = 'usage-total-label';
+      labelElement.textContent = label;
+
+      const valueElement = document.createElement('span');
+      valueElement.className = 'usage-total-value';
+      valueElement.textContent = value;
+
+      item.append(labelElement, valueElement);
+      this.totalsElement.appendChild(item);
+    });
+  }
+
+  createBreakdownRow(group) {
+    const row = document.createElement('tr');
+
+    [
+      group.key,
+      formatTokens(group.requests),
+      formatTokens(group.inputTokens),
+      formatTokens(group.outputTokens),
+      formatCost(group.cost),
+    ].forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+
+    return row;
+  }
+
+  setStatus(message, type) {
+    if (!this.statusElement) return;
+    this.statusElement.textContent = message || '';
+    this.statusElement.dataset.statusType = type || '';
+  }
+}
+
+export const usageTabController = new UsageTabController();
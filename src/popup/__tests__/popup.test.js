@@ -0,0 +1,67 @@
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import * as extensionApi from '../extensionApi.js';
+import { renderIdleReadyView } from '../views/idleReadyView.js';
+
+// The popup is rendered with stubbed views and extension API; this checks that it
+// loads and wires its handlers, not what the views draw
+
+vi.mock('../extensionApi.js');
+vi.mock('../views/idleReadyView.js');
+
+// Answers of the extension API for an idle, supported page; the rest resolve to undefined
+const API_ANSWERS = {
+  getApiKeys: { openai: 'key' },
+  getConfigFromDisk: { sourceLang: 'ja', targetLang: 'en' },
+  getActiveTab: { id: 1, url: 'https://example.com/1' },
+  querySiteSupported: true,
+  getPipelineLifecycleState: { status: 'IDLE' },
+  getPopupLanguageOverrides: {},
+  getResponseCacheEnabled: false,
+  getSpendingStatus: { paused: false, exceeded: null, waiting: 0 },
+  getQueueStatus: [],
+  checkSelectedModels: [],
+  getResumableCheckpoint: null,
+  getVaultState: 'disabled',
+};
+
+describe('popup', () => {
+  const listeners = {};
+
+  beforeAll(async () => {
+    for (const [name, answer] of Object.entries(API_ANSWERS)) {
+      extensionApi[name]?.mockResolvedValue(answer);
+    }
+
+    globalThis.window = {
+      addEventListener: (type, listener) => {
+        listeners[type] = listener;
+      },
+      close: vi.fn(),
+    };
+    globalThis.document = {
+      getElementById: () => ({ innerHTML: '', textContent: '' }),
+    };
+    chrome.tabs = {
+      query: vi.fn(async () => [{ id: 1, url: 'https://example.com/1' }]),
+      sendMessage: vi.fn(async () => ({ status: 'alive' })),
+    };
+
+    await import('../popup.js');
+  });
+
+  afterAll(() => {
+    delete globalThis.window;
+    delete globalThis.document;
+    delete chrome.tabs;
+  });
+
+  it('renders the idle view of a supported site and wires its handlers', async () => {
+    await listeners.DOMContentLoaded();
+    await vi.waitFor(() => expect(renderIdleReadyView).toHaveBeenCalled());
+
+    const [, context] = renderIdleReadyView.mock.calls[0];
+    await context.onShowGlossary();
+
+    expect(extensionApi.showGlossaryWidget).toHaveBeenCalledWith(1, 'ja', 'en');
+  });
+});
@@ -1,4 +1,5 @@
 import { POPUP_MSG_TYPE } from "../common/messaging.js";
+import { getVaultState, readApiKeys, unlockVault } from "../common/api-key-vault.js";
 
 function storageGet(keyOrKeys) {
   return new Promise((resolve, reject) => {
@@ -10,6 +11,16 @@ function storageGet(keyOrKeys) {
   });
 }
 
+function storageSet(obj) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set(obj, () => {
+      const err = chrome.runtime.lastError;
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+}
+
 // Session-scoped storage for per-tab overrides
 function storageSessionGet(keyOrKeys) {
   return new Promise((resolve, reject) => {
@@ -35,15 +46,90 @@ function storageSessionSet(obj) {
 }
 
 export async function getApiKeys() {
-  const { api_keys } = await storageGet("api_keys");
-  return api_keys || {};
+  try {
+    return await readApiKeys();
+  } catch (err) {
+    if (err?.locked) return {};
+    throw err;
+  }
 }
 
+export { getVaultState, unlockVault };
+
 export async function getConfigFromDisk() {
   const { translation_config } = await storageGet("translation_config");
   return translation_config || null;
 }
 
+export async function getResponseCacheEnabled() {
+  const { response_cache } = await storageGet("response_cache");
+  return response_cache?.enabled === true;
+}
+
+/**
+ * Checks that the models of the stages in the saved config answer.
+ * Passed checks are reused for a few minutes, so repeated runs don't re-check.
+ * Returns the failed stages: [{ stage, llmId, message }]; empty if all passed
+ * or the check itself could not run.
+ */
+export async function checkSelectedModels() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: "connection.test",
+      payload: { useCached: true },
+    });
+    if (!response || !response.ok) {
+      return [];
+    }
+
+    return Object.entries(response.data.models)
+      .filter(([, result]) => result.status === "error")
+      .map(([stage, result]) => ({ stage, llmId: result.llmId, message: result.message }));
+  } catch (err) {
+    console.warn("[popup] connection check failed", err);
+    return [];
+  }
+}
+
+/**
+ * Asks the background whether requests are paused at a spending cap.
+ * Returns: { paused, exceeded: { provider, period, cap, spent } | null, waiting }
+ */
+export async function getSpendingStatus() {
+  const response = await chrome.runtime.sendMessage({ type: "spending.get_status" });
+  if (!response || !response.ok) {
+    return { paused: false, exceeded: null, waiting: 0 };
+  }
+  return response.data;
+}
+
+/**
+ * Answers a spending cap pause: 'continue' past the cap for its day/month, or 'stop'.
+ */
+export async function resolveSpendingPause(action) {
+  await chrome.runtime.sendMessage({ type: "spending.resolve", payload: { action } });
+}
+
+/**
+ * Saves a higher amount for the cap that paused requests.
+ * The background picks up the change and lets the paused requests go on.
+ */
+export async function raiseSpendingCap(exceeded, amount) {
+  const { spending_caps } = await storageGet("spending_caps");
+  const caps = {
+    overall: { ...spending_caps?.overall },
+    providers: { ...spending_caps?.providers },
+  };
+
+  if (exceeded.provider) {
+    caps.providers[exceeded.provider] = { ...caps.providers[exceeded.provider], [exceeded.period]: amount };
+  } else {
+    caps.overall[exceeded.period] = amount;
+  }
+
+  await storageSet({ spending_caps: caps });
+}
+
 export async function getActiveTab() {
   return new Promise((resolve, reject) => {
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
@@ -96,7 +182,7 @@ export async function getPipelineLifecycleState(tabId) {
 
 /**
  * Gets the granular LLM progress metrics.
- * Only call this when lifecycle status is 'RUNNING'.
+ * Only call this while the pipeline runs, or after it finished to list failed requests.
  */
 export async function getLlmProgress(tabId) {
   const response = await sendMessageToTab(tabId, { type: POPUP_MSG_TYPE.get_progress_state });
@@ -106,6 +192,20 @@ export async function getLlmProgress(tabId) {
   return response.data || null;
 }
 
+/**
+ * Asks the background for the requests running and waiting in each rate limit queue.
+ * Returns: [{ queueKey, concurrency, running, waiting: [{ clientId, tabId, stage, series, priority, waitingMs }] }]
+ */
+export async function getQueueStatus() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: "queue.get_status" });
+    return response?.ok ? response.data : [];
+  } catch (err) {
+    console.warn("[popup] queue status failed", err);
+    return [];
+  }
+}
+
 /**
  * Starts the translation pipeline.
  * Expects content script handler for: { type: 'pipeline.start', payload }
@@ -123,6 +223,23 @@ export async function startPipeline(tabId, payload) {
   return response;
 }
 
+/**
+ * Asks the content script whether an interrupted run on this page can be resumed.
+ * Returns: { updatedAt, stages, translatedIntervals, totalIntervals } or null
+ */
+export async function getResumableCheckpoint(tabId, overrides) {
+  try {
+    const response = await sendMessageToTab(tabId, {
+      type: POPUP_MSG_TYPE.pipeline_getCheckpoint,
+      payload: { overrides },
+    });
+    return response?.ok ? response.checkpoint : null;
+  } catch (err) {
+    console.warn("[popup] checkpoint lookup failed", err);
+    return null;
+  }
+}
+
 /**
  * Continues the pipeline after a warning confirmation.
  * Expects content script handler for: { type: 'pipeline.continue' }
@@ -5,13 +5,22 @@ import {
   querySiteSupported,
   getPipelineLifecycleState,
   getLlmProgress,
+  getQueueStatus,
   startPipeline,
   continuePipeline,
+  getResumableCheckpoint,
   openOptionsPage,
   showGlossaryWidget,
   showPreview,
   getPopupLanguageOverrides,
   setPopupLanguageOverrides, cancelPipeline,
+  getResponseCacheEnabled,
+  getSpendingStatus,
+  resolveSpendingPause,
+  raiseSpendingCap,
+  checkSelectedModels,
+  getVaultState,
+  unlockVault,
 } from "./extensionApi.js";
 
 import { UiState, computeUiState } from "./state/uiState.js";
@@ -25,6 +34,12 @@ import {
   showWarningOverlay,
   removeWarningOverlayIfAny,
 } from "./views/warningOverlay.js";
+import {
+  showSpendingCapOverlay,
+  removeSpendingCapOverlayIfAny,
+} from "./views/spendingCapOverlay.js";
+import { showVaultUnlockOverlay } from "./views/vaultUnlockOverlay.js";
+import { showResumeOverlay, removeResumeOverlayIfAny } from "./views/resumeOverlay.js";
 import { POPUP_MSG_TYPE } from "../common/messaging.js";
 
 
@@ -34,9 +49,20 @@ let currentUiState = null;
 let progressTimer = null;
 
 let skipGlossary = false;
+let bypassCache = false;
+let cacheEnabled = false;
 let lastPopupError = null;
 
 let currentConfig = null;
+
+// Stage names for connection check failures
+const STAGE_NAMES = {
+  glossaryGenerate: "Glossary generation",
+  glossaryUpdate: "Glossary update",
+  textChunking: "Text segmentation",
+  translation: "Translation",
+  postEdit: "Post-edit",
+};
 let currentSourceLang = null;
 let currentTargetLang = null;
 
@@ -125,14 +151,19 @@ async function refresh() {
   clearProgressTimer();
   appRoot.innerHTML = `<h1 class="loading-title">Loading…</h1>`;
 
-  const [apiKeys, config] = await Promise.all([
+  const [apiKeys, config, responseCacheEnabled, vaultState] = await Promise.all([
     getApiKeys(),
     getConfigFromDisk(),
+    getResponseCacheEnabled(),
+    getVaultState(),
   ]);
 
+  cacheEnabled = responseCacheEnabled;
+
   currentConfig = config || null;
 
-  const hasApiKeys = apiKeys && Object.keys(apiKeys).length > 0;
+  // Locked keys still count; they are unlocked from the overlay below
+  const hasApiKeys = vaultState === "locked" || (apiKeys && Object.keys(apiKeys).length > 0);
   let siteSupported = false;
   let pipelineState = null;
 
@@ -166,15 +197,31 @@ async function refresh() {
   const uiState = computeUiState({ hasApiKeys, siteSupported, pipelineState });
   currentUiState = uiState;
 
+  // A finished run lists the requests that failed, grouped by cause
+  let progressData = null;
+  if ((uiState === UiState.COMPLETE_SUCCESS || uiState === UiState.COMPLETE_ERROR) && currentTab?.id) {
+    progressData = await getLlmProgress(currentTab.id).catch(() => null);
+  }
+
+  // A running pipeline shows what its requests wait behind
+  let queueStatus = null;
+  if (uiState === UiState.IN_PROGRESS) {
+    queueStatus = await getQueueStatus();
+  }
+
   const renderContext = {
     root: appRoot,
     apiKeys,
     config: currentConfig,
     siteSupported,
     pipelineState,
+    progressData,
+    queueStatus,
     tab: currentTab,
     popupError: lastPopupError,
     skipGlossary,
+    cacheEnabled,
+    bypassCache,
     selectedSourceLang: currentSourceLang,
     selectedTargetLang: currentTargetLang,
     onOpenOptions: handleOpenOptions,
@@ -182,16 +229,30 @@ async function refresh() {
     onShowGlossary: handleShowGlossaryClick,
     onShowPreview: handleShowPreviewClick,
     onToggleSkipGlossary: handleToggleSkipGlossary,
+    onToggleBypassCache: handleToggleBypassCache,
     onSourceLangChange: handleSourceLangChange,
     onTargetLangChange: handleTargetLangChange,
+    onCancel: handleCancelClick,
   };
 
   renderView(uiState, renderContext);
 
+  if (vaultState === "locked") {
+    showVaultUnlockOverlay({
+      onUnlock: async (passphrase) => {
+        await unlockVault(passphrase);
+        await refresh();
+      },
+    });
+  }
+
   if (pipelineState?.status === "warning_pending" && pipelineState.warning) {
     await handleWarningFromContentScript(pipelineState.warning);
   }
 
+  // Requests may be paused at a spending cap, in this tab or another one
+  await syncSpendingPause();
+
   // Only when we need to show in-progress do we start polling LLM progress
   if (uiState === UiState.IN_PROGRESS && currentTab?.id) {
     startProgressTimer(currentTab.id);
@@ -218,12 +279,15 @@ function renderView(uiState, context) {
         config: context.config,
         popupError: context.popupError,
         skipGlossary: context.skipGlossary,
+        cacheEnabled: context.cacheEnabled,
+        bypassCache: context.bypassCache,
         selectedSourceLang: context.selectedSourceLang,
         selectedTargetLang: context.selectedTargetLang,
         onOpenOptions: context.onOpenOptions,
-        onTranslate: () => context.onTranslate(context.tab),
+        onTranslate: (event) => context.onTranslate(context.tab, event?.currentTarget),
         onShowGlossary: () => context.onShowGlossary(context.tab),
         onToggleSkipGlossary: context.onToggleSkipGlossary,
+        onToggleBypassCache: context.onToggleBypassCache,
         onSourceLangChange: context.onSourceLangChange,
         onTargetLangChange: context.onTargetLangChange,
       });
@@ -234,6 +298,8 @@ function renderView(uiState, context) {
         config: context.config,
         popupError: context.popupError,
         skipGlossary: context.skipGlossary,
+        cacheEnabled: context.cacheEnabled,
+        bypassCache: context.bypassCache,
         selectedSourceLang: context.selectedSourceLang,
         selectedTargetLang: context.selectedTargetLang,
         onOpenOptions: context.onOpenOptions,
@@ -241,6 +307,7 @@ function renderView(uiState, context) {
         onShowGlossary: () => context.onShowGlossary(context.tab),
         onShowPreview: () => context.onShowPreview(context.tab),
         onToggleSkipGlossary: context.onToggleSkipGlossary,
+        onToggleBypassCache: context.onToggleBypassCache,
         onSourceLangChange: context.onSourceLangChange,
         onTargetLangChange: context.onTargetLangChange,
       });
@@ -250,6 +317,9 @@ function renderView(uiState, context) {
       renderInProgressView(root, {
         pipelineState,
         progressData,
+        queueStatus: context.queueStatus,
+        tabId: context.tab?.id,
+        onCancel: () => context.onCancel(context.tab),
       });
       break;
 
@@ -257,6 +327,7 @@ function renderView(uiState, context) {
       renderCompleteView(root, {
         kind: "success",
         pipelineState: pipelineState,
+        progressData,
       });
       break;
 
@@ -264,6 +335,7 @@ function renderView(uiState, context) {
       renderCompleteView(root, {
         kind: "error",
         pipelineState: pipelineState,
+        progressData,
       });
       break;
 
@@ -293,6 +365,8 @@ function startProgressTimer(tabId) {
 
       // 2. Now, and only now, ask for granular LLM progress
       const progressData = await getLlmProgress(tabId);
+      const queueStatus = await getQueueStatus();
+      await syncSpendingPause();
 
       // 3. Re-render only the in-progress view with fresh metrics
       renderView(UiState.IN_PROGRESS, {
@@ -302,9 +376,12 @@ function startProgressTimer(tabId) {
         siteSupported: true,
         pipelineState,
         progressData,
+        queueStatus,
         tab: currentTab,
         popupError: lastPopupError,
         skipGlossary,
+        cacheEnabled,
+        bypassCache,
         selectedSourceLang: currentSourceLang,
         selectedTargetLang: currentTargetLang,
         onOpenOptions: handleOpenOptions,
@@ -312,8 +389,10 @@ function startProgressTimer(tabId) {
         onShowGlossary: handleShowGlossaryClick,
         onShowPreview: handleShowPreviewClick,
         onToggleSkipGlossary: handleToggleSkipGlossary,
+        onToggleBypassCache: handleToggleBypassCache,
         onSourceLangChange: handleSourceLangChange,
         onTargetLangChange: handleTargetLangChange,
+        onCancel: handleCancelClick,
       });
     } catch (err) {
       console.error("[popup] progress polling failed", err);
@@ -331,14 +410,12 @@ function clearProgressTimer() {
 
 /**
  * Handles click on "Translate".
+ * Checks the selected models first; if one fails, asks before starting.
  */
-async function handleTranslateClick(tab) {
+async function handleTranslateClick(tab, button) {
   if (!tab?.id) return;
   lastPopupError = null;
 
-  const baseSourceLang = currentConfig?.sourceLang || "ja";
-  const baseTargetLang = currentConfig?.targetLang || "en";
-
   // Use currently selected values (state initialized in refresh)
   const src = currentSourceLang;
   const tgt = currentTargetLang;
@@ -350,23 +427,95 @@ async function handleTranslateClick(tab) {
     return;
   }
 
-  // 2. Construct Payload
-  const payload = {
-    source: "popup",
-    overrides: {
-      skipGlossary: skipGlossary
-    }
+  // 2. Check that the selected models answer
+  if (button) {
+    button.disabled = true;
+    button.textContent = "Checking models…";
+  }
+
+  const failures = await checkSelectedModels();
+
+  if (button) {
+    button.disabled = false;
+    button.textContent = "Translate";
+  }
+
+  if (failures.length > 0) {
+    const details = failures
+      .map(({ stage, llmId, message }) => `${STAGE_NAMES[stage] || stage} (${llmId}): ${message}`)
+      .join("\n");
+
+    showWarningOverlay(appRoot, `Some of the selected models failed a connection check:\n${details}`, {
+      onContinue: async () => {
+        removeWarningOverlayIfAny();
+        await startTranslation(tab, src, tgt);
+      },
+      onCancel: () => removeWarningOverlayIfAny(),
+    });
+    return;
+  }
+
+  await startTranslation(tab, src, tgt);
+}
+
+/**
+ * Builds the config overrides the popup sends to the content script.
+ */
+function buildOverrides(src, tgt) {
+  const baseSourceLang = currentConfig?.sourceLang || "ja";
+  const baseTargetLang = currentConfig?.targetLang || "en";
+
+  const overrides = {
+    skipGlossary: skipGlossary,
+    bypassCache: cacheEnabled && bypassCache,
   };
 
   // Add language overrides ONLY if they differ from disk config
   // Content script `getTranslationConfig` looks for `popupSourceLang` / `popupTargetLang`
   if (src !== baseSourceLang) {
-    payload.overrides.popupSourceLang = src;
+    overrides.popupSourceLang = src;
   }
   if (tgt !== baseTargetLang) {
-    payload.overrides.popupTargetLang = tgt;
+    overrides.popupTargetLang = tgt;
+  }
+
+  return overrides;
+}
+
+/**
+ * Starts the translation, first offering to resume if a run on this page was interrupted.
+ */
+async function startTranslation(tab, src, tgt) {
+  const overrides = buildOverrides(src, tgt);
+  const checkpoint = await getResumableCheckpoint(tab.id, overrides);
+
+  if (!checkpoint) {
+    await sendStartCommand(tab, overrides, { resume: false });
+    return;
   }
 
+  showResumeOverlay(appRoot, checkpoint, {
+    onResume: async () => {
+      removeResumeOverlayIfAny();
+      await sendStartCommand(tab, overrides, { resume: true });
+    },
+    onStartOver: async () => {
+      removeResumeOverlayIfAny();
+      await sendStartCommand(tab, overrides, { resume: false });
+    },
+  });
+}
+
+/**
+ * Sends the start command to the content script with the popup's overrides.
+ */
+async function sendStartCommand(tab, overrides, { resume }) {
+  const payload = {
+    source: "popup",
+    overrides,
+    resume,
+  };
+
   try {
     // 1. Send Start Command
     const result = await startPipeline(tab.id, payload);
@@ -392,6 +541,24 @@ async function handleTranslateClick(tab) {
   }
 }
 
+/**
+ * Handles click on "Cancel" while the pipeline is running.
+ * The content script aborts all in-flight requests and returns to idle.
+ */
+async function handleCancelClick(tab) {
+  if (!tab?.id) return;
+
+  clearProgressTimer();
+
+  try {
+    await cancelPipeline(tab.id);
+  } catch (err) {
+    console.warn("Failed to send cancel signal", err);
+  }
+
+  await refresh();
+}
+
 /**
  * Handles click on "Show Glossary".
  */
@@ -434,6 +601,13 @@ function handleToggleSkipGlossary(checked) {
   skipGlossary = Boolean(checked);
 }
 
+/**
+ * Handles toggle of "Ignore cached responses".
+ */
+function handleToggleBypassCache(checked) {
+  bypassCache = Boolean(checked);
+}
+
 async function handleSourceLangChange(newCode) {
   currentSourceLang = newCode;
   if (currentTab?.id) {
@@ -454,6 +628,55 @@ async function handleTargetLangChange(newCode) {
   }
 }
 
+/**
+ * Shows the spending cap overlay while requests are paused, and removes it once they are not.
+ */
+async function syncSpendingPause() {
+  let status;
+  try {
+    status = await getSpendingStatus();
+  } catch (err) {
+    console.warn("[popup] spending status failed", err);
+    return;
+  }
+
+  if (!status.paused || !status.exceeded) {
+    removeSpendingCapOverlayIfAny();
+    return;
+  }
+
+  showSpendingCapOverlay(status.exceeded, {
+    onContinue: async () => {
+      removeSpendingCapOverlayIfAny();
+      await resolveSpendingPause("continue");
+    },
+    onRaise: async (amount) => {
+      removeSpendingCapOverlayIfAny();
+      try {
+        await raiseSpendingCap(status.exceeded, amount);
+      } catch (err) {
+        console.error("[popup] failed to raise spending cap", err);
+        lastPopupError = "Failed to save the new spending cap.";
+        await refresh();
+      }
+    },
+    onStop: async () => {
+      removeSpendingCapOverlayIfAny();
+
+      // Cancel this tab's run so its queued requests don't pause again; other tabs' paused requests fail
+      if (currentUiState === UiState.IN_PROGRESS && currentTab?.id) {
+        try {
+          await cancelPipeline(currentTab.id);
+        } catch (err) {
+          console.warn("Failed to send cancel signal", err);
+        }
+      }
+      await resolveSpendingPause("stop");
+      await refresh();
+    },
+  });
+}
+
 /**
  * Displays warning overlay for validation warnings,
  * and hooks up continue/cancel behavior.
@@ -1,9 +1,11 @@
 import { clearElement, createSection, createNotice } from "../ui/dom.js";
+import { describeErrorGroup, getErrorHint } from "../../common/llm-errors.js";
 
-export function renderCompleteView(root, { kind, pipelineState }) {
+export function renderCompleteView(root, { kind, pipelineState, progressData }) {
   clearElement(root);
 
   const isSuccess = kind === "success";
+  const errorGroups = progressData?.global?.errorGroups ?? [];
   const { section, body } = createSection(
     isSuccess ? "Translation complete" : "Translation failed"
   );
@@ -18,6 +20,10 @@ export function renderCompleteView(root, { kind, pipelineState }) {
     badge.className = "badge badge-success";
     badge.textContent = "Done";
     body.appendChild(badge);
+
+    if (errorGroups.length > 0) {
+      body.appendChild(createNotice("warning", "Some requests failed; their text was left untranslated."));
+    }
   } else {
     const errMsg = pipelineState?.error?.message || "An unrecoverable error occurred.";
 
@@ -31,6 +37,18 @@ export function renderCompleteView(root, { kind, pipelineState }) {
     detail.className = "error-text";
     detail.textContent = errMsg;
     body.appendChild(detail);
+
+    const errorHint = getErrorHint(pipelineState?.error?.code);
+    if (errorHint) {
+      const hintEl = document.createElement("p");
+      hintEl.className = "text-small text-muted";
+      hintEl.textContent = errorHint;
+      body.appendChild(hintEl);
+    }
+  }
+
+  if (errorGroups.length > 0) {
+    body.appendChild(renderErrorGroups(errorGroups));
   }
 
   const footer = document.createElement("div");
@@ -45,3 +63,34 @@ export function renderCompleteView(root, { kind, pipelineState }) {
 
   root.appendChild(section);
 }
+
+/**
+ * Lists failed requests grouped by stage, cause and model, with the fix for each cause.
+ */
+function renderErrorGroups(errorGroups) {
+  const list = document.createElement("ul");
+  list.className = "error-groups";
+
+  const hintedCodes = new Set();
+
+  for (const group of errorGroups) {
+    const item = document.createElement("li");
+    item.className = "text-small";
+    item.textContent = `${group.stage}: ${describeErrorGroup(group)}.`;
+
+    // Each fix is shown once, under the first group it applies to
+    const hint = getErrorHint(group.code);
+    if (hint && !hintedCodes.has(group.code)) {
+      hintedCodes.add(group.code);
+
+      const hintEl = document.createElement("div");
+      hintEl.className = "text-muted";
+      hintEl.textContent = hint;
+      item.appendChild(hintEl);
+    }
+
+    list.appendChild(item);
+  }
+
+  return list;
+}
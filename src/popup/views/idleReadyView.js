@@ -35,12 +35,15 @@ export function renderIdleReadyView(
     config,
     popupError,
     skipGlossary,
+    cacheEnabled,
+    bypassCache,
     selectedSourceLang,
     selectedTargetLang,
     onOpenOptions,
     onTranslate,
     onShowGlossary,
     onToggleSkipGlossary,
+    onToggleBypassCache,
     onSourceLangChange,
     onTargetLangChange,
   }
@@ -74,6 +77,16 @@ export function renderIdleReadyView(
     body.appendChild(checkboxRow);
   }
 
+  if (cacheEnabled) {
+    const { row: checkboxRow } = createCheckboxRow(
+      "bypass-cache-checkbox",
+      "Ignore cached responses for this run",
+      bypassCache,
+      onToggleBypassCache
+    );
+    body.appendChild(checkboxRow);
+  }
+
   if (popupError) {
     const errNotice = createNotice("error", popupError);
     body.appendChild(errNotice);
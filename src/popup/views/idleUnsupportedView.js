@@ -35,6 +35,8 @@ export function renderIdleUnsupportedView(
     config,
     popupError,
     skipGlossary,
+    cacheEnabled,
+    bypassCache,
     selectedSourceLang,
     selectedTargetLang,
     onOpenOptions,
@@ -42,6 +44,7 @@ export function renderIdleUnsupportedView(
     onShowGlossary,
     onShowPreview,
     onToggleSkipGlossary,
+    onToggleBypassCache,
     onSourceLangChange,
     onTargetLangChange,
   }
@@ -81,6 +84,16 @@ export function renderIdleUnsupportedView(
     body.appendChild(checkboxRow);
   }
 
+  if (cacheEnabled) {
+    const { row: checkboxRow } = createCheckboxRow(
+      "bypass-cache-checkbox",
+      "Ignore cached responses for this run",
+      bypassCache,
+      onToggleBypassCache
+    );
+    body.appendChild(checkboxRow);
+  }
+
   if (popupError) {
     const errNotice = createNotice("error", popupError);
     body.appendChild(errNotice);
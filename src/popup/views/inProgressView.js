@@ -1,9 +1,12 @@
-import { clearElement, createSection, createButton } from "../ui/dom.js";
+import { clearElement, createSection, createButton, createNotice } from "../ui/dom.js";
 
 // MODULE-LEVEL STATE
 let isDetailsOpen = false;
 let lastScrollTop = 0;
 
+// Waiting requests listed per queue; the rest are counted
+const MAX_LISTED_WAITING = 5;
+
 function formatPercent(val) {
   return typeof val === "number" ? `${Math.round(val * 100)}%` : "0%";
 }
@@ -17,6 +20,9 @@ function buildSimpleProgressText(data) {
   lines.push(`Global Progress: ${(g.progress * 100).toFixed(1)}%`);
   lines.push(`Total: ${g.total} | Completed: ${g.completed} | Remaining: ${g.remaining}`);
   lines.push(`Errors: ${g.errors}`);
+  if (g.retrying > 0) {
+    lines.push(`Retrying: ${g.retrying}`);
+  }
   lines.push("");
 
   lines.push("Stages:");
@@ -35,11 +41,14 @@ function buildSimpleProgressText(data) {
     if (stage.errorCount > 0) {
       lines.push(`Errors: ${stage.errorCount}`);
     }
+    if (stage.retrying > 0) {
+      lines.push(`Retrying: ${stage.retrying} (${stage.lastRetryReason || "provider error"})`);
+    }
   }
   return lines.join("\n");
 }
 
-export function renderInProgressView(root, { pipelineState, progressData }) {
+export function renderInProgressView(root, { pipelineState, progressData, queueStatus, tabId, onCancel }) {
   clearElement(root);
 
   const { section, body } = createSection("Translating…", "Running pipeline");
@@ -65,6 +74,20 @@ export function renderInProgressView(root, { pipelineState, progressData }) {
   progressContainer.appendChild(labelRow);
   body.appendChild(progressContainer);
 
+  // Requests waiting on a retry are not failures; say so instead of letting the bar look stuck
+  const retrying = progressData?.global?.retrying ?? 0;
+  if (retrying > 0) {
+    body.appendChild(createNotice(
+      "warning",
+      `Retrying ${retrying} request${retrying === 1 ? "" : "s"} after a provider error…`
+    ));
+  }
+
+  // Requests of other tabs share the providers' rate limits
+  if (queueStatus?.length > 0) {
+    body.appendChild(renderQueues(queueStatus, tabId));
+  }
+
   // --- Details Section ---
   const buttons = document.createElement("div");
   buttons.className = "button-row";
@@ -74,7 +97,16 @@ export function renderInProgressView(root, { pipelineState, progressData }) {
     { variant: "secondary" }
   );
 
+  const cancelButton = createButton("Cancel", {
+    variant: "ghost",
+    onClick: () => {
+      cancelButton.disabled = true;
+      onCancel?.();
+    },
+  });
+
   buttons.appendChild(detailsToggle);
+  buttons.appendChild(cancelButton);
   body.appendChild(buttons);
 
   const simpleText = document.createElement("div");
@@ -120,3 +152,39 @@ export function renderInProgressView(root, { pipelineState, progressData }) {
     simpleText.scrollTop = lastScrollTop;
   }
 }
+
+/**
+ * Lists the provider queues with the requests waiting in them, in the order they go.
+ */
+function renderQueues(queueStatus, tabId) {
+  const list = document.createElement("ul");
+  list.className = "queue-list";
+
+  for (const queue of queueStatus) {
+    const item = document.createElement("li");
+    item.className = "text-small";
+    item.textContent = `${queue.queueKey}: ${queue.running}/${queue.concurrency} running, ${queue.waiting.length} waiting`;
+
+    const waiting = document.createElement("ul");
+    for (const request of queue.waiting.slice(0, MAX_LISTED_WAITING)) {
+      const line = document.createElement("li");
+      line.className = "text-muted";
+      const origin = request.tabId === tabId ? "this tab" : "other tab";
+      line.textContent = `${request.stage || "Request"} (${origin}), waiting ${Math.round(request.waitingMs / 1000)}s`;
+      waiting.appendChild(line);
+    }
+
+    const more = queue.waiting.length - MAX_LISTED_WAITING;
+    if (more > 0) {
+      const line = document.createElement("li");
+      line.className = "text-muted";
+      line.textContent = `…and ${more} more`;
+      waiting.appendChild(line);
+    }
+
+    item.appendChild(waiting);
+    list.appendChild(item);
+  }
+
+  return list;
+}
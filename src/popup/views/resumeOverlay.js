@@ -0,0 +1,80 @@
+/**
+ * Modal overlay offering to resume a translation interrupted on this page.
+ */
+
+let currentOverlay = null;
+
+function describeCheckpoint(checkpoint) {
+  const lines = [];
+
+  if (checkpoint.stages.length > 0) {
+    lines.push(`Finished: ${checkpoint.stages.join(", ")}`);
+  }
+  if (checkpoint.totalIntervals) {
+    lines.push(`Translated: ${checkpoint.translatedIntervals} of ${checkpoint.totalIntervals} segments`);
+  }
+  if (checkpoint.updatedAt) {
+    lines.push(`Last saved: ${new Date(checkpoint.updatedAt).toLocaleString()}`);
+  }
+
+  return lines.join("\n");
+}
+
+export function showResumeOverlay(root, checkpoint, { onResume, onStartOver }) {
+  removeResumeOverlayIfAny();
+
+  const overlay = document.createElement("div");
+  overlay.className = "warning-overlay";
+
+  const modal = document.createElement("div");
+  modal.className = "warning-modal";
+
+  const title = document.createElement("h3");
+  title.className = "warning-title";
+  title.textContent = "Resume translation?";
+
+  const body = document.createElement("p");
+  body.className = "warning-body";
+  body.textContent = `A previous translation of this page did not finish.\n${describeCheckpoint(checkpoint)}`;
+
+  modal.appendChild(title);
+  modal.appendChild(body);
+
+  const actions = document.createElement("div");
+  actions.className = "button-row";
+
+  const startOverBtn = document.createElement("button");
+  startOverBtn.type = "button";
+  startOverBtn.className = "btn btn-secondary";
+  startOverBtn.textContent = "Start over";
+
+  const resumeBtn = document.createElement("button");
+  resumeBtn.type = "button";
+  resumeBtn.className = "btn btn-primary";
+  resumeBtn.textContent = "Resume";
+
+  startOverBtn.addEventListener("click", () => {
+    onStartOver?.();
+  });
+
+  resumeBtn.addEventListener("click", () => {
+    onResume?.();
+  });
+
+  actions.appendChild(startOverBtn);
+  actions.appendChild(resumeBtn);
+  modal.appendChild(actions);
+
+  overlay.appendChild(modal);
+  // Attach to body so it covers the whole popup
+  document.body.appendChild(overlay);
+
+  currentOverlay = overlay;
+}
+
+export function removeResumeOverlayIfAny() {
+  if (currentOverlay && currentOverlay.parentNode) {
+    currentOverlay.parentNode.removeChild(currentOverlay);
+  }
+  currentOverlay = null;
+}
@@ -0,0 +1,114 @@
+/**
+ * Modal overlay shown while requests are paused at a spending cap.
+ */
+
+let currentOverlay = null;
+let currentKey = null;
+
+function formatCost(cost) {
+  return `$${cost.toFixed(2)}`;
+}
+
+export function showSpendingCapOverlay(exceeded, { onContinue, onRaise, onStop }) {
+  // Already showing this cap; keep the user's input
+  if (currentOverlay && currentKey === exceeded.key) {
+    return;
+  }
+
+  removeSpendingCapOverlayIfAny();
+
+  const overlay = document.createElement("div");
+  overlay.className = "warning-overlay";
+
+  const modal = document.createElement("div");
+  modal.className = "warning-modal";
+
+  const scope = exceeded.provider ? `${exceeded.provider} ` : "";
+
+  const title = document.createElement("h3");
+  title.className = "warning-title";
+  title.textContent = `Translation paused: ${exceeded.period} ${scope}spending cap reached`;
+
+  const body = document.createElement("p");
+  body.className = "warning-body";
+  body.textContent =
+    `About ${formatCost(exceeded.spent)} of the ${formatCost(exceeded.cap)} ${exceeded.period} cap has been spent. ` +
+    `Continue past the cap for the rest of the ${exceeded.period === "daily" ? "day" : "month"}, raise it, or stop.`;
+
+  const raiseRow = document.createElement("label");
+  raiseRow.className = "spending-cap-row";
+
+  const raiseLabel = document.createElement("span");
+  raiseLabel.textContent = "New cap (USD)";
+
+  const raiseInput = document.createElement("input");
+  raiseInput.type = "number";
+  raiseInput.min = "0.01";
+  raiseInput.step = "0.01";
+  raiseInput.value = String(Math.round(exceeded.cap * 200) / 100);
+
+  raiseRow.appendChild(raiseLabel);
+  raiseRow.appendChild(raiseInput);
+
+  const error = document.createElement("p");
+  error.className = "warning-detail";
+
+  const actions = document.createElement("div");
+  actions.className = "button-row";
+
+  const stopBtn = document.createElement("button");
+  stopBtn.type = "button";
+  stopBtn.className = "btn btn-secondary";
+  stopBtn.textContent = "Stop";
+
+  const raiseBtn = document.createElement("button");
+  raiseBtn.type = "button";
+  raiseBtn.className = "btn btn-secondary";
+  raiseBtn.textContent = "Raise cap";
+
+  const continueBtn = document.createElement("button");
+  continueBtn.type = "button";
+  continueBtn.className = "btn btn-primary";
+  continueBtn.textContent = "Continue";
+
+  stopBtn.addEventListener("click", () => {
+    onStop?.();
+  });
+
+  raiseBtn.addEventListener("click", () => {
+    const amount = Number(raiseInput.value);
+    if (!Number.isFinite(amount) || amount <= exceeded.spent) {
+      error.textContent = `Enter an amount above ${formatCost(exceeded.spent)}.`;
+      return;
+    }
+    onRaise?.(amount);
+  });
+
+  continueBtn.addEventListener("click", () => {
+    onContinue?.();
+  });
+
+  actions.appendChild(stopBtn);
+  actions.appendChild(raiseBtn);
+  actions.appendChild(continueBtn);
+
+  modal.appendChild(title);
+  modal.appendChild(body);
+  modal.appendChild(raiseRow);
+  modal.appendChild(error);
+  modal.appendChild(actions);
+
+  overlay.appendChild(modal);
+  document.body.appendChild(overlay);
+
+  currentOverlay = overlay;
+  currentKey = exceeded.key;
+}
+
+export function removeSpendingCapOverlayIfAny() {
+  if (currentOverlay && currentOverlay.parentNode) {
+    currentOverlay.parentNode.removeChild(currentOverlay);
+  }
+  currentOverlay = null;
+  currentKey = null;
+}
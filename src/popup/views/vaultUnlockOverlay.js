@@ -0,0 +1,92 @@
+/**
+ * Modal overlay asking for the passphrase of encrypted API keys.
+ */
+
+let currentOverlay = null;
+
+export function showVaultUnlockOverlay({ onUnlock, onCancel }) {
+  if (currentOverlay) {
+    return;
+  }
+
+  const overlay = document.createElement("div");
+  overlay.className = "warning-overlay";
+
+  const modal = document.createElement("form");
+  modal.className = "warning-modal";
+
+  const title = document.createElement("h3");
+  title.className = "warning-title";
+  title.textContent = "API keys are locked";
+
+  const body = document.createElement("p");
+  body.className = "warning-body";
+  body.textContent = "Enter your passphrase to unlock the API keys until the browser is closed.";
+
+  const input = document.createElement("input");
+  input.type = "password";
+  input.className = "vault-passphrase";
+  input.autocomplete = "current-password";
+  input.placeholder = "Passphrase";
+
+  const error = document.createElement("p");
+  error.className = "warning-detail";
+
+  const actions = document.createElement("div");
+  actions.className = "button-row";
+
+  const cancelBtn = document.createElement("button");
+  cancelBtn.type = "button";
+  cancelBtn.className = "btn btn-secondary";
+  cancelBtn.textContent = "Later";
+
+  const unlockBtn = document.createElement("button");
+  unlockBtn.type = "submit";
+  unlockBtn.className = "btn btn-primary";
+  unlockBtn.textContent = "Unlock";
+
+  cancelBtn.addEventListener("click", () => {
+    removeVaultUnlockOverlayIfAny();
+    onCancel?.();
+  });
+
+  modal.addEventListener("submit", async (event) => {
+    event.preventDefault();
+
+    unlockBtn.disabled = true;
+    unlockBtn.textContent = "Unlocking…";
+    error.textContent = "";
+
+    try {
+      await onUnlock?.(input.value);
+      removeVaultUnlockOverlayIfAny();
+    } catch (err) {
+      error.textContent = err?.message || "Could not unlock the keys.";
+      unlockBtn.disabled = false;
+      unlockBtn.textContent = "Unlock";
+      input.select();
+    }
+  });
+
+  actions.appendChild(cancelBtn);
+  actions.appendChild(unlockBtn);
+
+  modal.appendChild(title);
+  modal.appendChild(body);
+  modal.appendChild(input);
+  modal.appendChild(error);
+  modal.appendChild(actions);
+
+  overlay.appendChild(modal);
+  document.body.appendChild(overlay);
+
+  currentOverlay = overlay;
+  input.focus();
+}
+
+export function removeVaultUnlockOverlayIfAny() {
+  if (currentOverlay && currentOverlay.parentNode) {
+    currentOverlay.parentNode.removeChild(currentOverlay);
+  }
+  currentOverlay = null;
+}